@@ -0,0 +1,270 @@
+/**
+ * Directory Upload
+ *
+ * Walks a local directory, filters files by glob patterns, extension and
+ * size, uploads the matches through the storage provider with bounded
+ * concurrency and optionally attaches them to a vector store in file
+ * batches. Individual failures are reported per file instead of aborting
+ * the run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MCPError, ErrorCodes, mapWithConcurrency, parseChunkingStrategy } = require('./openai-service.cjs');
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+const MAX_FILE_SIZE = 512 * 1024 * 1024; // OpenAI per-file limit
+const MAX_BATCH_FILES = 500; // file_ids accepted per vector store file batch
+
+/**
+ * Convert a glob pattern to a RegExp.
+ * Supports **, *, ?, [...] and {a,b}. Paths use forward slashes.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" matches everything
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a matcher for a list of globs. Patterns without a "/" match the
+ * file name anywhere in the tree (so "*.md" finds nested Markdown files).
+ */
+function createGlobMatcher(patterns) {
+  const compiled = patterns.map((pattern) => ({
+    regex: globToRegExp(pattern.replace(/^\.\//, '')),
+    basenameOnly: !pattern.includes('/')
+  }));
+
+  return (relativePath) => compiled.some(({ regex, basenameOnly }) =>
+    regex.test(basenameOnly ? path.posix.basename(relativePath) : relativePath));
+}
+
+/**
+ * Recursively list regular files under a directory as paths relative to it.
+ * Subdirectories that cannot be read are listed in `unreadable` with the
+ * reason; only an unreadable root is an error.
+ */
+function walkDirectory(root, options) {
+  const files = [];
+  const unreadable = [];
+  const pending = [''];
+
+  while (pending.length > 0) {
+    const relativeDir = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(root, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      if (!relativeDir) {
+        throw error;
+      }
+      unreadable.push({ relative_path: relativeDir, reason: error.message });
+      continue;
+    }
+
+    for (const entry of entries) {
+      if (!options.include_hidden && entry.name.startsWith('.')) {
+        continue;
+      }
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (options.recursive) {
+          pending.push(relativePath);
+        }
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  return { files: files.sort(), unreadable };
+}
+
+/**
+ * Select the files under a directory that pass the glob, extension and size filters.
+ * `skipped` counts filtered files and lists the directories that could not be read.
+ */
+function selectFiles(root, request) {
+  const include = createGlobMatcher(request.include && request.include.length > 0 ? request.include : ['**']);
+  const exclude = createGlobMatcher(request.exclude || []);
+  const extensions = (request.extensions || []).map((ext) => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+  const minSize = request.min_size_bytes || 0;
+  const maxSize = Math.min(request.max_size_bytes || MAX_FILE_SIZE, MAX_FILE_SIZE);
+
+  const selected = [];
+  const { files, unreadable } = walkDirectory(root, request);
+  const skipped = { excluded: 0, extension: 0, size: 0, unreadable };
+
+  for (const relativePath of files) {
+    if (!include(relativePath) || exclude(relativePath)) {
+      skipped.excluded += 1;
+      continue;
+    }
+    if (extensions.length > 0 && !extensions.includes(path.extname(relativePath).toLowerCase())) {
+      skipped.extension += 1;
+      continue;
+    }
+    const bytes = fs.statSync(path.join(root, relativePath)).size;
+    if (bytes < minSize || bytes > maxSize) {
+      skipped.size += 1;
+      continue;
+    }
+    selected.push({ relative_path: relativePath, bytes });
+  }
+
+  return { selected, skipped };
+}
+
+/**
+ * Check the directory and concurrency shared by the directory tools
+ */
+function resolveDirectoryRequest(request) {
+  const { directory_path } = request;
+
+  if (!directory_path || !fs.existsSync(directory_path) || !fs.statSync(directory_path).isDirectory()) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `Directory not found: ${directory_path}`,
+      { directory_path }
+    );
+  }
+
+  const concurrency = request.concurrency || DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`,
+      { concurrency }
+    );
+  }
+
+  return {
+    root: path.resolve(directory_path),
+    concurrency,
+    options: { recursive: true, include_hidden: false, ...request }
+  };
+}
+
+/**
+ * Count the completed steps of a directory run and pass them to onProgress.
+ * The total may shrink as failures rule out later steps.
+ */
+function createProgressCounter(onProgress) {
+  let completed = 0;
+  return (count, total, message) => {
+    completed += count;
+    if (onProgress) {
+      onProgress(completed, total, message);
+    }
+  };
+}
+
+/**
+ * Upload every matching file in a directory and optionally add them to a vector store.
+ * request.onProgress(completed, total, message) counts files uploaded, then files attached.
+ */
+async function uploadDirectory(provider, request) {
+  const { purpose = 'assistants', vector_store_id } = request;
+  parseChunkingStrategy(request.chunking_strategy);
+  const { root, concurrency, options } = resolveDirectoryRequest(request);
+  const { selected, skipped } = selectFiles(root, options);
+  const advance = createProgressCounter(request.onProgress);
+  const steps = vector_store_id ? selected.length * 2 : selected.length;
+
+  const files = await mapWithConcurrency(selected, concurrency, async (file) => {
+    const filePath = path.join(root, file.relative_path);
+    try {
+      const uploaded = await provider.uploadFile({ file_path: filePath, purpose, force: request.force });
+      advance(1, steps, `Uploaded ${file.relative_path}`);
+      return {
+        path: filePath,
+        relative_path: file.relative_path,
+        bytes: file.bytes,
+        status: 'uploaded',
+        file_id: uploaded.id,
+        deduplicated: uploaded.deduplicated === true,
+        ...(uploaded.converted_from && { filename: uploaded.filename, converted_from: uploaded.converted_from.format })
+      };
+    } catch (error) {
+      advance(1, steps, `Failed to upload ${file.relative_path}`);
+      return { path: filePath, relative_path: file.relative_path, bytes: file.bytes, status: 'failed', error: error.message };
+    }
+  });
+
+  const uploadedIds = files.filter((file) => file.status === 'uploaded').map((file) => file.file_id);
+  const batches = [];
+  const batchErrors = [];
+
+  if (vector_store_id && uploadedIds.length > 0) {
+    for (let start = 0; start < uploadedIds.length; start += MAX_BATCH_FILES) {
+      const fileIds = uploadedIds.slice(start, start + MAX_BATCH_FILES);
+      try {
+        const batch = await provider.createVectorStoreFileBatch(vector_store_id, fileIds, { chunking_strategy: request.chunking_strategy });
+        batches.push({ id: batch.id, status: batch.status, file_counts: batch.file_counts });
+        advance(fileIds.length, selected.length + uploadedIds.length, `Attached ${fileIds.length} files to ${vector_store_id}`);
+      } catch (error) {
+        batchErrors.push({ file_ids: fileIds, error: error.message });
+        advance(fileIds.length, selected.length + uploadedIds.length, `Failed to attach ${fileIds.length} files to ${vector_store_id}`);
+      }
+    }
+  }
+
+  return {
+    object: 'file_upload_directory.report',
+    directory_path: root,
+    vector_store_id: vector_store_id || null,
+    matched: selected.length,
+    uploaded: uploadedIds.length,
+    deduplicated: files.filter((file) => file.deduplicated).length,
+    failed: files.length - uploadedIds.length,
+    skipped,
+    files,
+    batches,
+    batch_errors: batchErrors
+  };
+}
+
+module.exports = { uploadDirectory, resolveDirectoryRequest, selectFiles, createProgressCounter, globToRegExp, createGlobMatcher, MAX_BATCH_FILES };
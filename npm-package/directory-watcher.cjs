@@ -0,0 +1,325 @@
+/**
+ * Directory Watcher
+ *
+ * Keeps vector stores in step with local folders for as long as the server
+ * runs. Each watcher listens for file system events under its directory,
+ * waits for the changes to settle (debounce) and then runs a vector store
+ * sync, which re-uploads and re-attaches changed files and detaches deleted
+ * ones. Syncs of one watcher never overlap, and a failed sync is retried.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MCPError, ErrorCodes, parseChunkingStrategy } = require('./openai-service.cjs');
+const { resolveDirectoryRequest } = require('./directory-upload.cjs');
+const { syncDirectoryToVectorStore } = require('./vector-store-sync.cjs');
+
+const DEFAULT_DEBOUNCE_MS = 2000;
+const MAX_DEBOUNCE_WAIT_MS = 30000; // sync at least this often while edits keep coming
+const RETRY_DELAY_MS = 30000;
+
+class DirectoryWatcher {
+  constructor(id, getProvider, request, log) {
+    const { root } = resolveDirectoryRequest(request);
+
+    this.id = id;
+    this.getProvider = getProvider;
+    this.request = { ...request, directory_path: root, dry_run: false };
+    this.root = root;
+    this.log = log;
+    this.debounceMs = request.debounce_ms === undefined ? DEFAULT_DEBOUNCE_MS : request.debounce_ms;
+    this.hashCache = new Map();
+    this.watchers = new Map();
+    this.timer = null;
+    this.running = null;
+    this.dirty = false;
+    this.perDirectory = false;
+    this.firstPendingAt = null;
+
+    this.state = {
+      id,
+      object: 'vector_store.watch',
+      directory_path: root,
+      vector_store_id: request.vector_store_id,
+      debounce_ms: this.debounceMs,
+      status: 'watching',
+      started_at: nowSeconds(),
+      last_event_at: null,
+      last_sync_at: null,
+      syncs: 0,
+      pending_changes: 0,
+      last_sync: null,
+      last_error: null
+    };
+  }
+
+  start(initialSync = true) {
+    this.watchTree();
+    if (initialSync) {
+      this.schedule(0);
+    }
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    this.watchers.clear();
+    this.state.status = 'stopped';
+  }
+
+  /**
+   * Watch the whole tree, falling back to one watcher per directory where
+   * recursive fs.watch is unavailable (Linux before Node 20)
+   */
+  watchTree() {
+    try {
+      this.addWatcher(this.root, true);
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.perDirectory = true;
+      this.watchDirectories();
+    }
+  }
+
+  watchDirectories() {
+    const pending = [this.root];
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      try {
+        if (!this.watchers.has(dir)) {
+          this.addWatcher(dir, false);
+        }
+        if (this.request.recursive === false) {
+          continue;
+        }
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (entry.isDirectory() && (this.request.include_hidden || !entry.name.startsWith('.'))) {
+            pending.push(path.join(dir, entry.name));
+          }
+        }
+      } catch (error) {
+        if (dir === this.root) {
+          throw error;
+        }
+        // Syncs list the directory as unreadable and leave its files alone
+        this.log(`Watcher ${this.id} cannot watch ${dir}: ${error.message}`);
+      }
+    }
+  }
+
+  addWatcher(dir, recursive) {
+    const watcher = fs.watch(dir, { recursive }, (eventType, filename) => {
+      this.onChange(path.relative(this.root, path.join(dir, String(filename || ''))));
+    });
+    watcher.on('error', (error) => {
+      // A watched subdirectory was removed; the next sync drops its files
+      this.log(`Watcher ${this.id} stopped watching ${dir}: ${error.message}`);
+      watcher.close();
+      this.watchers.delete(dir);
+    });
+    this.watchers.set(dir, watcher);
+  }
+
+  onChange(relativePath) {
+    if (this.state.status === 'stopped') {
+      return;
+    }
+    const hidden = relativePath.split(path.sep).some((segment) => segment.startsWith('.') && segment !== '..');
+    if (hidden && !this.request.include_hidden) {
+      return;
+    }
+
+    this.state.last_event_at = nowSeconds();
+    this.state.pending_changes += 1;
+    if (this.firstPendingAt === null) {
+      this.firstPendingAt = Date.now();
+    }
+
+    const waited = Date.now() - this.firstPendingAt;
+    this.schedule(Math.max(0, Math.min(this.debounceMs, MAX_DEBOUNCE_WAIT_MS - waited)));
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sync(), delayMs);
+  }
+
+  /**
+   * Run one sync; changes that arrive meanwhile trigger another one afterwards
+   */
+  async sync() {
+    if (this.running) {
+      this.dirty = true;
+      return;
+    }
+
+    this.dirty = false;
+    this.firstPendingAt = null;
+    this.state.pending_changes = 0;
+    this.state.status = 'syncing';
+    let retry = false;
+
+    this.running = (async () => {
+      try {
+        const result = await syncDirectoryToVectorStore(this.getProvider(), this.request, { hashCache: this.hashCache });
+        this.state.last_sync = {
+          added: result.plan.add.length,
+          replaced: result.plan.replace.length,
+          removed: result.plan.remove.length,
+          kept: result.applied.kept.length,
+          unchanged: result.plan.unchanged,
+          unreadable: result.unreadable || [],
+          errors: result.applied.errors
+        };
+        this.state.last_error = null;
+        retry = result.applied.errors.length > 0;
+      } catch (error) {
+        this.state.last_error = error.message;
+        this.log(`Watcher ${this.id} sync failed: ${error.message}`);
+        retry = true;
+      }
+      this.state.syncs += 1;
+      this.state.last_sync_at = nowSeconds();
+    })();
+
+    await this.running;
+    this.running = null;
+
+    if (this.state.status === 'stopped') {
+      return;
+    }
+    this.state.status = 'watching';
+    if (this.perDirectory) {
+      // Pick up directories created since the last sync
+      this.watchDirectories();
+    }
+
+    if (this.dirty) {
+      this.schedule(this.debounceMs);
+    } else if (retry) {
+      this.schedule(RETRY_DELAY_MS);
+    }
+  }
+
+  inspect() {
+    return { ...this.state };
+  }
+}
+
+/**
+ * Starts, stops and reports on the directory watchers of one server process
+ */
+class WatchManager {
+  constructor(getProvider, log = () => {}) {
+    this.getProvider = getProvider;
+    this.log = log;
+    this.watchers = new Map();
+    this.nextId = 1;
+  }
+
+  start(request) {
+    if (!request.vector_store_id) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
+    }
+    if (request.debounce_ms !== undefined && (!Number.isInteger(request.debounce_ms) || request.debounce_ms < 0)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'debounce_ms must be a non-negative integer', { debounce_ms: request.debounce_ms });
+    }
+    parseChunkingStrategy(request.chunking_strategy);
+
+    const { root } = resolveDirectoryRequest(request);
+    for (const watcher of this.watchers.values()) {
+      if (watcher.root === root && watcher.state.vector_store_id === request.vector_store_id) {
+        throw new MCPError(
+          ErrorCodes.INVALID_PARAMS,
+          `${root} is already synced to ${request.vector_store_id} by ${watcher.id}`,
+          { watch_id: watcher.id }
+        );
+      }
+    }
+
+    const watcher = new DirectoryWatcher(`watch_${this.nextId++}`, this.getProvider, request, this.log);
+    watcher.start(request.initial_sync !== false);
+    this.watchers.set(watcher.id, watcher);
+    return watcher.inspect();
+  }
+
+  /**
+   * Stop one watcher, or every watcher when no ID is given
+   */
+  stop(watchId) {
+    const stopped = watchId ? [this.require(watchId)] : [...this.watchers.values()];
+    for (const watcher of stopped) {
+      watcher.stop();
+      this.watchers.delete(watcher.id);
+    }
+    return { object: 'list', data: stopped.map((watcher) => watcher.inspect()) };
+  }
+
+  inspect(watchId) {
+    if (watchId) {
+      return this.require(watchId).inspect();
+    }
+    return { object: 'list', data: [...this.watchers.values()].map((watcher) => watcher.inspect()) };
+  }
+
+  require(watchId) {
+    const watcher = this.watchers.get(watchId);
+    if (!watcher) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `Watcher not found: ${watchId}`, { watch_id: watchId });
+    }
+    return watcher;
+  }
+}
+
+/**
+ * Read watchers configured at startup from --watch <dir>=<vector_store_id>
+ * flags (repeatable) or VECTOR_STORE_WATCH ("dir=vs_id,dir2=vs_id2"), with the
+ * debounce from --watch-debounce-ms or WATCH_DEBOUNCE_MS. Invalid entries are
+ * passed to log and left out, so a typo cannot stop the server from starting.
+ */
+function parseWatchConfig(argv = process.argv.slice(2), env = process.env, log = () => {}) {
+  const specs = [];
+  let debounceMs = env.WATCH_DEBOUNCE_MS;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    if (flag === '--watch') {
+      specs.push(inline !== undefined ? inline : argv[++i]);
+    } else if (flag === '--watch-debounce-ms') {
+      debounceMs = inline !== undefined ? inline : argv[++i];
+    }
+  }
+  if (specs.length === 0 && env.VECTOR_STORE_WATCH) {
+    specs.push(...env.VECTOR_STORE_WATCH.split(','));
+  }
+
+  if (debounceMs !== undefined && !/^\d+$/.test(String(debounceMs).trim())) {
+    log(`Ignoring watch debounce "${debounceMs}": expected a non-negative integer of milliseconds`);
+    debounceMs = undefined;
+  }
+
+  const configs = [];
+  for (const spec of specs.map((value) => (value || '').trim()).filter(Boolean)) {
+    const separator = spec.lastIndexOf('=');
+    if (separator <= 0 || separator === spec.length - 1) {
+      log(`Ignoring watch "${spec}": expected <directory>=<vector_store_id>`);
+      continue;
+    }
+    configs.push({
+      directory_path: spec.slice(0, separator),
+      vector_store_id: spec.slice(separator + 1),
+      ...(debounceMs !== undefined && { debounce_ms: parseInt(debounceMs, 10) })
+    });
+  }
+  return configs;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+module.exports = { WatchManager, DirectoryWatcher, parseWatchConfig, DEFAULT_DEBOUNCE_MS };
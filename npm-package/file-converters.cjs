@@ -0,0 +1,568 @@
+/**
+ * File Converters
+ *
+ * Turns formats file_search cannot index into Markdown or plain text before
+ * upload: Excel workbooks, Jupyter notebooks, email messages, RTF documents
+ * and EPUB ebooks. Conversion runs locally and needs no extra packages.
+ *
+ * A converter is an object with:
+ * - name: short identifier reported with converted uploads
+ * - format: human readable name of the source format
+ * - extensions: detected extensions it handles (e.g. ['.xlsx'])
+ * - convert(buffer, filename): returns { content, extension }, where
+ *   extension is '.md' or '.txt'
+ *
+ * UPLOAD_CONVERTERS may list extra converter modules (comma separated paths),
+ * each exporting a converter or an array of them. They take precedence over
+ * the built-in ones.
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+
+// Conversion holds the source and its output in memory
+const MAX_CONVERT_BYTES = 64 * 1024 * 1024;
+
+// Total uncompressed size a ZIP may declare, so a small archive cannot inflate to gigabytes
+const MAX_UNZIPPED_BYTES = 4 * MAX_CONVERT_BYTES;
+
+/**
+ * Minimal ZIP reader: returns a Map of entry name to a function that inflates it.
+ * Archives declaring more than MAX_UNZIPPED_BYTES are refused up front, and no
+ * entry may inflate past the size the central directory declares for it.
+ */
+function readZip(buffer) {
+  const eocdMin = Math.max(0, buffer.length - 65557);
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= eocdMin; i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('not a valid ZIP archive');
+  }
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = new Map();
+  let declaredBytes = 0;
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    declaredBytes += uncompressedSize;
+    if (declaredBytes > MAX_UNZIPPED_BYTES) {
+      throw new Error(`ZIP archive declares more than ${MAX_UNZIPPED_BYTES} uncompressed bytes`);
+    }
+
+    entries.set(name, () => {
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, uncompressedSize) });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`ZIP entry ${name} inflates past its declared ${uncompressedSize} bytes`);
+          }
+          throw error;
+        }
+      }
+      throw new Error(`unsupported ZIP compression method ${method} for ${name}`);
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipText(entries, name) {
+  const entry = entries.get(name);
+  return entry ? entry().toString('utf8') : null;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', copy: '©' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function xmlAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[1] ?? match[2]) : null;
+}
+
+/**
+ * Convert HTML or XHTML to Markdown-flavoured text: headings, paragraphs,
+ * list items and line breaks are kept, everything else is reduced to its text
+ */
+function htmlToMarkdown(html) {
+  const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1];
+  const text = body
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|blockquote|pre|ul|ol|table|tr|h[1-6])[^>]*>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function markdownTable(rows) {
+  const width = Math.max(...rows.map((row) => row.length));
+  const pad = (row) => Array.from({ length: width }, (unused, i) => markdownCell(row[i] ?? ''));
+  const [header, ...body] = rows;
+  return [
+    `| ${pad(header).join(' | ')} |`,
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...body.map((row) => `| ${pad(row).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Excel workbook: one Markdown table per non-empty sheet, the first row as header
+ */
+const xlsxConverter = {
+  name: 'xlsx',
+  format: 'Excel workbook',
+  extensions: ['.xlsx'],
+  convert(buffer) {
+    const entries = readZip(buffer);
+    const workbook = readZipText(entries, 'xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('xl/workbook.xml is missing');
+    }
+
+    const sharedStrings = [];
+    const shared = readZipText(entries, 'xl/sharedStrings.xml') || '';
+    for (const [, item] of shared.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(decodeEntities([...item.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((t) => t[1]).join('')));
+    }
+
+    const targets = {};
+    const rels = readZipText(entries, 'xl/_rels/workbook.xml.rels') || '';
+    for (const [tag] of rels.matchAll(/<Relationship\b[^>]*>/g)) {
+      const target = xmlAttribute(tag, 'Target') || '';
+      targets[xmlAttribute(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+    }
+
+    const sections = [];
+    for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+      const name = xmlAttribute(tag, 'name');
+      const sheetXml = readZipText(entries, targets[xmlAttribute(tag, 'r:id')]);
+      if (!sheetXml) {
+        continue;
+      }
+
+      const rows = [];
+      for (const [, rowXml] of sheetXml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, cellTag, cellXml = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const column = columnIndex(xmlAttribute(cellTag, 'r') || '') ?? row.length;
+          const type = xmlAttribute(cellTag, 't');
+          const raw = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+          let value = raw === undefined ? '' : decodeEntities(raw);
+          if (type === 's') {
+            value = sharedStrings[Number(raw)] ?? '';
+          } else if (type === 'inlineStr') {
+            value = decodeEntities([...cellXml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((t) => t[1]).join(''));
+          } else if (type === 'b') {
+            value = raw === '1' ? 'TRUE' : 'FALSE';
+          }
+          row[column] = value;
+        }
+        if (row.some((value) => value !== undefined && value !== '')) {
+          rows.push(row);
+        }
+      }
+
+      if (rows.length > 0) {
+        sections.push(`## ${name}\n\n${markdownTable(rows)}`);
+      }
+    }
+
+    return { content: sections.join('\n\n'), extension: '.md' };
+  }
+};
+
+function columnIndex(reference) {
+  const letters = (reference.match(/^[A-Z]+/) || [])[0];
+  if (!letters) {
+    return null;
+  }
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Jupyter notebook: Markdown cells as they are, code cells and their text outputs as fenced blocks
+ */
+const ipynbConverter = {
+  name: 'ipynb',
+  format: 'Jupyter notebook',
+  extensions: ['.ipynb'],
+  convert(buffer) {
+    const notebook = JSON.parse(buffer.toString('utf8'));
+    const language = notebook.metadata?.kernelspec?.language || notebook.metadata?.language_info?.name || '';
+    const joinSource = (source) => (Array.isArray(source) ? source.join('') : source || '');
+
+    const blocks = [];
+    for (const cell of notebook.cells || []) {
+      const source = joinSource(cell.source).trim();
+      if (cell.cell_type === 'code') {
+        if (source) {
+          blocks.push(`\`\`\`${language}\n${source}\n\`\`\``);
+        }
+        const outputs = (cell.outputs || [])
+          .map((output) => joinSource(output.text || output.data?.['text/plain'] || (output.ename ? `${output.ename}: ${output.evalue}` : '')))
+          .filter((text) => text.trim());
+        if (outputs.length > 0) {
+          blocks.push(`Output:\n\n\`\`\`\n${outputs.join('\n').trim()}\n\`\`\``);
+        }
+      } else if (source) {
+        blocks.push(source);
+      }
+    }
+
+    return { content: blocks.join('\n\n'), extension: '.md' };
+  }
+};
+
+/**
+ * Email message: the main headers followed by the text body; attachments are listed by name
+ */
+const emlConverter = {
+  name: 'eml',
+  format: 'email message',
+  extensions: ['.eml'],
+  convert(buffer) {
+    const message = parseMimePart(buffer.toString('latin1'));
+    const attachments = [];
+    const body = mimeBodyText(message, attachments);
+
+    const lines = [`# ${decodeEncodedWords(message.headers.subject || '(no subject)')}`, ''];
+    for (const header of ['from', 'to', 'cc', 'date']) {
+      if (message.headers[header]) {
+        lines.push(`**${header[0].toUpperCase()}${header.slice(1)}:** ${decodeEncodedWords(message.headers[header])}  `);
+      }
+    }
+    lines.push('', body.trim());
+    if (attachments.length > 0) {
+      lines.push('', `**Attachments:** ${attachments.join(', ')}`);
+    }
+    return { content: lines.join('\n').trim(), extension: '.md' };
+  }
+};
+
+/**
+ * Split a MIME entity (as a latin1 string, so bytes are preserved) into headers and body
+ */
+function parseMimePart(raw) {
+  const split = raw.search(/\r?\n\r?\n/);
+  const headerText = split === -1 ? raw : raw.slice(0, split);
+  const body = split === -1 ? '' : raw.slice(split).replace(/^\r?\n\r?\n/, '');
+
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      const name = line.slice(0, separator).trim().toLowerCase();
+      if (!(name in headers)) {
+        headers[name] = line.slice(separator + 1).trim();
+      }
+    }
+  }
+  return { headers, body };
+}
+
+/**
+ * The readable text of a MIME entity: text/plain preferred, HTML converted,
+ * multipart/alternative reduced to its best part
+ */
+function mimeBodyText(part, attachments) {
+  const contentType = part.headers['content-type'] || 'text/plain';
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+  const disposition = part.headers['content-disposition'] || '';
+  const filename = headerParam(disposition, 'filename') || headerParam(contentType, 'name');
+
+  if (mediaType.startsWith('multipart/')) {
+    const boundary = headerParam(contentType, 'boundary');
+    if (!boundary) {
+      return '';
+    }
+    const children = part.body
+      .split(new RegExp(`\\r?\\n?--${boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*(?:\\r?\\n|$)`))
+      .slice(1)
+      .filter((child) => child.trim())
+      .map(parseMimePart);
+
+    if (mediaType === 'multipart/alternative') {
+      const best = children.find((child) => /^text\/plain/i.test(child.headers['content-type'] || 'text/plain'))
+        || children.find((child) => /^text\/html/i.test(child.headers['content-type'] || ''))
+        || children[0];
+      return best ? mimeBodyText(best, attachments) : '';
+    }
+    return children.map((child) => mimeBodyText(child, attachments)).filter((text) => text.trim()).join('\n\n');
+  }
+
+  if (/^attachment/i.test(disposition) || !mediaType.startsWith('text/')) {
+    if (filename || !mediaType.startsWith('text/')) {
+      attachments.push(decodeEncodedWords(filename || mediaType));
+    }
+    return '';
+  }
+
+  const text = decodeCharset(decodeTransferEncoding(part.body, part.headers['content-transfer-encoding']), headerParam(contentType, 'charset'));
+  return mediaType === 'text/html' ? htmlToMarkdown(text) : text;
+}
+
+function headerParam(header, name) {
+  const match = header.match(new RegExp(`;\\s*${name}\\*?\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i'));
+  return match ? match[1] ?? match[2] : null;
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?text?=) in a header value
+ */
+function decodeEncodedWords(value) {
+  return value
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeCharset(bytes, charset);
+    });
+}
+
+// RTF groups whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'header', 'footer', 'headerl', 'headerr', 'headerf',
+  'footerl', 'footerr', 'footerf', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'object', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+/**
+ * RTF document: plain text, with paragraph and line breaks, tabs, hex escapes and Unicode kept
+ */
+const rtfConverter = {
+  name: 'rtf',
+  format: 'RTF document',
+  extensions: ['.rtf'],
+  convert(buffer) {
+    const rtf = buffer.toString('latin1');
+    const cp1252 = new TextDecoder('windows-1252');
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let pendingSkip = 0;
+    let output = '';
+
+    const emit = (text) => {
+      if (state.skip) {
+        return;
+      }
+      if (pendingSkip > 0) {
+        // Characters after \uN are the fallback for readers without Unicode
+        pendingSkip -= 1;
+        return;
+      }
+      output += text;
+    };
+
+    for (let i = 0; i < rtf.length; i++) {
+      const char = rtf[i];
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        pendingSkip = 0;
+      } else if (char === '}') {
+        state = stack.pop() || state;
+        pendingSkip = 0;
+      } else if (char === '\\') {
+        const next = rtf[i + 1];
+        if (next === '\\' || next === '{' || next === '}') {
+          emit(next);
+          i += 1;
+        } else if (next === "'") {
+          emit(cp1252.decode(Buffer.from([parseInt(rtf.slice(i + 2, i + 4), 16)])));
+          i += 3;
+        } else if (next === '*') {
+          state.skip = true;
+          i += 1;
+        } else if (next === '~') {
+          emit(' ');
+          i += 1;
+        } else if (next === '\n' || next === '\r') {
+          emit('\n');
+          i += 1;
+        } else {
+          const match = rtf.slice(i + 1, i + 40).match(/^([a-z]+)(-?\d+)? ?/i);
+          if (!match) {
+            i += 1;
+            continue;
+          }
+          i += match[0].length;
+          const [, word, param] = match;
+          if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+            state.skip = true;
+          } else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page' || word === 'row') {
+            emit('\n');
+          } else if (word === 'tab' || word === 'cell') {
+            emit('\t');
+          } else if (word === 'uc') {
+            state.unicodeSkip = Number(param);
+          } else if (word === 'u') {
+            const code = Number(param);
+            emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+            pendingSkip = state.unicodeSkip;
+          } else if (word === 'emdash') {
+            emit('—');
+          } else if (word === 'endash') {
+            emit('–');
+          } else if (word === 'bullet') {
+            emit('•');
+          } else if (word === 'lquote' || word === 'rquote') {
+            emit(word === 'lquote' ? '‘' : '’');
+          } else if (word === 'ldblquote' || word === 'rdblquote') {
+            emit(word === 'ldblquote' ? '“' : '”');
+          }
+        }
+      } else if (char !== '\r' && char !== '\n') {
+        emit(char);
+      }
+    }
+
+    return { content: output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim(), extension: '.txt' };
+  }
+};
+
+/**
+ * EPUB ebook: the spine documents in reading order, converted to Markdown under the book title
+ */
+const epubConverter = {
+  name: 'epub',
+  format: 'EPUB ebook',
+  extensions: ['.epub'],
+  convert(buffer) {
+    const entries = readZip(buffer);
+    const container = readZipText(entries, 'META-INF/container.xml') || '';
+    const rootTag = (container.match(/<rootfile\b[^>]*>/) || [])[0];
+    const opfPath = rootTag && xmlAttribute(rootTag, 'full-path');
+    const opf = opfPath && readZipText(entries, opfPath);
+    if (!opf) {
+      throw new Error('the package document (OPF) is missing');
+    }
+
+    const manifest = {};
+    for (const [tag] of opf.matchAll(/<item\b[^>]*>/g)) {
+      manifest[xmlAttribute(tag, 'id')] = { href: xmlAttribute(tag, 'href'), type: xmlAttribute(tag, 'media-type') };
+    }
+
+    const baseDir = path.posix.dirname(opfPath);
+    const chapters = [];
+    for (const [tag] of opf.matchAll(/<itemref\b[^>]*>/g)) {
+      const item = manifest[xmlAttribute(tag, 'idref')];
+      if (!item || !/html/.test(item.type || '')) {
+        continue;
+      }
+      const href = decodeURIComponent(item.href.split('#')[0]);
+      const xhtml = readZipText(entries, path.posix.normalize(path.posix.join(baseDir, href)));
+      const text = xhtml && htmlToMarkdown(xhtml);
+      if (text) {
+        chapters.push(text);
+      }
+    }
+
+    const title = (opf.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/) || [])[1];
+    const heading = title ? `# ${decodeEntities(title).trim()}\n\n` : '';
+    return { content: heading + chapters.join('\n\n'), extension: '.md' };
+  }
+};
+
+const BUILTIN_CONVERTERS = [xlsxConverter, ipynbConverter, emlConverter, rtfConverter, epubConverter];
+
+/**
+ * Built-in converters, preceded by any converter modules listed in spec
+ * (an array or a comma-separated string of module paths)
+ */
+function loadConverters(spec) {
+  const modules = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  const custom = [];
+
+  for (const modulePath of modules.map((entry) => entry.trim()).filter(Boolean)) {
+    const exported = require(path.resolve(modulePath));
+    const converters = [].concat(exported.default || exported.converters || exported);
+    for (const converter of converters) {
+      if (!converter || typeof converter.convert !== 'function' || !Array.isArray(converter.extensions)) {
+        throw new Error(`Converter module ${modulePath} must export objects with extensions and convert()`);
+      }
+      custom.push(converter);
+    }
+  }
+
+  return [...custom, ...BUILTIN_CONVERTERS];
+}
+
+/**
+ * The first converter that handles a detected extension, or null
+ */
+function findConverter(converters, extension) {
+  return converters.find((converter) => converter.extensions.includes(extension)) || null;
+}
+
+module.exports = { loadConverters, findConverter, BUILTIN_CONVERTERS, MAX_CONVERT_BYTES, MAX_UNZIPPED_BYTES, readZip, htmlToMarkdown };
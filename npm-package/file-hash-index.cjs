@@ -0,0 +1,169 @@
+/**
+ * File Hash Index
+ *
+ * Maps uploaded file IDs to the SHA-256 of their content so identical
+ * uploads can be answered with the existing file instead of creating a
+ * duplicate. The index is kept on disk, and once per process it is
+ * reconciled against listFiles: deleted files are dropped and files that
+ * were uploaded elsewhere are added with an unknown hash. Unknown hashes are
+ * filled in lazily by streaming only the files whose size matches a new
+ * upload, until one matches, and are kept in the index once computed. The API refuses downloads of "assistants" files, so those can only
+ * be deduplicated against when this index recorded their hash at upload; a
+ * rebuilt index marks them as unhashable and never downloads them again.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { listPages, MAX_FILES_PAGE_SIZE } = require('./openai-service.cjs');
+
+const DEFAULT_INDEX_PATH = path.join(os.homedir(), '.openai-vector-store-mcp', 'file-hashes.json');
+
+class FileHashIndex {
+  constructor(indexPath) {
+    this.indexPath = path.resolve(indexPath || DEFAULT_INDEX_PATH);
+    this.files = this.load();
+    this.synced = false;
+  }
+
+  /**
+   * Record the hash of a file this process uploaded, with any attributes to
+   * carry into vector stores (such as the source of a converted file)
+   */
+  add(file, sha256, attributes) {
+    this.files[file.id] = { sha256, bytes: file.bytes, filename: file.filename, purpose: file.purpose, ...(attributes && { attributes }) };
+    this.save();
+  }
+
+  remove(fileId) {
+    if (this.files[fileId]) {
+      delete this.files[fileId];
+      this.save();
+    }
+  }
+
+  hashOf(fileId) {
+    return this.files[fileId] ? this.files[fileId].sha256 || null : null;
+  }
+
+  /**
+   * Vector store attributes for a file: its hash plus any recorded at upload
+   */
+  attributesOf(fileId) {
+    const entry = this.files[fileId];
+    if (!entry || !entry.sha256) {
+      return null;
+    }
+    return { sha256: entry.sha256, ...entry.attributes };
+  }
+
+  /**
+   * Find an existing file with the given content, or null
+   */
+  async find(provider, sha256, bytes, purpose) {
+    await this.sync(provider);
+
+    const matches = (fileId) => this.files[fileId].sha256 === sha256 && this.files[fileId].purpose === purpose;
+    let fileId = Object.keys(this.files).find(matches);
+
+    if (!fileId) {
+      // Hash files of the same size that were uploaded outside this server, saving each hash as it is found
+      const candidates = Object.keys(this.files)
+        .filter((id) => this.files[id].sha256 === undefined && this.files[id].bytes === bytes && this.files[id].purpose === purpose);
+      for (const id of candidates) {
+        const sha256 = await hashRemoteFile(provider, id);
+        if (sha256 === undefined || !this.files[id]) {
+          continue;
+        }
+        this.files[id].sha256 = sha256;
+        this.save();
+        if (matches(id)) {
+          fileId = id;
+          break;
+        }
+      }
+    }
+
+    if (!fileId) {
+      return null;
+    }
+
+    // The file may have been deleted since the last sync
+    try {
+      return await provider.getFile(fileId);
+    } catch (error) {
+      this.remove(fileId);
+      return null;
+    }
+  }
+
+  /**
+   * Reconcile the index with every page of listFiles, once per process
+   */
+  async sync(provider) {
+    if (this.synced) {
+      return;
+    }
+
+    const seen = new Set();
+    const files = await listPages(
+      (params) => provider.listFiles(params),
+      { order: 'asc', all: true },
+      { pageSize: MAX_FILES_PAGE_SIZE, maxItems: Infinity }
+    );
+    for (const file of files.data) {
+      seen.add(file.id);
+      if (!this.files[file.id]) {
+        this.files[file.id] = { sha256: undefined, bytes: file.bytes, filename: file.filename, purpose: file.purpose };
+      }
+    }
+
+    for (const fileId of Object.keys(this.files)) {
+      if (!seen.has(fileId)) {
+        delete this.files[fileId];
+      }
+    }
+
+    this.synced = true;
+    this.save();
+  }
+
+  load() {
+    if (!fs.existsSync(this.indexPath)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(this.indexPath, 'utf8')).files || {};
+    } catch (error) {
+      // A corrupt index is rebuilt from listFiles on the next sync
+      return {};
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+    const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ files: this.files }, null, 2));
+    fs.renameSync(tempPath, this.indexPath);
+  }
+}
+
+/**
+ * SHA-256 of a stored file's content, streamed rather than held in memory.
+ * Null when the API refuses the download with a 4xx, as it does for purpose
+ * "assistants", so the file is not tried again; undefined after a rate limit,
+ * server or network error, to retry on a later upload.
+ */
+async function hashRemoteFile(provider, fileId) {
+  try {
+    const hash = crypto.createHash('sha256');
+    await pipeline(await provider.openFileContentStream(fileId), hash);
+    return hash.digest('hex');
+  } catch (error) {
+    return error.status >= 400 && error.status < 500 && error.status !== 429 ? null : undefined;
+  }
+}
+
+module.exports = { FileHashIndex };
@@ -0,0 +1,239 @@
+/**
+ * File Types
+ *
+ * Identifies uploads by their content instead of their name. Binary formats
+ * are recognised by magic bytes and everything else is checked for being
+ * UTF-8 or UTF-16 text. The result says whether file_search can index the
+ * format, so uploads can be checked before any bytes are sent.
+ */
+
+const path = require('path');
+
+// Bytes read from the start of a file to identify it
+const SNIFF_BYTES = 8192;
+
+// Formats file_search accepts, by extension
+// https://platform.openai.com/docs/assistants/tools/file-search#supported-files
+const SUPPORTED_FILE_TYPES = {
+  '.c': 'text/x-c',
+  '.cpp': 'text/x-c++',
+  '.cs': 'text/x-csharp',
+  '.css': 'text/css',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.go': 'text/x-golang',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.java': 'text/x-java',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.pdf': 'application/pdf',
+  '.php': 'text/x-php',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.py': 'text/x-python',
+  '.rb': 'text/x-ruby',
+  '.sh': 'application/x-sh',
+  '.tex': 'text/x-tex',
+  '.ts': 'application/typescript',
+  '.txt': 'text/plain'
+};
+
+// Content types of formats that can be identified but not indexed
+const OTHER_FILE_TYPES = {
+  '.csv': 'text/csv',
+  '.xml': 'application/xml',
+  '.rtf': 'application/rtf',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.epub': 'application/epub+zip',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const MIME_TYPES = { ...SUPPORTED_FILE_TYPES, ...OTHER_FILE_TYPES };
+
+// Binary formats by magic bytes at an offset
+const SIGNATURES = [
+  { type: 'PDF document', extension: '.pdf', magic: '%PDF-' },
+  { type: 'ZIP archive', extension: '.zip', magic: 'PK\x03\x04' },
+  { type: 'OLE2 compound document', extension: '.doc', magic: '\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1' },
+  { type: 'RTF document', extension: '.rtf', magic: '{\\rtf' },
+  { type: 'PNG image', extension: '.png', magic: '\x89PNG\r\n\x1a\n' },
+  { type: 'JPEG image', extension: '.jpg', magic: '\xff\xd8\xff' },
+  { type: 'GIF image', extension: '.gif', magic: 'GIF8' },
+  { type: 'WebP image', extension: '.webp', magic: 'WEBP', offset: 8 },
+  { type: 'TIFF image', extension: '.tif', magic: 'II*\x00' },
+  { type: 'TIFF image', extension: '.tif', magic: 'MM\x00*' },
+  { type: 'WAV audio', extension: '.wav', magic: 'WAVE', offset: 8 },
+  { type: 'MP3 audio', extension: '.mp3', magic: 'ID3' },
+  { type: 'FLAC audio', extension: '.flac', magic: 'fLaC' },
+  { type: 'Ogg media', extension: '.ogg', magic: 'OggS' },
+  { type: 'MP4 media', extension: '.mp4', magic: 'ftyp', offset: 4 },
+  { type: 'gzip archive', extension: '.gz', magic: '\x1f\x8b' },
+  { type: '7-Zip archive', extension: '.7z', magic: '7z\xbc\xaf\x27\x1c' },
+  { type: 'RAR archive', extension: '.rar', magic: 'Rar!\x1a\x07' },
+  { type: 'ELF executable', extension: '', magic: '\x7fELF' },
+  { type: 'SQLite database', extension: '.sqlite', magic: 'SQLite format 3\x00' },
+  { type: 'PostScript document', extension: '.ps', magic: '%!PS' }
+];
+
+// ZIP containers, told apart by the entry names near the start of the archive
+const ZIP_FORMATS = [
+  { type: 'EPUB ebook', extension: '.epub', marker: 'mimetypeapplication/epub+zip' },
+  { type: 'OpenDocument file', extension: '.odt', marker: 'mimetypeapplication/vnd.oasis.opendocument' },
+  { type: 'Word document', extension: '.docx', marker: 'word/' },
+  { type: 'PowerPoint presentation', extension: '.pptx', marker: 'ppt/' },
+  { type: 'Excel workbook', extension: '.xlsx', marker: 'xl/' }
+];
+const OOXML_EXTENSIONS = { '.docx': 'Word document', '.pptx': 'PowerPoint presentation', '.xlsx': 'Excel workbook' };
+
+// OLE2 files only name their streams deep inside, so the extension decides
+const OLE_EXTENSIONS = { '.doc': 'Word 97-2003 document', '.xls': 'Excel 97-2003 workbook', '.ppt': 'PowerPoint 97-2003 presentation', '.msg': 'Outlook message' };
+
+// Supported extensions whose content is never plain text
+const BINARY_EXTENSIONS = ['.pdf', '.doc', '.docx', '.pptx'];
+
+// Text formats recognised by extension that file_search does not index
+const TEXT_LABELS = {
+  '.csv': 'CSV data',
+  '.tsv': 'TSV data',
+  '.xml': 'XML document',
+  '.yaml': 'YAML document',
+  '.yml': 'YAML document',
+  '.eml': 'email message',
+  '.ipynb': 'Jupyter notebook'
+};
+
+/**
+ * Identify a file from its first bytes (up to SNIFF_BYTES) and its name.
+ * `complete` says whether head holds the whole file.
+ */
+function detectFileType(head, filename = '', complete = false) {
+  const extension = path.extname(filename).toLowerCase();
+  const latin1 = head.toString('latin1');
+
+  const signature = SIGNATURES.find(({ magic, offset = 0 }) => latin1.startsWith(magic, offset));
+  if (signature) {
+    if (signature.extension === '.zip') {
+      const format = ZIP_FORMATS.find(({ marker }) => latin1.includes(marker));
+      if (format) {
+        return describe(format.type, format.extension);
+      }
+      // Office documents whose parts start beyond the sniffed bytes
+      if (latin1.includes('[Content_Types].xml') && OOXML_EXTENSIONS[extension]) {
+        return describe(OOXML_EXTENSIONS[extension], extension);
+      }
+    }
+    if (signature.extension === '.doc') {
+      return OLE_EXTENSIONS[extension]
+        ? describe(OLE_EXTENSIONS[extension], extension)
+        : describe('Office 97-2003 document', '');
+    }
+    return describe(signature.type, signature.extension);
+  }
+
+  const text = decodeText(head, complete);
+  if (text === null) {
+    return describe('binary or non-UTF-8 data', '');
+  }
+  // Uploaded as .html, the spelling the API documents
+  if (extension === '.htm') {
+    return describe('HTML document', '.html');
+  }
+  if (SUPPORTED_FILE_TYPES[extension] && !BINARY_EXTENSIONS.includes(extension)) {
+    return describe('text', extension);
+  }
+  if (TEXT_LABELS[extension]) {
+    return describe(TEXT_LABELS[extension], extension);
+  }
+
+  // The extension says nothing useful, so look at what the text is
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  if (/^<!doctype html|^<html[\s>]/i.test(trimmed)) {
+    return describe('HTML document', '.html');
+  }
+  if (/^<\?xml/.test(trimmed)) {
+    return describe('XML document', '.xml');
+  }
+  if (/^[{[]/.test(trimmed) && (!complete || isJson(trimmed))) {
+    return describe('JSON data', '.json');
+  }
+  const shebang = trimmed.match(/^#!\s*\S*\/(?:env\s+)?(\w+)/);
+  if (shebang && /^(?:ba|z|da)?sh$/.test(shebang[1])) {
+    return describe('shell script', '.sh');
+  }
+  if (shebang && /^python/.test(shebang[1])) {
+    return describe('Python script', '.py');
+  }
+  if (extension && !BINARY_EXTENSIONS.includes(extension)) {
+    return describe(`${extension} text`, extension);
+  }
+  return describe('plain text', '.txt');
+}
+
+/**
+ * Decode a whole file as text, or return null when it starts with a binary
+ * signature or is not UTF-8/UTF-16 text. With complete false, data is only
+ * the start of the file and may end partway through a character.
+ */
+function decodeTextFile(data, complete = true) {
+  const latin1 = data.subarray(0, SNIFF_BYTES).toString('latin1');
+  if (SIGNATURES.some(({ magic, offset = 0 }) => latin1.startsWith(magic, offset))) {
+    return null;
+  }
+  const text = decodeText(data, complete);
+  return text === null ? null : text.replace(/^\uFEFF/, '');
+}
+
+function describe(type, extension) {
+  return {
+    type,
+    extension,
+    mime_type: MIME_TYPES[extension] || 'application/octet-stream',
+    supported: Boolean(SUPPORTED_FILE_TYPES[extension])
+  };
+}
+
+/**
+ * Decode head as UTF-16 (with a BOM) or UTF-8 text, or return null for binary data
+ */
+function decodeText(head, complete) {
+  if (head.length >= 2 && ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff))) {
+    return new TextDecoder(head[0] === 0xff ? 'utf-16le' : 'utf-16be').decode(head);
+  }
+
+  let text;
+  try {
+    // A sample may end partway through a multi-byte character, the whole file may not
+    text = new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: !complete });
+  } catch {
+    return null;
+  }
+
+  // Text has no NULs and hardly any control characters besides whitespace and escapes
+  let control = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0) {
+      return null;
+    }
+    if (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d && code !== 0x0c && code !== 0x1b) {
+      control += 1;
+    }
+  }
+  return control > text.length / 100 ? null : text;
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { detectFileType, decodeTextFile, SUPPORTED_FILE_TYPES, MIME_TYPES, SNIFF_BYTES };
@@ -0,0 +1,912 @@
+/**
+ * Local Storage Provider
+ *
+ * Offline implementation of the storage provider interface. Vector stores,
+ * files and attributes are kept on disk under a data directory, and search
+ * is keyword based (BM25 over word chunks) instead of embeddings. Objects
+ * are shaped like their OpenAI API counterparts so every MCP tool works the
+ * same way against either backend.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  MCPError,
+  ErrorCodes,
+  searchAcrossVectorStores,
+  listPages,
+  MAX_FILES_PAGE_SIZE,
+  waitForVectorStoreFile,
+  waitForVectorStoreFileBatch,
+  readUploadPart,
+  decodeFileContent,
+  prepareUpload,
+  describePreparedUpload,
+  describeFileContent,
+  resolveDownloadPath,
+  saveDownload,
+  parseChunkingStrategy,
+  withChunkingMetadata,
+  resolveChunkingStrategy,
+  validateAttributes,
+  mergeAttributes,
+  normalizeBatchEntries
+} = require('./openai-service.cjs');
+const { BUILTIN_CONVERTERS } = require('./file-converters.cjs');
+
+const DEFAULT_DATA_DIR = path.join(os.homedir(), '.openai-vector-store-mcp', 'local');
+
+// Chunking and BM25 parameters
+const CHUNK_WORDS = 300;
+const CHUNK_OVERLAP_WORDS = 50;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class LocalProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dataDir = path.resolve(options.dataDir || DEFAULT_DATA_DIR);
+    this.statePath = path.join(this.dataDir, 'state.json');
+    this.filesDir = path.join(this.dataDir, 'files');
+    this.chunksDir = path.join(this.dataDir, 'chunks');
+    this.uploadsDir = path.join(this.dataDir, 'uploads');
+    this.converters = options.converters || BUILTIN_CONVERTERS;
+    this.chunkingStrategy = parseChunkingStrategy(options.chunkingStrategy, 'DEFAULT_CHUNKING_STRATEGY');
+
+    fs.mkdirSync(this.filesDir, { recursive: true });
+    fs.mkdirSync(this.chunksDir, { recursive: true });
+    fs.mkdirSync(this.uploadsDir, { recursive: true });
+  }
+
+  /**
+   * Create a new vector store
+   */
+  async createVectorStore(request) {
+    const state = this.loadState();
+    const now = nowSeconds();
+    const store = {
+      id: generateId('vs_'),
+      object: 'vector_store',
+      created_at: now,
+      name: request.name,
+      usage_bytes: 0,
+      file_counts: emptyFileCounts(),
+      status: 'completed',
+      last_active_at: now,
+      metadata: withChunkingMetadata(request.metadata, request.chunking_strategy)
+    };
+
+    if (request.expires_after_days) {
+      store.expires_after = { anchor: 'last_active_at', days: request.expires_after_days };
+      store.expires_at = now + request.expires_after_days * 86400;
+    }
+
+    state.vector_stores[store.id] = store;
+    state.vector_store_files[store.id] = {};
+    this.saveState(state);
+    return store;
+  }
+
+  /**
+   * List all vector stores
+   */
+  async listVectorStores(request = {}) {
+    const state = this.loadState();
+    return await listPages((params) => paginate(Object.values(state.vector_stores), params), request);
+  }
+
+  /**
+   * Search several vector stores and merge the hits into one ranking
+   */
+  async searchVectorStores(request) {
+    return await searchAcrossVectorStores(this, request);
+  }
+
+  /**
+   * Get a specific vector store by ID
+   */
+  async getVectorStore(vectorStoreId) {
+    const state = this.loadState();
+    return this.requireVectorStore(state, vectorStoreId);
+  }
+
+  /**
+   * Delete a vector store
+   */
+  async deleteVectorStore(vectorStoreId) {
+    const state = this.loadState();
+    this.requireVectorStore(state, vectorStoreId);
+
+    delete state.vector_stores[vectorStoreId];
+    delete state.vector_store_files[vectorStoreId];
+    for (const [batchId, batch] of Object.entries(state.file_batches)) {
+      if (batch.vector_store_id === vectorStoreId) {
+        delete state.file_batches[batchId];
+      }
+    }
+
+    this.saveState(state);
+    return { id: vectorStoreId, object: 'vector_store.deleted', deleted: true };
+  }
+
+  /**
+   * Add a file to a vector store
+   */
+  async addFileToVectorStore(vectorStoreId, request) {
+    const attributes = validateAttributes(request.attributes);
+    const chunkingStrategy = await resolveChunkingStrategy(this, vectorStoreId, request.chunking_strategy);
+    const state = this.loadState();
+    const vectorStoreFile = this.attachFile(state, vectorStoreId, request.file_id, attributes, chunkingStrategy);
+    this.saveState(state);
+    return vectorStoreFile;
+  }
+
+  /**
+   * List files in a vector store
+   */
+  async listVectorStoreFiles(vectorStoreId, request = {}) {
+    const state = this.loadState();
+    this.requireVectorStore(state, vectorStoreId);
+
+    let files = Object.values(state.vector_store_files[vectorStoreId]);
+    if (request.filter) {
+      files = files.filter((file) => file.status === request.filter);
+    }
+
+    return await listPages((params) => paginate(files.map(publicVectorStoreFile), params), request);
+  }
+
+  /**
+   * Delete a file from a vector store
+   */
+  async deleteVectorStoreFile(vectorStoreId, fileId) {
+    const state = this.loadState();
+    this.requireVectorStoreFile(state, vectorStoreId, fileId);
+
+    delete state.vector_store_files[vectorStoreId][fileId];
+    this.refreshFileCounts(state, vectorStoreId);
+    this.saveState(state);
+    return { id: fileId, object: 'vector_store.file.deleted', deleted: true };
+  }
+
+  /**
+   * Get a specific file from a vector store
+   */
+  async getVectorStoreFile(vectorStoreId, fileId) {
+    const state = this.loadState();
+    return publicVectorStoreFile(this.requireVectorStoreFile(state, vectorStoreId, fileId));
+  }
+
+  /**
+   * Get file content from a vector store
+   */
+  async getVectorStoreFileContent(vectorStoreId, fileId) {
+    const state = this.loadState();
+    const vectorStoreFile = this.requireVectorStoreFile(state, vectorStoreId, fileId);
+    const file = state.files[fileId];
+
+    return {
+      file_id: fileId,
+      filename: file ? file.filename : null,
+      attributes: vectorStoreFile.attributes || {},
+      content: this.loadChunks(fileId).map((text) => ({ type: 'text', text }))
+    };
+  }
+
+  /**
+   * Replace the attributes of a file in a vector store
+   */
+  async updateVectorStoreFile(vectorStoreId, fileId, attributes) {
+    validateAttributes(attributes);
+    const state = this.loadState();
+    const vectorStoreFile = this.requireVectorStoreFile(state, vectorStoreId, fileId);
+
+    vectorStoreFile.attributes = attributes || {};
+    this.saveState(state);
+    return publicVectorStoreFile(vectorStoreFile);
+  }
+
+  /**
+   * Modify a vector store
+   */
+  async modifyVectorStore(vectorStoreId, updates) {
+    const state = this.loadState();
+    const store = this.requireVectorStore(state, vectorStoreId);
+
+    if (updates.name) {
+      store.name = updates.name;
+    }
+    if (updates.metadata) {
+      store.metadata = withChunkingMetadata(updates.metadata);
+    }
+    if (updates.expires_after_days) {
+      store.expires_after = { anchor: 'last_active_at', days: updates.expires_after_days };
+      store.expires_at = nowSeconds() + updates.expires_after_days * 86400;
+    }
+
+    this.saveState(state);
+    return store;
+  }
+
+  /**
+   * Create a vector store file batch
+   *
+   * Files are processed synchronously, so the batch is already in a terminal
+   * state when it is returned.
+   */
+  async createVectorStoreFileBatch(vectorStoreId, fileIds, options = {}) {
+    const entries = normalizeBatchEntries(fileIds);
+    const chunkingStrategy = await resolveChunkingStrategy(this, vectorStoreId, options.chunking_strategy);
+    const state = this.loadState();
+    this.requireVectorStore(state, vectorStoreId);
+
+    const batch = {
+      id: generateId('vsfb_'),
+      object: 'vector_store.file_batch',
+      created_at: nowSeconds(),
+      vector_store_id: vectorStoreId,
+      status: 'completed',
+      file_counts: emptyFileCounts()
+    };
+
+    for (const entry of entries) {
+      const vectorStoreFile = this.attachFile(state, vectorStoreId, entry.file_id, entry.attributes, entry.chunking_strategy || chunkingStrategy);
+      vectorStoreFile.batch_id = batch.id;
+      batch.file_counts[vectorStoreFile.status] += 1;
+      batch.file_counts.total += 1;
+    }
+
+    state.file_batches[batch.id] = batch;
+    this.saveState(state);
+    return batch;
+  }
+
+  /**
+   * Get a vector store file batch
+   */
+  async getVectorStoreFileBatch(vectorStoreId, batchId) {
+    const state = this.loadState();
+    return this.requireFileBatch(state, vectorStoreId, batchId);
+  }
+
+  /**
+   * Wait for a vector store file to finish processing. Local files are
+   * processed when they are added, so this returns on the first poll.
+   */
+  async waitForVectorStoreFile(vectorStoreId, fileId, request = {}) {
+    return await waitForVectorStoreFile(this, vectorStoreId, fileId, request);
+  }
+
+  /**
+   * Wait for a vector store file batch to finish processing
+   */
+  async waitForVectorStoreFileBatch(vectorStoreId, batchId, request = {}) {
+    return await waitForVectorStoreFileBatch(this, vectorStoreId, batchId, request);
+  }
+
+  /**
+   * Cancel a vector store file batch
+   */
+  async cancelVectorStoreFileBatch(vectorStoreId, batchId) {
+    const state = this.loadState();
+    const batch = this.requireFileBatch(state, vectorStoreId, batchId);
+
+    if (batch.status === 'in_progress') {
+      batch.status = 'cancelled';
+      this.saveState(state);
+    }
+    return batch;
+  }
+
+  /**
+   * List files in a vector store file batch
+   */
+  async listVectorStoreFileBatchFiles(vectorStoreId, batchId, request = {}) {
+    const state = this.loadState();
+    this.requireFileBatch(state, vectorStoreId, batchId);
+
+    let files = Object.values(state.vector_store_files[vectorStoreId] || {})
+      .filter((file) => file.batch_id === batchId);
+    if (request.filter) {
+      files = files.filter((file) => file.status === request.filter);
+    }
+
+    return await listPages((params) => paginate(files.map(publicVectorStoreFile), params), request);
+  }
+
+  /**
+   * Search a vector store with BM25 keyword scoring
+   *
+   * Scores are squashed into the 0-1 range so score_threshold behaves like it
+   * does against the real API.
+   */
+  async searchVectorStore(vectorStoreId, request) {
+    const state = this.loadState();
+    this.requireVectorStore(state, vectorStoreId);
+
+    const queries = Array.isArray(request.query) ? request.query : [request.query];
+    const queryTerms = tokenize(queries.join(' '));
+
+    const candidates = [];
+    for (const vectorStoreFile of Object.values(state.vector_store_files[vectorStoreId])) {
+      if (vectorStoreFile.status !== 'completed') {
+        continue;
+      }
+      if (request.filters && !matchesFilter(vectorStoreFile.attributes || {}, request.filters)) {
+        continue;
+      }
+      const file = state.files[vectorStoreFile.id];
+      for (const text of this.loadChunks(vectorStoreFile.id)) {
+        candidates.push({ vectorStoreFile, file, text, terms: tokenize(text) });
+      }
+    }
+
+    const scored = scoreBm25(candidates, queryTerms)
+      .map(({ candidate, score }) => ({
+        file_id: candidate.vectorStoreFile.id,
+        filename: candidate.file ? candidate.file.filename : null,
+        score: score / (score + 1),
+        attributes: candidate.vectorStoreFile.attributes || {},
+        content: [{ type: 'text', text: candidate.text }]
+      }))
+      .filter((result) => result.score > 0)
+      .filter((result) => !request.ranking_options || request.ranking_options.score_threshold === undefined
+        || result.score >= request.ranking_options.score_threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, request.max_num_results || 10);
+
+    return {
+      object: 'vector_store.search_results.page',
+      search_query: request.query,
+      data: scored,
+      has_more: false,
+      next_page: null
+    };
+  }
+
+  /**
+   * Answer a question from the best matching chunks
+   *
+   * There is no language model offline, so the answer is extractive: the top
+   * passages are returned verbatim, each with a citation.
+   */
+  async askVectorStore(request) {
+    const results = await searchAcrossVectorStores(this, {
+      vector_store_ids: request.vector_store_ids,
+      query: request.question,
+      max_num_results: request.max_num_results || 3,
+      filters: request.filters
+    });
+
+    const passages = results.data.map((hit) => hit.content.map((part) => part.text).join('\n'));
+
+    return {
+      response_id: generateId('resp_'),
+      model: 'local-extractive',
+      answer: passages.length > 0 ? passages.join('\n\n') : 'No relevant passages were found.',
+      citations: results.data.map((hit, index) => ({
+        file_id: hit.file_id,
+        filename: hit.filename,
+        quote: passages[index],
+        index
+      }))
+    };
+  }
+
+  /**
+   * Copy a local file into the provider's data directory
+   */
+  async uploadFile(request) {
+    const { file_path, purpose = 'assistants', filename, dry_run = false } = request;
+
+    if (!fs.existsSync(file_path)) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `File not found: ${file_path}`,
+        { file_path }
+      );
+    }
+
+    // Same format rules and conversions as OpenAI, so a file accepted here is accepted there
+    const prepared = await prepareUpload(file_path, filename || path.basename(file_path), purpose, this.converters);
+    if (dry_run) {
+      return describePreparedUpload(file_path, purpose, prepared);
+    }
+
+    const state = this.loadState();
+    const file = {
+      id: generateId('file-'),
+      object: 'file',
+      bytes: prepared.data ? prepared.data.length : fs.statSync(file_path).size,
+      created_at: nowSeconds(),
+      filename: prepared.filename,
+      purpose,
+      status: 'processed'
+    };
+
+    if (prepared.data) {
+      fs.writeFileSync(path.join(this.filesDir, file.id), prepared.data);
+    } else {
+      fs.copyFileSync(file_path, path.join(this.filesDir, file.id));
+    }
+    state.files[file.id] = prepared.converted_from ? { ...file, converted_from: prepared.converted_from } : file;
+    this.saveState(state);
+    return state.files[file.id];
+  }
+
+  /**
+   * Store text or base64 content as a file
+   */
+  async uploadFileContent(request) {
+    const { data, filename, purpose } = decodeFileContent(request);
+
+    const state = this.loadState();
+    const file = {
+      id: generateId('file-'),
+      object: 'file',
+      bytes: data.length,
+      created_at: nowSeconds(),
+      filename,
+      purpose,
+      status: 'processed'
+    };
+
+    fs.writeFileSync(path.join(this.filesDir, file.id), data);
+    state.files[file.id] = file;
+    this.saveState(state);
+    return { ...file, sha256: crypto.createHash('sha256').update(data).digest('hex') };
+  }
+
+  /**
+   * List all uploaded files with filtering options
+   */
+  async listFiles(request = {}) {
+    const state = this.loadState();
+    let files = Object.values(state.files);
+    if (request.purpose) {
+      files = files.filter((file) => file.purpose === request.purpose);
+    }
+    return await listPages((params) => paginate(files, params), request, { pageSize: MAX_FILES_PAGE_SIZE });
+  }
+
+  /**
+   * Get details about a specific file
+   */
+  async getFile(fileId) {
+    const state = this.loadState();
+    return this.requireFile(state, fileId);
+  }
+
+  /**
+   * Delete a file, detaching it from every vector store
+   */
+  async deleteFile(fileId) {
+    const state = this.loadState();
+    this.requireFile(state, fileId);
+
+    delete state.files[fileId];
+    for (const vectorStoreId of Object.keys(state.vector_store_files)) {
+      if (state.vector_store_files[vectorStoreId][fileId]) {
+        delete state.vector_store_files[vectorStoreId][fileId];
+        this.refreshFileCounts(state, vectorStoreId);
+      }
+    }
+
+    fs.rmSync(path.join(this.filesDir, fileId), { force: true });
+    fs.rmSync(path.join(this.chunksDir, `${fileId}.json`), { force: true });
+    this.saveState(state);
+    return { id: fileId, object: 'file', deleted: true };
+  }
+
+  /**
+   * File content for reading: text in full, binaries as a truncated base64 preview
+   */
+  async getFileContent(fileId) {
+    const state = this.loadState();
+    const file = this.requireFile(state, fileId);
+    return describeFileContent(file, fs.readFileSync(path.join(this.filesDir, fileId)));
+  }
+
+  /**
+   * Copy the stored bytes of a file to a local path
+   */
+  async downloadFileTo(fileId, request) {
+    const { destination_path, overwrite = false } = request;
+    const file = this.requireFile(this.loadState(), fileId);
+    const target = resolveDownloadPath(destination_path, file, overwrite);
+    return await saveDownload(file, fs.createReadStream(path.join(this.filesDir, fileId)), target, overwrite);
+  }
+
+  /**
+   * Create a multipart upload session record
+   */
+  async createUpload(request) {
+    const { filename, purpose = 'assistants', bytes, mime_type } = request;
+    const state = this.loadState();
+    const upload = {
+      id: generateId('upload_'),
+      object: 'upload',
+      bytes,
+      created_at: nowSeconds(),
+      filename,
+      purpose,
+      mime_type,
+      status: 'pending',
+      expires_at: nowSeconds() + 3600,
+      file: null,
+      part_ids: []
+    };
+
+    state.uploads[upload.id] = upload;
+    this.saveState(state);
+    return publicUpload(upload);
+  }
+
+  /**
+   * Store a part of a pending upload on disk
+   */
+  async addUploadPart(uploadId, request) {
+    const state = this.loadState();
+    const upload = this.requirePendingUpload(state, uploadId);
+    const data = readUploadPart(request);
+
+    const part = { id: generateId('part_'), object: 'upload.part', created_at: nowSeconds(), upload_id: uploadId };
+    fs.mkdirSync(path.join(this.uploadsDir, uploadId), { recursive: true });
+    fs.writeFileSync(path.join(this.uploadsDir, uploadId, part.id), data);
+    upload.part_ids.push(part.id);
+    this.saveState(state);
+
+    return { ...part, bytes: data.length, md5: crypto.createHash('md5').update(data).digest('hex') };
+  }
+
+  /**
+   * Join the parts of an upload, in the given order, into a new file
+   */
+  async completeUpload(uploadId, request) {
+    const state = this.loadState();
+    const upload = this.requirePendingUpload(state, uploadId);
+    const partIds = request.part_ids || [];
+
+    const unknown = partIds.filter((partId) => !upload.part_ids.includes(partId));
+    if (unknown.length > 0) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `Unknown part IDs: ${unknown.join(', ')}`, { upload_id: uploadId, part_ids: unknown });
+    }
+
+    const data = Buffer.concat(partIds.map((partId) => fs.readFileSync(path.join(this.uploadsDir, uploadId, partId))));
+    if (data.length !== upload.bytes) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Upload expected ${upload.bytes} bytes but the parts contain ${data.length}`,
+        { upload_id: uploadId, bytes: data.length }
+      );
+    }
+    if (request.md5 && crypto.createHash('md5').update(data).digest('hex') !== request.md5) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'The md5 checksum does not match the uploaded data', { upload_id: uploadId });
+    }
+
+    const file = {
+      id: generateId('file-'),
+      object: 'file',
+      bytes: data.length,
+      created_at: nowSeconds(),
+      filename: upload.filename,
+      purpose: upload.purpose,
+      status: 'processed'
+    };
+    fs.writeFileSync(path.join(this.filesDir, file.id), data);
+    fs.rmSync(path.join(this.uploadsDir, uploadId), { recursive: true, force: true });
+
+    state.files[file.id] = file;
+    upload.status = 'completed';
+    upload.file = file;
+    this.saveState(state);
+    return publicUpload(upload);
+  }
+
+  /**
+   * Cancel a pending upload and discard its parts
+   */
+  async cancelUpload(uploadId) {
+    const state = this.loadState();
+    const upload = this.requirePendingUpload(state, uploadId);
+
+    fs.rmSync(path.join(this.uploadsDir, uploadId), { recursive: true, force: true });
+    upload.status = 'cancelled';
+    this.saveState(state);
+    return publicUpload(upload);
+  }
+
+  /**
+   * The local provider needs no credentials
+   */
+  async validateApiKey() {
+    return true;
+  }
+
+  /**
+   * Attach a file to a vector store and index it straight away. Words stand in
+   * for tokens when chunking; auto keeps this provider's own window size.
+   */
+  attachFile(state, vectorStoreId, fileId, attributes = {}, chunkingStrategy = null) {
+    const store = this.requireVectorStore(state, vectorStoreId);
+    const file = this.requireFile(state, fileId);
+
+    // Converted files keep their source name and format, as with OpenAI
+    const source = file.converted_from
+      ? { original_filename: file.converted_from.filename, original_format: file.converted_from.format }
+      : {};
+
+    const vectorStoreFile = {
+      id: fileId,
+      object: 'vector_store.file',
+      usage_bytes: file.bytes,
+      created_at: nowSeconds(),
+      vector_store_id: vectorStoreId,
+      status: 'completed',
+      last_error: null,
+      attributes: mergeAttributes(attributes, source),
+      chunking_strategy: chunkingStrategy && chunkingStrategy.type === 'static'
+        ? chunkingStrategy
+        : { type: 'static', static: { max_chunk_size_tokens: CHUNK_WORDS, chunk_overlap_tokens: CHUNK_OVERLAP_WORDS } }
+    };
+
+    const buffer = fs.readFileSync(path.join(this.filesDir, fileId));
+    if (!isProbablyText(buffer)) {
+      vectorStoreFile.status = 'failed';
+      vectorStoreFile.usage_bytes = 0;
+      vectorStoreFile.last_error = {
+        code: 'unsupported_file',
+        message: 'The local provider can only index text files'
+      };
+    } else {
+      const { max_chunk_size_tokens, chunk_overlap_tokens } = vectorStoreFile.chunking_strategy.static;
+      const chunks = chunkText(buffer.toString('utf8'), max_chunk_size_tokens, chunk_overlap_tokens);
+      fs.writeFileSync(path.join(this.chunksDir, `${fileId}.json`), JSON.stringify(chunks));
+    }
+
+    state.vector_store_files[vectorStoreId][fileId] = vectorStoreFile;
+    store.last_active_at = nowSeconds();
+    this.refreshFileCounts(state, vectorStoreId);
+    return vectorStoreFile;
+  }
+
+  /**
+   * Recompute a store's file counts and usage after files change
+   */
+  refreshFileCounts(state, vectorStoreId) {
+    const store = state.vector_stores[vectorStoreId];
+    if (!store) {
+      return;
+    }
+
+    const counts = emptyFileCounts();
+    let usageBytes = 0;
+    for (const file of Object.values(state.vector_store_files[vectorStoreId] || {})) {
+      counts[file.status] += 1;
+      counts.total += 1;
+      usageBytes += file.usage_bytes || 0;
+    }
+
+    store.file_counts = counts;
+    store.usage_bytes = usageBytes;
+  }
+
+  loadChunks(fileId) {
+    const chunkPath = path.join(this.chunksDir, `${fileId}.json`);
+    if (!fs.existsSync(chunkPath)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
+  }
+
+  requireVectorStore(state, vectorStoreId) {
+    const store = state.vector_stores[vectorStoreId];
+    if (!store) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No vector store found with id '${vectorStoreId}'.`);
+    }
+    return store;
+  }
+
+  requireVectorStoreFile(state, vectorStoreId, fileId) {
+    this.requireVectorStore(state, vectorStoreId);
+    const vectorStoreFile = state.vector_store_files[vectorStoreId][fileId];
+    if (!vectorStoreFile) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No file found with id '${fileId}' in vector store '${vectorStoreId}'.`);
+    }
+    return vectorStoreFile;
+  }
+
+  requireFileBatch(state, vectorStoreId, batchId) {
+    const batch = state.file_batches[batchId];
+    if (!batch || batch.vector_store_id !== vectorStoreId) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No file batch found with id '${batchId}' in vector store '${vectorStoreId}'.`);
+    }
+    return batch;
+  }
+
+  requireFile(state, fileId) {
+    const file = state.files[fileId];
+    if (!file) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No such File object: ${fileId}`);
+    }
+    return file;
+  }
+
+  requirePendingUpload(state, uploadId) {
+    const upload = state.uploads[uploadId];
+    if (!upload) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No such Upload object: ${uploadId}`);
+    }
+    if (upload.status !== 'pending') {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `Upload ${uploadId} is already ${upload.status}`, { upload_id: uploadId, status: upload.status });
+    }
+    upload.part_ids = upload.part_ids || [];
+    return upload;
+  }
+
+  loadState() {
+    if (!fs.existsSync(this.statePath)) {
+      return { vector_stores: {}, vector_store_files: {}, file_batches: {}, files: {}, uploads: {} };
+    }
+    return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+  }
+
+  saveState(state) {
+    // Write to a temporary file first so a crash never leaves half a state file
+    const tempPath = `${this.statePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, this.statePath);
+  }
+}
+
+function generateId(prefix) {
+  return `${prefix}${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function emptyFileCounts() {
+  return { in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: 0 };
+}
+
+/**
+ * Strip provider bookkeeping fields before returning a vector store file
+ */
+function publicVectorStoreFile(vectorStoreFile) {
+  const { batch_id, ...publicFields } = vectorStoreFile;
+  return publicFields;
+}
+
+/**
+ * Strip provider bookkeeping fields before returning an upload
+ */
+function publicUpload(upload) {
+  const { part_ids, ...publicFields } = upload;
+  return publicFields;
+}
+
+/**
+ * Apply limit/order/after/before to a list and wrap it like an API list response
+ */
+function paginate(items, request = {}) {
+  const order = request.order || 'desc';
+  const sorted = [...items].sort((a, b) => order === 'asc'
+    ? a.created_at - b.created_at || a.id.localeCompare(b.id)
+    : b.created_at - a.created_at || b.id.localeCompare(a.id));
+
+  let start = 0;
+  let end = sorted.length;
+  if (request.after) {
+    start = sorted.findIndex((item) => item.id === request.after) + 1;
+  }
+  if (request.before) {
+    const beforeIndex = sorted.findIndex((item) => item.id === request.before);
+    if (beforeIndex >= 0) {
+      end = beforeIndex;
+    }
+  }
+
+  // A `before` page holds the items just before the cursor
+  const limit = request.limit || 20;
+  const window = sorted.slice(start, end);
+  const data = request.before ? window.slice(-limit) : window.slice(0, limit);
+
+  return {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: window.length > limit
+  };
+}
+
+function isProbablyText(buffer) {
+  return !buffer.subarray(0, 8192).includes(0);
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * Split text into overlapping word windows
+ */
+function chunkText(text, size = CHUNK_WORDS, overlap = CHUNK_OVERLAP_WORDS) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const chunks = [];
+  for (let start = 0; start < words.length; start += size - overlap) {
+    chunks.push(words.slice(start, start + size).join(' '));
+    if (start + size >= words.length) {
+      break;
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Score candidate chunks against the query terms with Okapi BM25
+ */
+function scoreBm25(candidates, queryTerms) {
+  if (candidates.length === 0 || queryTerms.length === 0) {
+    return [];
+  }
+
+  const averageLength = candidates.reduce((sum, candidate) => sum + candidate.terms.length, 0) / candidates.length;
+  const documentFrequency = new Map();
+  for (const candidate of candidates) {
+    for (const term of new Set(candidate.terms)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return candidates.map((candidate) => {
+    const termFrequency = new Map();
+    for (const term of candidate.terms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const term of new Set(queryTerms)) {
+      const frequency = termFrequency.get(term) || 0;
+      if (frequency === 0) {
+        continue;
+      }
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5));
+      score += idf * (frequency * (BM25_K1 + 1))
+        / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * candidate.terms.length / averageLength));
+    }
+
+    return { candidate, score };
+  });
+}
+
+/**
+ * Evaluate an OpenAI-style comparison or compound filter against attributes
+ */
+function matchesFilter(attributes, filter) {
+  if (filter.type === 'and') {
+    return filter.filters.every((child) => matchesFilter(attributes, child));
+  }
+  if (filter.type === 'or') {
+    return filter.filters.some((child) => matchesFilter(attributes, child));
+  }
+
+  const value = attributes[filter.key];
+  switch (filter.type) {
+    case 'eq': return value === filter.value;
+    case 'ne': return value !== filter.value;
+    case 'gt': return value > filter.value;
+    case 'gte': return value >= filter.value;
+    case 'lt': return value < filter.value;
+    case 'lte': return value <= filter.value;
+    default:
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `Unsupported filter type: ${filter.type}`);
+  }
+}
+
+module.exports = { LocalProvider };
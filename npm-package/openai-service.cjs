@@ -6,11 +6,18 @@
  * and Roo compatibility.
  */
 
+const http = require('http');
 const https = require('https');
+const dns = require('dns');
 const { URL } = require('url');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { createReadStream } = require('fs');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { detectFileType, decodeTextFile, SUPPORTED_FILE_TYPES, MIME_TYPES, SNIFF_BYTES } = require('./file-types.cjs');
+const { BUILTIN_CONVERTERS, findConverter, MAX_CONVERT_BYTES } = require('./file-converters.cjs');
 
 class MCPError extends Error {
   constructor(code, message, data = null) {
@@ -33,21 +40,1220 @@ const ErrorCodes = {
   RATE_LIMITED: -32004,
 };
 
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_ANSWER_MODEL = 'gpt-4o-mini';
+const USER_AGENT = 'roo-compatible-mcp-server/1.2.0';
+
+// Upload limits: /files takes up to 512MB in one request, the Uploads API
+// up to 8GB in parts of at most 64MB each
+const MAX_SINGLE_UPLOAD_BYTES = 512 * 1024 * 1024;
+const MAX_MULTIPART_UPLOAD_BYTES = 8 * 1024 * 1024 * 1024;
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+const MULTIPART_THRESHOLD_BYTES = 64 * 1024 * 1024;
+const DEFAULT_PART_CONCURRENCY = 3;
+const PART_ATTEMPTS = 3;
+
+const PREVIEW_CHARS = 4000;
+
+// Bytes of a binary file that file-content returns inline, base64 encoded
+const MAX_INLINE_BINARY_BYTES = 48 * 1024;
+
+// Static chunking limits of the vector store API, and the sizes "auto" uses
+const MIN_CHUNK_SIZE_TOKENS = 100;
+const MAX_CHUNK_SIZE_TOKENS = 4096;
+const DEFAULT_CHUNK_SIZE_TOKENS = 800;
+const DEFAULT_CHUNK_OVERLAP_TOKENS = 400;
+
+// Vector store metadata key holding the store's default chunking strategy
+const CHUNKING_METADATA_KEY = 'chunking_strategy';
+
+// Limits on vector store file attributes
+const MAX_ATTRIBUTES = 16;
+const MAX_ATTRIBUTE_KEY_LENGTH = 64;
+const MAX_ATTRIBUTE_STRING_LENGTH = 512;
+
+const URL_FETCH_TIMEOUT_MS = 30000;
+const MAX_URL_REDIRECTS = 5;
+
+const FILE_PURPOSES = ['assistants', 'vision', 'batch'];
+
+// List endpoints return at most 100 items a page (10000 for /files); `all` stops at MAX_LIST_ALL_ITEMS
+const DEFAULT_LIST_PAGE_SIZE = 100;
+const MAX_FILES_PAGE_SIZE = 10000;
+const MAX_LIST_ALL_ITEMS = 10000;
+
+// Waiting for vector store files and batches to finish processing
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 300;
+const MAX_WAIT_TIMEOUT_SECONDS = 3600;
+const INITIAL_POLL_INTERVAL_MS = 500;
+const MAX_POLL_INTERVAL_MS = 10000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_FAILED_FILES_LISTED = 100;
+/**
+ * Order merged search hits by normalised score, then by raw score
+ */
+function compareSearchHits(a, b) {
+  return (b.normalized_score - a.normalized_score) || (b.score - a.score);
+}
+
+/**
+ * Search several vector stores in parallel and merge the hits into one ranking.
+ * Works with any provider that implements searchVectorStore and listVectorStores.
+ * Stores are chosen by ID or by matching every key/value in vector_store_metadata.
+ * Scores are normalised against each store's best hit so stores are comparable,
+ * and the same chunk found in more than one store is reported once.
+ */
+async function searchAcrossVectorStores(provider, request) {
+  const { vector_store_ids, vector_store_metadata, ...searchRequest } = request;
+
+  // An empty selector would match every store in the account
+  const hasIds = Array.isArray(vector_store_ids) && vector_store_ids.length > 0;
+  if (!hasIds && Object.keys(vector_store_metadata || {}).length === 0) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      'vector_store_ids or a non-empty vector_store_metadata selector is required',
+      { vector_store_ids, vector_store_metadata }
+    );
+  }
+
+  const vectorStoreIds = hasIds
+    ? vector_store_ids
+    : await findVectorStoreIdsByMetadata(provider, vector_store_metadata);
+
+  if (vectorStoreIds.length === 0) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      'No vector stores matched the given selector',
+      { vector_store_metadata }
+    );
+  }
+
+  const outcomes = await Promise.allSettled(
+    vectorStoreIds.map((vectorStoreId) => provider.searchVectorStore(vectorStoreId, searchRequest))
+  );
+
+  const hits = new Map();
+  const errors = [];
+
+  outcomes.forEach((outcome, index) => {
+    const vectorStoreId = vectorStoreIds[index];
+
+    if (outcome.status === 'rejected') {
+      errors.push({
+        vector_store_id: vectorStoreId,
+        error: outcome.reason instanceof Error ? outcome.reason.message : String(outcome.reason)
+      });
+      return;
+    }
+
+    const results = outcome.value.data || [];
+    const topScore = Math.max(0, ...results.map((result) => result.score));
+
+    for (const result of results) {
+      const hit = {
+        ...result,
+        vector_store_id: vectorStoreId,
+        normalized_score: topScore > 0 ? result.score / topScore : 0,
+        also_found_in: []
+      };
+
+      const key = `${result.file_id}:${(result.content || []).map((part) => part.text).join('\n')}`;
+      const existing = hits.get(key);
+
+      if (!existing) {
+        hits.set(key, hit);
+      } else if (compareSearchHits(hit, existing) < 0) {
+        hit.also_found_in = [...existing.also_found_in, existing.vector_store_id];
+        hits.set(key, hit);
+      } else {
+        existing.also_found_in.push(vectorStoreId);
+      }
+    }
+  });
+
+  const data = Array.from(hits.values())
+    .sort(compareSearchHits)
+    .slice(0, request.max_num_results || 10);
+
+  return {
+    object: 'vector_store.multi_search_results',
+    search_query: request.query,
+    vector_store_ids: vectorStoreIds,
+    data,
+    errors
+  };
+}
+
+/**
+ * Walk every page of vector stores and return the IDs whose metadata matches the selector
+ */
+async function findVectorStoreIdsByMetadata(provider, selector) {
+  const stores = await listPages((params) => provider.listVectorStores(params), { all: true }, { maxItems: Infinity });
+  return stores.data
+    .filter((store) => Object.entries(selector).every(([key, value]) => (store.metadata || {})[key] === value))
+    .map((store) => store.id);
+}
+
+/**
+ * Add the shared list parameters (limit, order, after, before) and any extra
+ * filters to an endpoint's query string
+ */
+function withListQuery(endpoint, request = {}, extra = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...extra, limit: request.limit, order: request.order, after: request.after, before: request.before })) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, String(value));
+    }
+  }
+  return params.toString() ? `${endpoint}?${params.toString()}` : endpoint;
+}
+
+/**
+ * The cursor that continues a list in the direction it was read: the last ID
+ * as `after`, or the first ID as `before` when paging backwards
+ */
+function nextCursorOf(page, backwards) {
+  if (!page.has_more || page.data.length === 0) {
+    return null;
+  }
+  return backwards ? page.data[0].id : page.data[page.data.length - 1].id;
+}
+
+/**
+ * Fetch one page of a list endpoint, or with request.all every page until
+ * options.maxItems, and add next_cursor to the result. fetchPage receives the
+ * request with its cursor and limit set for each page.
+ */
+async function listPages(fetchPage, request = {}, options = {}) {
+  const { all, ...params } = request;
+  const backwards = Boolean(params.before) && !params.after;
+  if (!all) {
+    const page = await fetchPage(params);
+    return { ...page, next_cursor: nextCursorOf(page, backwards) };
+  }
+
+  const pageSize = options.pageSize || DEFAULT_LIST_PAGE_SIZE;
+  const maxItems = options.maxItems ?? MAX_LIST_ALL_ITEMS;
+  let data = [];
+  let page;
+  let cursor = backwards ? params.before : params.after;
+
+  do {
+    const limit = Math.min(pageSize, maxItems - data.length);
+    page = await fetchPage({ ...params, limit, after: backwards ? undefined : cursor, before: backwards ? cursor : undefined });
+    // Pages read backwards arrive in reverse, so they go in front to keep the requested order
+    data = backwards ? [...page.data, ...data] : [...data, ...page.data];
+    cursor = nextCursorOf(page, backwards);
+  } while (cursor && data.length < maxItems);
+
+  const merged = {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: Boolean(page.has_more)
+  };
+  return { ...merged, next_cursor: nextCursorOf(merged, backwards) };
+}
+
+/**
+ * Call check() until the object it returns has a terminal status, doubling
+ * the pause between calls up to MAX_POLL_INTERVAL_MS. When timeout_seconds
+ * runs out the last object is returned with timed_out set.
+ */
+async function pollUntilSettled(check, request = {}) {
+  const timeoutSeconds = request.timeout_seconds ?? DEFAULT_WAIT_TIMEOUT_SECONDS;
+  if (typeof timeoutSeconds !== 'number' || !(timeoutSeconds >= 0 && timeoutSeconds <= MAX_WAIT_TIMEOUT_SECONDS)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `timeout_seconds must be a number from 0 to ${MAX_WAIT_TIMEOUT_SECONDS}`, { timeout_seconds: timeoutSeconds });
+  }
+
+  const started = Date.now();
+  const deadline = started + timeoutSeconds * 1000;
+  let interval = INITIAL_POLL_INTERVAL_MS;
+  let polls = 0;
+
+  for (;;) {
+    const value = await check();
+    polls++;
+    const remaining = deadline - Date.now();
+    if (TERMINAL_STATUSES.includes(value.status) || remaining <= 0) {
+      return {
+        value,
+        timed_out: !TERMINAL_STATUSES.includes(value.status),
+        waited_seconds: Math.round((Date.now() - started) / 100) / 10,
+        polls
+      };
+    }
+    await new Promise((resolve) => setTimeout(resolve, Math.min(interval, remaining)));
+    interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Reduce a failed vector store file to its ID and last_error
+ */
+function describeFailedFile(file) {
+  return {
+    file_id: file.id,
+    code: file.last_error?.code || 'unknown',
+    message: file.last_error?.message || ''
+  };
+}
+
+/**
+ * Wait for a vector store file to finish processing
+ */
+async function waitForVectorStoreFile(provider, vectorStoreId, fileId, request = {}) {
+  const { value: file, ...outcome } = await pollUntilSettled(
+    () => provider.getVectorStoreFile(vectorStoreId, fileId),
+    request
+  );
+
+  return {
+    object: 'vector_store.file.wait',
+    status: file.status,
+    ...outcome,
+    vector_store_file: file,
+    failed_files: file.status === 'failed' ? [describeFailedFile(file)] : []
+  };
+}
+
+/**
+ * Wait for a vector store file batch to finish processing, reporting
+ * processed/total file counts after every poll
+ */
+async function waitForVectorStoreFileBatch(provider, vectorStoreId, batchId, request = {}) {
+  const { value: batch, ...outcome } = await pollUntilSettled(async () => {
+    const current = await provider.getVectorStoreFileBatch(vectorStoreId, batchId);
+    const counts = current.file_counts;
+    if (request.onProgress && counts) {
+      request.onProgress(counts.completed + counts.failed + counts.cancelled, counts.total, `${counts.completed} completed, ${counts.failed} failed`);
+    }
+    return current;
+  }, request);
+
+  const result = {
+    object: 'vector_store.file_batch.wait',
+    status: batch.status,
+    ...outcome,
+    file_batch: batch,
+    failed_files: []
+  };
+
+  if (batch.file_counts?.failed > 0) {
+    const failed = await provider.listVectorStoreFileBatchFiles(vectorStoreId, batchId, { filter: 'failed', limit: MAX_FAILED_FILES_LISTED });
+    result.failed_files = failed.data.map(describeFailedFile);
+    if (failed.has_more) {
+      result.failed_files_truncated = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Pull the answer text and file citations out of a Responses API result.
+ * Each citation is paired with the best-scoring retrieved chunk from the
+ * same file, which serves as the quoted span.
+ */
+function extractGroundedAnswer(response) {
+  const output = Array.isArray(response?.output) ? response.output : [];
+
+  const retrieved = output
+    .filter((item) => item.type === 'file_search_call')
+    .flatMap((item) => item.results || [])
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+  const texts = [];
+  const citations = [];
+
+  for (const item of output) {
+    if (item.type !== 'message') {
+      continue;
+    }
+    for (const part of item.content || []) {
+      if (part.type !== 'output_text') {
+        continue;
+      }
+      texts.push(part.text);
+      for (const annotation of part.annotations || []) {
+        if (annotation.type !== 'file_citation') {
+          continue;
+        }
+        const source = retrieved.find((result) => result.file_id === annotation.file_id);
+        citations.push({
+          file_id: annotation.file_id,
+          filename: annotation.filename || source?.filename || null,
+          quote: source?.text ?? null,
+          index: annotation.index
+        });
+      }
+    }
+  }
+
+  return {
+    response_id: response?.id,
+    model: response?.model,
+    answer: texts.join('\n\n'),
+    citations,
+    usage: response?.usage
+  };
+}
+
+/**
+ * A multipart/form-data request body, sent by makeRequest as-is
+ */
+class FormBody {
+  constructor(fields, file) {
+    this.boundary = `----formdata-mcp-${crypto.randomBytes(8).toString('hex')}`;
+    this.contentType = `multipart/form-data; boundary=${this.boundary}`;
+
+    const chunks = [];
+    for (const [name, value] of Object.entries(fields)) {
+      chunks.push(Buffer.from(`--${this.boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    }
+    chunks.push(Buffer.from(
+      `--${this.boundary}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+      `Content-Type: ${file.contentType || 'application/octet-stream'}\r\n\r\n`
+    ));
+    chunks.push(file.data);
+    chunks.push(Buffer.from(`\r\n--${this.boundary}--\r\n`));
+    this.buffer = Buffer.concat(chunks);
+  }
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Resolve the bytes of an upload part from base64 `data` or a `file_path` byte range
+ */
+function readUploadPart(request) {
+  const { data, file_path, offset = 0, length } = request;
+  let buffer;
+
+  if (typeof data === 'string') {
+    buffer = Buffer.from(data, 'base64');
+  } else if (file_path) {
+    if (!fs.existsSync(file_path)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `File not found: ${file_path}`, { file_path });
+    }
+    const fileSize = fs.statSync(file_path).size;
+    const partLength = length ?? fileSize - offset;
+    if (offset < 0 || partLength < 0 || offset + partLength > fileSize) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Byte range ${offset}-${offset + partLength} is outside ${file_path} (${fileSize} bytes)`,
+        { file_path, offset, length: partLength, file_size: fileSize }
+      );
+    }
+    buffer = Buffer.alloc(partLength);
+    const fd = fs.openSync(file_path, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, partLength, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } else {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Either data (base64) or file_path is required');
+  }
+
+  if (buffer.length > MAX_PART_BYTES) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `Upload part of ${buffer.length} bytes exceeds the ${MAX_PART_BYTES} byte part limit`,
+      { bytes: buffer.length, max_bytes: MAX_PART_BYTES }
+    );
+  }
+  return buffer;
+}
+
+/**
+ * Normalise a chunking strategy to the API shape, or null when none is given.
+ * Accepts the API objects, { type: 'static', max_chunk_size_tokens, chunk_overlap_tokens },
+ * and the compact strings used in config and store metadata: "auto" or "static:<max>:<overlap>".
+ */
+function parseChunkingStrategy(value, source = 'chunking_strategy') {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let spec = value;
+  if (typeof spec === 'string') {
+    const [type, max, overlap] = spec.trim().split(':');
+    spec = { type, max_chunk_size_tokens: max ? Number(max) : undefined, chunk_overlap_tokens: overlap ? Number(overlap) : undefined };
+  }
+  if (!spec || typeof spec !== 'object' || (spec.type !== 'auto' && spec.type !== 'static')) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} must be "auto" or "static"`, { [source]: value });
+  }
+  if (spec.type === 'auto') {
+    return { type: 'auto' };
+  }
+
+  const fields = { ...spec, ...spec.static };
+  const maxTokens = fields.max_chunk_size_tokens ?? DEFAULT_CHUNK_SIZE_TOKENS;
+  const overlapTokens = fields.chunk_overlap_tokens ?? Math.min(DEFAULT_CHUNK_OVERLAP_TOKENS, Math.floor(maxTokens / 2));
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_CHUNK_SIZE_TOKENS || maxTokens > MAX_CHUNK_SIZE_TOKENS) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${source}: max_chunk_size_tokens must be an integer from ${MIN_CHUNK_SIZE_TOKENS} to ${MAX_CHUNK_SIZE_TOKENS}`,
+      { [source]: value }
+    );
+  }
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${source}: chunk_overlap_tokens must be an integer from 0 to half of max_chunk_size_tokens (${Math.floor(maxTokens / 2)})`,
+      { [source]: value }
+    );
+  }
+  return { type: 'static', static: { max_chunk_size_tokens: maxTokens, chunk_overlap_tokens: overlapTokens } };
+}
+
+/**
+ * Check vector store file attributes against the API limits: at most 16 keys of up
+ * to 64 characters, each a string (up to 512 characters), number or boolean
+ */
+function validateAttributes(attributes, source = 'attributes') {
+  if (attributes === undefined) {
+    return undefined;
+  }
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} must be an object of string, number or boolean values`, { [source]: attributes });
+  }
+
+  const keys = Object.keys(attributes);
+  if (keys.length > MAX_ATTRIBUTES) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} has ${keys.length} keys; at most ${MAX_ATTRIBUTES} are allowed`, { keys });
+  }
+  for (const key of keys) {
+    const value = attributes[key];
+    if (key.length === 0 || key.length > MAX_ATTRIBUTE_KEY_LENGTH) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} keys must be 1-${MAX_ATTRIBUTE_KEY_LENGTH} characters`, { key });
+    }
+    if (typeof value === 'string' ? value.length > MAX_ATTRIBUTE_STRING_LENGTH : typeof value !== 'boolean' && !Number.isFinite(value)) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `${source}.${key} must be a string of up to ${MAX_ATTRIBUTE_STRING_LENGTH} characters, a number or a boolean`,
+        { key, value }
+      );
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Attributes the server derives (content hash, source of a converted file) added
+ * under the caller's, for keys the caller did not set and while there is room
+ */
+function mergeAttributes(explicit, derived) {
+  const merged = { ...explicit };
+  for (const [key, value] of Object.entries(derived || {})) {
+    if (!(key in merged) && Object.keys(merged).length < MAX_ATTRIBUTES) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Metadata for a new store, with the requested chunking strategy recorded as its default
+ */
+function withChunkingMetadata(metadata = {}, chunkingStrategy) {
+  const strategy = parseChunkingStrategy(chunkingStrategy);
+  if (!strategy) {
+    parseChunkingStrategy(metadata[CHUNKING_METADATA_KEY], `metadata.${CHUNKING_METADATA_KEY}`);
+    return metadata;
+  }
+  const compact = strategy.type === 'static'
+    ? `static:${strategy.static.max_chunk_size_tokens}:${strategy.static.chunk_overlap_tokens}`
+    : 'auto';
+  return { ...metadata, [CHUNKING_METADATA_KEY]: compact };
+}
+
+/**
+ * The default chunking strategy recorded in a store's metadata, or null
+ */
+function storeChunkingStrategy(store) {
+  return parseChunkingStrategy(
+    store.metadata && store.metadata[CHUNKING_METADATA_KEY],
+    `metadata.${CHUNKING_METADATA_KEY} of ${store.id}`
+  );
+}
+
+/**
+ * The chunking strategy for files added to a store: the one requested, else the
+ * store's chunking_strategy metadata, else the provider's configured default.
+ * Null leaves the choice to the API, which means auto. Providers with a
+ * storeChunkingDefaults map skip the store lookup for stores they have seen.
+ */
+async function resolveChunkingStrategy(provider, vectorStoreId, requested) {
+  const explicit = parseChunkingStrategy(requested);
+  if (explicit) {
+    return explicit;
+  }
+  const cached = provider.storeChunkingDefaults && provider.storeChunkingDefaults.get(vectorStoreId);
+  const fromMetadata = cached !== undefined ? cached : storeChunkingStrategy(await provider.getVectorStore(vectorStoreId));
+  return fromMetadata || provider.chunkingStrategy || null;
+}
+
+/**
+ * Validate file batch entries, given as file IDs or { file_id, attributes, chunking_strategy }
+ * objects, and return them all as objects
+ */
+function normalizeBatchEntries(fileIds) {
+  if (!Array.isArray(fileIds) || fileIds.length === 0) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'A file batch needs at least one file');
+  }
+  return fileIds.map((entry) => {
+    if (typeof entry === 'string') {
+      return { file_id: entry };
+    }
+    if (!entry || typeof entry.file_id !== 'string' || !entry.file_id) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Every file batch entry needs a file_id', { entry });
+    }
+    const normalized = { file_id: entry.file_id };
+    if (entry.attributes !== undefined) {
+      normalized.attributes = validateAttributes(entry.attributes, `attributes of ${entry.file_id}`);
+    }
+    if (entry.chunking_strategy) {
+      normalized.chunking_strategy = parseChunkingStrategy(entry.chunking_strategy, `chunking_strategy of ${entry.file_id}`);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Validate inline file content and decode it to a Buffer, checking the size limit before decoding
+ */
+function decodeFileContent(request) {
+  const { content, encoding = 'text', filename, purpose = 'assistants' } = request;
+
+  if (typeof content !== 'string' || content.length === 0) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'content must be a non-empty string');
+  }
+  if (!filename || /[\\/"\r\n]/.test(filename)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'filename is required and must not contain slashes, quotes or line breaks', { filename });
+  }
+  if (encoding !== 'text' && encoding !== 'base64') {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'encoding must be "text" or "base64"', { encoding });
+  }
+  if (!FILE_PURPOSES.includes(purpose)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, { purpose });
+  }
+
+  let data;
+  if (encoding === 'base64') {
+    const base64 = content.replace(/\s+/g, '');
+    // Buffer.from silently skips invalid characters, so check the alphabet first
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64) || base64.length % 4 === 1 || (base64.endsWith('=') && base64.length % 4 !== 0)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'content is not valid base64');
+    }
+    assertSingleUploadSize(Math.floor(base64.length * 3 / 4) - base64.match(/=*$/)[0].length);
+    data = Buffer.from(base64, 'base64');
+  } else {
+    assertSingleUploadSize(Buffer.byteLength(content, 'utf8'));
+    data = Buffer.from(content, 'utf8');
+  }
+
+  const resolved = resolveUploadType(data.subarray(0, SNIFF_BYTES), filename, purpose, data.length <= SNIFF_BYTES);
+  return { data, filename: resolved.filename, contentType: request.mime_type || resolved.contentType, purpose };
+}
+
+/**
+ * Pick the filename and content type of an upload from its detected type.
+ * Assistants uploads must be a format file_search supports, and a supported
+ * file whose extension does not match its content is renamed to fit it.
+ */
+function resolveUploadType(head, filename, purpose, complete = false) {
+  const detected = detectFileType(head, filename, complete);
+
+  if (purpose !== 'assistants') {
+    return { filename, contentType: MIME_TYPES[path.extname(filename).toLowerCase()] || detected.mime_type, detected };
+  }
+  if (!detected.supported) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${filename} is not a format file_search supports (detected: ${detected.type}). ` +
+        `Supported formats: ${Object.keys(SUPPORTED_FILE_TYPES).join(', ')}`,
+      { filename, detected_type: detected.type, detected_extension: detected.extension || null }
+    );
+  }
+
+  const extension = path.extname(filename);
+  if (extension.toLowerCase() !== detected.extension) {
+    filename = `${extension ? filename.slice(0, -extension.length) : filename}${detected.extension}`;
+  }
+  return { filename, contentType: detected.mime_type, detected };
+}
+
+/**
+ * Decide how a local file is uploaded. Assistants uploads in a format a
+ * converter handles are converted to Markdown or text in memory (`data`);
+ * everything else goes through resolveUploadType unchanged.
+ */
+async function prepareUpload(filePath, filename, purpose, converters = BUILTIN_CONVERTERS) {
+  const fileSize = fs.statSync(filePath).size;
+  const head = readFileHead(filePath);
+  const detected = detectFileType(head, filename, fileSize <= SNIFF_BYTES);
+  // Binary data without a recognised signature is matched on its name
+  const extension = detected.extension || path.extname(filename).toLowerCase();
+  const converter = purpose === 'assistants' && extension ? findConverter(converters, extension) : null;
+
+  if (!converter) {
+    return { ...resolveUploadType(head, filename, purpose, fileSize <= SNIFF_BYTES), data: null, converted_from: null };
+  }
+  const format = converter.format || detected.type;
+  if (fileSize > MAX_CONVERT_BYTES) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${filename} is ${fileSize} bytes; ${format} files are converted before upload and may be at most ${MAX_CONVERT_BYTES} bytes`,
+      { filename, bytes: fileSize, max_bytes: MAX_CONVERT_BYTES }
+    );
+  }
+
+  let output;
+  try {
+    output = await converter.convert(fs.readFileSync(filePath), filename);
+  } catch (error) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `Converting ${filename} (${format}) failed: ${error.message}`,
+      { filename, converter: converter.name }
+    );
+  }
+  const data = Buffer.from(output.content || '', 'utf8');
+  if (data.length === 0) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${filename} (${format}) contains no text to upload`, { filename, converter: converter.name });
+  }
+
+  // The original name stays visible, e.g. budget.xlsx is uploaded as budget.xlsx.md
+  const outputExtension = output.extension === '.md' ? '.md' : '.txt';
+  return {
+    filename: `${filename}${outputExtension}`,
+    contentType: SUPPORTED_FILE_TYPES[outputExtension],
+    detected,
+    data,
+    converted_from: { filename, format, converter: converter.name || format, bytes: fileSize }
+  };
+}
+
+/**
+ * What a dry run of uploadFile reports: the upload that would be made and, for converted files, the start of the text
+ */
+function describePreparedUpload(filePath, purpose, prepared) {
+  const text = prepared.data ? prepared.data.toString('utf8') : null;
+  return {
+    object: 'file.upload_preview',
+    file_path: filePath,
+    filename: prepared.filename,
+    purpose,
+    content_type: prepared.contentType,
+    bytes: prepared.data ? prepared.data.length : fs.statSync(filePath).size,
+    detected_type: prepared.detected.type,
+    converted_from: prepared.converted_from,
+    preview: text === null ? null : text.slice(0, PREVIEW_CHARS),
+    preview_truncated: text !== null && text.length > PREVIEW_CHARS
+  };
+}
+
+/**
+ * The file-content result: text files in full, binaries as a base64 preview
+ * of their first MAX_INLINE_BINARY_BYTES bytes. When data is only the start of
+ * a binary (complete false), the size comes from the file object and there is
+ * no sha256, since the rest was never read.
+ */
+function describeFileContent(file, data, complete = true) {
+  const text = complete ? decodeTextFile(data) : null;
+  const bytes = complete ? data.length : file.bytes;
+  const detected = detectFileType(data.subarray(0, SNIFF_BYTES), file.filename || '', complete && data.length <= SNIFF_BYTES);
+  const result = {
+    object: 'file.content',
+    file_id: file.id,
+    filename: file.filename,
+    content_type: text !== null && detected.mime_type === 'application/octet-stream' ? 'text/plain' : detected.mime_type,
+    bytes
+  };
+  if (complete) {
+    result.sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  }
+  if (text !== null) {
+    return { ...result, encoding: 'text', content: text };
+  }
+
+  const preview = data.subarray(0, MAX_INLINE_BINARY_BYTES);
+  result.encoding = 'base64';
+  result.content = preview.toString('base64');
+  result.truncated = !complete || preview.length < data.length;
+  if (result.truncated) {
+    result.note = `Only the first ${preview.length} of ${bytes} bytes are included; use file-download to save the whole file`;
+  }
+  return result;
+}
+
+/**
+ * Read a content stream for file-content: all of a text file, but only enough
+ * of a binary for the preview, after which the stream is destroyed. A file is
+ * binary when its first SNIFF_BYTES bytes are; `complete` says whether the
+ * whole file was read.
+ */
+async function readFileContentPreview(stream) {
+  const chunks = [];
+  let length = 0;
+  let binary = null;
+  try {
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (binary === null && length >= SNIFF_BYTES) {
+        binary = decodeTextFile(Buffer.concat(chunks).subarray(0, SNIFF_BYTES), false) === null;
+      }
+      // Only stop once there is more than the preview, so an early stop always means truncated
+      if (binary && length > MAX_INLINE_BINARY_BYTES) {
+        return { data: Buffer.concat(chunks, length), complete: false };
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+  return { data: Buffer.concat(chunks, length), complete: true };
+}
+
+/**
+ * Where file-download writes: destinationPath itself, or the file's name inside it
+ * when it is an existing directory. An existing file is only replaced with overwrite.
+ */
+function resolveDownloadPath(destinationPath, file, overwrite) {
+  let target = path.resolve(destinationPath);
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    const name = path.basename(file.filename || '');
+    target = path.join(target, name && name !== '.' && name !== '..' ? name : file.id);
+  }
+  if (fs.existsSync(target)) {
+    if (fs.statSync(target).isDirectory()) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `${target} is a directory`, { path: target });
+    }
+    if (!overwrite) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `${target} already exists; pass overwrite: true to replace it`, { path: target });
+    }
+  }
+  return target;
+}
+
+/**
+ * Stream a download to target through a temporary file next to it, hashing it on
+ * the way, so target only appears once every byte has arrived
+ */
+async function saveDownload(file, source, target, overwrite) {
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const temp = `${target}.${crypto.randomBytes(6).toString('hex')}.part`;
+  const sha256 = crypto.createHash('sha256');
+  let bytes = 0;
+  let head = Buffer.alloc(0);
+  const meter = new Transform({
+    transform(chunk, encoding, callback) {
+      sha256.update(chunk);
+      bytes += chunk.length;
+      if (head.length < SNIFF_BYTES) {
+        head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, meter, fs.createWriteStream(temp, { flags: 'wx' }));
+    if (typeof file.bytes === 'number' && bytes !== file.bytes) {
+      throw new MCPError(ErrorCodes.INTERNAL_ERROR, `Download of ${file.id} ended after ${bytes} of ${file.bytes} bytes`, { file_id: file.id });
+    }
+    // Checked again in case the file appeared while downloading
+    if (!overwrite && fs.existsSync(target)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `${target} already exists; pass overwrite: true to replace it`, { path: target });
+    }
+    fs.renameSync(temp, target);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    if (error instanceof MCPError) {
+      throw error;
+    }
+    throw new MCPError(ErrorCodes.INTERNAL_ERROR, `Saving ${file.id} to ${target} failed: ${error.message}`, { file_id: file.id, path: target });
+  }
+
+  const detected = detectFileType(head, file.filename || target, bytes <= SNIFF_BYTES);
+  return {
+    object: 'file.download',
+    file_id: file.id,
+    filename: file.filename,
+    path: target,
+    bytes,
+    sha256: sha256.digest('hex'),
+    content_type: detected.mime_type
+  };
+}
+
+/**
+ * Read up to SNIFF_BYTES from the start of a local file
+ */
+function readFileHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(SNIFF_BYTES);
+    return head.subarray(0, fs.readSync(fd, head, 0, SNIFF_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Wait for the first bytes of a stream. Resolves with those bytes and a
+ * replacement stream that yields the whole content, head included.
+ */
+function peekStream(stream, bytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    const settle = (ended) => {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', reject);
+      stream.pause();
+      const head = Buffer.concat(chunks);
+      resolve({
+        head: head.subarray(0, bytes),
+        complete: ended,
+        source: Readable.from((async function* () {
+          if (head.length > 0) {
+            yield head;
+          }
+          if (!ended) {
+            yield* stream;
+          }
+        })(), { objectMode: false })
+      });
+    };
+    const onData = (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= bytes) {
+        settle(false);
+      }
+    };
+    const onEnd = () => settle(true);
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', reject);
+  });
+}
+
+function assertSingleUploadSize(bytes) {
+  if (bytes > MAX_SINGLE_UPLOAD_BYTES) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `File size ${bytes} bytes exceeds maximum allowed size of ${MAX_SINGLE_UPLOAD_BYTES} bytes`,
+      { bytes, max_bytes: MAX_SINGLE_UPLOAD_BYTES }
+    );
+  }
+}
+
+/**
+ * Parse a comma-separated host allowlist such as "wiki.example.com,*.example.org"
+ */
+function parseHostList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Whether a hostname or address is loopback, private (RFC 1918, carrier-grade NAT,
+ * IPv6 unique local), link-local (including the 169.254.169.254 metadata
+ * endpoint) or unspecified. Only IP literals and localhost are recognised here;
+ * names that resolve to such addresses are caught when they are looked up.
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  if (!host.includes(':')) {
+    return false;
+  }
+
+  // IPv4-mapped addresses, as ::ffff:127.0.0.1 or normalised to ::ffff:7f00:1
+  const mapped = host.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    return isPrivateHost(mapped[1] || [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+  }
+  return host === '::' || host === '::1' || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+}
+
+/**
+ * Check that a URL is http(s) and its host is on the allowlist. Nothing is
+ * allowed until the list is configured, and "*" allows any public host.
+ * Private, loopback and link-local addresses are only reachable through a host
+ * listed by its exact name, never through "*" or a "*.domain" pattern.
+ */
+function assertUrlAllowed(rawUrl, allowedHosts) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `Invalid URL: ${rawUrl}`, { url: rawUrl });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `Only http and https URLs can be uploaded: ${rawUrl}`, { url: rawUrl });
+  }
+
+  if (allowedHosts.length === 0) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      'Uploading from URLs is disabled until UPLOAD_URL_ALLOWED_HOSTS lists the hosts that may be fetched ("*" for any public host)',
+      { url: rawUrl }
+    );
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const listed = allowedHosts.includes(hostname);
+  if (!listed && isPrivateHost(hostname)) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      `Host ${hostname} is a private, loopback or link-local address; list it by name in UPLOAD_URL_ALLOWED_HOSTS to allow it`,
+      { url: rawUrl }
+    );
+  }
+  const allowed = listed || allowedHosts.some((pattern) => pattern === '*'
+    || (pattern.startsWith('*.') && hostname.endsWith(pattern.slice(1))));
+  if (!allowed) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      `Host ${hostname} is not in the allowed hosts (UPLOAD_URL_ALLOWED_HOSTS)`,
+      { url: rawUrl, allowed_hosts: allowedHosts }
+    );
+  }
+  return url;
+}
+
+/**
+ * A dns.lookup for URL fetches that refuses names resolving to private,
+ * loopback or link-local addresses, unless the name is listed exactly
+ */
+function guardedLookup(allowedHosts) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find((entry) => isPrivateHost(entry.address));
+      if (blocked && !allowedHosts.includes(hostname.toLowerCase())) {
+        callback(new MCPError(
+          ErrorCodes.FORBIDDEN,
+          `Host ${hostname} resolves to the private address ${blocked.address}; list it by name in UPLOAD_URL_ALLOWED_HOSTS to allow it`,
+          { host: hostname, address: blocked.address }
+        ));
+        return;
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * Pick a filename and content type for a downloaded resource from its
+ * Content-Disposition and Content-Type headers, falling back to the URL path
+ */
+function describeDownload(headers, url, requestedFilename) {
+  const disposition = headers['content-disposition'] || '';
+  const encoded = disposition.match(/filename\*\s*=\s*[\w-]+'[^']*'([^;]+)/i);
+  const quoted = disposition.match(/filename\s*=\s*"([^"]*)"/i) || disposition.match(/filename\s*=\s*([^;]+)/i);
+
+  let filename = requestedFilename;
+  if (!filename && encoded) {
+    filename = safeDecodeURIComponent(encoded[1].trim());
+  }
+  if (!filename && quoted) {
+    filename = quoted[1].trim();
+  }
+  if (!filename) {
+    filename = safeDecodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+  }
+  filename = (filename.split(/[\\/]/).pop() || '').replace(/["\r\n]/g, '_') || 'download';
+
+  let contentType = (headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (!path.extname(filename)) {
+    const extension = Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === contentType);
+    if (extension) {
+      filename += extension;
+    }
+  }
+  if (!contentType || contentType === 'application/octet-stream') {
+    contentType = MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+  }
+
+  return { filename, contentType };
+}
+
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * GET a URL as a stream, following redirects and checking every hop, and the
+ * address each host resolves to, against the allowlist
+ */
+function openUrlStream(rawUrl, allowedHosts, redirectsLeft = MAX_URL_REDIRECTS) {
+  const url = assertUrlAllowed(rawUrl, allowedHosts);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const req = transport.get(url, { headers: { 'User-Agent': USER_AGENT }, lookup: guardedLookup(allowedHosts) }, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (redirectsLeft === 0) {
+          reject(new MCPError(ErrorCodes.INVALID_PARAMS, `Too many redirects fetching ${rawUrl}`, { url: rawUrl }));
+          return;
+        }
+        try {
+          resolve(openUrlStream(new URL(res.headers.location, url).toString(), allowedHosts, redirectsLeft - 1));
+        } catch (error) {
+          reject(error);
+        }
+        return;
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        reject(new MCPError(
+          res.statusCode === 404 ? ErrorCodes.NOT_FOUND : ErrorCodes.INVALID_PARAMS,
+          `Fetching ${url} failed with HTTP ${res.statusCode}`,
+          { url: url.toString(), status: res.statusCode }
+        ));
+        return;
+      }
+      resolve({ response: res, url });
+    });
+
+    req.setTimeout(URL_FETCH_TIMEOUT_MS, () => {
+      req.destroy(new Error(`timed out after ${URL_FETCH_TIMEOUT_MS}ms`));
+    });
+    req.on('error', (error) => {
+      reject(error instanceof MCPError
+        ? error
+        : new MCPError(ErrorCodes.INTERNAL_ERROR, `Fetching ${url} failed: ${error.message}`, { url: url.toString() }));
+    });
+  });
+}
+
+/**
+ * Map an OpenAI error response to an MCPError
+ */
+function apiError(res, data) {
+  let errorData = {};
+  try {
+    errorData = JSON.parse(data);
+  } catch (parseError) {
+    // Ignore parse errors for error responses
+  }
+
+  let mcpErrorCode = ErrorCodes.INTERNAL_ERROR;
+  if (res.statusCode === 401) {
+    mcpErrorCode = ErrorCodes.UNAUTHORIZED;
+  } else if (res.statusCode === 403) {
+    mcpErrorCode = ErrorCodes.FORBIDDEN;
+  } else if (res.statusCode === 404) {
+    mcpErrorCode = ErrorCodes.NOT_FOUND;
+  } else if (res.statusCode === 429) {
+    mcpErrorCode = ErrorCodes.RATE_LIMITED;
+  }
+
+  const errorMessage = errorData?.error?.message || `OpenAI API error: ${res.statusCode} ${res.statusMessage}`;
+  const error = new MCPError(mcpErrorCode, errorMessage, errorData);
+  error.status = res.statusCode;
+  return error;
+}
+
+/**
+ * MD5 and SHA-256 of a whole file in one streamed pass, so large files are never held in memory
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const md5 = crypto.createHash('md5');
+    const sha256 = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => {
+        md5.update(chunk);
+        sha256.update(chunk);
+      })
+      .on('end', () => resolve({ md5: md5.digest('hex'), sha256: sha256.digest('hex') }))
+      .on('error', reject);
+  });
+}
+
 class OpenAIService {
-  constructor(apiKey) {
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://api.openai.com/v1';
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.journal = options.journal || null;
+    this.hashIndex = options.hashIndex || null;
+    this.converters = options.converters || BUILTIN_CONVERTERS;
+    this.chunkingStrategy = parseChunkingStrategy(options.chunkingStrategy, 'DEFAULT_CHUNKING_STRATEGY');
+    // Store ID -> default chunking strategy (or null) from metadata seen in store responses
+    this.storeChunkingDefaults = new Map();
+    this.urlAllowedHosts = parseHostList(options.urlAllowedHosts);
+    this.urlMaxBytes = options.urlMaxBytes || MAX_SINGLE_UPLOAD_BYTES;
   }
 
   /**
    * Create a new vector store
    */
   async createVectorStore(request) {
+    // The API only applies a chunking strategy to files given at creation,
+    // so it is also kept in metadata as the default for files added later
     const requestBody = {
       name: request.name,
-      metadata: request.metadata || {}
+      metadata: withChunkingMetadata(request.metadata, request.chunking_strategy)
     };
 
+    const chunkingStrategy = parseChunkingStrategy(request.chunking_strategy);
+    if (chunkingStrategy) {
+      requestBody.chunking_strategy = chunkingStrategy;
+    }
+
     if (request.expires_after_days) {
       requestBody.expires_after = {
         anchor: 'last_active_at',
@@ -55,40 +1261,51 @@ class OpenAIService {
       };
     }
 
-    return await this.makeRequest('POST', '/vector_stores', requestBody);
+    return this.rememberChunkingDefault(await this.makeRequest('POST', '/vector_stores', requestBody));
   }
 
   /**
    * List all vector stores
    */
   async listVectorStores(request = {}) {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
-    }
-    if (request.order) {
-      params.append('order', request.order);
-    }
+    return await listPages((params) => this.makeRequest('GET', withListQuery('/vector_stores', params)), request);
+  }
 
-    const url = `/vector_stores${params.toString() ? `?${params.toString()}` : ''}`;
-    return await this.makeRequest('GET', url);
+  /**
+   * Search several vector stores in parallel and merge the hits into one ranking
+   */
+  async searchVectorStores(request) {
+    return await searchAcrossVectorStores(this, request);
   }
 
   /**
    * Get a specific vector store by ID
    */
   async getVectorStore(vectorStoreId) {
-    return await this.makeRequest('GET', `/vector_stores/${vectorStoreId}`);
+    return this.rememberChunkingDefault(await this.makeRequest('GET', `/vector_stores/${vectorStoreId}`));
   }
 
   /**
    * Delete a vector store
    */
   async deleteVectorStore(vectorStoreId) {
+    this.storeChunkingDefaults.delete(vectorStoreId);
     return await this.makeRequest('DELETE', `/vector_stores/${vectorStoreId}`);
   }
 
+  /**
+   * Cache the default chunking strategy of a store returned by the API. Stores
+   * with invalid chunking metadata are not cached, so adding files reports it.
+   */
+  rememberChunkingDefault(store) {
+    try {
+      this.storeChunkingDefaults.set(store.id, storeChunkingStrategy(store));
+    } catch {
+      this.storeChunkingDefaults.delete(store.id);
+    }
+    return store;
+  }
+
   /**
    * Add a file to a vector store
    */
@@ -97,6 +1314,21 @@ class OpenAIService {
       file_id: request.file_id
     };
 
+    // Carry the content hash so duplicates can be spotted within a store,
+    // and the original name and format of converted files
+    const attributes = mergeAttributes(
+      validateAttributes(request.attributes),
+      this.hashIndex && this.hashIndex.attributesOf(request.file_id)
+    );
+    if (Object.keys(attributes).length > 0) {
+      requestBody.attributes = attributes;
+    }
+
+    const chunkingStrategy = await resolveChunkingStrategy(this, vectorStoreId, request.chunking_strategy);
+    if (chunkingStrategy) {
+      requestBody.chunking_strategy = chunkingStrategy;
+    }
+
     return await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/files`, requestBody);
   }
 
@@ -104,17 +1336,10 @@ class OpenAIService {
    * List files in a vector store
    */
   async listVectorStoreFiles(vectorStoreId, request = {}) {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
-    }
-    if (request.filter) {
-      params.append('filter', request.filter);
-    }
-
-    const url = `/vector_stores/${vectorStoreId}/files${params.toString() ? `?${params.toString()}` : ''}`;
-    return await this.makeRequest('GET', url);
+    return await listPages(
+      (params) => this.makeRequest('GET', withListQuery(`/vector_stores/${vectorStoreId}/files`, params, { filter: params.filter })),
+      request
+    );
   }
 
   /**
@@ -139,10 +1364,10 @@ class OpenAIService {
   }
 
   /**
-   * Update a file in a vector store
+   * Replace the attributes of a file in a vector store
    */
-  async updateVectorStoreFile(vectorStoreId, fileId, metadata) {
-    const requestBody = { metadata };
+  async updateVectorStoreFile(vectorStoreId, fileId, attributes) {
+    const requestBody = { attributes: validateAttributes(attributes) || {} };
     return await this.makeRequest('PATCH', `/vector_stores/${vectorStoreId}/files/${fileId}`, requestBody);
   }
 
@@ -156,7 +1381,7 @@ class OpenAIService {
       requestBody.name = updates.name;
     }
     if (updates.metadata) {
-      requestBody.metadata = updates.metadata;
+      requestBody.metadata = withChunkingMetadata(updates.metadata);
     }
     if (updates.expires_after_days) {
       requestBody.expires_after = {
@@ -165,14 +1390,37 @@ class OpenAIService {
       };
     }
 
-    return await this.makeRequest('POST', `/vector_stores/${vectorStoreId}`, requestBody);
+    return this.rememberChunkingDefault(await this.makeRequest('POST', `/vector_stores/${vectorStoreId}`, requestBody));
   }
 
   /**
    * Create a vector store file batch
    */
-  async createVectorStoreFileBatch(vectorStoreId, fileIds) {
-    const requestBody = { file_ids: fileIds };
+  async createVectorStoreFileBatch(vectorStoreId, fileIds, options = {}) {
+    // Entries are file IDs or { file_id, attributes, chunking_strategy } objects
+    const entries = normalizeBatchEntries(fileIds);
+    const chunkingStrategy = await resolveChunkingStrategy(this, vectorStoreId, options.chunking_strategy);
+
+    if (this.hashIndex) {
+      for (const entry of entries) {
+        const attributes = mergeAttributes(entry.attributes, this.hashIndex.attributesOf(entry.file_id));
+        if (Object.keys(attributes).length > 0) {
+          entry.attributes = attributes;
+        }
+      }
+    }
+
+    // Per-file settings need the files form, which has no batch-wide chunking_strategy
+    let requestBody;
+    if (entries.some((entry) => entry.attributes || entry.chunking_strategy)) {
+      requestBody = { files: entries.map((entry) => ({ chunking_strategy: chunkingStrategy || undefined, ...entry })) };
+    } else {
+      requestBody = { file_ids: entries.map((entry) => entry.file_id) };
+      if (chunkingStrategy) {
+        requestBody.chunking_strategy = chunkingStrategy;
+      }
+    }
+
     return await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/file_batches`, requestBody);
   }
 
@@ -183,6 +1431,20 @@ class OpenAIService {
     return await this.makeRequest('GET', `/vector_stores/${vectorStoreId}/file_batches/${batchId}`);
   }
 
+  /**
+   * Wait for a vector store file to reach completed, failed or cancelled
+   */
+  async waitForVectorStoreFile(vectorStoreId, fileId, request = {}) {
+    return await waitForVectorStoreFile(this, vectorStoreId, fileId, request);
+  }
+
+  /**
+   * Wait for a vector store file batch to reach completed, failed or cancelled
+   */
+  async waitForVectorStoreFileBatch(vectorStoreId, batchId, request = {}) {
+    return await waitForVectorStoreFileBatch(this, vectorStoreId, batchId, request);
+  }
+
   /**
    * Cancel a vector store file batch
    */
@@ -194,24 +1456,74 @@ class OpenAIService {
    * List files in a vector store file batch
    */
   async listVectorStoreFileBatchFiles(vectorStoreId, batchId, request = {}) {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
+    return await listPages(
+      (params) => this.makeRequest('GET', withListQuery(`/vector_stores/${vectorStoreId}/file_batches/${batchId}/files`, params, { filter: params.filter })),
+      request
+    );
+  }
+
+  /**
+   * Search a vector store for chunks relevant to a query
+   */
+  async searchVectorStore(vectorStoreId, request) {
+    const requestBody = {
+      query: request.query
+    };
+
+    if (request.max_num_results) {
+      requestBody.max_num_results = request.max_num_results;
+    }
+    if (request.rewrite_query !== undefined) {
+      requestBody.rewrite_query = request.rewrite_query;
+    }
+    if (request.filters) {
+      requestBody.filters = request.filters;
+    }
+    if (request.ranking_options) {
+      requestBody.ranking_options = request.ranking_options;
+    }
+
+    return await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/search`, requestBody);
+  }
+
+  /**
+   * Answer a question from one or more vector stores using the Responses API
+   * file_search tool, returning the answer text with structured citations
+   */
+  async askVectorStore(request) {
+    const fileSearchTool = {
+      type: 'file_search',
+      vector_store_ids: request.vector_store_ids
+    };
+
+    if (request.max_num_results) {
+      fileSearchTool.max_num_results = request.max_num_results;
+    }
+    if (request.filters) {
+      fileSearchTool.filters = request.filters;
     }
-    if (request.filter) {
-      params.append('filter', request.filter);
+
+    const requestBody = {
+      model: request.model || DEFAULT_ANSWER_MODEL,
+      input: request.question,
+      tools: [fileSearchTool],
+      include: ['file_search_call.results']
+    };
+
+    if (request.instructions) {
+      requestBody.instructions = request.instructions;
     }
 
-    const url = `/vector_stores/${vectorStoreId}/file_batches/${batchId}/files${params.toString() ? `?${params.toString()}` : ''}`;
-    return await this.makeRequest('GET', url);
+    const response = await this.makeRequest('POST', '/responses', requestBody);
+    return extractGroundedAnswer(response);
   }
 
   /**
-   * Upload a local file to OpenAI for use with vector stores and assistants
+   * Upload a local file to OpenAI for use with vector stores and assistants.
+   * request.onProgress(sent, total) is called as bytes are sent.
    */
   async uploadFile(request) {
-    const { file_path, purpose = 'assistants', filename } = request;
+    const { file_path, purpose = 'assistants', filename, multipart, force = false, dry_run = false, onProgress } = request;
     
     // Validate file exists
     if (!fs.existsSync(file_path)) {
@@ -225,9 +1537,10 @@ class OpenAIService {
     // Get file stats
     const stats = fs.statSync(file_path);
     const fileSize = stats.size;
-    
-    // Check file size limit (512MB for OpenAI)
-    const maxSize = 512 * 1024 * 1024; // 512MB
+
+    // Large files go through the Uploads API unless multipart is explicitly disabled
+    const useMultipart = multipart === true || (multipart !== false && fileSize > MULTIPART_THRESHOLD_BYTES);
+    const maxSize = useMultipart ? MAX_MULTIPART_UPLOAD_BYTES : MAX_SINGLE_UPLOAD_BYTES;
     if (fileSize > maxSize) {
       throw new MCPError(
         ErrorCodes.INVALID_PARAMS,
@@ -236,53 +1549,324 @@ class OpenAIService {
       );
     }
 
-    // Determine MIME type based on file extension
-    const ext = path.extname(file_path).toLowerCase();
-    const mimeTypes = {
-      '.pdf': 'application/pdf',
-      '.txt': 'text/plain',
-      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      '.doc': 'application/msword',
-      '.md': 'text/markdown',
-      '.json': 'application/json',
-      '.csv': 'text/csv',
-      '.xml': 'application/xml',
-      '.html': 'text/html',
-      '.htm': 'text/html'
-    };
-    
-    const contentType = mimeTypes[ext] || 'application/octet-stream';
-    const actualFilename = filename || path.basename(file_path);
+    // Identify the file by its content, convert formats a converter handles
+    // and refuse others file_search cannot index
+    const prepared = await prepareUpload(file_path, filename || path.basename(file_path), purpose, this.converters);
+    if (dry_run) {
+      return describePreparedUpload(file_path, purpose, prepared);
+    }
+    const { filename: actualFilename, contentType, data, converted_from } = prepared;
+    const hashes = await hashFile(file_path);
+
+    // Reuse an identical file already in the account unless forced to upload again
+    if (this.hashIndex && !force) {
+      const existing = await this.hashIndex.find(this, hashes.sha256, fileSize, purpose);
+      if (existing) {
+        return { ...existing, sha256: hashes.sha256, deduplicated: true };
+      }
+    }
+
+    let file;
+    if (data) {
+      file = await this.makeRequest('POST', '/files', new FormBody({ purpose }, { name: 'file', filename: actualFilename, contentType, data }));
+      if (onProgress) {
+        onProgress(data.length, data.length);
+      }
+    } else if (useMultipart) {
+      file = await this.uploadFileInParts(file_path, {
+        purpose,
+        filename: actualFilename,
+        contentType,
+        fileSize,
+        hashes,
+        partSize: request.part_size_bytes || MAX_PART_BYTES,
+        concurrency: request.concurrency || DEFAULT_PART_CONCURRENCY,
+        onProgress
+      });
+    } else {
+      file = await this.makeFileUploadRequest(file_path, {
+        purpose,
+        filename: actualFilename,
+        contentType,
+        fileSize,
+        onProgress
+      });
+    }
+
+    if (this.hashIndex) {
+      this.hashIndex.add(file, hashes.sha256, converted_from && {
+        original_filename: converted_from.filename,
+        original_format: converted_from.format
+      });
+    }
+    return converted_from ? { ...file, sha256: hashes.sha256, converted_from } : { ...file, sha256: hashes.sha256 };
+  }
+
+  /**
+   * Upload text or base64 content as a file, posted to /files as multipart/form-data
+   */
+  async uploadFileContent(request) {
+    const { data, filename, contentType, purpose } = decodeFileContent(request);
+    const form = new FormBody({ purpose }, { name: 'file', filename, contentType, data });
+    const file = await this.makeRequest('POST', '/files', form);
+
+    const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+    if (this.hashIndex) {
+      this.hashIndex.add(file, sha256);
+    }
+    return { ...file, sha256 };
+  }
+
+  /**
+   * Stream a remote http(s) resource into a new file without touching local
+   * disk, optionally attaching it to a vector store
+   */
+  async uploadFileFromUrl(request) {
+    const { url, purpose = 'assistants', vector_store_id } = request;
 
-    return await this.makeFileUploadRequest(file_path, {
+    if (!FILE_PURPOSES.includes(purpose)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, { purpose });
+    }
+    parseChunkingStrategy(request.chunking_strategy);
+    if (request.max_bytes !== undefined && (!Number.isInteger(request.max_bytes) || request.max_bytes < 1)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_bytes must be a positive integer', { max_bytes: request.max_bytes });
+    }
+    // A request can lower the configured limit but never raise it
+    const maxBytes = Math.min(request.max_bytes || Infinity, this.urlMaxBytes, MAX_SINGLE_UPLOAD_BYTES);
+
+    const { response, url: finalUrl } = await openUrlStream(url, this.urlAllowedHosts);
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const declaredSize = Number.isFinite(contentLength) ? contentLength : undefined;
+    if (declaredSize > maxBytes) {
+      response.destroy();
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Content-Length ${declaredSize} exceeds the maximum allowed size of ${maxBytes} bytes`,
+        { url, bytes: declaredSize, max_bytes: maxBytes }
+      );
+    }
+
+    const download = describeDownload(response.headers, finalUrl, request.filename);
+    const { head, complete, source } = await peekStream(response, SNIFF_BYTES);
+    let filename;
+    let contentType;
+    try {
+      ({ filename, contentType } = resolveUploadType(head, download.filename, purpose, complete));
+    } catch (error) {
+      response.destroy();
+      throw error;
+    }
+    const sha256 = crypto.createHash('sha256');
+    source.on('data', (chunk) => sha256.update(chunk));
+
+    const file = await this.makeFileUploadRequest(null, {
+      source,
       purpose,
-      filename: actualFilename,
+      filename,
       contentType,
-      fileSize
+      fileSize: declaredSize,
+      maxBytes,
+      onProgress: request.onProgress
     });
+
+    const digest = sha256.digest('hex');
+    if (this.hashIndex) {
+      this.hashIndex.add(file, digest);
+    }
+
+    const result = { ...file, sha256: digest, source_url: finalUrl.toString() };
+    if (vector_store_id) {
+      result.vector_store_file = await this.addFileToVectorStore(vector_store_id, { file_id: file.id, chunking_strategy: request.chunking_strategy });
+    }
+    return result;
   }
 
   /**
-   * List all uploaded files with filtering options
+   * Upload a file through the Uploads API: open a session, send byte ranges
+   * as parts in parallel, then complete it with the whole-file MD5. With an
+   * upload journal, progress is recorded after every part and an unfinished
+   * upload of the same unchanged file is continued rather than restarted.
    */
-  async listFiles(request = {}) {
-    const params = new URLSearchParams();
-    
-    if (request.purpose) {
-      params.append('purpose', request.purpose);
+  async uploadFileInParts(filePath, options) {
+    const { purpose, filename, contentType, fileSize, partSize, concurrency, onProgress } = options;
+
+    if (!Number.isInteger(partSize) || partSize < 1 || partSize > MAX_PART_BYTES) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `part_size_bytes must be between 1 and ${MAX_PART_BYTES}`,
+        { part_size_bytes: partSize }
+      );
+    }
+
+    const absolutePath = path.resolve(filePath);
+    const hashes = options.hashes || await hashFile(absolutePath);
+
+    const previous = this.journal && this.journal.findByFile(absolutePath, hashes.sha256);
+    if (previous && previous.part_size === partSize) {
+      return await this.continueUpload(previous, concurrency, onProgress);
+    }
+
+    const upload = await this.createUpload({ filename, purpose, bytes: fileSize, mime_type: contentType });
+    const entry = {
+      upload_id: upload.id,
+      file_path: absolutePath,
+      filename,
+      purpose,
+      mime_type: contentType,
+      bytes: fileSize,
+      md5: hashes.md5,
+      sha256: hashes.sha256,
+      part_size: partSize,
+      parts: {},
+      created_at: upload.created_at,
+      expires_at: upload.expires_at
+    };
+    if (this.journal) {
+      this.journal.save(entry);
+    }
+
+    return await this.continueUpload(entry, concurrency, onProgress);
+  }
+
+  /**
+   * Send the parts an upload is still missing, then complete it.
+   * onProgress(sent, total) is called after every part.
+   */
+  async continueUpload(entry, concurrency = DEFAULT_PART_CONCURRENCY, onProgress) {
+    const offsets = [];
+    for (let offset = 0; offset < entry.bytes; offset += entry.part_size) {
+      offsets.push(offset);
+    }
+    const missing = offsets.filter((offset) => !entry.parts[offset]);
+    let sent = Object.values(entry.parts).reduce((sum, part) => sum + part.bytes, 0);
+
+    try {
+      await mapWithConcurrency(missing, concurrency, async (offset) => {
+        const part = await this.addUploadPartWithRetry(entry.upload_id, {
+          file_path: entry.file_path,
+          offset,
+          length: Math.min(entry.part_size, entry.bytes - offset)
+        });
+        entry.parts[offset] = { id: part.id, bytes: part.bytes, md5: part.md5 };
+        if (this.journal) {
+          this.journal.save(entry);
+        }
+        sent += part.bytes;
+        if (onProgress) {
+          onProgress(sent, entry.bytes);
+        }
+      });
+
+      const parts = offsets.map((offset) => entry.parts[offset]);
+      const completed = await this.completeUpload(entry.upload_id, { part_ids: parts.map((part) => part.id), md5: entry.md5 });
+      if (this.journal) {
+        this.journal.remove(entry.upload_id);
+      }
+      if (this.hashIndex) {
+        this.hashIndex.add(completed.file, entry.sha256);
+      }
+
+      return {
+        ...completed.file,
+        upload: {
+          id: entry.upload_id,
+          md5: entry.md5,
+          parts,
+          resumed_parts: offsets.length - missing.length
+        }
+      };
+    } catch (error) {
+      // Without a journal the session cannot be resumed, so release it
+      if (!this.journal) {
+        await this.cancelUpload(entry.upload_id).catch(() => {});
+      }
+      if (error instanceof MCPError) {
+        error.data = { ...(error.data || {}), upload_id: entry.upload_id, resumable: Boolean(this.journal) };
+      }
+      if (this.journal) {
+        error.message = `${error.message} (upload ${entry.upload_id} can be continued with file-upload-resume)`;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Continue a journaled upload after checking that the local file is unchanged
+   */
+  async resumeUpload(uploadId, request = {}) {
+    if (!this.journal) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Resumable uploads need an upload journal');
+    }
+
+    const entry = this.journal.get(uploadId);
+    if (!entry) {
+      throw new MCPError(ErrorCodes.NOT_FOUND, `No journaled upload found with id '${uploadId}'`, { upload_id: uploadId });
+    }
+    if (entry.expires_at && entry.expires_at <= Math.floor(Date.now() / 1000)) {
+      this.journal.remove(uploadId);
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Upload ${uploadId} expired before it was completed. Upload ${entry.file_path} again.`,
+        { upload_id: uploadId, expires_at: entry.expires_at }
+      );
     }
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
+
+    const unchanged = fs.existsSync(entry.file_path)
+      && fs.statSync(entry.file_path).size === entry.bytes
+      && (await hashFile(entry.file_path)).sha256 === entry.sha256;
+    if (!unchanged) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `${entry.file_path} has changed since upload ${uploadId} started. Cancel it with upload-cancel and upload the file again.`,
+        { upload_id: uploadId, file_path: entry.file_path }
+      );
     }
-    if (request.order) {
-      params.append('order', request.order);
+
+    return await this.continueUpload(entry, request.concurrency || DEFAULT_PART_CONCURRENCY, request.onProgress);
+  }
+
+  /**
+   * Uploads recorded in the journal that have not been completed yet
+   */
+  async listResumableUploads() {
+    if (!this.journal) {
+      return [];
     }
-    if (request.after) {
-      params.append('after', request.after);
+    return this.journal.list().map((entry) => ({
+      upload_id: entry.upload_id,
+      file_path: entry.file_path,
+      bytes: entry.bytes,
+      uploaded_bytes: Object.values(entry.parts).reduce((sum, part) => sum + part.bytes, 0),
+      expires_at: entry.expires_at
+    }));
+  }
+
+  /**
+   * Add an upload part, retrying rate limits and server errors
+   */
+  async addUploadPartWithRetry(uploadId, request) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.addUploadPart(uploadId, request);
+      } catch (error) {
+        const retryable = error.code === ErrorCodes.RATE_LIMITED || error.code === ErrorCodes.INTERNAL_ERROR;
+        if (!retryable || attempt >= PART_ATTEMPTS) {
+          throw error;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 500 * attempt));
+      }
     }
+  }
 
-    const url = `/files${params.toString() ? `?${params.toString()}` : ''}`;
-    return await this.makeRequest('GET', url);
+  /**
+   * List all uploaded files with filtering options
+   */
+  async listFiles(request = {}) {
+    return await listPages(
+      (params) => this.makeRequest('GET', withListQuery('/files', params, { purpose: params.purpose })),
+      request,
+      { pageSize: MAX_FILES_PAGE_SIZE }
+    );
   }
 
   /**
@@ -296,14 +1880,68 @@ class OpenAIService {
    * Delete a file from OpenAI
    */
   async deleteFile(fileId) {
-    return await this.makeRequest('DELETE', `/files/${fileId}`);
+    const result = await this.makeRequest('DELETE', `/files/${fileId}`);
+    if (this.hashIndex) {
+      this.hashIndex.remove(fileId);
+    }
+    return result;
+  }
+
+  /**
+   * Download the raw bytes of a file
+   */
+  async downloadFile(fileId) {
+    return await this.makeRequest('GET', `/files/${fileId}/content`, null, true, 'buffer');
   }
 
   /**
-   * Download/retrieve file content
+   * File content for reading: text in full, binaries as a truncated base64 preview
    */
   async getFileContent(fileId) {
-    return await this.makeRequest('GET', `/files/${fileId}/content`);
+    const [file, content] = await Promise.all([this.getFile(fileId), this.openFileContentStream(fileId).then(readFileContentPreview)]);
+    return describeFileContent(file, content.data, content.complete);
+  }
+
+  /**
+   * Stream the raw bytes of a file to a local path
+   */
+  async downloadFileTo(fileId, request) {
+    const { destination_path, overwrite = false } = request;
+    const file = await this.getFile(fileId);
+    const target = resolveDownloadPath(destination_path, file, overwrite);
+    return await saveDownload(file, await this.openFileContentStream(fileId), target, overwrite);
+  }
+
+  /**
+   * GET the content of a file as a response stream, for files too large to buffer
+   */
+  openFileContentStream(fileId) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(`${this.baseUrl}/files/${fileId}/content`);
+      const transport = url.protocol === 'http:' ? http : https;
+      const headers = {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'OpenAI-Beta': 'assistants=v2',
+        'User-Agent': USER_AGENT
+      };
+
+      const req = transport.get(url, { headers }, (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => reject(apiError(res, Buffer.concat(chunks).toString('utf8'))));
+      });
+
+      req.setTimeout(30000, () => {
+        req.destroy(new Error('Request timeout'));
+      });
+      req.on('error', (error) => {
+        reject(new MCPError(ErrorCodes.INTERNAL_ERROR, `Network error: ${error.message}`, { originalError: error }));
+      });
+    });
   }
 
   /**
@@ -322,6 +1960,38 @@ class OpenAIService {
     return await this.makeRequest('POST', '/uploads', requestBody);
   }
 
+  /**
+   * Add a part (at most 64MB) to a pending upload. Returns the part with its MD5 checksum.
+   */
+  async addUploadPart(uploadId, request) {
+    const data = readUploadPart(request);
+    const form = new FormBody({}, { name: 'data', filename: 'part', data });
+    const part = await this.makeRequest('POST', `/uploads/${uploadId}/parts`, form);
+    return { ...part, bytes: data.length, md5: crypto.createHash('md5').update(data).digest('hex') };
+  }
+
+  /**
+   * Complete an upload from its ordered part IDs, producing a File object
+   */
+  async completeUpload(uploadId, request) {
+    const requestBody = { part_ids: request.part_ids };
+    if (request.md5) {
+      requestBody.md5 = request.md5;
+    }
+    return await this.makeRequest('POST', `/uploads/${uploadId}/complete`, requestBody);
+  }
+
+  /**
+   * Cancel a pending upload
+   */
+  async cancelUpload(uploadId) {
+    const upload = await this.makeRequest('POST', `/uploads/${uploadId}/cancel`, {});
+    if (this.journal) {
+      this.journal.remove(uploadId);
+    }
+    return upload;
+  }
+
   /**
    * Validate API key by making a simple request
    */
@@ -335,71 +2005,55 @@ class OpenAIService {
   }
 
   /**
-   * Make HTTP request to OpenAI API using Node.js https module
+   * Make HTTP request to OpenAI API using Node.js https module.
+   * responseType 'buffer' returns the raw response body instead of parsed JSON.
    */
-  async makeRequest(method, endpoint, body = null, throwOnError = true) {
+  async makeRequest(method, endpoint, body = null, throwOnError = true, responseType = 'json') {
     return new Promise((resolve, reject) => {
       const url = new URL(`${this.baseUrl}${endpoint}`);
+      const transport = url.protocol === 'http:' ? http : https;
       
       const options = {
         hostname: url.hostname,
-        port: url.port || 443,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
         path: url.pathname + url.search,
         method: method,
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json',
+          'Content-Type': body instanceof FormBody ? body.contentType : 'application/json',
           'OpenAI-Beta': 'assistants=v2',
-          'User-Agent': 'roo-compatible-mcp-server/1.0.0'
+          'User-Agent': USER_AGENT
         }
       };
 
+      let payload = null;
       if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-        const bodyString = JSON.stringify(body);
-        options.headers['Content-Length'] = Buffer.byteLength(bodyString);
+        payload = body instanceof FormBody ? body.buffer : JSON.stringify(body);
+        options.headers['Content-Length'] = Buffer.byteLength(payload);
       }
 
-      const req = https.request(options, (res) => {
-        let data = '';
+      const req = transport.request(options, (res) => {
+        const chunks = [];
 
         res.on('data', (chunk) => {
-          data += chunk;
+          chunks.push(chunk);
         });
 
         res.on('end', () => {
+          const raw = Buffer.concat(chunks);
+          const data = raw.toString('utf8');
           try {
             if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
-              let errorData = {};
-              try {
-                errorData = JSON.parse(data);
-              } catch (parseError) {
-                // Ignore parse errors for error responses
-              }
-
               if (!throwOnError) {
                 reject(new Error(`HTTP ${res.statusCode}`));
                 return;
               }
+              reject(apiError(res, data));
+              return;
+            }
 
-              // Map OpenAI error codes to MCP error codes
-              let mcpErrorCode = ErrorCodes.INTERNAL_ERROR;
-              if (res.statusCode === 401) {
-                mcpErrorCode = ErrorCodes.UNAUTHORIZED;
-              } else if (res.statusCode === 403) {
-                mcpErrorCode = ErrorCodes.FORBIDDEN;
-              } else if (res.statusCode === 404) {
-                mcpErrorCode = ErrorCodes.NOT_FOUND;
-              } else if (res.statusCode === 429) {
-                mcpErrorCode = ErrorCodes.RATE_LIMITED;
-              }
-
-              const errorMessage = errorData?.error?.message || `OpenAI API error: ${res.statusCode} ${res.statusMessage}`;
-              
-              reject(new MCPError(
-                mcpErrorCode,
-                errorMessage,
-                errorData
-              ));
+            if (responseType === 'buffer') {
+              resolve(raw);
               return;
             }
 
@@ -445,8 +2099,8 @@ class OpenAIService {
       req.setTimeout(30000);
 
       // Write request body if present
-      if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-        req.write(JSON.stringify(body));
+      if (payload !== null) {
+        req.write(payload);
       }
 
       req.end();
@@ -454,13 +2108,18 @@ class OpenAIService {
   }
 
   /**
-   * Make file upload request with multipart/form-data
+   * Make file upload request with multipart/form-data.
+   * Content is read from filePath, or from options.source (a readable stream)
+   * when filePath is null. Without a known fileSize the body is sent chunked,
+   * and options.maxBytes aborts the upload once the source grows past it.
+   * options.onProgress(sent, fileSize) is called as chunks are written.
    */
   async makeFileUploadRequest(filePath, options) {
     return new Promise((resolve, reject) => {
-      const { purpose, filename, contentType, fileSize } = options;
+      const { purpose, filename, contentType, fileSize, maxBytes, onProgress } = options;
       const boundary = `----formdata-mcp-${Date.now()}`;
       const url = new URL(`${this.baseUrl}/files`);
+      const transport = url.protocol === 'http:' ? http : https;
       
       // Create multipart form data
       const formData = [];
@@ -478,23 +2137,23 @@ class OpenAIService {
       const formDataPrefix = Buffer.from(formData.join(''));
       const formDataSuffix = Buffer.from(`\r\n--${boundary}--\r\n`);
       
-      const totalSize = formDataPrefix.length + fileSize + formDataSuffix.length;
-      
       const options_req = {
         hostname: url.hostname,
-        port: url.port || 443,
+        port: url.port || (url.protocol === 'http:' ? 80 : 443),
         path: url.pathname,
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': `multipart/form-data; boundary=${boundary}`,
-          'Content-Length': totalSize,
           'OpenAI-Beta': 'assistants=v2',
-          'User-Agent': 'roo-compatible-mcp-server/1.2.0'
+          'User-Agent': USER_AGENT
         }
       };
+      if (fileSize !== undefined) {
+        options_req.headers['Content-Length'] = formDataPrefix.length + fileSize + formDataSuffix.length;
+      }
 
-      const req = https.request(options_req, (res) => {
+      const req = transport.request(options_req, (res) => {
         let data = '';
 
         res.on('data', (chunk) => {
@@ -504,32 +2163,7 @@ class OpenAIService {
         res.on('end', () => {
           try {
             if (!res.statusCode || res.statusCode < 200 || res.statusCode >= 300) {
-              let errorData = {};
-              try {
-                errorData = JSON.parse(data);
-              } catch (parseError) {
-                // Ignore parse errors for error responses
-              }
-
-              // Map OpenAI error codes to MCP error codes
-              let mcpErrorCode = ErrorCodes.INTERNAL_ERROR;
-              if (res.statusCode === 401) {
-                mcpErrorCode = ErrorCodes.UNAUTHORIZED;
-              } else if (res.statusCode === 403) {
-                mcpErrorCode = ErrorCodes.FORBIDDEN;
-              } else if (res.statusCode === 404) {
-                mcpErrorCode = ErrorCodes.NOT_FOUND;
-              } else if (res.statusCode === 429) {
-                mcpErrorCode = ErrorCodes.RATE_LIMITED;
-              }
-
-              const errorMessage = errorData?.error?.message || `OpenAI API error: ${res.statusCode} ${res.statusMessage}`;
-              
-              reject(new MCPError(
-                mcpErrorCode,
-                errorMessage,
-                errorData
-              ));
+              reject(apiError(res, data));
               return;
             }
 
@@ -578,7 +2212,8 @@ class OpenAIService {
       req.write(formDataPrefix);
       
       // Stream the file
-      const fileStream = createReadStream(filePath);
+      const fileStream = filePath ? createReadStream(filePath) : options.source;
+      let sent = 0;
       
       fileStream.on('error', (error) => {
         req.destroy();
@@ -590,7 +2225,24 @@ class OpenAIService {
       });
       
       fileStream.on('data', (chunk) => {
-        req.write(chunk);
+        sent += chunk.length;
+        if (maxBytes !== undefined && sent > maxBytes) {
+          fileStream.destroy();
+          req.destroy();
+          reject(new MCPError(
+            ErrorCodes.INVALID_PARAMS,
+            `Content exceeds the maximum allowed size of ${maxBytes} bytes`,
+            { max_bytes: maxBytes }
+          ));
+          return;
+        }
+        if (!req.write(chunk)) {
+          fileStream.pause();
+          req.once('drain', () => fileStream.resume());
+        }
+        if (onProgress) {
+          onProgress(sent, fileSize);
+        }
       });
       
       fileStream.on('end', () => {
@@ -602,4 +2254,4 @@ class OpenAIService {
   }
 }
 
-module.exports = { OpenAIService, MCPError, ErrorCodes };
\ No newline at end of file
+module.exports = { OpenAIService, MCPError, ErrorCodes, searchAcrossVectorStores, listPages, MAX_FILES_PAGE_SIZE, describeFailedFile, waitForVectorStoreFile, waitForVectorStoreFileBatch, mapWithConcurrency, readUploadPart, decodeFileContent, parseChunkingStrategy, withChunkingMetadata, resolveChunkingStrategy, validateAttributes, mergeAttributes, normalizeBatchEntries, resolveUploadType, prepareUpload, describePreparedUpload, describeFileContent, resolveDownloadPath, saveDownload, readFileHead, hashFile, parseHostList };
\ No newline at end of file
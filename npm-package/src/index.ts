@@ -35,7 +35,7 @@ class OpenAIVectorStoreMCPServer {
       process.exit(1);
     }
 
-    this.mcpHandler = new MCPHandler(apiKey);
+    this.mcpHandler = new MCPHandler(apiKey, process.env.OPENAI_BASE_URL);
     this.server = new Server(
       {
         name: 'openai-vector-store-mcp',
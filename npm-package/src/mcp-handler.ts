@@ -25,8 +25,11 @@ export class MCPHandler {
   private isProxyMode: boolean = false;
   private cloudflareWorkerUrl: string = 'https://vectorstore.jezweb.com/mcp';
 
-  constructor(apiKey: string) {
-    if (apiKey === 'CLOUDFLARE_PROXY_MODE') {
+  constructor(apiKey: string, baseUrl?: string) {
+    if (baseUrl) {
+      // Explicit API base URL (e.g. a local mock server) always talks to it directly
+      this.openaiService = new OpenAIService(apiKey, baseUrl);
+    } else if (apiKey === 'CLOUDFLARE_PROXY_MODE') {
       this.isProxyMode = true;
       // This should not happen - we need a real API key for the URL
       throw new Error('API key is required for Cloudflare Worker proxy mode');
@@ -307,7 +310,7 @@ export class MCPHandler {
       },
       {
         name: 'vector-store-file-update',
-        description: 'Update metadata of a file in a vector store',
+        description: 'Replace the attributes of a file in a vector store',
         inputSchema: {
           type: 'object',
           properties: {
@@ -319,12 +322,16 @@ export class MCPHandler {
               type: 'string',
               description: 'ID of the file to update'
             },
+            attributes: {
+              type: 'object',
+              description: 'New attributes for the file: string, number or boolean values used by search filters'
+            },
             metadata: {
               type: 'object',
-              description: 'New metadata for the file'
+              description: 'Deprecated alias for attributes'
             }
           },
-          required: ['vector_store_id', 'file_id', 'metadata']
+          required: ['vector_store_id', 'file_id']
         }
       },
       {
@@ -428,6 +435,53 @@ export class MCPHandler {
           },
           required: ['vector_store_id', 'batch_id']
         }
+      },
+      {
+        name: 'vector-store-search',
+        description: 'Search a vector store for chunks relevant to a query',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store to search'
+            },
+            query: {
+              oneOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+              ],
+              description: 'Query string, or an array of query strings'
+            },
+            max_num_results: {
+              type: 'number',
+              description: 'Maximum number of results to return (1-50, default: 10)'
+            },
+            rewrite_query: {
+              type: 'boolean',
+              description: 'Whether to rewrite the natural language query for vector search (optional)'
+            },
+            filters: {
+              type: 'object',
+              description: 'Attribute filter, e.g. {"type": "eq", "key": "category", "value": "manual"} or a compound {"type": "and", "filters": [...]} (optional)'
+            },
+            ranking_options: {
+              type: 'object',
+              properties: {
+                ranker: {
+                  type: 'string',
+                  description: 'Ranker to use (e.g. "auto")'
+                },
+                score_threshold: {
+                  type: 'number',
+                  description: 'Minimum score (0-1) a result must have to be returned'
+                }
+              },
+              description: 'Ranking options for the search (optional)'
+            }
+          },
+          required: ['vector_store_id', 'query']
+        }
       }
     ];
     
@@ -525,10 +579,10 @@ export class MCPHandler {
           break;
 
         case 'vector-store-file-update':
-          if (!args.vector_store_id || !args.file_id || !args.metadata) {
-            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id, file_id, and metadata are required');
+          if (!args.vector_store_id || !args.file_id || !(args.attributes || args.metadata)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id, file_id, and attributes are required');
           }
-          result = await this.openaiService.updateVectorStoreFile(args.vector_store_id, args.file_id, args.metadata);
+          result = await this.openaiService.updateVectorStoreFile(args.vector_store_id, args.file_id, args.attributes || args.metadata);
           break;
 
         case 'vector-store-file-delete':
@@ -569,6 +623,22 @@ export class MCPHandler {
           });
           break;
 
+        case 'vector-store-search':
+          if (!args.vector_store_id || !args.query) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and query are required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_num_results must be between 1 and 50');
+          }
+          result = await this.openaiService.searchVectorStore(args.vector_store_id, {
+            query: args.query,
+            max_num_results: args.max_num_results,
+            rewrite_query: args.rewrite_query,
+            filters: args.filters,
+            ranking_options: args.ranking_options
+          });
+          break;
+
         default:
           throw new MCPError(ErrorCodes.METHOD_NOT_FOUND, `Unknown tool: ${name}`);
       }
@@ -18,16 +18,19 @@ import {
   ModifyVectorStoreRequest,
   VectorStoreFileContent,
   UpdateVectorStoreFileRequest,
+  SearchVectorStoreRequest,
+  VectorStoreSearchResponse,
   MCPError,
   ErrorCodes
 } from './types.js';
 
 export class OpenAIService {
   private apiKey: string;
-  private baseUrl = 'https://api.openai.com/v1';
+  private baseUrl: string;
 
-  constructor(apiKey: string) {
+  constructor(apiKey: string, baseUrl: string = 'https://api.openai.com/v1') {
     this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
   }
 
   /**
@@ -139,10 +142,10 @@ export class OpenAIService {
   }
 
   /**
-   * Update a file in a vector store
+   * Replace the attributes of a file in a vector store
    */
-  async updateVectorStoreFile(vectorStoreId: string, fileId: string, metadata: Record<string, any>): Promise<VectorStoreFile> {
-    const requestBody = { metadata };
+  async updateVectorStoreFile(vectorStoreId: string, fileId: string, attributes: Record<string, string | number | boolean>): Promise<VectorStoreFile> {
+    const requestBody = { attributes };
     const response = await this.makeRequest('PATCH', `/vector_stores/${vectorStoreId}/files/${fileId}`, requestBody);
     return response as VectorStoreFile;
   }
@@ -213,6 +216,31 @@ export class OpenAIService {
     return response as ListVectorStoreFilesResponse;
   }
 
+  /**
+   * Search a vector store for chunks relevant to a query
+   */
+  async searchVectorStore(vectorStoreId: string, request: SearchVectorStoreRequest): Promise<VectorStoreSearchResponse> {
+    const requestBody: any = {
+      query: request.query
+    };
+
+    if (request.max_num_results) {
+      requestBody.max_num_results = request.max_num_results;
+    }
+    if (request.rewrite_query !== undefined) {
+      requestBody.rewrite_query = request.rewrite_query;
+    }
+    if (request.filters) {
+      requestBody.filters = request.filters;
+    }
+    if (request.ranking_options) {
+      requestBody.ranking_options = request.ranking_options;
+    }
+
+    const response = await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/search`, requestBody);
+    return response as VectorStoreSearchResponse;
+  }
+
   /**
    * Validate API key by making a simple request
    */
@@ -207,7 +207,49 @@ export interface VectorStoreFileContent {
 
 // Vector Store File update types
 export interface UpdateVectorStoreFileRequest {
-  metadata: Record<string, any>;
+  attributes: Record<string, string | number | boolean>;
+}
+
+// Vector Store search types
+export interface ComparisonFilter {
+  key: string;
+  type: 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte';
+  value: string | number | boolean;
+}
+
+export interface CompoundFilter {
+  type: 'and' | 'or';
+  filters: Array<ComparisonFilter | CompoundFilter>;
+}
+
+export interface SearchVectorStoreRequest {
+  query: string | string[];
+  max_num_results?: number;
+  rewrite_query?: boolean;
+  filters?: ComparisonFilter | CompoundFilter;
+  ranking_options?: {
+    ranker?: string;
+    score_threshold?: number;
+  };
+}
+
+export interface VectorStoreSearchResult {
+  file_id: string;
+  filename: string;
+  score: number;
+  attributes: Record<string, string | number | boolean> | null;
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
+
+export interface VectorStoreSearchResponse {
+  object: 'vector_store.search_results.page';
+  search_query: string | string[];
+  data: VectorStoreSearchResult[];
+  has_more: boolean;
+  next_page: string | null;
 }
 
 // OpenAI Chat types (legacy compatibility)
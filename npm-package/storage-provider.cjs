@@ -0,0 +1,128 @@
+/**
+ * Storage Provider Selection
+ *
+ * The MCP tools talk to a storage provider rather than to OpenAI directly.
+ * A provider is any object that implements the methods in PROVIDER_METHODS
+ * with the same arguments and result shapes as OpenAIService. The methods in
+ * OPTIONAL_PROVIDER_METHODS may be left out; their tools then report that the
+ * provider does not support them.
+ *
+ * Built-in providers:
+ * - "openai" (default): the OpenAI API, via OpenAIService
+ * - "local": files and stores on disk with keyword search, via LocalProvider
+ *
+ * VECTOR_STORE_PROVIDER may also be a path to a module exporting a provider
+ * class, which is constructed with the same options object.
+ */
+
+const path = require('path');
+const { OpenAIService, MCPError, ErrorCodes } = require('./openai-service.cjs');
+const { LocalProvider } = require('./local-provider.cjs');
+const { UploadJournal } = require('./upload-journal.cjs');
+const { FileHashIndex } = require('./file-hash-index.cjs');
+const { loadConverters } = require('./file-converters.cjs');
+
+const PROVIDER_METHODS = [
+  'createVectorStore',
+  'listVectorStores',
+  'getVectorStore',
+  'deleteVectorStore',
+  'modifyVectorStore',
+  'addFileToVectorStore',
+  'listVectorStoreFiles',
+  'getVectorStoreFile',
+  'getVectorStoreFileContent',
+  'updateVectorStoreFile',
+  'deleteVectorStoreFile',
+  'createVectorStoreFileBatch',
+  'getVectorStoreFileBatch',
+  'cancelVectorStoreFileBatch',
+  'listVectorStoreFileBatchFiles',
+  'waitForVectorStoreFile',
+  'waitForVectorStoreFileBatch',
+  'searchVectorStore',
+  'searchVectorStores',
+  'askVectorStore',
+  'uploadFile',
+  'uploadFileContent',
+  'listFiles',
+  'getFile',
+  'deleteFile',
+  'getFileContent',
+  'downloadFileTo',
+  'createUpload',
+  'addUploadPart',
+  'completeUpload',
+  'cancelUpload'
+];
+
+const OPTIONAL_PROVIDER_METHODS = [
+  'uploadFileFromUrl',
+  'resumeUpload',
+  'listResumableUploads'
+];
+
+/**
+ * Resolve the provider type from explicit options or the environment
+ */
+function resolveProviderType(options = {}, env = process.env) {
+  return (options.provider || env.VECTOR_STORE_PROVIDER || 'openai').trim();
+}
+
+/**
+ * Create the storage provider selected by options or environment
+ */
+function createProvider(options = {}, env = process.env) {
+  const type = resolveProviderType(options, env);
+  let provider;
+
+  if (type === 'openai') {
+    provider = new OpenAIService(options.apiKey || env.OPENAI_API_KEY, {
+      baseUrl: options.baseUrl || env.OPENAI_BASE_URL,
+      journal: new UploadJournal(options.journalDir || env.UPLOAD_JOURNAL_DIR),
+      hashIndex: new FileHashIndex(options.hashIndexPath || env.FILE_HASH_INDEX),
+      urlAllowedHosts: options.urlAllowedHosts || env.UPLOAD_URL_ALLOWED_HOSTS,
+      urlMaxBytes: options.urlMaxBytes || parseInt(env.UPLOAD_URL_MAX_BYTES, 10) || undefined,
+      converters: loadConverters(options.converters || env.UPLOAD_CONVERTERS),
+      chunkingStrategy: options.chunkingStrategy || env.DEFAULT_CHUNKING_STRATEGY
+    });
+  } else if (type === 'local') {
+    provider = new LocalProvider({
+      dataDir: options.dataDir || env.LOCAL_STORE_DIR,
+      converters: loadConverters(options.converters || env.UPLOAD_CONVERTERS),
+      chunkingStrategy: options.chunkingStrategy || env.DEFAULT_CHUNKING_STRATEGY
+    });
+  } else {
+    let ProviderClass;
+    try {
+      const exported = require(path.resolve(type));
+      ProviderClass = exported.default || exported.Provider || exported;
+    } catch (error) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Unknown storage provider "${type}". Use "openai", "local" or a path to a provider module.`,
+        { provider: type, cause: error.message }
+      );
+    }
+    provider = new ProviderClass(options);
+  }
+
+  assertProvider(provider, type);
+  return provider;
+}
+
+/**
+ * Check that a provider implements every operation the tools rely on
+ */
+function assertProvider(provider, type) {
+  const missing = PROVIDER_METHODS.filter((method) => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new MCPError(
+      ErrorCodes.INTERNAL_ERROR,
+      `Storage provider "${type}" is missing required methods: ${missing.join(', ')}`,
+      { provider: type, missing }
+    );
+  }
+}
+
+module.exports = { PROVIDER_METHODS, OPTIONAL_PROVIDER_METHODS, createProvider, resolveProviderType, assertProvider };
@@ -0,0 +1,883 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenAI API Server
+ *
+ * A local HTTP stand-in for the parts of the OpenAI API the MCP tools use:
+ * /files, /uploads, /vector_stores (including files, file_batches and
+ * search) and /responses. State is kept in memory, vector store files move
+ * from in_progress to completed after a configurable delay, and errors can
+ * be injected per method/path to exercise 401/404/429/500 handling.
+ *
+ * Programmatic use:
+ *   const { MockOpenAIServer } = require('./mock-openai-server');
+ *   const mock = new MockOpenAIServer({ processingDelayMs: 20 });
+ *   const baseUrl = await mock.start();   // e.g. http://127.0.0.1:53211/v1
+ *   mock.injectError({ method: 'GET', path: '/vector_stores', status: 429 });
+ *   await mock.stop();
+ *
+ * Standalone use (point OPENAI_BASE_URL at the printed URL):
+ *   node test/mock-openai-server.js --port 8787
+ *
+ * Errors can also be injected over HTTP with
+ *   POST /__mock/errors {"method": "POST", "path": "/files", "status": 500, "times": 1}
+ * and all state cleared with POST /__mock/reset.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'invalid_request_error',
+  403: 'invalid_request_error',
+  404: 'invalid_request_error',
+  429: 'rate_limit_error',
+  500: 'server_error'
+};
+
+class MockOpenAIServer {
+  constructor(options = {}) {
+    this.processingDelayMs = options.processingDelayMs ?? 50;
+    this.apiKey = options.apiKey || null;
+    this.server = null;
+    this.baseUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Clear all stored objects, injected errors and the request log
+   */
+  reset() {
+    this.files = new Map();
+    this.fileContents = new Map();
+    this.uploads = new Map();
+    this.vectorStores = new Map();
+    this.vectorStoreFiles = new Map();
+    this.fileBatches = new Map();
+    this.fileOutcomes = new Map();
+    this.errorRules = [];
+    this.requests = [];
+    this.counter = 0;
+  }
+
+  /**
+   * Make matching requests fail with the given HTTP status.
+   * path matches as a prefix of the path after /v1 (or as a RegExp); the
+   * first `skip` matching requests are let through.
+   */
+  injectError({ method, path, status, message, times = 1, skip = 0 }) {
+    this.errorRules.push({ method, path, status, message, remaining: times, skip });
+  }
+
+  /**
+   * Make a file fail processing (with last_error.code) whenever it is added to a vector store.
+   * Takes a file ID, or a filename to fail files not uploaded yet.
+   */
+  failFile(fileId, code = 'server_error', message = 'The file could not be processed.') {
+    this.fileOutcomes.set(fileId, { code, message });
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        sendError(res, 500, `Mock server failure: ${error.message}`);
+      });
+    });
+
+    await new Promise((resolve) => this.server.listen(port, host, resolve));
+    const address = this.server.address();
+    this.baseUrl = `http://${host}:${address.port}/v1`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  async handle(req, res) {
+    const body = await readBody(req);
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname.replace(/^\/v1/, '');
+    const logged = { method: req.method, path: route, query: url.search };
+    this.requests.push(logged);
+
+    // Control endpoints for driving the mock from another process
+    if (route === '/__mock/reset' && req.method === 'POST') {
+      this.reset();
+      return sendJson(res, 200, { reset: true });
+    }
+    if (route === '/__mock/errors' && req.method === 'POST') {
+      this.injectError(JSON.parse(body.toString('utf8') || '{}'));
+      return sendJson(res, 200, { injected: true });
+    }
+
+    const auth = req.headers.authorization || '';
+    if (!auth.startsWith('Bearer ') || (this.apiKey && auth !== `Bearer ${this.apiKey}`)) {
+      return sendError(res, 401, 'Incorrect API key provided.', 'invalid_api_key');
+    }
+
+    const rule = this.errorRules.find((candidate) => candidate.remaining > 0
+      && (!candidate.method || candidate.method === req.method)
+      && (candidate.path instanceof RegExp ? candidate.path.test(route) : route.startsWith(candidate.path || '')));
+    if (rule && rule.skip > 0) {
+      rule.skip -= 1;
+    } else if (rule) {
+      rule.remaining -= 1;
+      if (rule.status === 429) {
+        res.setHeader('Retry-After', '1');
+      }
+      return sendError(res, rule.status, rule.message || `Injected ${rule.status} error`);
+    }
+
+    const params = Object.fromEntries(url.searchParams.entries());
+    const contentType = req.headers['content-type'] || '';
+    const json = contentType.includes('application/json') && body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+    logged.json = json;
+
+    for (const [method, pattern, handler] of this.routes()) {
+      const match = method === req.method && route.match(pattern);
+      if (match) {
+        return handler.call(this, res, { params, json, body, contentType, match });
+      }
+    }
+
+    return sendError(res, 404, `Unknown route ${req.method} ${route}`);
+  }
+
+  routes() {
+    return [
+      ['GET', /^\/models$/, this.listModels],
+      ['POST', /^\/files$/, this.createFile],
+      ['GET', /^\/files$/, this.listFiles],
+      ['GET', /^\/files\/([^/]+)$/, this.getFile],
+      ['DELETE', /^\/files\/([^/]+)$/, this.deleteFile],
+      ['GET', /^\/files\/([^/]+)\/content$/, this.getFileContent],
+      ['POST', /^\/uploads$/, this.createUpload],
+      ['POST', /^\/uploads\/([^/]+)\/parts$/, this.addUploadPart],
+      ['POST', /^\/uploads\/([^/]+)\/complete$/, this.completeUpload],
+      ['POST', /^\/uploads\/([^/]+)\/cancel$/, this.cancelUpload],
+      ['POST', /^\/vector_stores$/, this.createVectorStore],
+      ['GET', /^\/vector_stores$/, this.listVectorStores],
+      ['GET', /^\/vector_stores\/([^/]+)$/, this.getVectorStore],
+      ['POST', /^\/vector_stores\/([^/]+)$/, this.modifyVectorStore],
+      ['DELETE', /^\/vector_stores\/([^/]+)$/, this.deleteVectorStore],
+      ['POST', /^\/vector_stores\/([^/]+)\/search$/, this.searchVectorStore],
+      ['POST', /^\/vector_stores\/([^/]+)\/files$/, this.createVectorStoreFile],
+      ['GET', /^\/vector_stores\/([^/]+)\/files$/, this.listVectorStoreFiles],
+      ['GET', /^\/vector_stores\/([^/]+)\/files\/([^/]+)$/, this.getVectorStoreFile],
+      ['POST', /^\/vector_stores\/([^/]+)\/files\/([^/]+)$/, this.updateVectorStoreFile],
+      ['PATCH', /^\/vector_stores\/([^/]+)\/files\/([^/]+)$/, this.updateVectorStoreFile],
+      ['DELETE', /^\/vector_stores\/([^/]+)\/files\/([^/]+)$/, this.deleteVectorStoreFile],
+      ['GET', /^\/vector_stores\/([^/]+)\/files\/([^/]+)\/content$/, this.getVectorStoreFileContent],
+      ['POST', /^\/vector_stores\/([^/]+)\/file_batches$/, this.createFileBatch],
+      ['GET', /^\/vector_stores\/([^/]+)\/file_batches\/([^/]+)$/, this.getFileBatch],
+      ['POST', /^\/vector_stores\/([^/]+)\/file_batches\/([^/]+)\/cancel$/, this.cancelFileBatch],
+      ['GET', /^\/vector_stores\/([^/]+)\/file_batches\/([^/]+)\/files$/, this.listFileBatchFiles],
+      ['POST', /^\/responses$/, this.createResponse]
+    ];
+  }
+
+  nextId(prefix) {
+    this.counter += 1;
+    return `${prefix}${String(this.counter).padStart(6, '0')}${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  // Models
+
+  listModels(res) {
+    sendJson(res, 200, { object: 'list', data: [{ id: 'gpt-4o-mini', object: 'model', owned_by: 'mock' }] });
+  }
+
+  // Files
+
+  createFile(res, { body, contentType }) {
+    const boundary = (contentType.match(/boundary=(.+)$/) || [])[1];
+    if (!boundary) {
+      return sendError(res, 400, 'Expected multipart/form-data');
+    }
+
+    const { fields, files } = parseMultipart(body, boundary);
+    if (!files.file) {
+      return sendError(res, 400, "Missing required parameter: 'file'.");
+    }
+    if (!fields.purpose) {
+      return sendError(res, 400, "Missing required parameter: 'purpose'.");
+    }
+
+    const file = this.storeFile(files.file.filename, fields.purpose, files.file.data);
+    sendJson(res, 200, file);
+  }
+
+  storeFile(filename, purpose, data) {
+    const file = {
+      id: this.nextId('file-'),
+      object: 'file',
+      bytes: data.length,
+      created_at: nowSeconds(),
+      filename,
+      purpose,
+      status: 'processed'
+    };
+    this.files.set(file.id, file);
+    this.fileContents.set(file.id, data);
+    return file;
+  }
+
+  listFiles(res, { params }) {
+    let files = Array.from(this.files.values());
+    if (params.purpose) {
+      files = files.filter((file) => file.purpose === params.purpose);
+    }
+    sendJson(res, 200, paginate(files, params));
+  }
+
+  getFile(res, { match }) {
+    const file = this.files.get(match[1]);
+    if (!file) {
+      return sendError(res, 404, `No such File object: ${match[1]}`);
+    }
+    sendJson(res, 200, file);
+  }
+
+  deleteFile(res, { match }) {
+    if (!this.files.has(match[1])) {
+      return sendError(res, 404, `No such File object: ${match[1]}`);
+    }
+    this.files.delete(match[1]);
+    this.fileContents.delete(match[1]);
+    for (const files of this.vectorStoreFiles.values()) {
+      files.delete(match[1]);
+    }
+    sendJson(res, 200, { id: match[1], object: 'file', deleted: true });
+  }
+
+  getFileContent(res, { match }) {
+    const data = this.fileContents.get(match[1]);
+    if (!data) {
+      return sendError(res, 404, `No such File object: ${match[1]}`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': data.length });
+    res.end(data);
+  }
+
+  // Uploads
+
+  createUpload(res, { json }) {
+    for (const field of ['filename', 'purpose', 'bytes', 'mime_type']) {
+      if (json[field] === undefined) {
+        return sendError(res, 400, `Missing required parameter: '${field}'.`);
+      }
+    }
+
+    const upload = {
+      id: this.nextId('upload_'),
+      object: 'upload',
+      bytes: json.bytes,
+      created_at: nowSeconds(),
+      filename: json.filename,
+      purpose: json.purpose,
+      mime_type: json.mime_type,
+      status: 'pending',
+      expires_at: nowSeconds() + 3600,
+      file: null,
+      parts: new Map()
+    };
+    this.uploads.set(upload.id, upload);
+    sendJson(res, 200, publicUpload(upload));
+  }
+
+  addUploadPart(res, { match, body, contentType }) {
+    const upload = this.uploads.get(match[1]);
+    if (!upload) {
+      return sendError(res, 404, `No such Upload object: ${match[1]}`);
+    }
+    if (upload.status !== 'pending') {
+      return sendError(res, 400, `Upload ${upload.id} is ${upload.status} and cannot accept parts.`);
+    }
+
+    const boundary = (contentType.match(/boundary=(.+)$/) || [])[1];
+    const { files } = boundary ? parseMultipart(body, boundary) : { files: {} };
+    if (!files.data) {
+      return sendError(res, 400, "Missing required parameter: 'data'.");
+    }
+
+    const part = { id: this.nextId('part_'), object: 'upload.part', created_at: nowSeconds(), upload_id: upload.id };
+    upload.parts.set(part.id, files.data.data);
+    sendJson(res, 200, part);
+  }
+
+  completeUpload(res, { match, json }) {
+    const upload = this.uploads.get(match[1]);
+    if (!upload) {
+      return sendError(res, 404, `No such Upload object: ${match[1]}`);
+    }
+    if (upload.status !== 'pending') {
+      return sendError(res, 400, `Upload ${upload.id} is already ${upload.status}.`);
+    }
+
+    const partIds = json.part_ids || [];
+    const unknown = partIds.filter((partId) => !upload.parts.has(partId));
+    if (unknown.length > 0) {
+      return sendError(res, 400, `Unknown part IDs: ${unknown.join(', ')}`);
+    }
+
+    const data = Buffer.concat(partIds.map((partId) => upload.parts.get(partId)));
+    if (data.length !== upload.bytes) {
+      return sendError(res, 400, `Upload expected ${upload.bytes} bytes but the parts contain ${data.length}.`);
+    }
+    if (json.md5 && crypto.createHash('md5').update(data).digest('hex') !== json.md5) {
+      return sendError(res, 400, 'The md5 checksum does not match the uploaded data.');
+    }
+
+    upload.status = 'completed';
+    upload.file = this.storeFile(upload.filename, upload.purpose, data);
+    sendJson(res, 200, publicUpload(upload));
+  }
+
+  cancelUpload(res, { match }) {
+    const upload = this.uploads.get(match[1]);
+    if (!upload) {
+      return sendError(res, 404, `No such Upload object: ${match[1]}`);
+    }
+    if (upload.status !== 'pending') {
+      return sendError(res, 400, `Upload ${upload.id} is already ${upload.status}.`);
+    }
+    upload.status = 'cancelled';
+    sendJson(res, 200, publicUpload(upload));
+  }
+
+  // Vector stores
+
+  createVectorStore(res, { json }) {
+    const store = {
+      id: this.nextId('vs_'),
+      object: 'vector_store',
+      created_at: nowSeconds(),
+      name: json.name || '',
+      usage_bytes: 0,
+      file_counts: emptyFileCounts(),
+      status: 'completed',
+      expires_after: json.expires_after || null,
+      expires_at: json.expires_after ? nowSeconds() + json.expires_after.days * 86400 : null,
+      last_active_at: nowSeconds(),
+      metadata: json.metadata || {}
+    };
+    this.vectorStores.set(store.id, store);
+    this.vectorStoreFiles.set(store.id, new Map());
+
+    if (Array.isArray(json.file_ids)) {
+      for (const fileId of json.file_ids) {
+        this.attachFile(store.id, fileId, { chunking_strategy: json.chunking_strategy });
+      }
+    }
+
+    sendJson(res, 200, this.presentVectorStore(store));
+  }
+
+  listVectorStores(res, { params }) {
+    const stores = Array.from(this.vectorStores.values()).map((store) => this.presentVectorStore(store));
+    sendJson(res, 200, paginate(stores, params));
+  }
+
+  getVectorStore(res, { match }) {
+    const store = this.vectorStores.get(match[1]);
+    if (!store) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    sendJson(res, 200, this.presentVectorStore(store));
+  }
+
+  modifyVectorStore(res, { match, json }) {
+    const store = this.vectorStores.get(match[1]);
+    if (!store) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    if (json.name !== undefined) {
+      store.name = json.name;
+    }
+    if (json.metadata !== undefined) {
+      store.metadata = json.metadata;
+    }
+    if (json.expires_after !== undefined) {
+      store.expires_after = json.expires_after;
+      store.expires_at = json.expires_after ? nowSeconds() + json.expires_after.days * 86400 : null;
+    }
+    sendJson(res, 200, this.presentVectorStore(store));
+  }
+
+  deleteVectorStore(res, { match }) {
+    if (!this.vectorStores.has(match[1])) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    this.vectorStores.delete(match[1]);
+    this.vectorStoreFiles.delete(match[1]);
+    sendJson(res, 200, { id: match[1], object: 'vector_store.deleted', deleted: true });
+  }
+
+  presentVectorStore(store) {
+    const files = Array.from((this.vectorStoreFiles.get(store.id) || new Map()).values()).map((file) => this.refreshFile(file));
+    const counts = emptyFileCounts();
+    for (const file of files) {
+      counts[file.status] += 1;
+      counts.total += 1;
+    }
+    return {
+      ...store,
+      file_counts: counts,
+      usage_bytes: files.reduce((sum, file) => sum + file.usage_bytes, 0),
+      status: counts.in_progress > 0 ? 'in_progress' : 'completed'
+    };
+  }
+
+  // Vector store files
+
+  createVectorStoreFile(res, { match, json }) {
+    if (!this.vectorStores.has(match[1])) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    if (!json.file_id || !this.files.has(json.file_id)) {
+      return sendError(res, 404, `No such File object: ${json.file_id}`);
+    }
+    const file = this.attachFile(match[1], json.file_id, json);
+    sendJson(res, 200, publicVectorStoreFile(file));
+  }
+
+  attachFile(vectorStoreId, fileId, options, batchId = null) {
+    const file = {
+      id: fileId,
+      object: 'vector_store.file',
+      usage_bytes: 0,
+      created_at: nowSeconds(),
+      vector_store_id: vectorStoreId,
+      status: 'in_progress',
+      last_error: null,
+      attributes: options.attributes || {},
+      chunking_strategy: options.chunking_strategy && options.chunking_strategy.type === 'static'
+        ? options.chunking_strategy
+        : { type: 'static', static: { max_chunk_size_tokens: 800, chunk_overlap_tokens: 400 } },
+      batch_id: batchId,
+      ready_at: Date.now() + this.processingDelayMs
+    };
+    this.vectorStoreFiles.get(vectorStoreId).set(fileId, file);
+    return file;
+  }
+
+  /**
+   * Move a file out of in_progress once its processing delay has passed
+   */
+  refreshFile(file) {
+    if (file.status === 'in_progress' && Date.now() >= file.ready_at) {
+      const stored = this.files.get(file.id);
+      const outcome = this.fileOutcomes.get(file.id) || (stored && this.fileOutcomes.get(stored.filename));
+      if (outcome) {
+        file.status = 'failed';
+        file.last_error = { code: outcome.code, message: outcome.message };
+      } else {
+        file.status = 'completed';
+        file.usage_bytes = (this.fileContents.get(file.id) || Buffer.alloc(0)).length;
+      }
+    }
+    return file;
+  }
+
+  findVectorStoreFile(res, match) {
+    const files = this.vectorStoreFiles.get(match[1]);
+    if (!files) {
+      sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+      return null;
+    }
+    const file = files.get(match[2]);
+    if (!file) {
+      sendError(res, 404, `No file found with id '${match[2]}' in vector store '${match[1]}'.`);
+      return null;
+    }
+    return this.refreshFile(file);
+  }
+
+  listVectorStoreFiles(res, { match, params }) {
+    const files = this.vectorStoreFiles.get(match[1]);
+    if (!files) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    let data = Array.from(files.values()).map((file) => this.refreshFile(file));
+    if (params.filter) {
+      data = data.filter((file) => file.status === params.filter);
+    }
+    sendJson(res, 200, paginate(data.map(publicVectorStoreFile), params));
+  }
+
+  getVectorStoreFile(res, { match }) {
+    const file = this.findVectorStoreFile(res, match);
+    if (file) {
+      sendJson(res, 200, publicVectorStoreFile(file));
+    }
+  }
+
+  updateVectorStoreFile(res, { match, json }) {
+    const file = this.findVectorStoreFile(res, match);
+    if (!file) {
+      return;
+    }
+    if (json.metadata !== undefined) {
+      return sendError(res, 400, 'Unrecognized request argument supplied: metadata');
+    }
+    if (json.attributes === undefined) {
+      return sendError(res, 400, "Missing required parameter: 'attributes'.");
+    }
+    file.attributes = json.attributes;
+    sendJson(res, 200, publicVectorStoreFile(file));
+  }
+
+  deleteVectorStoreFile(res, { match }) {
+    const file = this.findVectorStoreFile(res, match);
+    if (file) {
+      this.vectorStoreFiles.get(match[1]).delete(match[2]);
+      sendJson(res, 200, { id: match[2], object: 'vector_store.file.deleted', deleted: true });
+    }
+  }
+
+  getVectorStoreFileContent(res, { match }) {
+    const file = this.findVectorStoreFile(res, match);
+    if (file) {
+      const data = this.fileContents.get(match[2]) || Buffer.alloc(0);
+      sendJson(res, 200, {
+        object: 'vector_store.file_content.page',
+        data: [{ type: 'text', text: data.toString('utf8') }],
+        has_more: false,
+        next_page: null
+      });
+    }
+  }
+
+  // File batches
+
+  createFileBatch(res, { match, json }) {
+    if (!this.vectorStores.has(match[1])) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+
+    const entries = Array.isArray(json.files)
+      ? json.files
+      : (json.file_ids || []).map((fileId) => ({ file_id: fileId, attributes: json.attributes, chunking_strategy: json.chunking_strategy }));
+    if (entries.length === 0) {
+      return sendError(res, 400, "Missing required parameter: 'file_ids'.");
+    }
+    const missing = entries.filter((entry) => !this.files.has(entry.file_id));
+    if (missing.length > 0) {
+      return sendError(res, 404, `No such File object: ${missing[0].file_id}`);
+    }
+
+    const batch = {
+      id: this.nextId('vsfb_'),
+      object: 'vector_store.file_batch',
+      created_at: nowSeconds(),
+      vector_store_id: match[1],
+      cancelled: false
+    };
+    this.fileBatches.set(batch.id, batch);
+    for (const entry of entries) {
+      this.attachFile(match[1], entry.file_id, entry, batch.id);
+    }
+    sendJson(res, 200, this.presentBatch(batch));
+  }
+
+  presentBatch(batch) {
+    const files = Array.from((this.vectorStoreFiles.get(batch.vector_store_id) || new Map()).values())
+      .filter((file) => file.batch_id === batch.id)
+      .map((file) => this.refreshFile(file));
+    const counts = emptyFileCounts();
+    for (const file of files) {
+      counts[file.status] += 1;
+      counts.total += 1;
+    }
+
+    let status = 'completed';
+    if (batch.cancelled) {
+      status = 'cancelled';
+    } else if (counts.in_progress > 0) {
+      status = 'in_progress';
+    }
+
+    const { cancelled, ...publicBatch } = batch;
+    return { ...publicBatch, status, file_counts: counts };
+  }
+
+  findBatch(res, match) {
+    const batch = this.fileBatches.get(match[2]);
+    if (!batch || batch.vector_store_id !== match[1]) {
+      sendError(res, 404, `No file batch found with id '${match[2]}' in vector store '${match[1]}'.`);
+      return null;
+    }
+    return batch;
+  }
+
+  getFileBatch(res, { match }) {
+    const batch = this.findBatch(res, match);
+    if (batch) {
+      sendJson(res, 200, this.presentBatch(batch));
+    }
+  }
+
+  cancelFileBatch(res, { match }) {
+    const batch = this.findBatch(res, match);
+    if (!batch) {
+      return;
+    }
+    if (this.presentBatch(batch).status !== 'in_progress') {
+      return sendError(res, 400, `Cannot cancel a batch that is not in progress.`);
+    }
+    batch.cancelled = true;
+    for (const file of this.vectorStoreFiles.get(batch.vector_store_id).values()) {
+      if (file.batch_id === batch.id && file.status === 'in_progress') {
+        file.status = 'cancelled';
+      }
+    }
+    sendJson(res, 200, this.presentBatch(batch));
+  }
+
+  listFileBatchFiles(res, { match, params }) {
+    const batch = this.findBatch(res, match);
+    if (!batch) {
+      return;
+    }
+    let data = Array.from(this.vectorStoreFiles.get(batch.vector_store_id).values())
+      .filter((file) => file.batch_id === batch.id)
+      .map((file) => this.refreshFile(file));
+    if (params.filter) {
+      data = data.filter((file) => file.status === params.filter);
+    }
+    sendJson(res, 200, paginate(data.map(publicVectorStoreFile), params));
+  }
+
+  // Search and responses
+
+  searchVectorStore(res, { match, json }) {
+    if (!this.vectorStores.has(match[1])) {
+      return sendError(res, 404, `No vector store found with id '${match[1]}'.`);
+    }
+    if (!json.query) {
+      return sendError(res, 400, "Missing required parameter: 'query'.");
+    }
+    sendJson(res, 200, {
+      object: 'vector_store.search_results.page',
+      search_query: json.query,
+      data: this.search(match[1], json.query, json.max_num_results || 10, json.filters),
+      has_more: false,
+      next_page: null
+    });
+  }
+
+  /**
+   * Score completed files whose attributes pass the filters by the share of query terms they contain
+   */
+  search(vectorStoreId, query, limit, filters) {
+    const terms = new Set(tokenize(Array.isArray(query) ? query.join(' ') : query));
+    const results = [];
+
+    for (const file of this.vectorStoreFiles.get(vectorStoreId).values()) {
+      if (this.refreshFile(file).status !== 'completed' || (filters && !matchesFilter(file.attributes, filters))) {
+        continue;
+      }
+      const text = (this.fileContents.get(file.id) || Buffer.alloc(0)).toString('utf8');
+      const fileTerms = new Set(tokenize(text));
+      const hits = Array.from(terms).filter((term) => fileTerms.has(term)).length;
+      if (hits > 0) {
+        results.push({
+          file_id: file.id,
+          filename: (this.files.get(file.id) || {}).filename || null,
+          score: hits / terms.size,
+          attributes: file.attributes,
+          content: [{ type: 'text', text }]
+        });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  createResponse(res, { json }) {
+    const fileSearch = (json.tools || []).find((tool) => tool.type === 'file_search');
+    const results = fileSearch
+      ? fileSearch.vector_store_ids.flatMap((vectorStoreId) => (this.vectorStoreFiles.has(vectorStoreId)
+        ? this.search(vectorStoreId, json.input, fileSearch.max_num_results || 10)
+        : []))
+      : [];
+    const top = results[0];
+    const text = top ? top.content[0].text.split('\n')[0] : 'I could not find an answer in the provided files.';
+
+    sendJson(res, 200, {
+      id: this.nextId('resp_'),
+      object: 'response',
+      model: json.model,
+      status: 'completed',
+      output: [
+        {
+          type: 'file_search_call',
+          id: this.nextId('fs_'),
+          status: 'completed',
+          queries: [json.input],
+          results: (json.include || []).includes('file_search_call.results')
+            ? results.map((result) => ({ file_id: result.file_id, filename: result.filename, score: result.score, text: result.content[0].text, attributes: result.attributes }))
+            : null
+        },
+        {
+          type: 'message',
+          role: 'assistant',
+          content: [
+            {
+              type: 'output_text',
+              text,
+              annotations: top ? [{ type: 'file_citation', index: text.length, file_id: top.file_id, filename: top.filename }] : []
+            }
+          ]
+        }
+      ],
+      usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+    });
+  }
+}
+
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function emptyFileCounts() {
+  return { in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: 0 };
+}
+
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function matchesFilter(attributes, filter) {
+  if (filter.type === 'and' || filter.type === 'or') {
+    const results = filter.filters.map((child) => matchesFilter(attributes, child));
+    return filter.type === 'and' ? results.every(Boolean) : results.some(Boolean);
+  }
+  const value = attributes[filter.key];
+  return {
+    eq: value === filter.value,
+    ne: value !== filter.value,
+    gt: value > filter.value,
+    gte: value >= filter.value,
+    lt: value < filter.value,
+    lte: value <= filter.value
+  }[filter.type];
+}
+
+function publicVectorStoreFile(file) {
+  const { batch_id, ready_at, ...publicFields } = file;
+  return publicFields;
+}
+
+function publicUpload(upload) {
+  const { parts, ...publicFields } = upload;
+  return publicFields;
+}
+
+/**
+ * Apply limit/order/after/before like the OpenAI list endpoints do
+ */
+function paginate(items, params) {
+  const order = params.order || 'desc';
+  const sorted = [...items].sort((a, b) => order === 'asc'
+    ? a.created_at - b.created_at || a.id.localeCompare(b.id)
+    : b.created_at - a.created_at || b.id.localeCompare(a.id));
+
+  let start = 0;
+  let end = sorted.length;
+  if (params.after) {
+    start = sorted.findIndex((item) => item.id === params.after) + 1;
+  }
+  if (params.before) {
+    const beforeIndex = sorted.findIndex((item) => item.id === params.before);
+    if (beforeIndex >= 0) {
+      end = beforeIndex;
+    }
+  }
+
+  const limit = Number(params.limit) || 20;
+  const window = sorted.slice(start, end);
+  const data = params.before ? window.slice(-limit) : window.slice(0, limit);
+
+  return {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: window.length > limit
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Minimal multipart/form-data parser for the upload endpoints
+ */
+function parseMultipart(body, boundary) {
+  const fields = {};
+  const files = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+
+  let position = body.indexOf(delimiter);
+  while (position !== -1) {
+    const next = body.indexOf(delimiter, position + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+
+    // Each part is CRLF, headers, blank line, content, CRLF
+    const part = body.subarray(position + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const content = part.subarray(headerEnd + 4);
+    const name = (headers.match(/name="([^"]*)"/) || [])[1];
+    const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+    const contentType = (headers.match(/Content-Type:\s*(.+)/i) || [])[1];
+
+    if (filename !== undefined) {
+      files[name] = { filename, contentType, data: Buffer.from(content) };
+    } else if (name) {
+      fields[name] = content.toString('utf8');
+    }
+
+    position = next;
+  }
+
+  return { fields, files };
+}
+
+function sendJson(res, status, payload) {
+  const data = JSON.stringify(payload);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) });
+  res.end(data);
+}
+
+function sendError(res, status, message, code = null) {
+  sendJson(res, status, {
+    error: { message, type: ERROR_TYPES[status] || 'server_error', param: null, code }
+  });
+}
+
+module.exports = { MockOpenAIServer };
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex !== -1 ? Number(process.argv[portIndex + 1]) : 8787;
+  const mock = new MockOpenAIServer();
+  mock.start(port).then((baseUrl) => {
+    console.log(`Mock OpenAI API listening at ${baseUrl}`);
+    console.log(`Use: OPENAI_BASE_URL=${baseUrl} OPENAI_API_KEY=sk-mock`);
+  });
+}
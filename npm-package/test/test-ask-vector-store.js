@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the ask-vector-store grounded answer flow
+ *
+ * Points OpenAIService at a local stand-in for the Responses API and checks
+ * that the file_search request is built correctly and that the answer text
+ * and citations are extracted from the response.
+ */
+
+const http = require('http');
+const assert = require('assert');
+const { OpenAIService } = require('../openai-service.cjs');
+
+const cannedResponse = {
+  id: 'resp_test123',
+  object: 'response',
+  model: 'gpt-4o-mini',
+  output: [
+    {
+      type: 'file_search_call',
+      id: 'fs_test123',
+      status: 'completed',
+      queries: ['refund policy'],
+      results: [
+        { file_id: 'file-policy', filename: 'policy.md', score: 0.42, text: 'Monthly plans are not refundable.' },
+        { file_id: 'file-policy', filename: 'policy.md', score: 0.91, text: 'Annual plans can be refunded within 30 days.' }
+      ]
+    },
+    {
+      type: 'message',
+      role: 'assistant',
+      content: [
+        {
+          type: 'output_text',
+          text: 'Annual plans are refundable within 30 days.',
+          annotations: [
+            { type: 'file_citation', index: 43, file_id: 'file-policy', filename: 'policy.md' }
+          ]
+        }
+      ]
+    }
+  ],
+  usage: { input_tokens: 120, output_tokens: 12, total_tokens: 132 }
+};
+
+function startStandIn(requests) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(cannedResponse));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function run() {
+  console.log('🧪 Testing ask-vector-store against a local Responses API stand-in...\n');
+
+  const requests = [];
+  const server = await startStandIn(requests);
+  const { port } = server.address();
+
+  try {
+    const service = new OpenAIService('sk-test', { baseUrl: `http://127.0.0.1:${port}/v1` });
+    const result = await service.askVectorStore({
+      vector_store_ids: ['vs_one', 'vs_two'],
+      question: 'What is the refund policy for annual plans?',
+      max_num_results: 5
+    });
+
+    assert.strictEqual(requests.length, 1);
+    const [request] = requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/v1/responses');
+    assert.strictEqual(request.headers.authorization, 'Bearer sk-test');
+    assert.deepStrictEqual(request.body.tools, [
+      { type: 'file_search', vector_store_ids: ['vs_one', 'vs_two'], max_num_results: 5 }
+    ]);
+    assert.deepStrictEqual(request.body.include, ['file_search_call.results']);
+    console.log('   ✅ Responses API request carries the file_search tool');
+
+    assert.strictEqual(result.answer, 'Annual plans are refundable within 30 days.');
+    assert.deepStrictEqual(result.citations, [
+      { file_id: 'file-policy', filename: 'policy.md', quote: 'Annual plans can be refunded within 30 days.', index: 43 }
+    ]);
+    assert.strictEqual(result.response_id, 'resp_test123');
+    console.log('   ✅ Answer text and citations extracted');
+
+    console.log('\n🎉 All ask-vector-store tests passed!');
+  } finally {
+    server.close();
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ ask-vector-store test failed:', error);
+  process.exit(1);
+});
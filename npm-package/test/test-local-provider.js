@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the offline local storage provider
+ *
+ * Drives LocalProvider through the store and file lifecycle (create, list,
+ * attach, BM25 search, delete) in a temporary data directory, checks that a
+ * second provider on the same directory sees everything after a restart and
+ * that VECTOR_STORE_PROVIDER selects the right provider, and that the provider
+ * contract covers every provider method the tools call.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const assert = require('assert');
+const { LocalProvider } = require('../local-provider.cjs');
+const { OpenAIService, ErrorCodes } = require('../openai-service.cjs');
+const { createProvider, resolveProviderType, assertProvider, PROVIDER_METHODS, OPTIONAL_PROVIDER_METHODS } = require('../storage-provider.cjs');
+
+const DOCUMENTS = {
+  'refunds.md': '# Refunds\n\nAnnual plans can be refunded within 30 days of purchase. Monthly plans are not refundable.',
+  'shipping.md': '# Shipping\n\nOrders ship from the Sydney warehouse within two business days.',
+  'security.md': '# Security\n\nAll data is encrypted at rest and rotated keys are stored in a hardware module.'
+};
+
+async function run() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-provider-'));
+  try {
+    console.log('🧪 Testing the local storage provider...\n');
+
+    console.log('1. Vector store lifecycle');
+    let provider = new LocalProvider({ dataDir });
+    const store = await provider.createVectorStore({ name: 'Support docs', metadata: { team: 'support' } });
+    const other = await provider.createVectorStore({ name: 'Scratch', expires_after_days: 7 });
+    assert.match(store.id, /^vs_/);
+    assert.strictEqual(store.object, 'vector_store');
+    assert.strictEqual(store.metadata.team, 'support');
+    assert.deepStrictEqual(other.expires_after, { anchor: 'last_active_at', days: 7 });
+
+    const listed = await provider.listVectorStores();
+    assert.deepStrictEqual(listed.data.map((s) => s.id).sort(), [store.id, other.id].sort());
+    assert.strictEqual((await provider.getVectorStore(store.id)).name, 'Support docs');
+    console.log('   ✅ Stores are created, listed and fetched');
+
+    console.log('\n2. Files and search');
+    const fileIds = {};
+    for (const [filename, text] of Object.entries(DOCUMENTS)) {
+      const file = await provider.uploadFileContent({ content: text, filename });
+      assert.match(file.id, /^file-/);
+      assert.strictEqual(file.bytes, Buffer.byteLength(text));
+      fileIds[filename] = file.id;
+      const attached = await provider.addFileToVectorStore(store.id, { file_id: file.id, attributes: { topic: filename.replace('.md', '') } });
+      assert.strictEqual(attached.status, 'completed');
+    }
+    const storeFiles = await provider.listVectorStoreFiles(store.id);
+    assert.strictEqual(storeFiles.data.length, 3);
+    assert.strictEqual((await provider.getVectorStore(store.id)).file_counts.completed, 3);
+    console.log('   ✅ Uploaded files are attached and counted');
+
+    const results = await provider.searchVectorStore(store.id, { query: 'refund annual plans' });
+    assert.ok(results.data.length > 0, 'search should return hits');
+    assert.strictEqual(results.data[0].file_id, fileIds['refunds.md']);
+    assert.strictEqual(results.data[0].filename, 'refunds.md');
+    assert.ok(results.data[0].score > 0 && results.data[0].score < 1);
+    assert.match(results.data[0].content[0].text, /refunded within 30 days/);
+    console.log('   ✅ BM25 search ranks the matching file first');
+
+    const filtered = await provider.searchVectorStore(store.id, {
+      query: 'refund warehouse encrypted',
+      filters: { type: 'eq', key: 'topic', value: 'shipping' }
+    });
+    assert.deepStrictEqual(filtered.data.map((hit) => hit.file_id), [fileIds['shipping.md']]);
+    const none = await provider.searchVectorStore(store.id, { query: 'kangaroo' });
+    assert.strictEqual(none.data.length, 0);
+    console.log('   ✅ Attribute filters apply and unmatched queries return nothing');
+
+    console.log('\n3. Persistence across restarts');
+    provider = new LocalProvider({ dataDir });
+    const reloaded = await provider.listVectorStores();
+    assert.deepStrictEqual(reloaded.data.map((s) => s.id).sort(), [store.id, other.id].sort());
+    assert.strictEqual((await provider.listFiles()).data.length, 3);
+    assert.strictEqual((await provider.listVectorStoreFiles(store.id)).data.length, 3);
+    const again = await provider.searchVectorStore(store.id, { query: 'Sydney warehouse' });
+    assert.strictEqual(again.data[0].file_id, fileIds['shipping.md']);
+    console.log('   ✅ A new provider on the same directory sees stores, files and chunks');
+
+    console.log('\n4. Deletion');
+    const deletedFile = await provider.deleteFile(fileIds['refunds.md']);
+    assert.deepStrictEqual(deletedFile, { id: fileIds['refunds.md'], object: 'file', deleted: true });
+    assert.strictEqual((await provider.listVectorStoreFiles(store.id)).data.length, 2);
+    const afterDelete = await provider.searchVectorStore(store.id, { query: 'refund annual plans' });
+    assert.ok(afterDelete.data.every((hit) => hit.file_id !== fileIds['refunds.md']));
+    await assert.rejects(provider.getFile(fileIds['refunds.md']), (error) => error.code === ErrorCodes.NOT_FOUND);
+    console.log('   ✅ Deleting a file detaches it and drops it from search');
+
+    const deletedStore = await provider.deleteVectorStore(other.id);
+    assert.deepStrictEqual(deletedStore, { id: other.id, object: 'vector_store.deleted', deleted: true });
+    await assert.rejects(provider.getVectorStore(other.id), (error) => error.code === ErrorCodes.NOT_FOUND);
+    provider = new LocalProvider({ dataDir });
+    assert.deepStrictEqual((await provider.listVectorStores()).data.map((s) => s.id), [store.id]);
+    console.log('   ✅ Deleted stores stay deleted after a restart');
+
+    console.log('\n5. Provider selection');
+    assert.strictEqual(resolveProviderType({}, {}), 'openai');
+    assert.strictEqual(resolveProviderType({}, { VECTOR_STORE_PROVIDER: ' local ' }), 'local');
+    assert.strictEqual(resolveProviderType({ provider: 'openai' }, { VECTOR_STORE_PROVIDER: 'local' }), 'openai');
+
+    const selected = createProvider({}, { VECTOR_STORE_PROVIDER: 'local', LOCAL_STORE_DIR: dataDir });
+    assert.ok(selected instanceof LocalProvider);
+    assert.strictEqual(selected.dataDir, dataDir);
+    assert.deepStrictEqual((await selected.listVectorStores()).data.map((s) => s.id), [store.id]);
+
+    const hashIndexPath = path.join(dataDir, 'hash-index.json');
+    const journalDir = path.join(dataDir, 'journal');
+    assert.ok(createProvider({ hashIndexPath, journalDir }, { OPENAI_API_KEY: 'sk-test' }) instanceof OpenAIService);
+
+    assert.throws(
+      () => createProvider({}, { VECTOR_STORE_PROVIDER: './no-such-provider.cjs' }),
+      (error) => error.code === ErrorCodes.INVALID_PARAMS && /Unknown storage provider/.test(error.message)
+    );
+    console.log('   ✅ VECTOR_STORE_PROVIDER picks local, openai or rejects unknown providers');
+
+    console.log('\n6. Provider contract');
+    // The hash index is only ever given to OpenAIService, and local-provider.cjs is a provider itself
+    const toolModules = fs.readdirSync(path.join(__dirname, '..'))
+      .filter((name) => name.endsWith('.cjs') && !['file-hash-index.cjs', 'local-provider.cjs'].includes(name));
+    const called = new Set();
+    for (const name of toolModules) {
+      const source = fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+      for (const match of source.matchAll(/\bprovider\.(\w+)\(/g)) {
+        called.add(match[1]);
+      }
+    }
+    const uncovered = [...called].filter((method) => !PROVIDER_METHODS.includes(method) && !OPTIONAL_PROVIDER_METHODS.includes(method));
+    assert.deepStrictEqual(uncovered, [], `provider methods called by the tools but missing from PROVIDER_METHODS: ${uncovered.join(', ')}`);
+    const partial = Object.fromEntries(PROVIDER_METHODS.filter((method) => method !== 'waitForVectorStoreFileBatch').map((method) => [method, () => {}]));
+    assert.throws(
+      () => assertProvider(partial, './partial-provider.cjs'),
+      (error) => error.code === ErrorCodes.INTERNAL_ERROR && /missing required methods: waitForVectorStoreFileBatch/.test(error.message)
+    );
+    console.log('   ✅ PROVIDER_METHODS lists every provider method the tools call');
+
+    console.log('\n🎉 All local provider tests passed!');
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ local provider test failed:', error);
+  process.exit(1);
+});
@@ -7,12 +7,19 @@
  * and verifying the responses.
  */
 
-import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const { spawn } = require('child_process');
+const { join } = require('path');
+
+// Every tool the server registers
+const EXPECTED_TOOLS = [
+  'vector-store-create', 'vector-store-list', 'vector-store-get', 'vector-store-delete', 'vector-store-modify', 'vector-store-clone',
+  'vector-store-file-add', 'vector-store-file-list', 'vector-store-file-get', 'vector-store-file-wait', 'vector-store-file-content', 'vector-store-file-update', 'vector-store-file-delete',
+  'vector-store-file-batch-create', 'vector-store-file-batch-get', 'vector-store-file-batch-wait', 'vector-store-file-batch-cancel', 'vector-store-file-batch-files',
+  'vector-store-sync', 'vector-store-retry-failed', 'vector-store-watch-start', 'vector-store-watch-status', 'vector-store-watch-stop',
+  'vector-store-search', 'vector-store-search-multi', 'ask-vector-store',
+  'file-upload', 'file-upload-content', 'file-upload-url', 'file-upload-resume', 'file-upload-directory', 'file-list', 'file-get', 'file-delete', 'file-content', 'file-download',
+  'upload-create', 'upload-add-part', 'upload-complete', 'upload-cancel'
+];
 
 class MCPStdioTester {
   constructor() {
@@ -52,7 +59,7 @@ class MCPStdioTester {
         }
       });
 
-      if (response.result && response.result.serverInfo && response.result.serverInfo.name === 'openai-vector-store-mcp') {
+      if (response.result && response.result.serverInfo && response.result.serverInfo.name === 'roo-compatible-openai-vector-store-mcp') {
         this.addResult(true, 'Server initialized successfully');
       } else {
         this.addResult(false, 'Invalid initialization response');
@@ -76,27 +83,19 @@ class MCPStdioTester {
 
       if (response.result && response.result.tools && Array.isArray(response.result.tools)) {
         const toolCount = response.result.tools.length;
-        if (toolCount === 15) {
-          this.addResult(true, `Found all 15 vector store tools`);
+        if (toolCount === EXPECTED_TOOLS.length) {
+          this.addResult(true, `Found all ${EXPECTED_TOOLS.length} vector store tools`);
           
           // Check for specific tools
           const toolNames = response.result.tools.map(t => t.name);
-          const expectedTools = [
-            'vector-store-create',
-            'vector-store-list',
-            'vector-store-get',
-            'vector-store-delete',
-            'vector-store-modify'
-          ];
-          
-          const missingTools = expectedTools.filter(tool => !toolNames.includes(tool));
+          const missingTools = EXPECTED_TOOLS.filter(tool => !toolNames.includes(tool));
           if (missingTools.length === 0) {
-            this.addResult(true, 'All core vector store tools present');
+            this.addResult(true, 'All expected tools present');
           } else {
             this.addResult(false, `Missing tools: ${missingTools.join(', ')}`);
           }
         } else {
-          this.addResult(false, `Expected 15 tools, found ${toolCount}`);
+          this.addResult(false, `Expected ${EXPECTED_TOOLS.length} tools, found ${toolCount}`);
         }
       } else {
         this.addResult(false, 'Invalid tools list response');
@@ -138,7 +137,7 @@ class MCPStdioTester {
       // Set a dummy API key for testing (won't be used for these tests)
       const env = { ...process.env, OPENAI_API_KEY: 'test-key' };
       
-      const serverPath = join(__dirname, '../dist/index.js');
+      const serverPath = join(__dirname, '../universal-mcp-server.cjs');
       const child = spawn('node', [serverPath], {
         stdio: ['pipe', 'pipe', 'pipe'],
         env
@@ -156,17 +155,19 @@ class MCPStdioTester {
       });
 
       child.on('close', (code) => {
+        clearTimeout(timer);
         if (code !== 0) {
           reject(new Error(`Server exited with code ${code}: ${errorData}`));
           return;
         }
 
         try {
-          // Parse the JSON-RPC response
-          const lines = responseData.trim().split('\n');
-          const lastLine = lines[lines.length - 1];
-          if (lastLine) {
-            const response = JSON.parse(lastLine);
+          // Pick the response to this request out of the initialize exchange and notifications
+          const response = responseData.trim().split('\n')
+            .filter(Boolean)
+            .map((line) => JSON.parse(line))
+            .find((message) => message.id === request.id);
+          if (response) {
             resolve(response);
           } else {
             reject(new Error('No response received'));
@@ -180,12 +181,20 @@ class MCPStdioTester {
         reject(new Error(`Failed to start server: ${error.message}`));
       });
 
-      // Send the request
+      // Send the request, after the initialize call the server requires first
+      if (request.method !== 'initialize') {
+        child.stdin.write(JSON.stringify({
+          jsonrpc: '2.0',
+          id: 0,
+          method: 'initialize',
+          params: { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'test-client', version: '1.0.0' } }
+        }) + '\n');
+      }
       child.stdin.write(JSON.stringify(request) + '\n');
       child.stdin.end();
 
       // Set timeout
-      setTimeout(() => {
+      const timer = setTimeout(() => {
         child.kill();
         reject(new Error('Test timeout'));
       }, 5000);
@@ -0,0 +1,868 @@
+#!/usr/bin/env node
+
+/**
+ * End-to-end test for the stdio server tools against the mock OpenAI API
+ *
+ * Starts test/mock-openai-server.js, launches universal-mcp-server.cjs with
+ * OPENAI_BASE_URL pointing at it, and calls every tool over JSON-RPC. Also
+ * checks that injected 401/404/429/500 responses surface as tool errors.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const path = require('path');
+const assert = require('assert');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { MockOpenAIServer } = require('./mock-openai-server');
+const { listAllVectorStoreFiles, syncDirectoryToVectorStore } = require('../vector-store-sync.cjs');
+const { selectFiles } = require('../directory-upload.cjs');
+const { LocalProvider } = require('../local-provider.cjs');
+const { parseWatchConfig } = require('../directory-watcher.cjs');
+const { OpenAIService, ErrorCodes } = require('../openai-service.cjs');
+
+class StdioClient {
+  constructor(env) {
+    this.nextId = 1;
+    this.pending = new Map();
+    this.notifications = [];
+    this.child = spawn(process.execPath, [path.join(__dirname, '..', 'universal-mcp-server.cjs')], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ...env }
+    });
+
+    readline.createInterface({ input: this.child.stdout }).on('line', (line) => {
+      const message = JSON.parse(line);
+      if (message.method) {
+        this.notifications.push(message);
+        return;
+      }
+      const resolve = this.pending.get(message.id);
+      if (resolve) {
+        this.pending.delete(message.id);
+        resolve(message);
+      }
+    });
+  }
+
+  request(method, params = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${method}`)), 5000);
+      this.pending.set(id, (message) => {
+        clearTimeout(timer);
+        resolve(message);
+      });
+      this.child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+    });
+  }
+
+  initialize() {
+    return this.request('initialize', { protocolVersion: '2024-11-05', capabilities: {}, clientInfo: { name: 'e2e', version: '1.0.0' } });
+  }
+
+  /**
+   * Call a tool and return its parsed JSON result, or { isError, text } for tool errors
+   */
+  async call(name, args = {}, progressToken) {
+    const params = { name, arguments: args };
+    if (progressToken !== undefined) {
+      params._meta = { progressToken };
+    }
+    const response = await this.request('tools/call', params);
+    assert.ok(response.result, `${name} returned no result: ${JSON.stringify(response.error)}`);
+    const text = response.result.content[0].text;
+    if (response.result.isError) {
+      return { isError: true, text };
+    }
+    return JSON.parse(text);
+  }
+
+  /**
+   * The notifications/progress params sent for one progress token
+   */
+  progress(progressToken) {
+    return this.notifications
+      .filter((message) => message.method === 'notifications/progress' && message.params.progressToken === progressToken)
+      .map((message) => message.params);
+  }
+
+  close() {
+    this.child.stdin.end();
+    this.child.kill();
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Build a deflated ZIP archive. An entry's declaredSize overrides the
+ * uncompressed size written to its headers.
+ */
+function buildZip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const { name, data, declaredSize = data.length } of entries) {
+    const compressed = zlib.deflateRawSync(data);
+    const nameBytes = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(declaredSize, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt32LE(compressed.length, 20);
+    header.writeUInt32LE(declaredSize, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    header.writeUInt32LE(offset, 42);
+    locals.push(local, nameBytes, compressed);
+    central.push(header, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Local HTTP server standing in for the remote documents behind file-upload-url
+ */
+function startContentServer() {
+  const server = http.createServer((req, res) => {
+    const port = server.address().port;
+    if (req.url === '/docs/guide') {
+      res.writeHead(200, { 'Content-Type': 'text/markdown; charset=utf-8' });
+      res.end('Remote guide: annual plans renew each January.');
+    } else if (req.url === '/export?id=7') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Disposition': 'attachment; filename="report.pdf"' });
+      res.end('%PDF-1.4\n%%EOF');
+    } else if (req.url === '/moved') {
+      res.writeHead(302, { Location: '/docs/guide' });
+      res.end();
+    } else if (req.url === '/escape') {
+      res.writeHead(302, { Location: `http://localhost:${port}/docs/guide` });
+      res.end();
+    } else if (req.url === '/metadata') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    } else if (req.url === '/stream') {
+      // Chunked, so the size is only known while streaming
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('x'.repeat(100));
+      setTimeout(() => res.end('y'.repeat(100)), 20);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function run() {
+  console.log('🧪 Testing all stdio tools against the mock OpenAI API...\n');
+
+  const mock = new MockOpenAIServer({ processingDelayMs: 20 });
+  const baseUrl = await mock.start();
+  const contentServer = await startContentServer();
+  const contentUrl = `http://127.0.0.1:${contentServer.address().port}`;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-e2e-'));
+  const client = new StdioClient({
+    OPENAI_API_KEY: 'sk-mock',
+    OPENAI_BASE_URL: baseUrl,
+    VECTOR_STORE_PROVIDER: 'openai',
+    UPLOAD_JOURNAL_DIR: path.join(workDir, 'journal'),
+    FILE_HASH_INDEX: path.join(workDir, 'file-hashes.json'),
+    UPLOAD_URL_ALLOWED_HOSTS: '127.0.0.1'
+  });
+  const used = new Set();
+  const call = (name, args, progressToken) => {
+    used.add(name);
+    return client.call(name, args, progressToken);
+  };
+
+  try {
+    await client.initialize();
+    const { result: { tools } } = await client.request('tools/list');
+
+    // Files
+    const guidePath = path.join(workDir, 'guide.md');
+    fs.writeFileSync(guidePath, 'Annual plans can be refunded within 30 days.\nMonthly plans renew automatically.');
+    const notesPath = path.join(workDir, 'notes.json');
+    fs.writeFileSync(notesPath, JSON.stringify({ topic: 'shipping', days: 5 }));
+
+    const guide = await call('file-upload', { file_path: guidePath, purpose: 'assistants' });
+    const notes = await call('file-upload', { file_path: notesPath, purpose: 'assistants' });
+    assert.strictEqual(guide.filename, 'guide.md');
+
+    // Identical content is deduplicated by SHA-256 unless forced
+    const again = await call('file-upload', { file_path: guidePath, filename: 'copy.md' });
+    assert.strictEqual(again.id, guide.id);
+    assert.strictEqual(again.deduplicated, true);
+    assert.strictEqual(again.sha256, crypto.createHash('sha256').update(fs.readFileSync(guidePath)).digest('hex'));
+    const forced = await call('file-upload', { file_path: guidePath, force: true });
+    assert.notStrictEqual(forced.id, guide.id);
+    await call('file-delete', { file_id: forced.id });
+
+    // A fresh index is rebuilt from listFiles, hashing only same-size files
+    const restarted = new StdioClient({
+      OPENAI_API_KEY: 'sk-mock',
+      OPENAI_BASE_URL: baseUrl,
+      UPLOAD_JOURNAL_DIR: path.join(workDir, 'journal'),
+      FILE_HASH_INDEX: path.join(workDir, 'fresh-index.json')
+    });
+    try {
+      await restarted.initialize();
+      const rebuilt = await restarted.call('file-upload', { file_path: guidePath });
+      assert.strictEqual(rebuilt.id, guide.id);
+      assert.strictEqual(rebuilt.deduplicated, true);
+    } finally {
+      restarted.close();
+    }
+    // Hashes computed from downloads are kept, so the next process does not download them again
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(workDir, 'fresh-index.json'), 'utf8')).files[guide.id].sha256, again.sha256);
+    const contentRequests = () => mock.requests.filter((request) => /^\/files\/[^/]+\/content$/.test(request.path)).length;
+    const cachedRestart = new StdioClient({
+      OPENAI_API_KEY: 'sk-mock',
+      OPENAI_BASE_URL: baseUrl,
+      UPLOAD_JOURNAL_DIR: path.join(workDir, 'journal'),
+      FILE_HASH_INDEX: path.join(workDir, 'fresh-index.json')
+    });
+    try {
+      await cachedRestart.initialize();
+      const requestsBefore = contentRequests();
+      assert.strictEqual((await cachedRestart.call('file-upload', { file_path: guidePath })).id, guide.id);
+      assert.strictEqual(contentRequests(), requestsBefore);
+    } finally {
+      cachedRestart.close();
+    }
+
+    // Files the API will not let us download (as with purpose "assistants") are skipped, and not downloaded again
+    const refusedIndexPath = path.join(workDir, 'refused-index.json');
+    const undownloadable = new StdioClient({
+      OPENAI_API_KEY: 'sk-mock',
+      OPENAI_BASE_URL: baseUrl,
+      UPLOAD_JOURNAL_DIR: path.join(workDir, 'journal'),
+      FILE_HASH_INDEX: refusedIndexPath
+    });
+    try {
+      await undownloadable.initialize();
+      mock.injectError({ method: 'GET', path: `/files/${guide.id}/content`, status: 400, message: 'Not allowed to download files of purpose: assistants' });
+      const copy = await undownloadable.call('file-upload', { file_path: guidePath });
+      assert.notStrictEqual(copy.id, guide.id);
+      assert.strictEqual(JSON.parse(fs.readFileSync(refusedIndexPath, 'utf8')).files[guide.id].sha256, null);
+      const downloads = () => mock.requests.filter((request) => request.path === `/files/${guide.id}/content`).length;
+      const downloadsBefore = downloads();
+      assert.strictEqual((await undownloadable.call('file-upload', { file_path: guidePath })).id, copy.id);
+      assert.strictEqual(downloads(), downloadsBefore);
+      await undownloadable.call('file-delete', { file_id: copy.id });
+    } finally {
+      undownloadable.close();
+    }
+    assert.strictEqual((await call('file-list', { purpose: 'assistants' })).data.length, 2);
+    assert.strictEqual((await call('file-get', { file_id: guide.id })).bytes, fs.statSync(guidePath).size);
+    const notesContent = await call('file-content', { file_id: notes.id });
+    assert.strictEqual(notesContent.encoding, 'text');
+    assert.deepStrictEqual(JSON.parse(notesContent.content), { topic: 'shipping', days: 5 });
+
+    // Inline content, as text or base64, without a local file
+    const inline = await call('file-upload-content', { content: '# Inline\nNo local file needed.', filename: 'inline.md' });
+    assert.strictEqual(inline.bytes, Buffer.byteLength('# Inline\nNo local file needed.'));
+    assert.strictEqual(inline.sha256, crypto.createHash('sha256').update('# Inline\nNo local file needed.').digest('hex'));
+    const pdfBytes = Buffer.from('%PDF-1.4\n%%EOF');
+    const inlinePdf = await client.call('file-upload-content', { content: pdfBytes.toString('base64'), encoding: 'base64', filename: 'tiny.pdf' });
+    assert.strictEqual(inlinePdf.bytes, pdfBytes.length);
+
+    // Binaries come back as base64 from file-content and byte for byte from file-download
+    const pdfContent = await call('file-content', { file_id: inlinePdf.id });
+    assert.strictEqual(pdfContent.encoding, 'base64');
+    assert.strictEqual(pdfContent.content_type, 'application/pdf');
+    assert.deepStrictEqual(Buffer.from(pdfContent.content, 'base64'), pdfBytes);
+    // A large binary is only read as far as the preview, so its size comes from the file and there is no hash
+    const largePdf = Buffer.concat([Buffer.from('%PDF-1.4\n'), crypto.randomBytes(1024 * 1024)]);
+    const largeUpload = await call('file-upload-content', { content: largePdf.toString('base64'), encoding: 'base64', filename: 'large.pdf' });
+    const largeContent = await call('file-content', { file_id: largeUpload.id });
+    assert.strictEqual(largeContent.truncated, true);
+    assert.strictEqual(largeContent.bytes, largePdf.length);
+    assert.strictEqual(largeContent.sha256, undefined);
+    assert.deepStrictEqual(Buffer.from(largeContent.content, 'base64'), largePdf.subarray(0, 48 * 1024));
+    assert.match(largeContent.note, new RegExp(`first ${48 * 1024} of ${largePdf.length} bytes`));
+    const downloadDir = path.join(workDir, 'downloads');
+    fs.mkdirSync(downloadDir);
+    const download = await call('file-download', { file_id: inlinePdf.id, destination_path: downloadDir });
+    assert.strictEqual(download.path, path.join(downloadDir, 'tiny.pdf'));
+    assert.strictEqual(download.sha256, crypto.createHash('sha256').update(pdfBytes).digest('hex'));
+    assert.deepStrictEqual(fs.readFileSync(download.path), pdfBytes);
+    assert.match((await client.call('file-download', { file_id: inlinePdf.id, destination_path: download.path })).text, /already exists; pass overwrite: true/);
+    fs.writeFileSync(download.path, 'stale');
+    assert.strictEqual((await call('file-download', { file_id: inlinePdf.id, destination_path: download.path, overwrite: true })).bytes, pdfBytes.length);
+    assert.deepStrictEqual(fs.readdirSync(downloadDir), ['tiny.pdf']);
+    const badBase64 = await client.call('file-upload-content', { content: 'not base64!', encoding: 'base64', filename: 'x.pdf' });
+    assert.match(badBase64.text, /not valid base64/);
+    const badName = await client.call('file-upload-content', { content: 'x', filename: '../escape.md' });
+    assert.strictEqual(badName.isError, true);
+
+    // Files are identified by content: unsupported formats never reach /files and wrong extensions are fixed
+    const fileUploads = () => mock.requests.filter((request) => request.method === 'POST' && request.path === '/files').length;
+    const uploadsBefore = fileUploads();
+    const imagePath = path.join(workDir, 'diagram.md');
+    fs.writeFileSync(imagePath, Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'));
+    assert.match((await client.call('file-upload', { file_path: imagePath })).text, /not a format file_search supports \(detected: PNG image\)/);
+    assert.match((await client.call('file-upload-content', { content: 'a,b\n1,2', filename: 'table.csv' })).text, /detected: CSV data/);
+    assert.strictEqual(fileUploads(), uploadsBefore);
+    const unnamedPdf = await call('file-upload-content', { content: pdfBytes.toString('base64'), encoding: 'base64', filename: 'scan' });
+    assert.strictEqual(unnamedPdf.filename, 'scan.pdf');
+    await client.call('file-delete', { file_id: inline.id });
+    await client.call('file-delete', { file_id: inlinePdf.id });
+    await client.call('file-delete', { file_id: unnamedPdf.id });
+
+    // Notebooks, emails, RTF and similar formats are converted to text locally before upload
+    const notebookPath = path.join(workDir, 'analysis.ipynb');
+    fs.writeFileSync(notebookPath, JSON.stringify({
+      metadata: { kernelspec: { language: 'python' } },
+      cells: [
+        { cell_type: 'markdown', source: ['# Churn analysis\n', 'Refunds by plan.'] },
+        { cell_type: 'code', source: ['print(total)'], outputs: [{ output_type: 'stream', text: ['42\n'] }] }
+      ]
+    }));
+    const notebookPreview = await call('file-upload', { file_path: notebookPath, dry_run: true });
+    assert.strictEqual(notebookPreview.object, 'file.upload_preview');
+    assert.strictEqual(notebookPreview.filename, 'analysis.ipynb.md');
+    assert.strictEqual(notebookPreview.converted_from.format, 'Jupyter notebook');
+    assert.match(notebookPreview.preview, /# Churn analysis[\s\S]*```python\nprint\(total\)\n```[\s\S]*42/);
+    assert.strictEqual(fileUploads(), uploadsBefore + 1);
+    const notebook = await call('file-upload', { file_path: notebookPath });
+    assert.strictEqual(notebook.filename, 'analysis.ipynb.md');
+    assert.strictEqual(notebook.bytes, Buffer.byteLength(notebookPreview.preview));
+    const rtfPath = path.join(workDir, 'memo.rtf');
+    fs.writeFileSync(rtfPath, '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}\\f0 Caf\\\'e9 memo\\par}');
+    const rtfPreview = await call('file-upload', { file_path: rtfPath, dry_run: true });
+    assert.strictEqual(rtfPreview.filename, 'memo.rtf.txt');
+    assert.strictEqual(rtfPreview.preview.trim(), 'Café memo');
+    // .htm pages are accepted, even without a doctype, and uploaded as .html
+    const htmPath = path.join(workDir, 'fragment.htm');
+    fs.writeFileSync(htmPath, '<p>Opening hours are 9 to 5.</p>');
+    const htmPreview = await call('file-upload', { file_path: htmPath, dry_run: true });
+    assert.deepStrictEqual([htmPreview.filename, htmPreview.content_type], ['fragment.html', 'text/html']);
+
+    // ZIP-based formats are refused before they can inflate past their declared sizes
+    const bombPath = path.join(workDir, 'bomb.xlsx');
+    fs.writeFileSync(bombPath, buildZip([{ name: 'xl/workbook.xml', data: Buffer.alloc(1024 * 1024), declaredSize: 100 }]));
+    assert.match((await client.call('file-upload', { file_path: bombPath, dry_run: true })).text, /Converting bomb\.xlsx \(Excel workbook\) failed: ZIP entry xl\/workbook\.xml inflates past its declared 100 bytes/);
+    fs.writeFileSync(bombPath, buildZip([{ name: 'xl/workbook.xml', data: Buffer.from('<workbook/>'), declaredSize: 0xfffffff0 }]));
+    assert.match((await client.call('file-upload', { file_path: bombPath, dry_run: true })).text, /ZIP archive declares more than \d+ uncompressed bytes/);
+
+    // Uploads streamed from URLs, named from the response headers
+    const remote = await call('file-upload-url', { url: `${contentUrl}/moved` });
+    assert.strictEqual(remote.filename, 'guide.md');
+    assert.strictEqual(remote.source_url, `${contentUrl}/docs/guide`);
+    assert.strictEqual(remote.sha256, crypto.createHash('sha256').update('Remote guide: annual plans renew each January.').digest('hex'));
+    assert.strictEqual(remote.bytes, Buffer.byteLength('Remote guide: annual plans renew each January.'));
+    const report7 = await client.call('file-upload-url', { url: `${contentUrl}/export?id=7` });
+    assert.strictEqual(report7.filename, 'report.pdf');
+    assert.match((await client.call('file-upload-url', { url: `${contentUrl}/stream`, max_bytes: 150 })).text, /exceeds the maximum allowed size of 150 bytes/);
+    // Private, loopback and link-local addresses need to be listed by name, also after a redirect
+    assert.match((await client.call('file-upload-url', { url: `${contentUrl}/escape` })).text, /localhost is a private, loopback or link-local address/);
+    assert.match((await client.call('file-upload-url', { url: `${contentUrl}/metadata` })).text, /169\.254\.169\.254 is a private, loopback or link-local address/);
+    assert.match((await client.call('file-upload-url', { url: 'https://example.com/doc' })).text, /not in the allowed hosts/);
+    const anyHost = new OpenAIService('sk-mock', { baseUrl, urlAllowedHosts: '*' });
+    for (const url of ['http://127.0.0.2/', 'http://10.0.0.1/', 'http://172.31.255.255/', 'http://192.168.0.10/', 'http://100.64.0.1/', 'http://169.254.169.254/', 'http://[::1]/', 'http://[::ffff:10.0.0.1]/', 'http://[fc00::1]/', 'http://[fe80::1]/']) {
+      await assert.rejects(anyHost.uploadFileFromUrl({ url }), (error) => error.code === ErrorCodes.FORBIDDEN && /private, loopback or link-local/.test(error.message), url);
+    }
+    await assert.rejects(
+      new OpenAIService('sk-mock', { baseUrl }).uploadFileFromUrl({ url: `${contentUrl}/docs/guide` }),
+      (error) => error.code === ErrorCodes.FORBIDDEN && /disabled until UPLOAD_URL_ALLOWED_HOSTS/.test(error.message)
+    );
+    assert.match((await client.call('file-upload-url', { url: `${contentUrl}/missing` })).text, /HTTP 404/);
+    assert.match((await client.call('file-upload-url', { url: 'file:///etc/passwd' })).text, /Only http and https/);
+    await client.call('file-delete', { file_id: remote.id });
+    await client.call('file-delete', { file_id: report7.id });
+
+    const docsDir = path.join(workDir, 'docs');
+    fs.mkdirSync(path.join(docsDir, 'guides', 'drafts'), { recursive: true });
+    fs.writeFileSync(path.join(docsDir, 'readme.md'), 'Start here.');
+    fs.writeFileSync(path.join(docsDir, 'guides', 'setup.md'), 'Install the package.');
+    fs.writeFileSync(path.join(docsDir, 'guides', 'drafts', 'wip.md'), 'Not ready.');
+    fs.writeFileSync(path.join(docsDir, 'guides', 'diagram.png'), 'not text');
+    mock.injectError({ method: 'POST', path: '/files', status: 500 });
+    const report = await call('file-upload-directory', { directory_path: docsDir, include: ['*.md'], exclude: ['**/drafts/**'], concurrency: 1 }, 'directory');
+    assert.strictEqual(report.matched, 2);
+    assert.strictEqual(report.uploaded, 1);
+    assert.strictEqual(report.failed, 1);
+    assert.deepStrictEqual(report.skipped, { excluded: 2, extension: 0, size: 0, unreadable: [] });
+    assert.deepStrictEqual(report.files.map((file) => file.relative_path), ['guides/setup.md', 'readme.md']);
+    assert.deepStrictEqual(client.progress('directory').pop(), { progressToken: 'directory', progress: 2, total: 2, message: 'Uploaded readme.md' });
+    await client.call('file-delete', { file_id: report.files.find((file) => file.status === 'uploaded').file_id });
+
+    const upload = await call('upload-create', { filename: 'big.pdf', purpose: 'assistants', bytes: 1024, mime_type: 'application/pdf' });
+    assert.strictEqual(upload.status, 'pending');
+    assert.strictEqual((await call('upload-cancel', { upload_id: upload.id })).status, 'cancelled');
+
+    // Multipart upload by hand, then automatically in small parallel parts
+    const guideBytes = fs.statSync(guidePath).size;
+    const session = await call('upload-create', { filename: 'guide.md', purpose: 'assistants', bytes: guideBytes, mime_type: 'text/markdown' });
+    const firstPart = await call('upload-add-part', { upload_id: session.id, file_path: guidePath, offset: 0, length: 10 });
+    const secondPart = await call('upload-add-part', { upload_id: session.id, data: fs.readFileSync(guidePath).subarray(10).toString('base64') });
+    assert.strictEqual(firstPart.md5, crypto.createHash('md5').update(fs.readFileSync(guidePath).subarray(0, 10)).digest('hex'));
+    const md5 = crypto.createHash('md5').update(fs.readFileSync(guidePath)).digest('hex');
+    const completedUpload = await call('upload-complete', { upload_id: session.id, part_ids: [firstPart.id, secondPart.id], md5 });
+    assert.strictEqual(completedUpload.status, 'completed');
+    assert.strictEqual(completedUpload.file.bytes, guideBytes);
+
+    const chunked = await call('file-upload', { file_path: guidePath, multipart: true, part_size_bytes: 16, force: true }, 7);
+    assert.strictEqual(chunked.upload.parts.length, Math.ceil(guideBytes / 16));
+    const partProgress = client.progress(7);
+    assert.ok(partProgress.every((update, i) => update.total === guideBytes && (i === 0 || update.progress > partProgress[i - 1].progress)));
+    assert.strictEqual(partProgress.pop().progress, guideBytes);
+    assert.deepStrictEqual(client.progress(undefined), []);
+    assert.strictEqual(chunked.upload.md5, md5);
+    assert.strictEqual(chunked.bytes, guideBytes);
+    await client.call('file-delete', { file_id: chunked.id });
+    await client.call('file-delete', { file_id: completedUpload.file.id });
+
+    // An interrupted multipart upload resumes from the journal with only the missing parts
+    const partRequests = () => mock.requests.filter((request) => /\/parts$/.test(request.path)).length;
+    // An entry cut short by a crash is set aside instead of breaking the journal
+    const journalDir = path.join(workDir, 'journal');
+    fs.mkdirSync(journalDir, { recursive: true });
+    fs.writeFileSync(path.join(journalDir, 'upload_truncated.json'), '{"upload_id": "upload_trunc');
+    mock.injectError({ method: 'POST', path: /\/parts$/, status: 500, times: 3, skip: 2 });
+    const interrupted = await call('file-upload', { file_path: guidePath, multipart: true, part_size_bytes: 16, concurrency: 1, force: true });
+    assert.strictEqual(interrupted.isError, true);
+    const uploadId = interrupted.text.match(/upload (upload_\w+) can be continued/)[1];
+    const before = partRequests();
+    const resumed = await call('file-upload-resume', { upload_id: uploadId });
+    assert.strictEqual(resumed.upload.resumed_parts, 2);
+    assert.strictEqual(partRequests() - before, Math.ceil(guideBytes / 16) - 2);
+    assert.strictEqual(resumed.bytes, guideBytes);
+    await client.call('file-delete', { file_id: resumed.id });
+    assert.deepStrictEqual(fs.readdirSync(journalDir), ['upload_truncated.json.corrupt']);
+    assert.match((await client.call('file-upload-resume', { upload_id: 'upload_truncated' })).text, /No journaled upload found with id 'upload_truncated'/);
+    fs.rmSync(path.join(journalDir, 'upload_truncated.json.corrupt'));
+
+    // A changed file is never resumed
+    mock.injectError({ method: 'POST', path: /\/parts$/, status: 500, times: 3 });
+    const stale = await client.call('file-upload', { file_path: notesPath, multipart: true, part_size_bytes: 16, concurrency: 1, force: true });
+    assert.strictEqual(stale.isError, true);
+    fs.appendFileSync(notesPath, ' ');
+    const refused = await call('file-upload-resume', {});
+    assert.strictEqual(refused.data[0].status, 'failed');
+    assert.match(refused.data[0].error, /has changed/);
+    fs.writeFileSync(notesPath, JSON.stringify({ topic: 'shipping', days: 5 }));
+    await client.call('upload-cancel', { upload_id: refused.data[0].upload_id });
+    assert.deepStrictEqual(fs.readdirSync(path.join(workDir, 'journal')), []);
+    console.log('   ✅ File tools');
+
+    // Vector stores
+    const store = await call('vector-store-create', { name: 'Policies', metadata: { team: 'support' } });
+    const other = await call('vector-store-create', { name: 'Other', metadata: { team: 'support' } });
+    assert.strictEqual((await call('vector-store-list', { limit: 10 })).data.length, 2);
+    // Cursor paging in both directions, and all pages at once
+    const firstPage = await call('vector-store-list', { limit: 1 });
+    assert.deepStrictEqual([firstPage.data[0].id, firstPage.has_more, firstPage.next_cursor], [other.id, true, other.id]);
+    const secondPage = await call('vector-store-list', { limit: 1, after: firstPage.next_cursor });
+    assert.deepStrictEqual([secondPage.data[0].id, secondPage.has_more, secondPage.next_cursor], [store.id, false, null]);
+    assert.deepStrictEqual((await call('vector-store-list', { limit: 1, before: store.id })).data.map((vs) => vs.id), [other.id]);
+    const allStores = await call('vector-store-list', { all: true, order: 'asc' });
+    assert.deepStrictEqual([allStores.data.map((vs) => vs.id), allStores.has_more, allStores.next_cursor], [[store.id, other.id], false, null]);
+    // Any tool taking vector_store_id also takes vector_store_name
+    const addSchema = tools.find((tool) => tool.name === 'vector-store-file-add').inputSchema;
+    assert.deepStrictEqual([addSchema.required, addSchema.properties.vector_store_name.type], [['file_id'], 'string']);
+    assert.strictEqual((await call('vector-store-get', { vector_store_name: 'policies' })).id, store.id);
+    assert.match((await client.call('vector-store-get', { vector_store_name: 'Polices' })).text, /No vector store is named "Polices"\. Did you mean "Policies"\?/);
+    const twin = await call('vector-store-create', { name: 'Policies' });
+    assert.match((await client.call('vector-store-file-list', { vector_store_name: 'Policies' })).text, /2 vector stores are named "Policies" \(vs_\w+, vs_\w+\); pass vector_store_id/);
+    await call('vector-store-delete', { vector_store_id: twin.id });
+    assert.strictEqual((await call('vector-store-file-list', { vector_store_name: 'Policies' })).data.length, 0);
+    // Cached names are checked against the store, so a rename made elsewhere is noticed at once
+    mock.vectorStores.get(store.id).name = 'Policies (archived)';
+    assert.match((await client.call('vector-store-get', { vector_store_name: 'Policies' })).text, /No vector store is named "Policies"\. Did you mean "Policies \(archived\)"\?/);
+    mock.vectorStores.get(store.id).name = 'Policies';
+    assert.strictEqual((await call('vector-store-get', { vector_store_id: store.id })).name, 'Policies');
+    assert.strictEqual((await call('vector-store-modify', { vector_store_id: other.id, name: 'Renamed' })).name, 'Renamed');
+    console.log('   ✅ Vector store tools');
+
+    // Vector store files, with an in_progress -> completed transition
+    const added = await call('vector-store-file-add', { vector_store_id: store.id, file_id: guide.id });
+    assert.strictEqual(added.status, 'in_progress');
+    assert.strictEqual(added.attributes.sha256, guide.sha256);
+    const addedWait = await call('vector-store-file-wait', { vector_store_id: store.id, file_id: guide.id });
+    assert.deepStrictEqual([addedWait.status, addedWait.timed_out, addedWait.failed_files], ['completed', false, []]);
+    assert.strictEqual((await call('vector-store-file-get', { vector_store_id: store.id, file_id: guide.id })).status, 'completed');
+    assert.strictEqual((await call('vector-store-file-list', { vector_store_id: store.id, filter: 'completed' })).data.length, 1);
+    const content = await call('vector-store-file-content', { vector_store_id: store.id, file_id: guide.id });
+    assert.match(content.data[0].text, /Annual plans/);
+    // Typed attributes replace the old ones on update and are checked against the API limits
+    const updated = await call('vector-store-file-update', { vector_store_id: store.id, file_id: guide.id, attributes: { category: 'billing', year: 2024, public: true } });
+    assert.deepStrictEqual(updated.attributes, { category: 'billing', year: 2024, public: true });
+    const nested = await client.call('vector-store-file-update', { vector_store_id: store.id, file_id: guide.id, attributes: { owner: { team: 'support' } } });
+    assert.match(nested.text, /attributes\.owner must be a string of up to 512 characters, a number or a boolean/);
+    const tooMany = Object.fromEntries(Array.from({ length: 17 }, (_, i) => [`key${i}`, i]));
+    assert.match((await client.call('vector-store-file-add', { vector_store_id: store.id, file_id: notes.id, attributes: tooMany })).text, /17 keys; at most 16/);
+
+    // Chunking strategies: sent on create and kept in metadata as the default for later files,
+    // which are added without fetching the store again; explicit ones win and limits are checked
+    const chunkedStore = await call('vector-store-create', { name: 'Chunked', chunking_strategy: { type: 'static', max_chunk_size_tokens: 1200, chunk_overlap_tokens: 300 } });
+    assert.strictEqual(chunkedStore.metadata.chunking_strategy, 'static:1200:300');
+    const createRequest = mock.requests.filter((r) => r.method === 'POST' && r.path === '/vector_stores').pop();
+    assert.deepStrictEqual(createRequest.json.chunking_strategy, { type: 'static', static: { max_chunk_size_tokens: 1200, chunk_overlap_tokens: 300 } });
+    const storeLookups = () => mock.requests.filter((r) => r.method === 'GET' && r.path === `/vector_stores/${chunkedStore.id}`).length;
+    await call('vector-store-file-add', { vector_store_id: chunkedStore.id, file_id: guide.id });
+    assert.deepStrictEqual(
+      (await call('vector-store-file-get', { vector_store_id: chunkedStore.id, file_id: guide.id })).chunking_strategy,
+      { type: 'static', static: { max_chunk_size_tokens: 1200, chunk_overlap_tokens: 300 } }
+    );
+    await call('vector-store-file-batch-create', { vector_store_id: chunkedStore.id, file_ids: [notes.id], chunking_strategy: { type: 'static', max_chunk_size_tokens: 400, chunk_overlap_tokens: 0 } });
+    assert.deepStrictEqual(
+      (await call('vector-store-file-get', { vector_store_id: chunkedStore.id, file_id: notes.id })).chunking_strategy.static,
+      { max_chunk_size_tokens: 400, chunk_overlap_tokens: 0 }
+    );
+    assert.strictEqual(storeLookups(), 0);
+    const tooMuchOverlap = await client.call('vector-store-file-add', { vector_store_id: chunkedStore.id, file_id: notes.id, chunking_strategy: { type: 'static', max_chunk_size_tokens: 1000, chunk_overlap_tokens: 600 } });
+    assert.match(tooMuchOverlap.text, /chunk_overlap_tokens must be an integer from 0 to half of max_chunk_size_tokens \(500\)/);
+    assert.match((await client.call('vector-store-create', { name: 'Huge', chunking_strategy: { type: 'static', max_chunk_size_tokens: 5000 } })).text, /from 100 to 4096/);
+    await call('vector-store-delete', { vector_store_id: chunkedStore.id });
+    console.log('   ✅ Vector store file tools');
+
+    // Batches, including cancellation of one still in progress
+    const batch = await call('vector-store-file-batch-create', {
+      vector_store_id: other.id,
+      file_ids: [guide.id],
+      files: [{ file_id: notes.id, attributes: { kind: 'notes', days: 5 } }]
+    });
+    assert.strictEqual(batch.status, 'in_progress');
+    const batchWait = await call('vector-store-file-batch-wait', { vector_store_id: other.id, batch_id: batch.id }, 'batch');
+    assert.strictEqual(batchWait.file_batch.status, 'completed');
+    assert.deepStrictEqual(client.progress('batch').pop(), { progressToken: 'batch', progress: 2, total: 2, message: '2 completed, 0 failed' });
+    const finished = await call('vector-store-file-batch-get', { vector_store_id: other.id, batch_id: batch.id });
+    assert.strictEqual(finished.status, 'completed');
+    assert.strictEqual(finished.file_counts.completed, 2);
+    assert.strictEqual((await call('vector-store-file-batch-files', { vector_store_id: other.id, batch_id: batch.id })).data.length, 2);
+    assert.deepStrictEqual(
+      (await call('vector-store-file-get', { vector_store_id: other.id, file_id: notes.id })).attributes,
+      { kind: 'notes', days: 5, sha256: notes.sha256 }
+    );
+
+    // Failed files come back with their last_error codes
+    mock.failFile(notes.id, 'unsupported_file', 'The file type is not supported.');
+    const failingBatch = await call('vector-store-file-batch-create', { vector_store_id: store.id, file_ids: [notes.id] });
+    const failedWait = await call('vector-store-file-batch-wait', { vector_store_id: store.id, batch_id: failingBatch.id });
+    assert.strictEqual(failedWait.file_batch.file_counts.failed, 1);
+    assert.deepStrictEqual(failedWait.failed_files, [{ file_id: notes.id, code: 'unsupported_file', message: 'The file type is not supported.' }]);
+
+    // Transient failures are re-attached with their attributes, permanent ones only reported
+    const retryStore = await call('vector-store-create', { name: 'Retry' });
+    mock.failFile(guide.id, 'server_error');
+    await call('vector-store-file-batch-wait', {
+      vector_store_id: retryStore.id,
+      batch_id: (await call('vector-store-file-batch-create', { vector_store_id: retryStore.id, files: [{ file_id: guide.id, attributes: { tier: 2 } }, { file_id: notes.id }] })).id
+    });
+    const retryPreview = await call('vector-store-retry-failed', { vector_store_id: retryStore.id, dry_run: true });
+    assert.deepStrictEqual(retryPreview.plan.retry.map((file) => [file.file_id, file.code]), [[guide.id, 'server_error']]);
+    assert.deepStrictEqual(retryPreview.plan.permanent.map((file) => [file.file_id, file.code]), [[notes.id, 'unsupported_file']]);
+    assert.strictEqual(retryPreview.applied, undefined);
+    mock.fileOutcomes.delete(guide.id);
+    const retriedStore = await call('vector-store-retry-failed', { vector_store_id: retryStore.id, wait: true });
+    assert.deepStrictEqual(retriedStore.applied.retried, [{ file_id: guide.id, status: 'completed' }]);
+    assert.deepStrictEqual(retriedStore.applied.still_failing.map((file) => [file.file_id, file.retryable]), [[notes.id, false]]);
+    assert.deepStrictEqual(
+      (await call('vector-store-file-get', { vector_store_id: retryStore.id, file_id: guide.id })).attributes,
+      { tier: 2, sha256: guide.sha256 }
+    );
+
+    // A clone gets the same files and attributes; files that failed in the source are reported
+    const clone = await call('vector-store-clone', { vector_store_id: retryStore.id, metadata: { env: 'test' }, wait: true });
+    assert.deepStrictEqual([clone.vector_store.name, clone.vector_store.metadata.env, clone.files_copied, clone.timed_out], ['Retry (copy)', 'test', 1, false]);
+    assert.deepStrictEqual(clone.not_copied, [{ file_id: notes.id, code: 'unsupported_file', message: 'The file type is not supported.', stage: 'source' }]);
+    assert.deepStrictEqual(
+      (await call('vector-store-file-get', { vector_store_id: clone.vector_store.id, file_id: guide.id })).attributes,
+      { tier: 2, sha256: guide.sha256 }
+    );
+    assert.strictEqual((await call('vector-store-get', { vector_store_name: 'Retry (copy)' })).id, clone.vector_store.id);
+    await call('vector-store-delete', { vector_store_id: clone.vector_store.id });
+
+    // A re-add that fails after the detach is tried again, and reported as detached if that fails too
+    const failGuide = async () => {
+      mock.failFile(guide.id, 'server_error');
+      await call('vector-store-file-wait', { vector_store_id: retryStore.id, file_id: (await call('vector-store-file-add', { vector_store_id: retryStore.id, file_id: guide.id })).id });
+      mock.fileOutcomes.delete(guide.id);
+    };
+    // A file chunked before strategies existed is re-added with the store default instead of being lost
+    await failGuide();
+    mock.vectorStoreFiles.get(retryStore.id).get(guide.id).chunking_strategy = { type: 'other' };
+    assert.deepStrictEqual((await call('vector-store-retry-failed', { vector_store_id: retryStore.id })).applied.retried, [{ file_id: guide.id, status: 'in_progress' }]);
+    assert.strictEqual((await call('vector-store-file-get', { vector_store_id: retryStore.id, file_id: guide.id })).id, guide.id);
+    await failGuide();
+    mock.injectError({ method: 'POST', path: `/vector_stores/${retryStore.id}/files`, status: 500 });
+    assert.deepStrictEqual((await call('vector-store-retry-failed', { vector_store_id: retryStore.id })).applied.retried, [{ file_id: guide.id, status: 'in_progress' }]);
+    await failGuide();
+    mock.injectError({ method: 'POST', path: `/vector_stores/${retryStore.id}/files`, status: 500, times: 2 });
+    const lostRetry = await call('vector-store-retry-failed', { vector_store_id: retryStore.id });
+    assert.deepStrictEqual(lostRetry.applied.retried, []);
+    const lost = lostRetry.applied.still_failing.find((file) => file.file_id === guide.id);
+    assert.deepStrictEqual([lost.code, lost.retryable, lost.stage], ['retry_error', true, 'detached']);
+    assert.ok((await client.call('vector-store-file-get', { vector_store_id: retryStore.id, file_id: guide.id })).isError);
+    await call('vector-store-delete', { vector_store_id: retryStore.id });
+    mock.fileOutcomes.delete(notes.id);
+
+    mock.processingDelayMs = 60000;
+    const slowBatch = await call('vector-store-file-batch-create', { vector_store_id: store.id, file_ids: [notes.id] });
+    const timedOut = await call('vector-store-file-batch-wait', { vector_store_id: store.id, batch_id: slowBatch.id, timeout_seconds: 0 });
+    assert.deepStrictEqual([timedOut.status, timedOut.timed_out, timedOut.polls], ['in_progress', true, 1]);
+    assert.match((await client.call('vector-store-file-wait', { vector_store_id: store.id, file_id: notes.id, timeout_seconds: -1 })).text, /timeout_seconds must be a number from 0 to 3600/);
+    const cancelled = await call('vector-store-file-batch-cancel', { vector_store_id: store.id, batch_id: slowBatch.id });
+    assert.strictEqual(cancelled.status, 'cancelled');
+    mock.processingDelayMs = 20;
+    const convertedAttached = await call('vector-store-file-add', { vector_store_id: other.id, file_id: notebook.id });
+    assert.strictEqual(convertedAttached.attributes.original_filename, 'analysis.ipynb');
+    assert.strictEqual(convertedAttached.attributes.original_format, 'Jupyter notebook');
+    console.log('   ✅ File batch tools');
+
+    // Directory sync: plan, apply, then only the differences on the next run
+    const syncDir = path.join(workDir, 'sync');
+    fs.mkdirSync(path.join(syncDir, 'b'), { recursive: true });
+    fs.writeFileSync(path.join(syncDir, 'a.md'), 'Alpha');
+    fs.writeFileSync(path.join(syncDir, 'b', 'c.md'), 'Charlie');
+    fs.writeFileSync(path.join(syncDir, 'd.md'), 'Alpha');
+    const synced = await call('vector-store-create', { name: 'Synced' });
+    await call('vector-store-file-add', { vector_store_id: synced.id, file_id: notes.id });
+
+    const preview = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, dry_run: true });
+    assert.deepStrictEqual(preview.plan.add.map((file) => file.path), ['a.md', 'b/c.md', 'd.md']);
+    assert.strictEqual(preview.plan.unmanaged, 1);
+    assert.strictEqual(preview.applied, undefined);
+    assert.strictEqual((await client.call('vector-store-file-list', { vector_store_id: synced.id })).data.length, 1);
+
+    const firstSync = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, concurrency: 1 });
+    assert.deepStrictEqual(firstSync.applied.errors, []);
+    // Identical content at two paths still gets one file per path
+    assert.strictEqual(new Set(firstSync.applied.uploaded.map((file) => file.file_id)).size, 3);
+
+    fs.writeFileSync(path.join(syncDir, 'a.md'), 'Alpha, revised');
+    fs.rmSync(path.join(syncDir, 'b', 'c.md'));
+    fs.writeFileSync(path.join(syncDir, 'e.md'), 'Echo');
+    const secondSync = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, delete_files: true });
+    assert.deepStrictEqual(secondSync.plan.add.map((file) => file.path), ['e.md']);
+    assert.deepStrictEqual(secondSync.plan.replace.map((file) => file.path), ['a.md']);
+    assert.deepStrictEqual(secondSync.plan.remove.map((file) => [file.path, file.reason]), [['b/c.md', 'deleted']]);
+    assert.strictEqual(secondSync.plan.unchanged, 1);
+    assert.strictEqual(secondSync.applied.removed.length, 2);
+    assert.strictEqual((await client.call('file-get', { file_id: secondSync.plan.remove[0].file_id })).isError, true);
+
+    const settled = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, dry_run: true });
+    assert.deepStrictEqual([settled.plan.add, settled.plan.replace, settled.plan.remove], [[], [], []]);
+    assert.strictEqual(settled.plan.unchanged, 3);
+    assert.strictEqual(settled.plan.unmanaged, 1);
+
+    // A replacement that fails processing is detached and the old version kept
+    const aFileId = async () => (await call('vector-store-file-list', { vector_store_id: synced.id, all: true })).data
+      .filter((file) => file.attributes.path === 'a.md')
+      .map((file) => file.id);
+    const [previousA] = await aFileId();
+    fs.writeFileSync(path.join(syncDir, 'a.md'), 'Alpha, broken');
+    mock.failFile('a.md', 'invalid_file');
+    const failedReplace = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir });
+    mock.fileOutcomes.delete('a.md');
+    assert.deepStrictEqual(failedReplace.applied.kept.map((file) => [file.path, file.file_id, file.replacement_status]), [['a.md', previousA, 'failed']]);
+    assert.deepStrictEqual(failedReplace.applied.errors, []);
+    assert.deepStrictEqual(await aFileId(), [previousA]);
+
+    // One still processing when the wait ends leaves both, and the next sync removes the old one once it is done
+    mock.processingDelayMs = 60000;
+    const slowReplace = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, timeout_seconds: 0 });
+    assert.deepStrictEqual(slowReplace.applied.kept.map((file) => [file.file_id, file.replacement_status]), [[previousA, 'in_progress']]);
+    assert.strictEqual((await aFileId()).length, 2);
+    assert.deepStrictEqual((await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, dry_run: true })).plan.remove, []);
+    mock.processingDelayMs = 20;
+    mock.vectorStoreFiles.get(synced.id).get(slowReplace.applied.kept[0].replacement_file_id).ready_at = Date.now();
+    const caughtUp = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir });
+    assert.deepStrictEqual(caughtUp.plan.remove.map((file) => [file.file_id, file.reason]), [[previousA, 'duplicate']]);
+    assert.deepStrictEqual(await aFileId(), [slowReplace.applied.kept[0].replacement_file_id]);
+
+    // A file another store also holds, as a deduplicated upload would be, is detached but not deleted
+    const echoId = secondSync.applied.uploaded.find((file) => file.path === 'e.md').file_id;
+    const sharing = await call('vector-store-create', { name: 'Sharing' });
+    await call('vector-store-file-add', { vector_store_id: sharing.id, file_id: echoId });
+    fs.rmSync(path.join(syncDir, 'e.md'));
+    const sharedSync = await call('vector-store-sync', { vector_store_id: synced.id, directory_path: syncDir, delete_files: true });
+    assert.deepStrictEqual(sharedSync.applied.removed, [echoId]);
+    assert.deepStrictEqual(sharedSync.applied.shared, [{ path: 'e.md', file_id: echoId }]);
+    assert.strictEqual((await call('file-get', { file_id: echoId })).id, echoId);
+    assert.strictEqual((await call('vector-store-file-get', { vector_store_id: sharing.id, file_id: echoId })).id, echoId);
+    await call('vector-store-delete', { vector_store_id: sharing.id });
+    fs.writeFileSync(path.join(syncDir, 'e.md'), 'Echo');
+
+    // An unreadable subdirectory is reported, and its files are neither uploaded nor removed from the store
+    const lockedProvider = new LocalProvider({ dataDir: path.join(workDir, 'locked-store') });
+    const lockedStore = await lockedProvider.createVectorStore({ name: 'Locked' });
+    const lockedDir = path.join(syncDir, 'locked');
+    fs.mkdirSync(lockedDir);
+    fs.writeFileSync(path.join(lockedDir, 'secret.md'), 'Sierra');
+    await syncDirectoryToVectorStore(lockedProvider, { vector_store_id: lockedStore.id, directory_path: syncDir });
+    const readdirSync = fs.readdirSync;
+    fs.readdirSync = (dir, ...rest) => {
+      if (path.resolve(String(dir)) === lockedDir) {
+        throw Object.assign(new Error(`EACCES: permission denied, scandir '${dir}'`), { code: 'EACCES' });
+      }
+      return readdirSync(dir, ...rest);
+    };
+    try {
+      const { selected, skipped } = selectFiles(syncDir, { recursive: true });
+      assert.ok(!selected.some((file) => file.relative_path.startsWith('locked/')));
+      assert.deepStrictEqual(skipped.unreadable, [{ relative_path: 'locked', reason: `EACCES: permission denied, scandir '${lockedDir}'` }]);
+      const lockedSync = await syncDirectoryToVectorStore(lockedProvider, { vector_store_id: lockedStore.id, directory_path: syncDir, delete_files: true });
+      assert.deepStrictEqual(lockedSync.unreadable.map((dir) => dir.relative_path), ['locked']);
+      assert.deepStrictEqual(lockedSync.plan.remove, []);
+      const lockedFiles = await listAllVectorStoreFiles(lockedProvider, lockedStore.id);
+      assert.ok(lockedFiles.some((file) => file.attributes.path === 'locked/secret.md'));
+    } finally {
+      fs.readdirSync = readdirSync;
+      fs.rmSync(lockedDir, { recursive: true });
+    }
+
+    // Stores larger than one page are listed in full
+    const pagedFiles = Array.from({ length: 250 }, (_, i) => ({ id: `file-${String(i).padStart(3, '0')}` }));
+    const pagedProvider = {
+      async listVectorStoreFiles(vectorStoreId, { limit, after }) {
+        const start = after ? pagedFiles.findIndex((file) => file.id === after) + 1 : 0;
+        const data = pagedFiles.slice(start, start + limit);
+        return { data, has_more: start + limit < pagedFiles.length };
+      }
+    };
+    assert.strictEqual((await listAllVectorStoreFiles(pagedProvider, 'vs_paged')).length, 250);
+    console.log('   ✅ Vector store sync');
+
+    // Watch mode: changes are synced after the debounce, deletions are detached
+    const waitForSync = async (watchId, syncs) => {
+      for (let i = 0; i < 100; i++) {
+        const status = await call('vector-store-watch-status', { watch_id: watchId });
+        if (status.syncs >= syncs && status.status === 'watching') {
+          return status;
+        }
+        await sleep(50);
+      }
+      throw new Error(`${watchId} did not reach ${syncs} syncs`);
+    };
+    const watchDir = path.join(workDir, 'watched');
+    fs.mkdirSync(watchDir);
+    fs.writeFileSync(path.join(watchDir, 'faq.md'), 'Question one');
+    const watchedStore = await call('vector-store-create', { name: 'Watched' });
+    const watch = await call('vector-store-watch-start', { vector_store_id: watchedStore.id, directory_path: watchDir, debounce_ms: 50 });
+    assert.strictEqual(watch.status, 'watching');
+    assert.strictEqual((await waitForSync(watch.id, 1)).last_sync.added, 1);
+    const duplicateWatch = await client.call('vector-store-watch-start', { vector_store_id: watchedStore.id, directory_path: watchDir });
+    assert.match(duplicateWatch.text, /already synced/);
+
+    fs.writeFileSync(path.join(watchDir, 'faq.md'), 'Question one, answered');
+    fs.writeFileSync(path.join(watchDir, 'new.md'), 'Question two');
+    const afterEdit = await waitForSync(watch.id, 2);
+    assert.deepStrictEqual([afterEdit.last_sync.added, afterEdit.last_sync.replaced], [1, 1]);
+    fs.rmSync(path.join(watchDir, 'new.md'));
+    assert.strictEqual((await waitForSync(watch.id, 3)).last_sync.removed, 1);
+    const watchedFiles = await client.call('vector-store-file-list', { vector_store_id: watchedStore.id });
+    assert.deepStrictEqual(watchedFiles.data.map((file) => file.attributes.path), ['faq.md']);
+
+    assert.strictEqual((await call('vector-store-watch-stop', { watch_id: watch.id })).data[0].status, 'stopped');
+    assert.deepStrictEqual((await client.call('vector-store-watch-status', {})).data, []);
+    assert.deepStrictEqual(
+      parseWatchConfig(['--watch', './docs=vs_1', '--watch-debounce-ms=500'], { VECTOR_STORE_WATCH: './ignored=vs_2' }),
+      [{ directory_path: './docs', vector_store_id: 'vs_1', debounce_ms: 500 }]
+    );
+    // Malformed entries are logged and skipped rather than stopping the server
+    const watchWarnings = [];
+    assert.deepStrictEqual(
+      parseWatchConfig([], { VECTOR_STORE_WATCH: './docs=vs_1,nodir,./notes=', WATCH_DEBOUNCE_MS: 'soon' }, (message) => watchWarnings.push(message)),
+      [{ directory_path: './docs', vector_store_id: 'vs_1' }]
+    );
+    assert.deepStrictEqual(watchWarnings, [
+      'Ignoring watch debounce "soon": expected a non-negative integer of milliseconds',
+      'Ignoring watch "nodir": expected <directory>=<vector_store_id>',
+      'Ignoring watch "./notes=": expected <directory>=<vector_store_id>'
+    ]);
+    const badWatch = new StdioClient({
+      OPENAI_API_KEY: 'sk-mock',
+      OPENAI_BASE_URL: baseUrl,
+      UPLOAD_JOURNAL_DIR: path.join(workDir, 'journal'),
+      FILE_HASH_INDEX: path.join(workDir, 'bad-watch-index.json'),
+      VECTOR_STORE_WATCH: 'nodir'
+    });
+    try {
+      assert.strictEqual((await badWatch.initialize()).result.serverInfo.version, '1.2.0');
+      assert.ok(Array.isArray((await badWatch.call('vector-store-list', {})).data));
+    } finally {
+      badWatch.close();
+    }
+    console.log('   ✅ Watch tools');
+
+    // Search and grounded answers
+    const search = await call('vector-store-search', { vector_store_id: store.id, query: 'annual refund' });
+    assert.strictEqual(search.data[0].file_id, guide.id);
+    const billing = { type: 'and', filters: [{ type: 'eq', key: 'category', value: 'billing' }, { type: 'gte', key: 'year', value: 2024 }] };
+    assert.strictEqual((await call('vector-store-search', { vector_store_id: store.id, query: 'annual refund', filters: billing })).data[0].file_id, guide.id);
+    const archived = { type: 'eq', key: 'public', value: false };
+    assert.strictEqual((await call('vector-store-search', { vector_store_id: store.id, query: 'annual refund', filters: archived })).data.length, 0);
+    const multi = await call('vector-store-search-multi', { vector_store_ids: [store.id, other.id], query: 'annual refund' });
+    assert.deepStrictEqual(multi.errors, []);
+    assert.ok(multi.data.length >= 1);
+    // An empty selector is refused rather than searching every store
+    const listedBefore = mock.requests.length;
+    for (const selector of [{ vector_store_ids: [] }, { vector_store_metadata: {} }]) {
+      assert.match((await client.call('vector-store-search-multi', { ...selector, query: 'annual refund' })).text, /vector_store_ids or a non-empty vector_store_metadata selector is required/);
+    }
+    assert.strictEqual(mock.requests.length, listedBefore);
+    const answer = await call('ask-vector-store', { vector_store_ids: [store.id], question: 'annual refund' });
+    assert.strictEqual(answer.citations[0].file_id, guide.id);
+    // Tools taking vector_store_ids take vector_store_names too
+    const askSchema = tools.find((tool) => tool.name === 'ask-vector-store').inputSchema;
+    assert.deepStrictEqual([askSchema.required, askSchema.properties.vector_store_names.type], [['question'], 'array']);
+    const searchesBefore = mock.requests.length;
+    const multiByName = await call('vector-store-search-multi', { vector_store_ids: [store.id], vector_store_names: ['policies', 'Renamed'], query: 'annual refund' });
+    assert.deepStrictEqual(multiByName.errors, []);
+    const searched = mock.requests.slice(searchesBefore).filter((request) => request.path.endsWith('/search')).map((request) => request.path).sort();
+    assert.deepStrictEqual(searched, [`/vector_stores/${store.id}/search`, `/vector_stores/${other.id}/search`].sort());
+    assert.strictEqual((await call('ask-vector-store', { vector_store_names: ['Policies'], question: 'annual refund' })).citations[0].file_id, guide.id);
+    assert.match((await client.call('ask-vector-store', { vector_store_names: ['Polices'], question: 'annual refund' })).text, /Did you mean "Policies"\?/);
+    console.log('   ✅ Search tools');
+
+    // Cleanup tools
+    assert.strictEqual((await call('vector-store-file-delete', { vector_store_id: store.id, file_id: guide.id })).deleted, true);
+    assert.strictEqual((await call('vector-store-delete', { vector_store_id: other.id })).deleted, true);
+    assert.strictEqual((await call('file-delete', { file_id: notes.id })).deleted, true);
+    console.log('   ✅ Delete tools');
+
+    const untested = tools.map((tool) => tool.name).filter((name) => !used.has(name));
+    assert.deepStrictEqual(untested, [], `Tools not exercised: ${untested.join(', ')}`);
+
+    // Injected API errors surface as tool errors
+    for (const status of [401, 404, 429, 500]) {
+      mock.injectError({ method: 'GET', path: `/vector_stores/${store.id}`, status });
+      const failure = await client.call('vector-store-get', { vector_store_id: store.id });
+      assert.strictEqual(failure.isError, true, `Expected ${status} to surface as a tool error`);
+    }
+    assert.strictEqual((await client.call('vector-store-get', { vector_store_id: 'vs_missing' })).isError, true);
+    console.log('   ✅ Injected 401/404/429/500 errors');
+
+    console.log(`\n🎉 All ${tools.length} tools passed against the mock API!`);
+  } finally {
+    client.close();
+    contentServer.close();
+    await mock.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ End-to-end test failed:', error);
+  process.exit(1);
+});
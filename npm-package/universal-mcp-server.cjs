@@ -14,13 +14,98 @@
  */
 
 const readline = require('readline');
-const { OpenAIService } = require('./openai-service.cjs');
+const { createProvider, resolveProviderType } = require('./storage-provider.cjs');
+const { uploadDirectory } = require('./directory-upload.cjs');
+const { syncDirectoryToVectorStore } = require('./vector-store-sync.cjs');
+const { retryFailedVectorStoreFiles } = require('./vector-store-retry.cjs');
+const { cloneVectorStore } = require('./vector-store-clone.cjs');
+const { VectorStoreNameResolver } = require('./vector-store-names.cjs');
+const { WatchManager, parseWatchConfig } = require('./directory-watcher.cjs');
+
+// Minimum time between progress notifications for one tool call
+const PROGRESS_INTERVAL_MS = 250;
+
+// Shared by every tool that adds files to a vector store
+const CHUNKING_STRATEGY_SCHEMA = {
+  type: 'object',
+  description: 'How files are split into chunks: {"type": "auto"} or {"type": "static", "max_chunk_size_tokens": 100-4096, "chunk_overlap_tokens": up to half the chunk size}. Defaults to the store\'s chunking_strategy metadata, then DEFAULT_CHUNKING_STRATEGY, then auto.',
+  properties: {
+    type: { type: 'string', enum: ['auto', 'static'] },
+    max_chunk_size_tokens: { type: 'number', description: 'Tokens per chunk (100-4096, default: 800)' },
+    chunk_overlap_tokens: { type: 'number', description: 'Tokens shared by neighbouring chunks (default: 400, at most half of max_chunk_size_tokens)' }
+  },
+  required: ['type']
+};
+
+const ATTRIBUTES_SCHEMA = {
+  type: 'object',
+  description: 'Attributes for filtered search (e.g., {"category": "billing", "year": 2024, "public": true}). Up to 16 keys of at most 64 characters; values are strings (up to 512 characters), numbers or booleans.',
+  additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+// Cursor paging shared by every list tool
+const LIST_PAGING_PROPERTIES = {
+  order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort by creation date: "desc" for newest first (default), "asc" for oldest first' },
+  after: { type: 'string', description: 'Return the items after this ID. Pass next_cursor from the previous result to get the next page.' },
+  before: { type: 'string', description: 'Return the items before this ID, to page backwards' },
+  all: { type: 'boolean', description: 'Follow next_cursor through every page and return one combined list, stopping at 10000 items (has_more and next_cursor then show where to continue). limit is ignored.' }
+};
+
+/**
+ * The paging arguments of a list tool call
+ */
+function listRequest(args) {
+  return { limit: args.limit, order: args.order, after: args.after, before: args.before, all: args.all };
+}
+
+/**
+ * Let every tool that takes vector_store_id take vector_store_name instead, and
+ * every tool that takes vector_store_ids take vector_store_names as well: the
+ * names are added next to the IDs and the IDs are no longer required
+ */
+function withVectorStoreNames(tools) {
+  return tools.map((tool) => {
+    const { properties, required = [] } = tool.inputSchema;
+    if (!properties || (!properties.vector_store_id && !properties.vector_store_ids)) {
+      return tool;
+    }
+
+    const withName = {};
+    for (const [key, schema] of Object.entries(properties)) {
+      if (key === 'vector_store_id') {
+        withName.vector_store_id = required.includes(key)
+          ? { ...schema, description: `${schema.description.replace(/\.?$/, '.')} Either this or vector_store_name is required.` }
+          : schema;
+        withName.vector_store_name = { type: 'string', description: 'Name of the vector store, instead of vector_store_id (e.g., "Support KB"). Matched exactly, then ignoring case; fails if several stores share the name.' };
+      } else if (key === 'vector_store_ids') {
+        withName.vector_store_ids = required.includes(key)
+          ? { ...schema, description: `${schema.description.replace(/\.?$/, '.')} Either this or vector_store_names is required.` }
+          : schema;
+        withName.vector_store_names = { type: 'array', items: { type: 'string' }, description: 'Names of vector stores, instead of or as well as vector_store_ids (e.g., ["Support KB"]). Each is matched like vector_store_name.' };
+      } else {
+        withName[key] = schema;
+      }
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: withName,
+        required: required.filter((key) => key !== 'vector_store_id' && key !== 'vector_store_ids')
+      }
+    };
+  });
+}
 
 class RooCompatibleMCPServer {
   constructor() {
-    this.openaiService = null;
+    this.provider = null;
+    this.providerKey = null;
     this.isInitialized = false;
     this.debug = process.env.DEBUG === 'true';
+    this.watchManager = new WatchManager(() => this.provider, (message) => this.logError(message));
+    this.watchConfig = parseWatchConfig(process.argv.slice(2), process.env, (message) => this.logError(message));
+    this.configuredWatchersStarted = false;
     
     // Ensure stdout is line-buffered for Roo compatibility
     process.stdout.setEncoding('utf8');
@@ -70,6 +155,7 @@ class RooCompatibleMCPServer {
 
     rl.on('close', () => {
       this.logDebug('Stdin closed, exiting');
+      this.watchManager.stop();
       process.exit(0);
     });
   }
@@ -139,14 +225,18 @@ class RooCompatibleMCPServer {
 
     // Get API key from environment (will be set by MCP client)
     const apiKey = process.env.OPENAI_API_KEY;
+    const providerType = resolveProviderType();
     
     // Initialize without API key validation - validation happens when tools are called
-    if (apiKey) {
+    if (apiKey || providerType !== 'openai') {
       try {
-        this.openaiService = new OpenAIService(apiKey);
-        this.logDebug('OpenAI service initialized with API key');
+        this.provider = createProvider();
+        this.providerKey = `${providerType}:${apiKey}`;
+        this.vectorStoreNames = new VectorStoreNameResolver(this.provider);
+        this.logDebug(`Storage provider "${providerType}" initialized`);
+        this.startConfiguredWatchers();
       } catch (error) {
-        this.logError('Failed to initialize OpenAI service:', error);
+        this.logError('Failed to initialize storage provider:', error);
         // Don't fail initialization - just log the error
       }
     } else {
@@ -201,7 +291,8 @@ class RooCompatibleMCPServer {
           properties: {
             name: { type: 'string', description: 'Descriptive name for the vector store (e.g., "Project Documentation", "Research Papers", "Customer Support KB")' },
             expires_after_days: { type: 'number', description: 'Auto-deletion after specified days (1-365). Useful for temporary projects or testing. Leave empty for permanent storage.' },
-            metadata: { type: 'object', description: 'Custom metadata for organization (e.g., {"project": "alpha", "department": "engineering", "version": "1.0"})' }
+            metadata: { type: 'object', description: 'Custom metadata for organization (e.g., {"project": "alpha", "department": "engineering", "version": "1.0"})' },
+            chunking_strategy: { ...CHUNKING_STRATEGY_SCHEMA, description: 'Default chunking for files added to this store, kept in its metadata as "auto" or "static:<max>:<overlap>". Same shape as chunking_strategy on vector-store-file-add.' }
           },
           required: ['name']
         }
@@ -213,7 +304,7 @@ class RooCompatibleMCPServer {
           type: 'object',
           properties: {
             limit: { type: 'number', description: 'Maximum results to return (1-100, default: 20). Use smaller limits for quick overviews, larger for comprehensive audits.' },
-            order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort by creation date: "desc" for newest first (default), "asc" for oldest first' }
+            ...LIST_PAGING_PROPERTIES
           }
         }
       },
@@ -253,6 +344,24 @@ class RooCompatibleMCPServer {
           required: ['vector_store_id']
         }
       },
+      {
+        name: 'vector-store-clone',
+        description: 'Copy a vector store without re-uploading its files. Creates a new store with the source name plus a suffix, the same metadata, expiry and chunking, then attaches all of the source files by ID with their attributes. Perfect for experimenting on a copy of a production store. Reports the files that could not be copied.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'ID of the vector store to copy' },
+            name: { type: 'string', description: 'Name for the copy (default: the source name plus name_suffix)' },
+            name_suffix: { type: 'string', description: 'Appended to the source name when no name is given (default: " (copy)")' },
+            metadata: { type: 'object', description: 'Metadata merged over the source store metadata' },
+            expires_after_days: { type: 'number', description: 'Expiration for the copy in days (1-365). Defaults to the source expiry.' },
+            chunking_strategy: { ...CHUNKING_STRATEGY_SCHEMA, description: 'Chunking for the copied files and default for the copy. Defaults to the source store default, and files keep a static strategy they were processed with.' },
+            wait: { type: 'boolean', description: 'Wait for the copied files to finish processing so files that fail are reported (default: false)' },
+            timeout_seconds: { type: 'number', description: 'With wait, how long to wait for each batch of up to 500 files (0-3600, default: 300)' }
+          },
+          required: ['vector_store_id']
+        }
+      },
       {
         name: 'vector-store-file-add',
         description: 'Add a previously uploaded file to a vector store for search and retrieval. The file must already exist in your OpenAI account (uploaded via Files API). This enables the file to be searched and referenced in conversations.',
@@ -260,7 +369,9 @@ class RooCompatibleMCPServer {
           type: 'object',
           properties: {
             vector_store_id: { type: 'string', description: 'Target vector store ID where the file will be added' },
-            file_id: { type: 'string', description: 'OpenAI file ID (starts with "file-") of an already uploaded file. Get this from the Files API or OpenAI dashboard.' }
+            file_id: { type: 'string', description: 'OpenAI file ID (starts with "file-") of an already uploaded file. Get this from the Files API or OpenAI dashboard.' },
+            attributes: ATTRIBUTES_SCHEMA,
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
           },
           required: ['vector_store_id', 'file_id']
         }
@@ -273,14 +384,15 @@ class RooCompatibleMCPServer {
           properties: {
             vector_store_id: { type: 'string', description: 'Vector store ID to list files from' },
             limit: { type: 'number', description: 'Maximum files to return (1-100, default: 20). Use pagination for large stores.' },
-            filter: { type: 'string', enum: ['in_progress', 'completed', 'failed', 'cancelled'], description: 'Filter by processing status: "completed" for ready files, "in_progress" for processing, "failed" for errors' }
+            filter: { type: 'string', enum: ['in_progress', 'completed', 'failed', 'cancelled'], description: 'Filter by processing status: "completed" for ready files, "in_progress" for processing, "failed" for errors' },
+            ...LIST_PAGING_PROPERTIES
           },
           required: ['vector_store_id']
         }
       },
       {
         name: 'vector-store-file-get',
-        description: 'Get detailed information about a specific file in a vector store including processing status, chunk count, error details, and metadata. Use this to troubleshoot file processing issues or verify file readiness.',
+        description: 'Get detailed information about a specific file in a vector store including processing status, the chunking strategy used, error details, and attributes. Use this to troubleshoot file processing issues or verify file readiness.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -290,6 +402,19 @@ class RooCompatibleMCPServer {
           required: ['vector_store_id', 'file_id']
         }
       },
+      {
+        name: 'vector-store-file-wait',
+        description: 'Wait until a file added with vector-store-file-add has finished processing, instead of calling vector-store-file-get repeatedly. Polls with a growing interval until the file is completed, failed or cancelled, or the timeout passes. Returns the final file, whether the wait timed out, and the last_error code if processing failed.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store containing the file' },
+            file_id: { type: 'string', description: 'File ID to wait for (starts with "file-")' },
+            timeout_seconds: { type: 'number', description: 'How long to wait before returning the current state (0-3600, default: 300)' }
+          },
+          required: ['vector_store_id', 'file_id']
+        }
+      },
       {
         name: 'vector-store-file-content',
         description: 'Retrieve the actual content/text of a file stored in a vector store. Perfect for reviewing file contents, debugging search issues, or extracting specific information. Returns the processed text that is used for search.',
@@ -304,15 +429,16 @@ class RooCompatibleMCPServer {
       },
       {
         name: 'vector-store-file-update',
-        description: 'Update the metadata associated with a file in a vector store. Useful for adding tags, categories, version numbers, or other organizational information. Does not change the file content, only its metadata.',
+        description: 'Replace the attributes of a file in a vector store. Attributes are what vector-store-search filters match against, so use them for tags, categories, versions or dates. Does not change the file content.',
         inputSchema: {
           type: 'object',
           properties: {
             vector_store_id: { type: 'string', description: 'Vector store containing the file' },
-            file_id: { type: 'string', description: 'File ID to update metadata for' },
-            metadata: { type: 'object', description: 'New metadata object (e.g., {"category": "manual", "version": "2.1", "author": "team-alpha"})' }
+            file_id: { type: 'string', description: 'File ID to update attributes for' },
+            attributes: { ...ATTRIBUTES_SCHEMA, description: `New attributes, replacing the current ones. ${ATTRIBUTES_SCHEMA.description}` },
+            metadata: { type: 'object', description: 'Deprecated alias for attributes' }
           },
-          required: ['vector_store_id', 'file_id', 'metadata']
+          required: ['vector_store_id', 'file_id']
         }
       },
       {
@@ -329,14 +455,24 @@ class RooCompatibleMCPServer {
       },
       {
         name: 'vector-store-file-batch-create',
-        description: 'Create a batch operation to add multiple files to a vector store simultaneously. Much more efficient than adding files one by one. Perfect for bulk uploads, project migrations, or when adding large document collections. Provides a single operation to track.',
+        description: 'Create a batch operation to add multiple files to a vector store simultaneously. Much more efficient than adding files one by one. Perfect for bulk uploads, project migrations, or when adding large document collections. Provides a single operation to track. Use files instead of file_ids to give each file its own attributes.',
         inputSchema: {
           type: 'object',
           properties: {
             vector_store_id: { type: 'string', description: 'Target vector store for the batch operation' },
-            file_ids: { type: 'array', items: { type: 'string' }, description: 'Array of file IDs to add (e.g., ["file-abc123", "file-def456"]). All files must already exist in your OpenAI account.' }
+            file_ids: { type: 'array', items: { type: 'string' }, description: 'Array of file IDs to add (e.g., ["file-abc123", "file-def456"]). All files must already exist in your OpenAI account.' },
+            files: {
+              type: 'array',
+              description: 'Files with per-file settings (e.g., [{"file_id": "file-abc123", "attributes": {"category": "billing"}}]). Can be combined with file_ids.',
+              items: {
+                type: 'object',
+                properties: { file_id: { type: 'string' }, attributes: ATTRIBUTES_SCHEMA, chunking_strategy: CHUNKING_STRATEGY_SCHEMA },
+                required: ['file_id']
+              }
+            },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
           },
-          required: ['vector_store_id', 'file_ids']
+          required: ['vector_store_id']
         }
       },
       {
@@ -351,6 +487,19 @@ class RooCompatibleMCPServer {
           required: ['vector_store_id', 'batch_id']
         }
       },
+      {
+        name: 'vector-store-file-batch-wait',
+        description: 'Wait until a batch from vector-store-file-batch-create has finished processing, instead of calling vector-store-file-batch-get repeatedly. Polls with a growing interval until the batch is completed or cancelled, or the timeout passes. Returns the final batch, whether the wait timed out, and the failed files with their last_error codes. Reports processed/total file counts as progress notifications.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store containing the batch' },
+            batch_id: { type: 'string', description: 'Batch operation ID to wait for (starts with "vsfb-")' },
+            timeout_seconds: { type: 'number', description: 'How long to wait before returning the current state (0-3600, default: 300)' }
+          },
+          required: ['vector_store_id', 'batch_id']
+        }
+      },
       {
         name: 'vector-store-file-batch-cancel',
         description: 'Cancel a running batch operation before it completes. Useful when you need to stop a large batch due to errors, changed requirements, or resource constraints. Files already processed will remain in the vector store.',
@@ -372,24 +521,225 @@ class RooCompatibleMCPServer {
             vector_store_id: { type: 'string', description: 'Vector store containing the batch' },
             batch_id: { type: 'string', description: 'Batch operation ID to list files from' },
             limit: { type: 'number', description: 'Maximum files to return (1-100, default: 20). Use pagination for large batches.' },
-            filter: { type: 'string', enum: ['in_progress', 'completed', 'failed', 'cancelled'], description: 'Filter by file status: "failed" to see errors, "completed" for successful files' }
+            filter: { type: 'string', enum: ['in_progress', 'completed', 'failed', 'cancelled'], description: 'Filter by file status: "failed" to see errors, "completed" for successful files' },
+            ...LIST_PAGING_PROPERTIES
           },
           required: ['vector_store_id', 'batch_id']
         }
       },
+      {
+        name: 'vector-store-sync',
+        description: 'Mirror a local directory into a vector store. Compares local files with the store using the path and sha256 attributes set by previous syncs, then adds new files, replaces changed ones and removes files deleted locally. Use dry_run to preview the plan without changing anything. Store files without a path attribute are never touched. Handles stores with thousands of files.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store to keep in sync with the directory' },
+            directory_path: { type: 'string', description: 'Local directory to mirror (e.g., "./docs")' },
+            dry_run: { type: 'boolean', description: 'Only return the plan (add, replace, remove) without uploading or deleting (default: false)' },
+            include: { type: 'array', items: { type: 'string' }, description: 'Glob patterns of files to sync, relative to the directory (e.g., ["**/*.md"]). Default: all files.' },
+            exclude: { type: 'array', items: { type: 'string' }, description: 'Glob patterns to leave out of the sync. Previously synced files that become excluded are removed from the store.' },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'Only sync these file extensions (e.g., [".pdf", ".md"])' },
+            min_size_bytes: { type: 'number', description: 'Skip files smaller than this many bytes' },
+            max_size_bytes: { type: 'number', description: 'Skip files larger than this many bytes (default and maximum: 512MB)' },
+            recursive: { type: 'boolean', description: 'Descend into subdirectories (default: true)' },
+            include_hidden: { type: 'boolean', description: 'Include dot-files and dot-folders (default: false)' },
+            concurrency: { type: 'number', description: 'Number of uploads and removals in flight at once (1-16, default: 4)' },
+            purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Purpose of uploaded files (default: "assistants")' },
+            delete_files: { type: 'boolean', description: 'Also delete replaced and removed files from file storage, not just from the vector store, unless another vector store still holds them (default: false)' },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA,
+            timeout_seconds: { type: 'number', description: 'How long to wait for replacement files to finish processing before their old versions are removed; old versions of files still processing are kept (0-3600, default: 300)' }
+          },
+          required: ['vector_store_id', 'directory_path']
+        }
+      },
+      {
+        name: 'vector-store-retry-failed',
+        description: 'Retry the files of a vector store that failed processing. Lists the failed files and sorts them by their last_error code: transient errors (server_error, rate_limit_exceeded) are retried by re-attaching the file with the same attributes and chunking strategy, while permanent ones (unsupported_file, invalid_file) are only reported. Returns the plan and the files that still fail with their error codes. Use dry_run to preview.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store whose failed files should be retried' },
+            dry_run: { type: 'boolean', description: 'Only list which files would be retried and which failed permanently (default: false)' },
+            wait: { type: 'boolean', description: 'Wait for the retried files to finish processing so files that fail again are reported (default: false)' },
+            timeout_seconds: { type: 'number', description: 'With wait, how long to wait for each file (0-3600, default: 300)' }
+          },
+          required: ['vector_store_id']
+        }
+      },
+      {
+        name: 'vector-store-watch-start',
+        description: 'Keep a vector store in sync with a local directory while the server runs. Watches the folder for changes and, once edits settle for debounce_ms, re-uploads and re-attaches changed files and detaches deleted ones (the same plan as vector-store-sync). Returns a watch ID for vector-store-watch-status and vector-store-watch-stop.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store to keep in sync' },
+            directory_path: { type: 'string', description: 'Local directory to watch (e.g., "./docs")' },
+            debounce_ms: { type: 'number', description: 'Quiet period after the last change before syncing (default: 2000). Continuous edits still sync at least every 30 seconds.' },
+            initial_sync: { type: 'boolean', description: 'Sync once immediately instead of waiting for the first change (default: true)' },
+            include: { type: 'array', items: { type: 'string' }, description: 'Glob patterns of files to sync, relative to the directory (e.g., ["**/*.md"]). Default: all files.' },
+            exclude: { type: 'array', items: { type: 'string' }, description: 'Glob patterns to leave out of the sync' },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'Only sync these file extensions (e.g., [".pdf", ".md"])' },
+            recursive: { type: 'boolean', description: 'Include subdirectories (default: true)' },
+            include_hidden: { type: 'boolean', description: 'Include dot-files and dot-folders (default: false)' },
+            concurrency: { type: 'number', description: 'Number of uploads and removals in flight at once (1-16, default: 4)' },
+            delete_files: { type: 'boolean', description: 'Also delete replaced and removed files from file storage (default: false)' },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
+          },
+          required: ['vector_store_id', 'directory_path']
+        }
+      },
+      {
+        name: 'vector-store-watch-status',
+        description: 'Inspect directory watchers: status (watching, syncing), last change and sync times, changes waiting to sync, what the last sync added, replaced and removed, and the last error. Omit watch_id to list every watcher.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            watch_id: { type: 'string', description: 'Watcher to inspect (e.g., "watch_1"). Omit to list all watchers.' }
+          }
+        }
+      },
+      {
+        name: 'vector-store-watch-stop',
+        description: 'Stop a directory watcher. Files already synced stay in the vector store. Omit watch_id to stop every watcher.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            watch_id: { type: 'string', description: 'Watcher to stop (e.g., "watch_1"). Omit to stop all watchers.' }
+          }
+        }
+      },
+      {
+        name: 'vector-store-search',
+        description: 'Run a semantic search against a vector store and get back the most relevant chunks with their scores, file IDs, filenames and attributes. Use this to query a knowledge base directly without going through an assistant.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: { type: 'string', description: 'Vector store to search (starts with "vs_")' },
+            query: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Natural language query (e.g., "How do I reset my password?"), or an array of queries' },
+            max_num_results: { type: 'number', description: 'Maximum chunks to return (1-50, default: 10)' },
+            rewrite_query: { type: 'boolean', description: 'Let OpenAI rewrite the query for better vector search results (default: false)' },
+            filters: { type: 'object', description: 'Filter on file attributes (e.g., {"type": "eq", "key": "category", "value": "manual"}). Combine with {"type": "and"|"or", "filters": [...]}.' },
+            ranking_options: { type: 'object', properties: { ranker: { type: 'string' }, score_threshold: { type: 'number' } }, description: 'Ranking options (e.g., {"ranker": "auto", "score_threshold": 0.5}) to drop low-relevance chunks' }
+          },
+          required: ['vector_store_id', 'query']
+        }
+      },
+      {
+        name: 'vector-store-search-multi',
+        description: 'Search across several vector stores in one call (e.g., per-product or per-team knowledge bases). Queries every store in parallel, normalises scores per store, removes duplicate chunks and tells you which store each hit came from.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_ids: { type: 'array', items: { type: 'string' }, description: 'Vector stores to search (e.g., ["vs_abc123", "vs_def456"]). Optional if vector_store_metadata is given.' },
+            vector_store_metadata: { type: 'object', description: 'Select stores by metadata instead of IDs: every store whose metadata contains all of these pairs is searched (e.g., {"team": "support"})' },
+            query: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], description: 'Natural language query, or an array of queries' },
+            max_num_results: { type: 'number', description: 'Maximum chunks per store and in the merged ranking (1-50, default: 10)' },
+            rewrite_query: { type: 'boolean', description: 'Let OpenAI rewrite the query for better vector search results (default: false)' },
+            filters: { type: 'object', description: 'Attribute filter applied in every store (same format as vector-store-search)' },
+            ranking_options: { type: 'object', description: 'Ranking options applied in every store (e.g., {"score_threshold": 0.5})' }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'ask-vector-store',
+        description: 'Ask a question and get a grounded answer generated from your vector stores, with citations. Runs an OpenAI Responses API request with the file_search tool bound to the given stores and returns the answer text plus the file ID, filename and quoted passage behind each citation.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_ids: { type: 'array', items: { type: 'string' }, description: 'Vector stores to answer from (e.g., ["vs_abc123"])' },
+            question: { type: 'string', description: 'The question to answer (e.g., "What is our refund policy for annual plans?")' },
+            model: { type: 'string', description: 'Model to generate the answer with (default: "gpt-4o-mini")' },
+            instructions: { type: 'string', description: 'Optional system-style instructions (e.g., "Answer in two sentences and cite every claim")' },
+            max_num_results: { type: 'number', description: 'Maximum chunks file_search may retrieve (1-50)' },
+            filters: { type: 'object', description: 'Attribute filter applied during retrieval (same format as vector-store-search)' }
+          },
+          required: ['vector_store_ids', 'question']
+        }
+      },
       {
         name: 'file-upload',
-        description: 'Upload a local file to OpenAI for use with vector stores and assistants. This enables the complete workflow: upload file → add to vector store.',
+        description: 'Upload a local file to OpenAI for use with vector stores and assistants. This enables the complete workflow: upload file → add to vector store. Excel (.xlsx), Jupyter (.ipynb), email (.eml), RTF and EPUB files are converted to Markdown or text first; use dry_run to preview the result.',
         inputSchema: {
           type: 'object',
           properties: {
             file_path: { type: 'string', description: 'Path to the local file to upload (e.g., "./documents/manual.pdf", "/home/user/data.txt")' },
             purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Purpose of the file upload. Use "assistants" for vector stores and chat.' },
-            filename: { type: 'string', description: 'Optional custom filename for the uploaded file. If not provided, uses the original filename.' }
+            filename: { type: 'string', description: 'Optional custom filename for the uploaded file. If not provided, uses the original filename.' },
+            multipart: { type: 'boolean', description: 'Force (true) or disable (false) chunked multipart upload. By default files over 64MB are uploaded in parallel parts automatically, which also allows files up to 8GB.' },
+            part_size_bytes: { type: 'number', description: 'Part size for multipart uploads (max and default: 64MB)' },
+            concurrency: { type: 'number', description: 'Parts uploaded in parallel during multipart upload (default: 3)' },
+            force: { type: 'boolean', description: 'Upload even if an identical file (same SHA-256 and purpose) already exists. By default the existing file is returned with deduplicated: true.' },
+            dry_run: { type: 'boolean', description: 'Report the upload that would be made (filename, detected type, conversion and the start of converted text) without uploading anything' }
           },
           required: ['file_path']
         }
       },
+      {
+        name: 'file-upload-content',
+        description: 'Create a file from text or base64 content sent with the request instead of a local path. Useful for generated notes, clipboard text or files the client already holds in memory. Use the returned file ID with vector-store-file-add.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'File content: plain text, or base64 when encoding is "base64" (max 512MB decoded)' },
+            encoding: { type: 'string', enum: ['text', 'base64'], description: 'How content is encoded (default: "text"). Use "base64" for binary files such as PDFs.' },
+            filename: { type: 'string', description: 'Name for the uploaded file, including its extension (e.g., "notes.md", "manual.pdf")' },
+            mime_type: { type: 'string', description: 'MIME type of the content (e.g., "text/markdown"). Defaults to one derived from the filename extension.' },
+            purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Purpose of the file upload. Use "assistants" for vector stores and chat.' }
+          },
+          required: ['content', 'filename']
+        }
+      },
+      {
+        name: 'file-upload-url',
+        description: 'Upload a file straight from an http(s) URL (internal wiki pages, exported PDFs, public documents). The response is streamed into the upload without touching local disk; the filename and content type come from the response headers. Only hosts listed in UPLOAD_URL_ALLOWED_HOSTS can be fetched. Optionally attaches the new file to a vector store.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: { type: 'string', description: 'http or https URL of the resource (redirects are followed, up to 5)' },
+            filename: { type: 'string', description: 'Override the filename taken from Content-Disposition or the URL path' },
+            purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Purpose of the file upload. Use "assistants" for vector stores and chat.' },
+            max_bytes: { type: 'number', description: 'Abort if the resource is larger than this many bytes (default and maximum: UPLOAD_URL_MAX_BYTES or 512MB)' },
+            vector_store_id: { type: 'string', description: 'Optional vector store to add the uploaded file to' },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
+          },
+          required: ['url']
+        }
+      },
+      {
+        name: 'file-upload-resume',
+        description: 'Continue multipart uploads that were interrupted (e.g. the server was restarted or the network dropped). Progress is journaled on disk after every part, so only the missing parts are sent. The local file is checked first and the resume is refused if it has changed. Omit upload_id to resume every unfinished upload.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: { type: 'string', description: 'Upload ID to resume (reported by a failed file-upload). Omit to resume all journaled uploads.' },
+            concurrency: { type: 'number', description: 'Parts uploaded in parallel (default: 3)' }
+          }
+        }
+      },
+      {
+        name: 'file-upload-directory',
+        description: 'Upload every matching file in a local directory in one call. Walks the folder (recursively by default), applies include/exclude globs plus extension and size filters, uploads with bounded concurrency and can attach all uploaded files to a vector store via file batches. Returns a per-file report; one failed file does not stop the rest.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            directory_path: { type: 'string', description: 'Path to the local directory to upload (e.g., "./docs", "/home/user/research")' },
+            include: { type: 'array', items: { type: 'string' }, description: 'Glob patterns of files to upload, relative to the directory (e.g., ["**/*.md", "guides/**"]). Patterns without "/" match file names at any depth. Default: all files.' },
+            exclude: { type: 'array', items: { type: 'string' }, description: 'Glob patterns to skip (e.g., ["**/drafts/**", "*.tmp"]). Hidden files and folders are always skipped unless include_hidden is true.' },
+            extensions: { type: 'array', items: { type: 'string' }, description: 'Only upload these file extensions (e.g., [".pdf", ".md", "txt"])' },
+            min_size_bytes: { type: 'number', description: 'Skip files smaller than this many bytes (e.g., 1 to skip empty files)' },
+            max_size_bytes: { type: 'number', description: 'Skip files larger than this many bytes (default and maximum: 512MB)' },
+            recursive: { type: 'boolean', description: 'Descend into subdirectories (default: true)' },
+            include_hidden: { type: 'boolean', description: 'Include dot-files and dot-folders (default: false)' },
+            concurrency: { type: 'number', description: 'Number of uploads in flight at once (1-16, default: 4)' },
+            purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Purpose of the uploaded files. Use "assistants" for vector stores.' },
+            vector_store_id: { type: 'string', description: 'Optional vector store to attach every uploaded file to via file batches' },
+            force: { type: 'boolean', description: 'Upload files even when an identical copy already exists (default: reuse the existing file)' },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
+          },
+          required: ['directory_path']
+        }
+      },
       {
         name: 'file-list',
         description: 'List all uploaded files in your OpenAI account with filtering options. Essential for managing your file storage and finding file IDs for vector store operations.',
@@ -398,8 +748,7 @@ class RooCompatibleMCPServer {
           properties: {
             purpose: { type: 'string', enum: ['assistants', 'vision', 'batch'], description: 'Filter files by purpose. Use "assistants" to see files available for vector stores.' },
             limit: { type: 'number', description: 'Maximum number of files to return (1-10000, default: 20)' },
-            order: { type: 'string', enum: ['asc', 'desc'], description: 'Sort order by created_at: "desc" for newest first, "asc" for oldest first' },
-            after: { type: 'string', description: 'File ID to start listing after (for pagination)' }
+            ...LIST_PAGING_PROPERTIES
           }
         }
       },
@@ -427,7 +776,7 @@ class RooCompatibleMCPServer {
       },
       {
         name: 'file-content',
-        description: 'Download and retrieve the actual content of an uploaded file. Perfect for reviewing file contents, verifying uploads, or extracting text for analysis.',
+        description: 'Retrieve the content of an uploaded file. Text files come back in full; binary files such as PDFs come back as a base64 preview of their first 48KB. Use file-download to save a complete binary file. Includes the size, SHA-256 and detected content type.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -436,6 +785,19 @@ class RooCompatibleMCPServer {
           required: ['file_id']
         }
       },
+      {
+        name: 'file-download',
+        description: 'Save the raw bytes of an uploaded file to a local path. The file is streamed to disk, so PDFs and other binaries of any size arrive intact, and it only appears at the path once complete. An existing file is not replaced unless overwrite is true. Returns the path, size, SHA-256 and content type.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            file_id: { type: 'string', description: 'OpenAI file ID to download (starts with "file-")' },
+            destination_path: { type: 'string', description: 'File path to write, or an existing directory to save the file under its own name' },
+            overwrite: { type: 'boolean', description: 'Replace an existing file at the destination (default: false)' }
+          },
+          required: ['file_id', 'destination_path']
+        }
+      },
       {
         name: 'upload-create',
         description: 'Create a multipart upload session for large files (>25MB). This enables efficient upload of large documents by splitting them into chunks. Use this for files that exceed the standard upload limit.',
@@ -449,13 +811,52 @@ class RooCompatibleMCPServer {
           },
           required: ['filename', 'bytes', 'mime_type']
         }
+      },
+      {
+        name: 'upload-add-part',
+        description: 'Add a part (up to 64MB) to a pending multipart upload created with upload-create. Send a byte range of a local file (file_path + offset + length) or base64 data. Parts can be added in parallel; keep the returned part IDs in file order for upload-complete. Returns the part ID and its MD5 checksum.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: { type: 'string', description: 'Upload ID returned by upload-create (starts with "upload_")' },
+            file_path: { type: 'string', description: 'Local file to read the part from' },
+            offset: { type: 'number', description: 'Byte offset of the part within file_path (default: 0)' },
+            length: { type: 'number', description: 'Number of bytes to send from offset (default: rest of the file, max 64MB)' },
+            data: { type: 'string', description: 'Base64-encoded part content, as an alternative to file_path' }
+          },
+          required: ['upload_id']
+        }
+      },
+      {
+        name: 'upload-complete',
+        description: 'Complete a multipart upload by listing its part IDs in order. The parts are joined into a regular File object that can be added to vector stores. The total size must match the bytes given to upload-create.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: { type: 'string', description: 'Upload ID to complete' },
+            part_ids: { type: 'array', items: { type: 'string' }, description: 'Ordered part IDs from upload-add-part (e.g., ["part_abc", "part_def"])' },
+            md5: { type: 'string', description: 'Optional MD5 hex digest of the whole file, checked against the uploaded bytes' }
+          },
+          required: ['upload_id', 'part_ids']
+        }
+      },
+      {
+        name: 'upload-cancel',
+        description: 'Cancel a pending multipart upload. No parts can be added afterwards and the uploaded parts are discarded.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: { type: 'string', description: 'Upload ID to cancel' }
+          },
+          required: ['upload_id']
+        }
       }
     ];
 
     const response = {
       jsonrpc: '2.0',
       id: request.id,
-      result: { tools }
+      result: { tools: withVectorStoreNames(tools) }
     };
 
     this.sendResponse(response);
@@ -467,83 +868,113 @@ class RooCompatibleMCPServer {
       return;
     }
 
-    // Validate API key when tools are actually called
+    // Validate API key when tools are actually called (only the OpenAI provider needs one)
     const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      this.sendErrorResponse(request.id, -32602, 'Invalid params', 'OPENAI_API_KEY environment variable is required. Please configure it in your MCP client.');
-      return;
-    }
+    const providerType = resolveProviderType();
 
-    if (!apiKey.startsWith('sk-')) {
-      this.sendErrorResponse(request.id, -32602, 'Invalid params', 'OPENAI_API_KEY must be a valid OpenAI API key starting with "sk-"');
-      return;
+    if (providerType === 'openai') {
+      if (!apiKey) {
+        this.sendErrorResponse(request.id, -32602, 'Invalid params', 'OPENAI_API_KEY environment variable is required. Please configure it in your MCP client.');
+        return;
+      }
+
+      if (!apiKey.startsWith('sk-')) {
+        this.sendErrorResponse(request.id, -32602, 'Invalid params', 'OPENAI_API_KEY must be a valid OpenAI API key starting with "sk-"');
+        return;
+      }
     }
 
-    // Initialize OpenAI service if not already done or if API key changed
-    if (!this.openaiService || this.openaiService.apiKey !== apiKey) {
+    // Initialize the storage provider if not already done or if the provider or API key changed
+    const providerKey = `${providerType}:${apiKey}`;
+    if (!this.provider || this.providerKey !== providerKey) {
       try {
-        this.openaiService = new OpenAIService(apiKey);
-        this.logDebug('OpenAI service initialized/updated with API key');
+        this.provider = createProvider();
+        this.providerKey = providerKey;
+        this.vectorStoreNames = new VectorStoreNameResolver(this.provider);
+        this.logDebug(`Storage provider "${providerType}" initialized/updated`);
+        this.startConfiguredWatchers();
       } catch (error) {
-        this.logError('Failed to initialize OpenAI service:', error);
-        this.sendErrorResponse(request.id, -32603, 'Internal error', 'Failed to initialize OpenAI service');
+        this.logError('Failed to initialize storage provider:', error);
+        this.sendErrorResponse(request.id, -32603, 'Internal error', `Failed to initialize storage provider: ${error.message}`);
         return;
       }
     }
 
-    const { name, arguments: args } = request.params;
+    const { name } = request.params;
+    let args = request.params.arguments || {};
     this.logDebug(`Calling tool: ${name}`, args);
+    const onProgress = this.createProgressReporter(request.params._meta && request.params._meta.progressToken);
 
     try {
       let result;
 
+      // A vector_store_name stands in for vector_store_id on every tool that takes one,
+      // and vector_store_names adds to vector_store_ids on the tools that take several
+      if (args.vector_store_name !== undefined && !args.vector_store_id) {
+        args = { ...args, vector_store_id: await this.vectorStoreNames.resolve(args.vector_store_name) };
+      }
+      if (args.vector_store_names !== undefined) {
+        args = { ...args, vector_store_ids: await this.resolveVectorStoreNames(args.vector_store_ids, args.vector_store_names) };
+      }
+
       switch (name) {
         case 'vector-store-create':
-          result = await this.openaiService.createVectorStore({
+          result = await this.provider.createVectorStore({
             name: args.name,
             expires_after_days: args.expires_after_days,
-            metadata: args.metadata
+            metadata: args.metadata,
+            chunking_strategy: args.chunking_strategy
           });
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-list':
-          result = await this.openaiService.listVectorStores({
-            limit: args.limit,
-            order: args.order
-          });
+          result = await this.provider.listVectorStores(listRequest(args));
           break;
 
         case 'vector-store-get':
           if (!args.vector_store_id) {
             throw new Error('vector_store_id is required');
           }
-          result = await this.openaiService.getVectorStore(args.vector_store_id);
+          result = await this.provider.getVectorStore(args.vector_store_id);
           break;
 
         case 'vector-store-delete':
           if (!args.vector_store_id) {
             throw new Error('vector_store_id is required');
           }
-          result = await this.openaiService.deleteVectorStore(args.vector_store_id);
+          result = await this.provider.deleteVectorStore(args.vector_store_id);
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-modify':
           if (!args.vector_store_id) {
             throw new Error('vector_store_id is required');
           }
-          result = await this.openaiService.modifyVectorStore(args.vector_store_id, {
+          result = await this.provider.modifyVectorStore(args.vector_store_id, {
             name: args.name,
             expires_after_days: args.expires_after_days,
             metadata: args.metadata
           });
+          this.vectorStoreNames.invalidate();
+          break;
+
+        case 'vector-store-clone':
+          if (!args.vector_store_id) {
+            throw new Error('vector_store_id is required');
+          }
+          result = await cloneVectorStore(this.provider, { ...args, onProgress });
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-file-add':
           if (!args.vector_store_id || !args.file_id) {
             throw new Error('vector_store_id and file_id are required');
           }
-          result = await this.openaiService.addFileToVectorStore(args.vector_store_id, {
-            file_id: args.file_id
+          result = await this.provider.addFileToVectorStore(args.vector_store_id, {
+            file_id: args.file_id,
+            attributes: args.attributes,
+            chunking_strategy: args.chunking_strategy
           });
           break;
 
@@ -551,8 +982,8 @@ class RooCompatibleMCPServer {
           if (!args.vector_store_id) {
             throw new Error('vector_store_id is required');
           }
-          result = await this.openaiService.listVectorStoreFiles(args.vector_store_id, {
-            limit: args.limit,
+          result = await this.provider.listVectorStoreFiles(args.vector_store_id, {
+            ...listRequest(args),
             filter: args.filter
           });
           break;
@@ -561,78 +992,248 @@ class RooCompatibleMCPServer {
           if (!args.vector_store_id || !args.file_id) {
             throw new Error('vector_store_id and file_id are required');
           }
-          result = await this.openaiService.getVectorStoreFile(args.vector_store_id, args.file_id);
+          result = await this.provider.getVectorStoreFile(args.vector_store_id, args.file_id);
+          break;
+
+        case 'vector-store-file-wait':
+          if (!args.vector_store_id || !args.file_id) {
+            throw new Error('vector_store_id and file_id are required');
+          }
+          result = await this.provider.waitForVectorStoreFile(args.vector_store_id, args.file_id, {
+            timeout_seconds: args.timeout_seconds
+          });
           break;
 
         case 'vector-store-file-content':
           if (!args.vector_store_id || !args.file_id) {
             throw new Error('vector_store_id and file_id are required');
           }
-          result = await this.openaiService.getVectorStoreFileContent(args.vector_store_id, args.file_id);
+          result = await this.provider.getVectorStoreFileContent(args.vector_store_id, args.file_id);
           break;
 
         case 'vector-store-file-update':
-          if (!args.vector_store_id || !args.file_id || !args.metadata) {
-            throw new Error('vector_store_id, file_id, and metadata are required');
+          if (!args.vector_store_id || !args.file_id || !(args.attributes || args.metadata)) {
+            throw new Error('vector_store_id, file_id, and attributes are required');
           }
-          result = await this.openaiService.updateVectorStoreFile(args.vector_store_id, args.file_id, args.metadata);
+          result = await this.provider.updateVectorStoreFile(args.vector_store_id, args.file_id, args.attributes || args.metadata);
           break;
 
         case 'vector-store-file-delete':
           if (!args.vector_store_id || !args.file_id) {
             throw new Error('vector_store_id and file_id are required');
           }
-          result = await this.openaiService.deleteVectorStoreFile(args.vector_store_id, args.file_id);
+          result = await this.provider.deleteVectorStoreFile(args.vector_store_id, args.file_id);
           break;
 
         case 'vector-store-file-batch-create':
-          if (!args.vector_store_id || !args.file_ids || !Array.isArray(args.file_ids)) {
-            throw new Error('vector_store_id and file_ids array are required');
+          if (!args.vector_store_id || !(Array.isArray(args.file_ids) || Array.isArray(args.files))) {
+            throw new Error('vector_store_id and a file_ids or files array are required');
           }
-          result = await this.openaiService.createVectorStoreFileBatch(args.vector_store_id, args.file_ids);
+          result = await this.provider.createVectorStoreFileBatch(args.vector_store_id, [...(args.file_ids || []), ...(args.files || [])], {
+            chunking_strategy: args.chunking_strategy
+          });
           break;
 
         case 'vector-store-file-batch-get':
           if (!args.vector_store_id || !args.batch_id) {
             throw new Error('vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.getVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          result = await this.provider.getVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          break;
+
+        case 'vector-store-file-batch-wait':
+          if (!args.vector_store_id || !args.batch_id) {
+            throw new Error('vector_store_id and batch_id are required');
+          }
+          result = await this.provider.waitForVectorStoreFileBatch(args.vector_store_id, args.batch_id, {
+            timeout_seconds: args.timeout_seconds,
+            onProgress
+          });
           break;
 
         case 'vector-store-file-batch-cancel':
           if (!args.vector_store_id || !args.batch_id) {
             throw new Error('vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.cancelVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          result = await this.provider.cancelVectorStoreFileBatch(args.vector_store_id, args.batch_id);
           break;
 
         case 'vector-store-file-batch-files':
           if (!args.vector_store_id || !args.batch_id) {
             throw new Error('vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.listVectorStoreFileBatchFiles(args.vector_store_id, args.batch_id, {
-            limit: args.limit,
+          result = await this.provider.listVectorStoreFileBatchFiles(args.vector_store_id, args.batch_id, {
+            ...listRequest(args),
             filter: args.filter
           });
           break;
 
+        case 'vector-store-sync':
+          if (!args.vector_store_id || !args.directory_path) {
+            throw new Error('vector_store_id and directory_path are required');
+          }
+          result = await syncDirectoryToVectorStore(this.provider, { ...args, onProgress });
+          break;
+
+        case 'vector-store-retry-failed':
+          if (!args.vector_store_id) {
+            throw new Error('vector_store_id is required');
+          }
+          result = await retryFailedVectorStoreFiles(this.provider, { ...args, onProgress });
+          break;
+
+        case 'vector-store-watch-start':
+          if (!args.vector_store_id || !args.directory_path) {
+            throw new Error('vector_store_id and directory_path are required');
+          }
+          result = this.watchManager.start(args);
+          break;
+
+        case 'vector-store-watch-status':
+          result = this.watchManager.inspect(args.watch_id);
+          break;
+
+        case 'vector-store-watch-stop':
+          result = this.watchManager.stop(args.watch_id);
+          break;
+
+        case 'vector-store-search':
+          if (!args.vector_store_id || !args.query) {
+            throw new Error('vector_store_id and query are required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new Error('max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.searchVectorStore(args.vector_store_id, {
+            query: args.query,
+            max_num_results: args.max_num_results,
+            rewrite_query: args.rewrite_query,
+            filters: args.filters,
+            ranking_options: args.ranking_options
+          });
+          break;
+
+        case 'vector-store-search-multi':
+          if (!args.query) {
+            throw new Error('query is required');
+          }
+          if (!Array.isArray(args.vector_store_ids) && !args.vector_store_metadata) {
+            throw new Error('vector_store_ids, vector_store_names or vector_store_metadata is required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new Error('max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.searchVectorStores({
+            vector_store_ids: args.vector_store_ids,
+            vector_store_metadata: args.vector_store_metadata,
+            query: args.query,
+            max_num_results: args.max_num_results,
+            rewrite_query: args.rewrite_query,
+            filters: args.filters,
+            ranking_options: args.ranking_options
+          });
+          break;
+
+        case 'ask-vector-store':
+          if (!args.vector_store_ids || !Array.isArray(args.vector_store_ids) || args.vector_store_ids.length === 0 || !args.question) {
+            throw new Error('vector_store_ids or vector_store_names, and question are required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new Error('max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.askVectorStore({
+            vector_store_ids: args.vector_store_ids,
+            question: args.question,
+            model: args.model,
+            instructions: args.instructions,
+            max_num_results: args.max_num_results,
+            filters: args.filters
+          });
+          break;
+
         case 'file-upload':
           if (!args.file_path) {
             throw new Error('file_path is required');
           }
-          result = await this.openaiService.uploadFile({
+          result = await this.provider.uploadFile({
             file_path: args.file_path,
             purpose: args.purpose,
-            filename: args.filename
+            filename: args.filename,
+            multipart: args.multipart,
+            part_size_bytes: args.part_size_bytes,
+            concurrency: args.concurrency,
+            force: args.force,
+            dry_run: args.dry_run,
+            onProgress
           });
           break;
 
-        case 'file-list':
-          result = await this.openaiService.listFiles({
+        case 'file-upload-content':
+          if (typeof args.content !== 'string' || !args.filename) {
+            throw new Error('content and filename are required');
+          }
+          result = await this.provider.uploadFileContent({
+            content: args.content,
+            encoding: args.encoding,
+            filename: args.filename,
+            mime_type: args.mime_type,
+            purpose: args.purpose
+          });
+          break;
+
+        case 'file-upload-url':
+          if (!args.url) {
+            throw new Error('url is required');
+          }
+          if (typeof this.provider.uploadFileFromUrl !== 'function') {
+            throw new Error('The current storage provider does not support uploads from URLs');
+          }
+          result = await this.provider.uploadFileFromUrl({
+            url: args.url,
+            filename: args.filename,
             purpose: args.purpose,
-            limit: args.limit,
-            order: args.order,
-            after: args.after
+            max_bytes: args.max_bytes,
+            vector_store_id: args.vector_store_id,
+            chunking_strategy: args.chunking_strategy,
+            onProgress
+          });
+          break;
+
+        case 'file-upload-resume':
+          if (typeof this.provider.resumeUpload !== 'function') {
+            throw new Error('The current storage provider does not support resumable uploads');
+          }
+          if (args.upload_id) {
+            result = await this.provider.resumeUpload(args.upload_id, { concurrency: args.concurrency, onProgress });
+          } else {
+            const pending = await this.provider.listResumableUploads();
+            const resumed = [];
+            for (const upload of pending) {
+              try {
+                const file = await this.provider.resumeUpload(upload.upload_id, { concurrency: args.concurrency });
+                resumed.push({ upload_id: upload.upload_id, file_path: upload.file_path, status: 'completed', file });
+              } catch (error) {
+                resumed.push({ upload_id: upload.upload_id, file_path: upload.file_path, status: 'failed', error: error.message });
+              }
+              if (onProgress) {
+                onProgress(resumed.length, pending.length, `Resumed ${upload.file_path}`);
+              }
+            }
+            result = { object: 'list', data: resumed };
+          }
+          break;
+
+        case 'file-upload-directory':
+          if (!args.directory_path) {
+            throw new Error('directory_path is required');
+          }
+          result = await uploadDirectory(this.provider, { ...args, onProgress });
+          break;
+
+        case 'file-list':
+          result = await this.provider.listFiles({
+            ...listRequest(args),
+            purpose: args.purpose
           });
           break;
 
@@ -640,28 +1241,38 @@ class RooCompatibleMCPServer {
           if (!args.file_id) {
             throw new Error('file_id is required');
           }
-          result = await this.openaiService.getFile(args.file_id);
+          result = await this.provider.getFile(args.file_id);
           break;
 
         case 'file-delete':
           if (!args.file_id) {
             throw new Error('file_id is required');
           }
-          result = await this.openaiService.deleteFile(args.file_id);
+          result = await this.provider.deleteFile(args.file_id);
           break;
 
         case 'file-content':
           if (!args.file_id) {
             throw new Error('file_id is required');
           }
-          result = await this.openaiService.getFileContent(args.file_id);
+          result = await this.provider.getFileContent(args.file_id);
+          break;
+
+        case 'file-download':
+          if (!args.file_id || !args.destination_path) {
+            throw new Error('file_id and destination_path are required');
+          }
+          result = await this.provider.downloadFileTo(args.file_id, {
+            destination_path: args.destination_path,
+            overwrite: args.overwrite
+          });
           break;
 
         case 'upload-create':
           if (!args.filename || !args.bytes || !args.mime_type) {
             throw new Error('filename, bytes, and mime_type are required');
           }
-          result = await this.openaiService.createUpload({
+          result = await this.provider.createUpload({
             filename: args.filename,
             purpose: args.purpose,
             bytes: args.bytes,
@@ -669,6 +1280,35 @@ class RooCompatibleMCPServer {
           });
           break;
 
+        case 'upload-add-part':
+          if (!args.upload_id || (!args.file_path && !args.data)) {
+            throw new Error('upload_id and either file_path or data are required');
+          }
+          result = await this.provider.addUploadPart(args.upload_id, {
+            file_path: args.file_path,
+            offset: args.offset,
+            length: args.length,
+            data: args.data
+          });
+          break;
+
+        case 'upload-complete':
+          if (!args.upload_id || !Array.isArray(args.part_ids)) {
+            throw new Error('upload_id and part_ids array are required');
+          }
+          result = await this.provider.completeUpload(args.upload_id, {
+            part_ids: args.part_ids,
+            md5: args.md5
+          });
+          break;
+
+        case 'upload-cancel':
+          if (!args.upload_id) {
+            throw new Error('upload_id is required');
+          }
+          result = await this.provider.cancelUpload(args.upload_id);
+          break;
+
         default:
           throw new Error(`Unknown tool: ${name}`);
       }
@@ -709,6 +1349,75 @@ class RooCompatibleMCPServer {
     }
   }
 
+  /**
+   * vector_store_ids with the stores named in vector_store_names added, one
+   * name at a time so they share a single listing of the stores
+   */
+  async resolveVectorStoreNames(ids, names) {
+    if (!Array.isArray(names)) {
+      throw new Error('vector_store_names must be an array of vector store names');
+    }
+    const resolved = Array.isArray(ids) ? [...ids] : [];
+    for (const name of names) {
+      const id = await this.vectorStoreNames.resolve(name);
+      if (!resolved.includes(id)) {
+        resolved.push(id);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * A callback that sends notifications/progress for a tools/call whose _meta
+   * carries a progressToken, or undefined when the client did not ask for progress.
+   * Updates are throttled, except the final one, and never go backwards.
+   */
+  createProgressReporter(progressToken) {
+    if (progressToken === undefined || progressToken === null) {
+      return undefined;
+    }
+
+    let lastProgress = -Infinity;
+    let lastSentAt = 0;
+    return (progress, total, message) => {
+      const now = Date.now();
+      const finished = total !== undefined && progress >= total;
+      if (progress <= lastProgress || (!finished && now - lastSentAt < PROGRESS_INTERVAL_MS)) {
+        return;
+      }
+      lastProgress = progress;
+      lastSentAt = now;
+
+      const params = { progressToken, progress };
+      if (total !== undefined) {
+        params.total = total;
+      }
+      if (message) {
+        params.message = message;
+      }
+      this.sendResponse({ jsonrpc: '2.0', method: 'notifications/progress', params });
+    };
+  }
+
+  /**
+   * Start the watchers given by --watch or VECTOR_STORE_WATCH once a provider exists
+   */
+  startConfiguredWatchers() {
+    if (this.configuredWatchersStarted) {
+      return;
+    }
+    this.configuredWatchersStarted = true;
+
+    for (const config of this.watchConfig) {
+      try {
+        const watcher = this.watchManager.start(config);
+        console.error(`[INFO] Watching ${watcher.directory_path} -> ${watcher.vector_store_id} (${watcher.id})`);
+      } catch (error) {
+        this.logError(`Failed to watch ${config.directory_path}:`, error.message);
+      }
+    }
+  }
+
   sendResponse(response) {
     // Ensure messages are UTF-8 encoded and delimited by newlines
     // Messages MUST NOT contain embedded newlines
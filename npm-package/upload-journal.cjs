@@ -0,0 +1,90 @@
+/**
+ * Upload Journal
+ *
+ * Records the progress of multipart uploads on disk so an interrupted
+ * transfer can continue from the last confirmed part instead of starting
+ * over. Each upload is one JSON file named after its upload ID, holding the
+ * source path, size, SHA-256 and MD5 of the file, the part size and the
+ * parts already accepted by the API (keyed by byte offset). An entry that
+ * cannot be parsed is renamed to <upload_id>.json.corrupt and ignored.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_JOURNAL_DIR = path.join(os.homedir(), '.openai-vector-store-mcp', 'uploads');
+
+class UploadJournal {
+  constructor(dir) {
+    this.dir = path.resolve(dir || DEFAULT_JOURNAL_DIR);
+  }
+
+  /**
+   * Write an entry, replacing any previous state for the same upload. The entry
+   * is written and flushed to a temporary file first, so a crash leaves either
+   * the old state or the new one.
+   */
+  save(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const entryPath = this.entryPath(entry.upload_id);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, entryPath);
+  }
+
+  /**
+   * The entry for an upload, or null when there is none or it is corrupt
+   */
+  get(uploadId) {
+    const entryPath = this.entryPath(uploadId);
+    if (!fs.existsSync(entryPath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      // Moved aside so one damaged entry does not break every later upload
+      fs.renameSync(entryPath, `${entryPath}.corrupt`);
+      return null;
+    }
+  }
+
+  list() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => this.get(name.slice(0, -'.json'.length)))
+      .filter(Boolean)
+      .sort((a, b) => a.created_at - b.created_at);
+  }
+
+  remove(uploadId) {
+    fs.rmSync(this.entryPath(uploadId), { force: true });
+  }
+
+  /**
+   * Find an unexpired upload of the same file content started from the same path
+   */
+  findByFile(filePath, sha256) {
+    const now = Math.floor(Date.now() / 1000);
+    return this.list().find((entry) => entry.file_path === filePath
+      && entry.sha256 === sha256
+      && (!entry.expires_at || entry.expires_at > now)) || null;
+  }
+
+  entryPath(uploadId) {
+    // Upload IDs come from the API, but never let one escape the journal directory
+    return path.join(this.dir, `${path.basename(uploadId)}.json`);
+  }
+}
+
+module.exports = { UploadJournal };
@@ -0,0 +1,108 @@
+/**
+ * Vector Store Clone
+ *
+ * Copies a vector store without re-uploading anything. The new store gets
+ * the source's name plus a suffix, its metadata (which carries the default
+ * chunking strategy) and its expiry, each of which can be overridden. The
+ * source's files are then attached by file ID in batches, keeping their
+ * attributes and any static chunking they were processed with.
+ */
+
+const { describeFailedFile, waitForVectorStoreFileBatch } = require('./openai-service.cjs');
+const { createProgressCounter, MAX_BATCH_FILES } = require('./directory-upload.cjs');
+const { listAllVectorStoreFiles } = require('./vector-store-sync.cjs');
+
+const DEFAULT_NAME_SUFFIX = ' (copy)';
+
+// Files in these states are not worth copying: they would fail the same way again
+const UNCOPYABLE_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * The batch entry that attaches a source file to the clone. A static strategy is
+ * kept per file unless the clone was given its own; auto is the store default anyway.
+ */
+function toBatchEntry(file, overrideChunking) {
+  const entry = { file_id: file.id };
+  if (file.attributes && Object.keys(file.attributes).length > 0) {
+    entry.attributes = file.attributes;
+  }
+  if (!overrideChunking && file.chunking_strategy && file.chunking_strategy.type === 'static') {
+    entry.chunking_strategy = file.chunking_strategy;
+  }
+  return entry;
+}
+
+/**
+ * Create a copy of a vector store holding the same files and attributes.
+ * Source files that failed or were cancelled are not copied, and every file
+ * that did not make it into the clone is listed in `not_copied` with the
+ * stage it was lost at: `source`, `attach` or, with `wait`, `processing`.
+ */
+async function cloneVectorStore(provider, request) {
+  const { vector_store_id, wait = false } = request;
+  const source = await provider.getVectorStore(vector_store_id);
+  const sourceFiles = await listAllVectorStoreFiles(provider, vector_store_id);
+
+  const expiresAfterDays = request.expires_after_days ?? (source.expires_after && source.expires_after.days);
+  const clone = await provider.createVectorStore({
+    name: request.name || `${source.name || source.id}${request.name_suffix ?? DEFAULT_NAME_SUFFIX}`,
+    metadata: { ...source.metadata, ...request.metadata },
+    expires_after_days: expiresAfterDays || undefined,
+    chunking_strategy: request.chunking_strategy
+  });
+
+  const notCopied = [];
+  const copyable = [];
+  for (const file of sourceFiles) {
+    if (UNCOPYABLE_STATUSES.includes(file.status)) {
+      notCopied.push({ ...describeFailedFile(file), stage: 'source' });
+    } else {
+      copyable.push(toBatchEntry(file, Boolean(request.chunking_strategy)));
+    }
+  }
+
+  const advance = createProgressCounter(request.onProgress);
+  const batches = [];
+  let copied = 0;
+  let timedOut = false;
+  let failuresTruncated = false;
+  for (let start = 0; start < copyable.length; start += MAX_BATCH_FILES) {
+    const entries = copyable.slice(start, start + MAX_BATCH_FILES);
+    try {
+      let batch = await provider.createVectorStoreFileBatch(clone.id, entries, { chunking_strategy: request.chunking_strategy });
+      if (wait) {
+        const outcome = await waitForVectorStoreFileBatch(provider, clone.id, batch.id, { timeout_seconds: request.timeout_seconds });
+        batch = outcome.file_batch;
+        timedOut = timedOut || outcome.timed_out;
+        failuresTruncated = failuresTruncated || Boolean(outcome.failed_files_truncated);
+        outcome.failed_files.forEach((failure) => notCopied.push({ ...failure, stage: 'processing' }));
+      }
+      // Without wait, files still processing count as copied
+      const counts = batch.file_counts;
+      copied += wait && counts ? entries.length - counts.failed - counts.cancelled : entries.length;
+      batches.push({ id: batch.id, status: batch.status, file_counts: batch.file_counts });
+      advance(entries.length, copyable.length, `Copied ${entries.length} files`);
+    } catch (error) {
+      entries.forEach((entry) => notCopied.push({ file_id: entry.file_id, code: 'attach_error', message: error.message, stage: 'attach' }));
+      advance(entries.length, copyable.length, `Failed to copy ${entries.length} files`);
+    }
+  }
+
+  const result = {
+    object: 'vector_store.clone',
+    source_vector_store_id: source.id,
+    vector_store: wait ? await provider.getVectorStore(clone.id) : clone,
+    files_copied: copied,
+    batches,
+    not_copied: notCopied
+  };
+  if (wait) {
+    result.timed_out = timedOut;
+  }
+  if (failuresTruncated) {
+    result.not_copied_truncated = true;
+  }
+  return result;
+}
+
+module.exports = { cloneVectorStore, DEFAULT_NAME_SUFFIX };
@@ -0,0 +1,152 @@
+/**
+ * Vector Store Names
+ *
+ * Resolves a `vector_store_name` to its vector store ID so tools can be
+ * called with "Support KB" instead of a vs_ ID. Every store is listed once
+ * and the names are cached for a short time; a miss on a cached listing
+ * lists again in case the store was just created elsewhere, and a hit is
+ * checked against the store in case it was renamed or deleted. A name shared
+ * by several stores is an error rather than a guess, and a name with no
+ * match suggests the closest existing ones.
+ */
+
+const { MCPError, ErrorCodes, listPages } = require('./openai-service.cjs');
+
+const NAME_CACHE_TTL_MS = 60 * 1000;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Fold case and whitespace so "support  kb " matches "Support KB"
+ */
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * The stores named exactly `name`, or failing that, named the same ignoring case and spacing
+ */
+function findStoresByName(stores, name) {
+  const exact = stores.filter((store) => store.name === name);
+  if (exact.length > 0) {
+    return exact;
+  }
+  const wanted = normalizeName(name);
+  return stores.filter((store) => store.name && normalizeName(store.name) === wanted);
+}
+
+/**
+ * Names close to `name`: ones containing it or it containing them, and ones
+ * within a few edits (about a third of the name's length), closest first
+ */
+function suggestNames(stores, name) {
+  const wanted = normalizeName(name);
+  const scored = new Map();
+  for (const store of stores) {
+    if (!store.name) {
+      continue;
+    }
+    const candidate = normalizeName(store.name);
+    const distance = candidate.includes(wanted) || wanted.includes(candidate)
+      ? 0
+      : editDistance(wanted, candidate);
+    if (distance <= Math.max(2, Math.floor(wanted.length / 3)) && (!scored.has(store.name) || scored.get(store.name) > distance)) {
+      scored.set(store.name, distance);
+    }
+  }
+  return Array.from(scored.entries())
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(([suggestion]) => suggestion);
+}
+
+class VectorStoreNameResolver {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.ttlMs = options.ttlMs ?? NAME_CACHE_TTL_MS;
+    this.stores = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Forget the cached names, after a store is created, renamed or deleted
+   */
+  invalidate() {
+    this.stores = null;
+  }
+
+  /**
+   * Every vector store's ID and name, from the cache while it is fresh
+   */
+  async listStores(refresh = false) {
+    if (refresh || !this.stores || Date.now() - this.loadedAt > this.ttlMs) {
+      const stores = await listPages((params) => this.provider.listVectorStores(params), { all: true }, { maxItems: Infinity });
+      this.stores = stores.data.map((store) => ({ id: store.id, name: store.name, created_at: store.created_at }));
+      this.loadedAt = Date.now();
+      return { stores: this.stores, fresh: true };
+    }
+    return { stores: this.stores, fresh: false };
+  }
+
+  /**
+   * The ID of the one vector store with this name
+   */
+  async resolve(name) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_name must be a non-empty string', { vector_store_name: name });
+    }
+
+    let { stores, fresh } = await this.listStores();
+    let matches = findStoresByName(stores, name);
+    if (!fresh && (matches.length !== 1 || !(await this.isStillNamed(matches[0].id, name)))) {
+      ({ stores } = await this.listStores(true));
+      matches = findStoresByName(stores, name);
+    }
+
+    if (matches.length === 1) {
+      return matches[0].id;
+    }
+    if (matches.length > 1) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `${matches.length} vector stores are named "${name}" (${matches.map((store) => store.id).join(', ')}); pass vector_store_id to choose one`,
+        { vector_store_name: name, matches }
+      );
+    }
+
+    const suggestions = suggestNames(stores, name);
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.map((suggestion) => `"${suggestion}"`).join(' or ')}?` : '';
+    throw new MCPError(ErrorCodes.NOT_FOUND, `No vector store is named "${name}".${hint}`, { vector_store_name: name, suggestions });
+  }
+
+  /**
+   * Whether a store matched from the cache still has the name, since it may
+   * have been renamed or deleted elsewhere after the listing
+   */
+  async isStillNamed(vectorStoreId, name) {
+    try {
+      return findStoresByName([await this.provider.getVectorStore(vectorStoreId)], name).length > 0;
+    } catch (error) {
+      if (error.code === ErrorCodes.NOT_FOUND) {
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = { VectorStoreNameResolver, suggestNames, NAME_CACHE_TTL_MS };
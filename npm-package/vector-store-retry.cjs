@@ -0,0 +1,119 @@
+/**
+ * Vector Store Retry
+ *
+ * Re-attaches vector store files that failed processing with a transient
+ * error. Each failed file's `last_error.code` decides whether it is worth
+ * another attempt: server errors and rate limits are, while files the API
+ * rejected as unsupported or invalid fail the same way every time and are
+ * only reported.
+ */
+
+const { mapWithConcurrency, validateAttributes, parseChunkingStrategy } = require('./openai-service.cjs');
+const { createProgressCounter } = require('./directory-upload.cjs');
+const { listAllVectorStoreFiles } = require('./vector-store-sync.cjs');
+
+const RETRYABLE_ERROR_CODES = ['server_error', 'rate_limit_exceeded'];
+const RETRY_CONCURRENCY = 4;
+
+/**
+ * Whether a failed file's last_error is transient. Unknown codes count as permanent.
+ */
+function isRetryableFileError(lastError) {
+  return Boolean(lastError) && RETRYABLE_ERROR_CODES.includes(lastError.code);
+}
+
+/**
+ * Reduce a failed vector store file to its ID, last_error and classification
+ */
+function describeFailure(file) {
+  return {
+    file_id: file.id,
+    code: file.last_error?.code || 'unknown',
+    message: file.last_error?.message || '',
+    retryable: isRetryableFileError(file.last_error)
+  };
+}
+
+/**
+ * The chunking strategy to re-add a file with. Files chunked before strategies
+ * existed report type `other`, which cannot be sent back, so they get the store default.
+ */
+function reusableChunkingStrategy(file) {
+  const strategy = file.chunking_strategy;
+  return strategy && (strategy.type === 'auto' || strategy.type === 'static') ? parseChunkingStrategy(strategy) : undefined;
+}
+
+/**
+ * Retry the failed files of a vector store whose errors are transient.
+ * A retry detaches the file and adds it again with the same attributes and
+ * chunking strategy. With `wait`, each retried file is polled until it
+ * finishes processing so files that fail again are reported too.
+ * A retry that errors is reported with `stage`: `attached` when the file is
+ * still in the store, `detached` when it could not be added back.
+ */
+async function retryFailedVectorStoreFiles(provider, request) {
+  const { vector_store_id, dry_run = false, wait = false } = request;
+
+  const failed = await listAllVectorStoreFiles(provider, vector_store_id, { filter: 'failed' });
+  const plan = { retry: [], permanent: [] };
+  for (const file of failed) {
+    const failure = describeFailure(file);
+    (failure.retryable ? plan.retry : plan.permanent).push(failure);
+  }
+
+  const report = {
+    object: 'vector_store.retry_failed',
+    vector_store_id,
+    dry_run,
+    plan
+  };
+  if (dry_run) {
+    return report;
+  }
+
+  const filesById = new Map(failed.map((file) => [file.id, file]));
+  const stillFailing = plan.permanent.slice();
+  const advance = createProgressCounter(request.onProgress);
+
+  const retried = await mapWithConcurrency(plan.retry, RETRY_CONCURRENCY, async ({ file_id }) => {
+    const file = filesById.get(file_id);
+    let detached = false;
+    try {
+      // Everything that can be checked locally is checked before the file leaves the store
+      const entry = {
+        file_id,
+        attributes: file.attributes && Object.keys(file.attributes).length > 0 ? validateAttributes(file.attributes) : undefined,
+        chunking_strategy: reusableChunkingStrategy(file)
+      };
+      await provider.deleteVectorStoreFile(vector_store_id, file_id);
+      detached = true;
+      // A failed add is tried once more so a passing error does not leave the file out of the store
+      let attached = await provider.addFileToVectorStore(vector_store_id, entry)
+        .catch(() => provider.addFileToVectorStore(vector_store_id, entry));
+      detached = false;
+      if (wait) {
+        attached = (await provider.waitForVectorStoreFile(vector_store_id, file_id, { timeout_seconds: request.timeout_seconds })).vector_store_file;
+      }
+      advance(1, plan.retry.length, `Retried ${file_id}`);
+
+      if (attached.status === 'failed') {
+        stillFailing.push(describeFailure(attached));
+      }
+      return { file_id, status: attached.status };
+    } catch (error) {
+      stillFailing.push({ file_id, code: 'retry_error', message: error.message, retryable: true, stage: detached ? 'detached' : 'attached' });
+      advance(1, plan.retry.length, `Failed to retry ${file_id}`);
+      return null;
+    }
+  });
+
+  return {
+    ...report,
+    applied: {
+      retried: retried.filter(Boolean),
+      still_failing: stillFailing
+    }
+  };
+}
+
+module.exports = { retryFailedVectorStoreFiles, isRetryableFileError, RETRYABLE_ERROR_CODES };
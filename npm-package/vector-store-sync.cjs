@@ -0,0 +1,328 @@
+/**
+ * Vector Store Sync
+ *
+ * Mirrors a local directory into a vector store. Every file the sync adds
+ * carries `path` (relative to the directory) and `sha256` attributes, which
+ * are compared with the local tree to build a plan: add new files, replace
+ * changed ones and remove files that no longer exist locally. Store files
+ * without a `path` attribute were not added by a sync and are left alone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MCPError, ErrorCodes, mapWithConcurrency, hashFile, parseChunkingStrategy, listPages, waitForVectorStoreFileBatch } = require('./openai-service.cjs');
+const { resolveDirectoryRequest, selectFiles, createProgressCounter, MAX_BATCH_FILES } = require('./directory-upload.cjs');
+
+/**
+ * Fetch every file in a vector store, following pagination cursors.
+ * request.filter limits the listing to one processing status.
+ */
+async function listAllVectorStoreFiles(provider, vectorStoreId, request = {}) {
+  const files = await listPages(
+    (params) => provider.listVectorStoreFiles(vectorStoreId, { ...params, filter: request.filter }),
+    { all: true },
+    { maxItems: Infinity }
+  );
+  return files.data;
+}
+
+const isUsable = (file) => file.status === 'completed' || file.status === 'in_progress';
+
+/**
+ * Order store files sharing a path so the one to keep comes first: one that has
+ * not failed, then one matching the local content, then the newest
+ */
+function compareDuplicates(a, b, localSha256) {
+  return Number(isUsable(b)) - Number(isUsable(a))
+    || Number(b.attributes.sha256 === localSha256) - Number(a.attributes.sha256 === localSha256)
+    || b.created_at - a.created_at;
+}
+
+/**
+ * Compare the local tree with the store's files and decide what to change.
+ * Of several files with the same path, the others are only removed once the
+ * kept one has finished processing.
+ */
+function buildSyncPlan(localFiles, remoteFiles) {
+  const plan = { add: [], replace: [], remove: [], unchanged: 0, unmanaged: 0 };
+  const candidatesByPath = new Map();
+
+  for (const remote of remoteFiles) {
+    const remotePath = remote.attributes && remote.attributes.path;
+    if (typeof remotePath !== 'string') {
+      plan.unmanaged += 1;
+    } else {
+      candidatesByPath.set(remotePath, [...(candidatesByPath.get(remotePath) || []), remote]);
+    }
+  }
+
+  const localHashes = new Map(localFiles.map((local) => [local.path, local.sha256]));
+  const remoteByPath = new Map();
+  for (const [remotePath, candidates] of candidatesByPath) {
+    const [kept, ...duplicates] = candidates.sort((a, b) => compareDuplicates(a, b, localHashes.get(remotePath)));
+    remoteByPath.set(remotePath, kept);
+    if (kept.status === 'completed') {
+      duplicates.forEach((duplicate) => plan.remove.push({ path: remotePath, file_id: duplicate.id, reason: 'duplicate' }));
+    }
+  }
+
+  for (const local of localFiles) {
+    const remote = remoteByPath.get(local.path);
+    if (!remote) {
+      plan.add.push(local);
+    } else if (remote.attributes.sha256 !== local.sha256 || remote.status === 'failed') {
+      plan.replace.push({ ...local, file_id: remote.id, previous_sha256: remote.attributes.sha256 || null });
+    } else {
+      plan.unchanged += 1;
+    }
+  }
+
+  const localPaths = new Set(localFiles.map((local) => local.path));
+  for (const [remotePath, remote] of remoteByPath) {
+    if (!localPaths.has(remotePath)) {
+      plan.remove.push({ path: remotePath, file_id: remote.id, reason: 'deleted' });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * SHA-256 of a local file, reusing the cached hash while its size and mtime are unchanged
+ */
+async function hashLocalFile(filePath, hashCache) {
+  const stat = fs.statSync(filePath);
+  const cached = hashCache && hashCache.get(filePath);
+  if (cached && cached.bytes === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.sha256;
+  }
+  const { sha256 } = await hashFile(filePath);
+  if (hashCache) {
+    hashCache.set(filePath, { bytes: stat.size, mtimeMs: stat.mtimeMs, sha256 });
+  }
+  return sha256;
+}
+
+/**
+ * Wait for the batches holding replacement files and return every file in them by ID
+ */
+async function settleReplacements(provider, vectorStoreId, attachedBatches, replacedPaths, timeoutSeconds) {
+  const settled = new Map();
+  for (const { batch, entries } of attachedBatches) {
+    if (!entries.some((entry) => replacedPaths.has(entry.path))) {
+      continue;
+    }
+    const outcome = await waitForVectorStoreFileBatch(provider, vectorStoreId, batch.id, { timeout_seconds: timeoutSeconds });
+    Object.assign(batch, { status: outcome.file_batch.status, file_counts: outcome.file_batch.file_counts });
+    const files = await listPages(
+      (params) => provider.listVectorStoreFileBatchFiles(vectorStoreId, batch.id, params),
+      { all: true },
+      { maxItems: Infinity }
+    );
+    files.data.forEach((file) => settled.set(file.id, file));
+  }
+  return settled;
+}
+
+/**
+ * Whether a store file's path lies in one of the directories the walk could not read
+ */
+function isUnderUnreadable(remote, unreadable) {
+  const remotePath = remote.attributes && remote.attributes.path;
+  return typeof remotePath === 'string'
+    && unreadable.some((dir) => remotePath.startsWith(`${dir.relative_path}/`));
+}
+
+/**
+ * The IDs among fileIds that a vector store other than vectorStoreId also holds.
+ * Deduplicated uploads share one file between stores, so deleting it would empty theirs too.
+ */
+async function findSharedFiles(provider, vectorStoreId, fileIds) {
+  const shared = new Set();
+  if (fileIds.size === 0) {
+    return shared;
+  }
+  const stores = await listPages((params) => provider.listVectorStores(params), { all: true }, { maxItems: Infinity });
+  for (const store of stores.data) {
+    if (store.id === vectorStoreId) {
+      continue;
+    }
+    for (const file of await listAllVectorStoreFiles(provider, store.id)) {
+      if (fileIds.has(file.id)) {
+        shared.add(file.id);
+      }
+    }
+  }
+  return shared;
+}
+
+/**
+ * Make a vector store match a local directory. With dry_run only the plan is returned.
+ * Files under subdirectories that cannot be read are left as they are, and those
+ * directories are listed in `unreadable`.
+ * Repeated syncs of the same tree can pass a hashCache Map to skip unchanged files.
+ * request.onProgress(completed, total, message) counts uploads, attachments and removals.
+ * A replaced file is only removed once its replacement has finished processing;
+ * otherwise the old version stays and is listed in `kept`.
+ * With delete_files, a removed file that another store still holds is only
+ * detached and listed in `shared`.
+ */
+async function syncDirectoryToVectorStore(provider, request, { hashCache } = {}) {
+  const { vector_store_id, purpose = 'assistants', dry_run = false, delete_files = false } = request;
+
+  if (!vector_store_id) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
+  }
+  parseChunkingStrategy(request.chunking_strategy);
+
+  const { root, concurrency, options } = resolveDirectoryRequest(request);
+  const { selected, skipped } = selectFiles(root, options);
+
+  const localFiles = await mapWithConcurrency(selected, concurrency, async (file) => ({
+    path: file.relative_path,
+    bytes: file.bytes,
+    sha256: await hashLocalFile(path.join(root, file.relative_path), hashCache)
+  }));
+  const remoteFiles = await listAllVectorStoreFiles(provider, vector_store_id);
+  // Files missing because their directory could not be read have not been deleted
+  const plan = buildSyncPlan(localFiles, remoteFiles.filter((remote) => !isUnderUnreadable(remote, skipped.unreadable)));
+
+  const report = {
+    object: 'vector_store.sync',
+    vector_store_id,
+    directory_path: root,
+    dry_run,
+    plan
+  };
+  if (skipped.unreadable.length > 0) {
+    report.unreadable = skipped.unreadable;
+  }
+  if (dry_run) {
+    return report;
+  }
+
+  const errors = [];
+  const advance = createProgressCounter(request.onProgress);
+
+  // Each path needs its own file, so a deduplicated upload already used elsewhere is uploaded again
+  const keptFileIds = new Set(remoteFiles.map((remote) => remote.id));
+  const toUpload = [...plan.add, ...plan.replace];
+  let steps = toUpload.length * 2 + plan.replace.length + plan.remove.length;
+  const uploaded = await mapWithConcurrency(toUpload, concurrency, async (local) => {
+    const filePath = path.join(root, local.path);
+    try {
+      let file = await provider.uploadFile({ file_path: filePath, purpose });
+      if (file.deduplicated && keptFileIds.has(file.id)) {
+        file = await provider.uploadFile({ file_path: filePath, purpose, force: true });
+      }
+      keptFileIds.add(file.id);
+      advance(1, steps, `Uploaded ${local.path}`);
+      return { path: local.path, file_id: file.id, attributes: { path: local.path, sha256: local.sha256 } };
+    } catch (error) {
+      errors.push({ path: local.path, stage: 'upload', error: error.message });
+      advance(1, steps, `Failed to upload ${local.path}`);
+      return null;
+    }
+  });
+
+  const attached = uploaded.filter(Boolean);
+  steps = toUpload.length + attached.length + plan.replace.length + plan.remove.length;
+  const batches = [];
+  const attachedBatches = [];
+  const attachedPaths = new Set();
+  for (let start = 0; start < attached.length; start += MAX_BATCH_FILES) {
+    const entries = attached.slice(start, start + MAX_BATCH_FILES);
+    try {
+      const batch = await provider.createVectorStoreFileBatch(
+        vector_store_id,
+        entries.map((entry) => ({ file_id: entry.file_id, attributes: entry.attributes })),
+        { chunking_strategy: request.chunking_strategy }
+      );
+      const summary = { id: batch.id, status: batch.status, file_counts: batch.file_counts };
+      batches.push(summary);
+      attachedBatches.push({ batch: summary, entries });
+      entries.forEach((entry) => attachedPaths.add(entry.path));
+      advance(entries.length, steps, `Attached ${entries.length} files`);
+    } catch (error) {
+      entries.forEach((entry) => errors.push({ path: entry.path, stage: 'attach', error: error.message }));
+      advance(entries.length, steps, `Failed to attach ${entries.length} files`);
+    }
+  }
+
+  // Old versions are only removed once their replacement has been processed, so a
+  // path keeps its searchable content when the new version fails or is still in progress
+  const attachedReplacements = plan.replace.filter((entry) => attachedPaths.has(entry.path));
+  const replacementIds = new Map(attached.map((entry) => [entry.path, entry.file_id]));
+  let settled = new Map();
+  try {
+    settled = await settleReplacements(provider, vector_store_id, attachedBatches, new Set(attachedReplacements.map((entry) => entry.path)), request.timeout_seconds);
+  } catch (error) {
+    attachedReplacements.forEach((entry) => errors.push({ path: entry.path, stage: 'wait', error: error.message }));
+  }
+
+  const kept = [];
+  const replaced = [];
+  const failedReplacements = [];
+  for (const entry of attachedReplacements) {
+    const replacement = settled.get(replacementIds.get(entry.path));
+    if (replacement && replacement.status === 'completed') {
+      replaced.push(entry);
+      continue;
+    }
+    kept.push({
+      path: entry.path,
+      file_id: entry.file_id,
+      replacement_file_id: replacementIds.get(entry.path),
+      replacement_status: replacement ? replacement.status : 'unknown',
+      ...(replacement && replacement.last_error && { replacement_error: replacement.last_error })
+    });
+    // A failed replacement is detached so the next sync tries the path again
+    if (replacement && (replacement.status === 'failed' || replacement.status === 'cancelled')) {
+      failedReplacements.push({ path: entry.path, file_id: replacement.id, reason: 'failed replacement' });
+    }
+  }
+
+  const toRemove = [...replaced, ...failedReplacements, ...plan.remove];
+  steps = toUpload.length + attached.length + toRemove.length;
+  let sharedFileIds = new Set();
+  if (delete_files) {
+    try {
+      sharedFileIds = await findSharedFiles(provider, vector_store_id, new Set(toRemove.map((entry) => entry.file_id)));
+    } catch (error) {
+      // Without knowing which files other stores use, none of them is deleted
+      sharedFileIds = new Set(toRemove.map((entry) => entry.file_id));
+      errors.push({ stage: 'delete', error: `Files were detached but not deleted: ${error.message}` });
+    }
+  }
+  const shared = [];
+  const removed = await mapWithConcurrency(toRemove, concurrency, async (entry) => {
+    try {
+      await provider.deleteVectorStoreFile(vector_store_id, entry.file_id);
+      if (delete_files && sharedFileIds.has(entry.file_id)) {
+        shared.push({ path: entry.path, file_id: entry.file_id });
+      } else if (delete_files) {
+        await provider.deleteFile(entry.file_id);
+      }
+      advance(1, steps, `Removed ${entry.path}`);
+      return entry.file_id;
+    } catch (error) {
+      errors.push({ path: entry.path, file_id: entry.file_id, stage: 'remove', error: error.message });
+      advance(1, steps, `Failed to remove ${entry.path}`);
+      return null;
+    }
+  });
+
+  return {
+    ...report,
+    applied: {
+      uploaded: attached,
+      batches,
+      removed: removed.filter(Boolean),
+      kept,
+      ...(delete_files && { shared }),
+      errors
+    }
+  };
+}
+
+module.exports = { syncDirectoryToVectorStore, buildSyncPlan, listAllVectorStoreFiles };
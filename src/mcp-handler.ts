@@ -8,6 +8,7 @@
 import {
   JsonRpcRequest,
   JsonRpcResponse,
+  JsonRpcNotification,
   MCPInitializeRequest,
   MCPInitializeResponse,
   MCPToolsListRequest,
@@ -16,21 +17,175 @@ import {
   MCPToolsCallResponse,
   MCPTool,
   MCPError,
-  ErrorCodes
+  ErrorCodes,
+  ProgressCallback,
+  ListRequest,
+  VectorStoreProvider
 } from './types';
 import { OpenAIService } from './services/openai-service';
+import { VectorStoreNameResolver } from './services/vector-store-names';
+
+// Shared by every tool that adds files to a vector store
+const CHUNKING_STRATEGY_SCHEMA = {
+  type: 'object',
+  description: 'How files are split into chunks: {"type": "auto"} or {"type": "static", "max_chunk_size_tokens": 100-4096, "chunk_overlap_tokens": up to half the chunk size}. Defaults to the store\'s chunking_strategy metadata, then the DEFAULT_CHUNKING_STRATEGY binding, then auto.',
+  properties: {
+    type: {
+      type: 'string',
+      enum: ['auto', 'static']
+    },
+    max_chunk_size_tokens: {
+      type: 'number',
+      description: 'Tokens per chunk (100-4096, default: 800)'
+    },
+    chunk_overlap_tokens: {
+      type: 'number',
+      description: 'Tokens shared by neighbouring chunks (default: 400, at most half of max_chunk_size_tokens)'
+    }
+  },
+  required: ['type']
+};
+
+// Typed file attributes, matched by vector-store-search filters
+const ATTRIBUTES_SCHEMA = {
+  type: 'object',
+  description: 'Attributes for filtered search (e.g., {"category": "billing", "year": 2024, "public": true}). Up to 16 keys of at most 64 characters; values are strings (up to 512 characters), numbers or booleans.',
+  additionalProperties: {
+    type: ['string', 'number', 'boolean']
+  }
+};
+
+// Cursor paging shared by every list tool
+const LIST_PAGING_PROPERTIES = {
+  order: {
+    type: 'string',
+    enum: ['asc', 'desc'],
+    description: 'Sort order by created_at: "desc" for newest first (default), "asc" for oldest first'
+  },
+  after: {
+    type: 'string',
+    description: 'Return the items after this ID. Pass next_cursor from the previous result to get the next page.'
+  },
+  before: {
+    type: 'string',
+    description: 'Return the items before this ID, to page backwards'
+  },
+  all: {
+    type: 'boolean',
+    description: 'Follow next_cursor through every page and return one combined list, stopping at 10000 items (has_more and next_cursor then show where to continue). limit is ignored.'
+  }
+};
+
+/**
+ * The paging arguments of a list tool call
+ */
+function listRequest(args: Record<string, any>): ListRequest {
+  return { limit: args.limit, order: args.order, after: args.after, before: args.before, all: args.all };
+}
+
+/**
+ * Let every tool that takes vector_store_id take vector_store_name instead, and
+ * every tool that takes vector_store_ids take vector_store_names as well: the
+ * names are added next to the IDs and the IDs are no longer required
+ */
+function withVectorStoreNames(tools: MCPTool[]): MCPTool[] {
+  return tools.map((tool) => {
+    const { properties, required = [] } = tool.inputSchema;
+    if (!properties.vector_store_id && !properties.vector_store_ids) {
+      return tool;
+    }
+
+    const withName: Record<string, any> = {};
+    for (const [key, schema] of Object.entries(properties)) {
+      if (key === 'vector_store_id') {
+        withName.vector_store_id = required.includes(key)
+          ? { ...schema, description: `${schema.description.replace(/\.?$/, '.')} Either this or vector_store_name is required.` }
+          : schema;
+        withName.vector_store_name = {
+          type: 'string',
+          description: 'Name of the vector store, instead of vector_store_id (e.g., "Support KB"). Matched exactly, then ignoring case; fails if several stores share the name.'
+        };
+      } else if (key === 'vector_store_ids') {
+        withName.vector_store_ids = required.includes(key)
+          ? { ...schema, description: `${schema.description.replace(/\.?$/, '.')} Either this or vector_store_names is required.` }
+          : schema;
+        withName.vector_store_names = {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Names of vector stores, instead of or as well as vector_store_ids (e.g., ["Support KB"]). Each is matched like vector_store_name.'
+        };
+      } else {
+        withName[key] = schema;
+      }
+    }
+    return {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: withName,
+        required: required.filter((key) => key !== 'vector_store_id' && key !== 'vector_store_ids')
+      }
+    };
+  });
+}
+
+// Minimum time between progress notifications for one tool call
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * A callback that sends notifications/progress through notify, or undefined when
+ * there is no progress token or nowhere to send them. Updates are throttled,
+ * except the final one, and never go backwards.
+ */
+function createProgressReporter(
+  progressToken: string | number | undefined,
+  notify?: (notification: JsonRpcNotification) => void
+): ProgressCallback | undefined {
+  if (progressToken === undefined || progressToken === null || !notify) {
+    return undefined;
+  }
+
+  let lastProgress = -Infinity;
+  let lastSentAt = 0;
+  return (progress, total, message) => {
+    const now = Date.now();
+    const finished = total !== undefined && progress >= total;
+    if (progress <= lastProgress || (!finished && now - lastSentAt < PROGRESS_INTERVAL_MS)) {
+      return;
+    }
+    lastProgress = progress;
+    lastSentAt = now;
+
+    const params: Record<string, any> = { progressToken, progress };
+    if (total !== undefined) {
+      params.total = total;
+    }
+    if (message) {
+      params.message = message;
+    }
+    notify({ jsonrpc: '2.0', method: 'notifications/progress', params });
+  };
+}
 
 export class MCPHandler {
-  private openaiService: OpenAIService;
+  private provider: VectorStoreProvider;
+  private vectorStoreNames: VectorStoreNameResolver;
 
-  constructor(apiKey: string) {
-    this.openaiService = new OpenAIService(apiKey);
+  /**
+   * vectorStoreNames lets callers share a name cache between handlers for the same account
+   */
+  constructor(apiKeyOrProvider: string | VectorStoreProvider, vectorStoreNames?: VectorStoreNameResolver) {
+    this.provider = typeof apiKeyOrProvider === 'string'
+      ? new OpenAIService(apiKeyOrProvider)
+      : apiKeyOrProvider;
+    this.vectorStoreNames = vectorStoreNames || new VectorStoreNameResolver();
   }
 
   /**
-   * Handle incoming MCP requests
+   * Handle incoming MCP requests. notify receives notifications/progress for
+   * tools/call requests that carry a progress token.
    */
-  async handleRequest(request: JsonRpcRequest): Promise<JsonRpcResponse> {
+  async handleRequest(request: JsonRpcRequest, notify?: (notification: JsonRpcNotification) => void): Promise<JsonRpcResponse> {
     try {
       // Validate JSON-RPC 2.0 format
       if (request.jsonrpc !== '2.0') {
@@ -43,7 +198,7 @@ export class MCPHandler {
         case 'tools/list':
           return this.handleToolsList(request as MCPToolsListRequest);
         case 'tools/call':
-          return this.handleToolsCall(request as MCPToolsCallRequest);
+          return this.handleToolsCall(request as MCPToolsCallRequest, notify);
         default:
           return this.createErrorResponse(request.id, ErrorCodes.METHOD_NOT_FOUND, 'Method not found');
       }
@@ -101,6 +256,10 @@ export class MCPHandler {
             metadata: {
               type: 'object',
               description: 'Additional metadata for the vector store (optional)'
+            },
+            chunking_strategy: {
+              ...CHUNKING_STRATEGY_SCHEMA,
+              description: 'Default chunking for files added to this store, kept in its metadata as "auto" or "static:<max>:<overlap>" (optional)'
             }
           },
           required: ['name']
@@ -116,11 +275,7 @@ export class MCPHandler {
               type: 'number',
               description: 'Maximum number of vector stores to return (default: 20)'
             },
-            order: {
-              type: 'string',
-              enum: ['asc', 'desc'],
-              description: 'Sort order by created_at timestamp'
-            }
+            ...LIST_PAGING_PROPERTIES
           }
         }
       },
@@ -178,6 +333,48 @@ export class MCPHandler {
           required: ['vector_store_id']
         }
       },
+      {
+        name: 'vector-store-clone',
+        description: 'Copy a vector store without re-uploading its files: a new store with the source name plus a suffix, metadata, expiry and chunking, holding all of the source files with their attributes. Reports files that could not be copied.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store to copy'
+            },
+            name: {
+              type: 'string',
+              description: 'Name for the copy (optional, defaults to the source name plus name_suffix)'
+            },
+            name_suffix: {
+              type: 'string',
+              description: 'Appended to the source name when no name is given (default: " (copy)")'
+            },
+            metadata: {
+              type: 'object',
+              description: 'Metadata merged over the source store metadata (optional)'
+            },
+            expires_after_days: {
+              type: 'number',
+              description: 'Number of days after which the copy expires (optional, defaults to the source expiry)'
+            },
+            chunking_strategy: {
+              ...CHUNKING_STRATEGY_SCHEMA,
+              description: 'Chunking for the copied files and default for the copy (optional). Defaults to the source store default, and files keep a static strategy they were processed with.'
+            },
+            wait: {
+              type: 'boolean',
+              description: 'Wait for the copied files to finish processing so files that fail are reported (default: false)'
+            },
+            timeout_seconds: {
+              type: 'number',
+              description: 'With wait, how long to wait for each batch of up to 500 files (0-3600, default: 300)'
+            }
+          },
+          required: ['vector_store_id']
+        }
+      },
       {
         name: 'vector-store-file-add',
         description: 'Add an existing file to a vector store',
@@ -191,7 +388,9 @@ export class MCPHandler {
             file_id: {
               type: 'string',
               description: 'ID of the file to add'
-            }
+            },
+            attributes: ATTRIBUTES_SCHEMA,
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
           },
           required: ['vector_store_id', 'file_id']
         }
@@ -214,14 +413,15 @@ export class MCPHandler {
               type: 'string',
               enum: ['in_progress', 'completed', 'failed', 'cancelled'],
               description: 'Filter files by status'
-            }
+            },
+            ...LIST_PAGING_PROPERTIES
           },
           required: ['vector_store_id']
         }
       },
       {
         name: 'vector-store-file-get',
-        description: 'Get details of a specific file in a vector store',
+        description: 'Get details of a specific file in a vector store, including its status and the chunking strategy used',
         inputSchema: {
           type: 'object',
           properties: {
@@ -237,6 +437,28 @@ export class MCPHandler {
           required: ['vector_store_id', 'file_id']
         }
       },
+      {
+        name: 'vector-store-file-wait',
+        description: 'Wait until a vector store file has finished processing, polling with a growing interval. Returns the final file, whether the wait timed out, and the last_error code if processing failed',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store'
+            },
+            file_id: {
+              type: 'string',
+              description: 'ID of the file to wait for'
+            },
+            timeout_seconds: {
+              type: 'number',
+              description: 'Seconds to wait before returning the current state (0-3600, default: 300)'
+            }
+          },
+          required: ['vector_store_id', 'file_id']
+        }
+      },
       {
         name: 'vector-store-file-content',
         description: 'Get content of a specific file in a vector store',
@@ -257,7 +479,7 @@ export class MCPHandler {
       },
       {
         name: 'vector-store-file-update',
-        description: 'Update metadata of a file in a vector store',
+        description: 'Replace the attributes of a file in a vector store',
         inputSchema: {
           type: 'object',
           properties: {
@@ -269,12 +491,16 @@ export class MCPHandler {
               type: 'string',
               description: 'ID of the file to update'
             },
+            attributes: {
+              ...ATTRIBUTES_SCHEMA,
+              description: `New attributes, replacing the current ones. ${ATTRIBUTES_SCHEMA.description}`
+            },
             metadata: {
               type: 'object',
-              description: 'New metadata for the file'
+              description: 'Deprecated alias for attributes'
             }
           },
-          required: ['vector_store_id', 'file_id', 'metadata']
+          required: ['vector_store_id', 'file_id']
         }
       },
       {
@@ -311,9 +537,25 @@ export class MCPHandler {
                 type: 'string'
               },
               description: 'Array of file IDs to add to the batch'
-            }
+            },
+            files: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  file_id: {
+                    type: 'string'
+                  },
+                  attributes: ATTRIBUTES_SCHEMA,
+                  chunking_strategy: CHUNKING_STRATEGY_SCHEMA
+                },
+                required: ['file_id']
+              },
+              description: 'Files with their own attributes or chunking strategy; may be combined with file_ids'
+            },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
           },
-          required: ['vector_store_id', 'file_ids']
+          required: ['vector_store_id']
         }
       },
       {
@@ -334,6 +576,28 @@ export class MCPHandler {
           required: ['vector_store_id', 'batch_id']
         }
       },
+      {
+        name: 'vector-store-file-batch-wait',
+        description: 'Wait until a file batch has finished processing, polling with a growing interval. Returns the final batch, whether the wait timed out, and the failed files with their last_error codes',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store'
+            },
+            batch_id: {
+              type: 'string',
+              description: 'ID of the batch to wait for'
+            },
+            timeout_seconds: {
+              type: 'number',
+              description: 'Seconds to wait before returning the current state (0-3600, default: 300)'
+            }
+          },
+          required: ['vector_store_id', 'batch_id']
+        }
+      },
       {
         name: 'vector-store-file-batch-cancel',
         description: 'Cancel a file batch',
@@ -374,11 +638,166 @@ export class MCPHandler {
               type: 'string',
               enum: ['in_progress', 'completed', 'failed', 'cancelled'],
               description: 'Filter files by status'
-            }
+            },
+            ...LIST_PAGING_PROPERTIES
           },
           required: ['vector_store_id', 'batch_id']
         }
       },
+      {
+        name: 'vector-store-retry-failed',
+        description: 'Retry the failed files of a vector store. Files whose last_error is transient (server_error, rate_limit_exceeded) are re-attached with the same attributes and chunking strategy; permanent failures are only reported',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store'
+            },
+            dry_run: {
+              type: 'boolean',
+              description: 'Only classify the failed files without retrying them'
+            },
+            wait: {
+              type: 'boolean',
+              description: 'Wait for the retried files to finish processing and report those that fail again'
+            },
+            timeout_seconds: {
+              type: 'number',
+              description: 'With wait, seconds to wait for each file (0-3600, default: 300)'
+            }
+          },
+          required: ['vector_store_id']
+        }
+      },
+      {
+        name: 'vector-store-search',
+        description: 'Search a vector store for chunks relevant to a query',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_id: {
+              type: 'string',
+              description: 'ID of the vector store to search'
+            },
+            query: {
+              oneOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+              ],
+              description: 'Query string, or an array of query strings'
+            },
+            max_num_results: {
+              type: 'number',
+              description: 'Maximum number of results to return (1-50, default: 10)'
+            },
+            rewrite_query: {
+              type: 'boolean',
+              description: 'Whether to rewrite the natural language query for vector search (optional)'
+            },
+            filters: {
+              type: 'object',
+              description: 'Attribute filter, e.g. {"type": "eq", "key": "category", "value": "manual"} or a compound {"type": "and", "filters": [...]} (optional)'
+            },
+            ranking_options: {
+              type: 'object',
+              properties: {
+                ranker: {
+                  type: 'string',
+                  description: 'Ranker to use (e.g. "auto")'
+                },
+                score_threshold: {
+                  type: 'number',
+                  description: 'Minimum score (0-1) a result must have to be returned'
+                }
+              },
+              description: 'Ranking options for the search (optional)'
+            }
+          },
+          required: ['vector_store_id', 'query']
+        }
+      },
+      {
+        name: 'vector-store-search-multi',
+        description: 'Search several vector stores at once and merge the results into a single ranking',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_ids: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'IDs of the vector stores to search (optional if vector_store_metadata is given)'
+            },
+            vector_store_metadata: {
+              type: 'object',
+              description: 'Search every vector store whose metadata contains all of these key/value pairs, e.g. {"team": "support"} (optional)'
+            },
+            query: {
+              oneOf: [
+                { type: 'string' },
+                { type: 'array', items: { type: 'string' } }
+              ],
+              description: 'Query string, or an array of query strings'
+            },
+            max_num_results: {
+              type: 'number',
+              description: 'Maximum number of results per store and in the merged list (1-50, default: 10)'
+            },
+            rewrite_query: {
+              type: 'boolean',
+              description: 'Whether to rewrite the natural language query for vector search (optional)'
+            },
+            filters: {
+              type: 'object',
+              description: 'Attribute filter applied in every store (optional)'
+            },
+            ranking_options: {
+              type: 'object',
+              description: 'Ranking options applied in every store (optional)'
+            }
+          },
+          required: ['query']
+        }
+      },
+      {
+        name: 'ask-vector-store',
+        description: 'Answer a question from one or more vector stores using the Responses API file_search tool, with citations',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            vector_store_ids: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'IDs of the vector stores to answer from'
+            },
+            question: {
+              type: 'string',
+              description: 'Question to answer'
+            },
+            model: {
+              type: 'string',
+              description: 'Model to generate the answer with (default: gpt-4o-mini)'
+            },
+            instructions: {
+              type: 'string',
+              description: 'Instructions for the model (optional)'
+            },
+            max_num_results: {
+              type: 'number',
+              description: 'Maximum number of chunks file_search may retrieve (1-50, optional)'
+            },
+            filters: {
+              type: 'object',
+              description: 'Attribute filter applied during retrieval (optional)'
+            }
+          },
+          required: ['vector_store_ids', 'question']
+        }
+      },
       {
         name: 'file-upload',
         description: 'Upload a local file to OpenAI for use with vector stores and assistants. This enables the complete workflow: upload file → add to vector store.',
@@ -402,6 +821,70 @@ export class MCPHandler {
           required: ['file_path']
         }
       },
+      {
+        name: 'file-upload-content',
+        description: 'Create a file from text or base64 content sent with the request, without access to the local filesystem. Works in the Cloudflare Worker. Use the returned file ID with vector-store-file-add.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: {
+              type: 'string',
+              description: 'File content: plain text, or base64 when encoding is "base64" (max 512MB decoded)'
+            },
+            encoding: {
+              type: 'string',
+              enum: ['text', 'base64'],
+              description: 'How content is encoded (default: "text"). Use "base64" for binary files such as PDFs.'
+            },
+            filename: {
+              type: 'string',
+              description: 'Name for the uploaded file, including its extension (e.g., "notes.md", "manual.pdf")'
+            },
+            mime_type: {
+              type: 'string',
+              description: 'MIME type of the content (e.g., "text/markdown"). Defaults to one derived from the filename extension.'
+            },
+            purpose: {
+              type: 'string',
+              enum: ['assistants', 'vision', 'batch'],
+              description: 'Purpose of the file upload. Use "assistants" for vector stores and chat.'
+            }
+          },
+          required: ['content', 'filename']
+        }
+      },
+      {
+        name: 'file-upload-url',
+        description: 'Upload a file straight from an http(s) URL (internal wiki pages, exported PDFs, public documents). The response is streamed into the upload; the filename and content type come from the response headers. Only hosts listed in the UPLOAD_URL_ALLOWED_HOSTS binding can be fetched. Optionally attaches the new file to a vector store.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            url: {
+              type: 'string',
+              description: 'http or https URL of the resource (redirects are followed, up to 5)'
+            },
+            filename: {
+              type: 'string',
+              description: 'Override the filename taken from Content-Disposition or the URL path'
+            },
+            purpose: {
+              type: 'string',
+              enum: ['assistants', 'vision', 'batch'],
+              description: 'Purpose of the file upload. Use "assistants" for vector stores and chat.'
+            },
+            max_bytes: {
+              type: 'number',
+              description: 'Abort if the resource is larger than this many bytes (default and maximum: UPLOAD_URL_MAX_BYTES or 512MB)'
+            },
+            vector_store_id: {
+              type: 'string',
+              description: 'Optional vector store to add the uploaded file to'
+            },
+            chunking_strategy: CHUNKING_STRATEGY_SCHEMA
+          },
+          required: ['url']
+        }
+      },
       {
         name: 'file-list',
         description: 'List all uploaded files in your OpenAI account with filtering options. Essential for managing your file storage and finding file IDs for vector store operations.',
@@ -417,15 +900,7 @@ export class MCPHandler {
               type: 'number',
               description: 'Maximum number of files to return (1-10000, default: 20)'
             },
-            order: {
-              type: 'string',
-              enum: ['asc', 'desc'],
-              description: 'Sort order by created_at: "desc" for newest first, "asc" for oldest first'
-            },
-            after: {
-              type: 'string',
-              description: 'File ID to start listing after (for pagination)'
-            }
+            ...LIST_PAGING_PROPERTIES
           }
         }
       },
@@ -459,7 +934,7 @@ export class MCPHandler {
       },
       {
         name: 'file-content',
-        description: 'Download and retrieve the actual content of an uploaded file. Perfect for reviewing file contents, verifying uploads, or extracting text for analysis.',
+        description: 'Retrieve the content of an uploaded file. Text files come back in full; binary files such as PDFs come back as a base64 preview of their first 48KB. Includes the size, SHA-256 and detected content type.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -497,71 +972,160 @@ export class MCPHandler {
           },
           required: ['filename', 'bytes', 'mime_type']
         }
+      },
+      {
+        name: 'upload-add-part',
+        description: 'Add a base64-encoded part (up to 64MB) to a pending multipart upload. Keep the returned part IDs in file order for upload-complete.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: {
+              type: 'string',
+              description: 'Upload ID returned by upload-create'
+            },
+            data: {
+              type: 'string',
+              description: 'Base64-encoded part content'
+            }
+          },
+          required: ['upload_id', 'data']
+        }
+      },
+      {
+        name: 'upload-complete',
+        description: 'Complete a multipart upload from its ordered part IDs, producing a File object that can be added to vector stores.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: {
+              type: 'string',
+              description: 'Upload ID to complete'
+            },
+            part_ids: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Ordered part IDs from upload-add-part'
+            },
+            md5: {
+              type: 'string',
+              description: 'Optional MD5 hex digest of the whole file'
+            }
+          },
+          required: ['upload_id', 'part_ids']
+        }
+      },
+      {
+        name: 'upload-cancel',
+        description: 'Cancel a pending multipart upload and discard its parts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            upload_id: {
+              type: 'string',
+              description: 'Upload ID to cancel'
+            }
+          },
+          required: ['upload_id']
+        }
       }
     ];
     
     return {
       jsonrpc: '2.0',
       id: request.id,
-      result: { tools }
+      result: { tools: withVectorStoreNames(tools) }
     };
   }
 
   /**
    * Handle tools call request
    */
-  private async handleToolsCall(request: MCPToolsCallRequest): Promise<MCPToolsCallResponse> {
+  private async handleToolsCall(
+    request: MCPToolsCallRequest,
+    notify?: (notification: JsonRpcNotification) => void
+  ): Promise<MCPToolsCallResponse> {
     try {
-      const { name, arguments: args } = request.params;
+      const { name } = request.params;
+      let args = request.params.arguments || {};
+      const onProgress = createProgressReporter(request.params._meta?.progressToken, notify);
       let result: any;
 
+      // A vector_store_name stands in for vector_store_id on every tool that takes one,
+      // and vector_store_names adds to vector_store_ids on the tools that take several
+      if (args.vector_store_name !== undefined && !args.vector_store_id) {
+        args = { ...args, vector_store_id: await this.vectorStoreNames.resolve(this.provider, args.vector_store_name) };
+      }
+      if (args.vector_store_names !== undefined) {
+        args = { ...args, vector_store_ids: await this.resolveVectorStoreNames(args.vector_store_ids, args.vector_store_names) };
+      }
+
       switch (name) {
         case 'vector-store-create':
-          result = await this.openaiService.createVectorStore({
+          result = await this.provider.createVectorStore({
             name: args.name,
             expires_after_days: args.expires_after_days,
-            metadata: args.metadata
+            metadata: args.metadata,
+            chunking_strategy: args.chunking_strategy
           });
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-list':
-          result = await this.openaiService.listVectorStores({
-            limit: args.limit,
-            order: args.order
-          });
+          result = await this.provider.listVectorStores(listRequest(args));
           break;
 
         case 'vector-store-get':
           if (!args.vector_store_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
           }
-          result = await this.openaiService.getVectorStore(args.vector_store_id);
+          result = await this.provider.getVectorStore(args.vector_store_id);
           break;
 
         case 'vector-store-delete':
           if (!args.vector_store_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
           }
-          result = await this.openaiService.deleteVectorStore(args.vector_store_id);
+          result = await this.provider.deleteVectorStore(args.vector_store_id);
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-modify':
           if (!args.vector_store_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
           }
-          result = await this.openaiService.modifyVectorStore(args.vector_store_id, {
+          result = await this.provider.modifyVectorStore(args.vector_store_id, {
             name: args.name,
             expires_after_days: args.expires_after_days,
             metadata: args.metadata
           });
+          this.vectorStoreNames.invalidate();
+          break;
+
+        case 'vector-store-clone':
+          if (!args.vector_store_id) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
+          }
+          result = await this.provider.cloneVectorStore(args.vector_store_id, {
+            name: args.name,
+            name_suffix: args.name_suffix,
+            metadata: args.metadata,
+            expires_after_days: args.expires_after_days,
+            chunking_strategy: args.chunking_strategy,
+            wait: args.wait,
+            timeout_seconds: args.timeout_seconds,
+            onProgress
+          });
+          this.vectorStoreNames.invalidate();
           break;
 
         case 'vector-store-file-add':
           if (!args.vector_store_id || !args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_id are required');
           }
-          result = await this.openaiService.addFileToVectorStore(args.vector_store_id, {
-            file_id: args.file_id
+          result = await this.provider.addFileToVectorStore(args.vector_store_id, {
+            file_id: args.file_id,
+            attributes: args.attributes,
+            chunking_strategy: args.chunking_strategy
           });
           break;
 
@@ -569,8 +1133,8 @@ export class MCPHandler {
           if (!args.vector_store_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
           }
-          result = await this.openaiService.listVectorStoreFiles(args.vector_store_id, {
-            limit: args.limit,
+          result = await this.provider.listVectorStoreFiles(args.vector_store_id, {
+            ...listRequest(args),
             filter: args.filter
           });
           break;
@@ -579,78 +1143,190 @@ export class MCPHandler {
           if (!args.vector_store_id || !args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_id are required');
           }
-          result = await this.openaiService.getVectorStoreFile(args.vector_store_id, args.file_id);
+          result = await this.provider.getVectorStoreFile(args.vector_store_id, args.file_id);
+          break;
+
+        case 'vector-store-file-wait':
+          if (!args.vector_store_id || !args.file_id) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_id are required');
+          }
+          result = await this.provider.waitForVectorStoreFile(args.vector_store_id, args.file_id, {
+            timeout_seconds: args.timeout_seconds
+          });
           break;
 
         case 'vector-store-file-content':
           if (!args.vector_store_id || !args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_id are required');
           }
-          result = await this.openaiService.getVectorStoreFileContent(args.vector_store_id, args.file_id);
+          result = await this.provider.getVectorStoreFileContent(args.vector_store_id, args.file_id);
           break;
 
         case 'vector-store-file-update':
-          if (!args.vector_store_id || !args.file_id || !args.metadata) {
-            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id, file_id, and metadata are required');
+          if (!args.vector_store_id || !args.file_id || !(args.attributes || args.metadata)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id, file_id, and attributes are required');
           }
-          result = await this.openaiService.updateVectorStoreFile(args.vector_store_id, args.file_id, args.metadata);
+          result = await this.provider.updateVectorStoreFile(args.vector_store_id, args.file_id, args.attributes || args.metadata);
           break;
 
         case 'vector-store-file-delete':
           if (!args.vector_store_id || !args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_id are required');
           }
-          result = await this.openaiService.deleteVectorStoreFile(args.vector_store_id, args.file_id);
+          result = await this.provider.deleteVectorStoreFile(args.vector_store_id, args.file_id);
           break;
 
         case 'vector-store-file-batch-create':
-          if (!args.vector_store_id || !args.file_ids || !Array.isArray(args.file_ids)) {
-            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and file_ids array are required');
+          if (!args.vector_store_id || !(Array.isArray(args.file_ids) || Array.isArray(args.files))) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and a file_ids or files array are required');
           }
-          result = await this.openaiService.createVectorStoreFileBatch(args.vector_store_id, args.file_ids);
+          result = await this.provider.createVectorStoreFileBatch(args.vector_store_id, [...(args.file_ids || []), ...(args.files || [])], {
+            chunking_strategy: args.chunking_strategy
+          });
           break;
 
         case 'vector-store-file-batch-get':
           if (!args.vector_store_id || !args.batch_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.getVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          result = await this.provider.getVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          break;
+
+        case 'vector-store-file-batch-wait':
+          if (!args.vector_store_id || !args.batch_id) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and batch_id are required');
+          }
+          result = await this.provider.waitForVectorStoreFileBatch(args.vector_store_id, args.batch_id, {
+            timeout_seconds: args.timeout_seconds,
+            onProgress
+          });
           break;
 
         case 'vector-store-file-batch-cancel':
           if (!args.vector_store_id || !args.batch_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.cancelVectorStoreFileBatch(args.vector_store_id, args.batch_id);
+          result = await this.provider.cancelVectorStoreFileBatch(args.vector_store_id, args.batch_id);
           break;
 
         case 'vector-store-file-batch-files':
           if (!args.vector_store_id || !args.batch_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and batch_id are required');
           }
-          result = await this.openaiService.listVectorStoreFileBatchFiles(args.vector_store_id, args.batch_id, {
-            limit: args.limit,
+          result = await this.provider.listVectorStoreFileBatchFiles(args.vector_store_id, args.batch_id, {
+            ...listRequest(args),
             filter: args.filter
           });
           break;
 
+        case 'vector-store-retry-failed':
+          if (!args.vector_store_id) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id is required');
+          }
+          result = await this.provider.retryFailedVectorStoreFiles(args.vector_store_id, {
+            dry_run: args.dry_run,
+            wait: args.wait,
+            timeout_seconds: args.timeout_seconds
+          });
+          break;
+
+        case 'vector-store-search':
+          if (!args.vector_store_id || !args.query) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_id and query are required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.searchVectorStore(args.vector_store_id, {
+            query: args.query,
+            max_num_results: args.max_num_results,
+            rewrite_query: args.rewrite_query,
+            filters: args.filters,
+            ranking_options: args.ranking_options
+          });
+          break;
+
+        case 'vector-store-search-multi':
+          if (!args.query) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'query is required');
+          }
+          if (!Array.isArray(args.vector_store_ids) && !args.vector_store_metadata) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_ids, vector_store_names or vector_store_metadata is required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.searchVectorStores({
+            vector_store_ids: args.vector_store_ids,
+            vector_store_metadata: args.vector_store_metadata,
+            query: args.query,
+            max_num_results: args.max_num_results,
+            rewrite_query: args.rewrite_query,
+            filters: args.filters,
+            ranking_options: args.ranking_options
+          });
+          break;
+
+        case 'ask-vector-store':
+          if (!args.vector_store_ids || !Array.isArray(args.vector_store_ids) || args.vector_store_ids.length === 0 || !args.question) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_ids or vector_store_names, and question are required');
+          }
+          if (args.max_num_results !== undefined && (args.max_num_results < 1 || args.max_num_results > 50)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_num_results must be between 1 and 50');
+          }
+          result = await this.provider.askVectorStore({
+            vector_store_ids: args.vector_store_ids,
+            question: args.question,
+            model: args.model,
+            instructions: args.instructions,
+            max_num_results: args.max_num_results,
+            filters: args.filters
+          });
+          break;
+
         case 'file-upload':
           if (!args.file_path) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'file_path is required');
           }
-          result = await this.openaiService.uploadFile({
+          result = await this.provider.uploadFile({
             file_path: args.file_path,
             purpose: args.purpose,
             filename: args.filename
           });
           break;
 
-        case 'file-list':
-          result = await this.openaiService.listFiles({
+        case 'file-upload-content':
+          if (typeof args.content !== 'string' || !args.filename) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'content and filename are required');
+          }
+          result = await this.provider.uploadFileContent({
+            content: args.content,
+            encoding: args.encoding,
+            filename: args.filename,
+            mime_type: args.mime_type,
+            purpose: args.purpose
+          });
+          break;
+
+        case 'file-upload-url':
+          if (!args.url) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'url is required');
+          }
+          result = await this.provider.uploadFileFromUrl({
+            url: args.url,
+            filename: args.filename,
             purpose: args.purpose,
-            limit: args.limit,
-            order: args.order,
-            after: args.after
+            max_bytes: args.max_bytes,
+            vector_store_id: args.vector_store_id,
+            chunking_strategy: args.chunking_strategy,
+            onProgress
+          });
+          break;
+
+        case 'file-list':
+          result = await this.provider.listFiles({
+            ...listRequest(args),
+            purpose: args.purpose
           });
           break;
 
@@ -658,28 +1334,28 @@ export class MCPHandler {
           if (!args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'file_id is required');
           }
-          result = await this.openaiService.getFile(args.file_id);
+          result = await this.provider.getFile(args.file_id);
           break;
 
         case 'file-delete':
           if (!args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'file_id is required');
           }
-          result = await this.openaiService.deleteFile(args.file_id);
+          result = await this.provider.deleteFile(args.file_id);
           break;
 
         case 'file-content':
           if (!args.file_id) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'file_id is required');
           }
-          result = await this.openaiService.getFileContent(args.file_id);
+          result = await this.provider.getFileContent(args.file_id);
           break;
 
         case 'upload-create':
           if (!args.filename || !args.bytes || !args.mime_type) {
             throw new MCPError(ErrorCodes.INVALID_PARAMS, 'filename, bytes, and mime_type are required');
           }
-          result = await this.openaiService.createUpload({
+          result = await this.provider.createUpload({
             filename: args.filename,
             purpose: args.purpose,
             bytes: args.bytes,
@@ -687,6 +1363,30 @@ export class MCPHandler {
           });
           break;
 
+        case 'upload-add-part':
+          if (!args.upload_id || !args.data) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'upload_id and data are required');
+          }
+          result = await this.provider.addUploadPart(args.upload_id, { data: args.data });
+          break;
+
+        case 'upload-complete':
+          if (!args.upload_id || !Array.isArray(args.part_ids)) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'upload_id and part_ids array are required');
+          }
+          result = await this.provider.completeUpload(args.upload_id, {
+            part_ids: args.part_ids,
+            md5: args.md5
+          });
+          break;
+
+        case 'upload-cancel':
+          if (!args.upload_id) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'upload_id is required');
+          }
+          result = await this.provider.cancelUpload(args.upload_id);
+          break;
+
         default:
           throw new MCPError(ErrorCodes.METHOD_NOT_FOUND, `Unknown tool: ${name}`);
       }
@@ -721,6 +1421,24 @@ export class MCPHandler {
     }
   }
 
+  /**
+   * vector_store_ids with the stores named in vector_store_names added, one
+   * name at a time so they share a single listing of the stores
+   */
+  private async resolveVectorStoreNames(ids: unknown, names: unknown): Promise<string[]> {
+    if (!Array.isArray(names)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'vector_store_names must be an array of vector store names', { vector_store_names: names });
+    }
+    const resolved = Array.isArray(ids) ? [...ids] : [];
+    for (const name of names) {
+      const id = await this.vectorStoreNames.resolve(this.provider, name);
+      if (!resolved.includes(id)) {
+        resolved.push(id);
+      }
+    }
+    return resolved;
+  }
+
   /**
    * Create error response
    */
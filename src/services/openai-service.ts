@@ -10,35 +10,148 @@ import {
   CreateVectorStoreRequest,
   ListVectorStoresRequest,
   ListVectorStoresResponse,
+  ListRequest,
+  ListResponse,
+  ListFilesRequest,
   VectorStoreFile,
   VectorStoreFileBatch,
   AddFileToVectorStoreRequest,
+  CreateVectorStoreFileBatchOptions,
+  VectorStoreFileBatchEntry,
+  WaitForProcessingRequest,
+  FailedVectorStoreFile,
+  VectorStoreFileWaitResult,
+  VectorStoreFileBatchWaitResult,
+  RetryFailedFilesRequest,
+  RetryFailedFilesResult,
+  ClassifiedFailure,
+  CloneVectorStoreRequest,
+  CloneVectorStoreResult,
+  UncopiedVectorStoreFile,
+  FileContent,
+  ProgressCallback,
+  FileAttributes,
+  ChunkingStrategy,
+  ChunkingStrategyInput,
   ListVectorStoreFilesRequest,
   ListVectorStoreFilesResponse,
   ModifyVectorStoreRequest,
   VectorStoreFileContent,
-  UpdateVectorStoreFileRequest,
+  SearchVectorStoreRequest,
+  VectorStoreSearchResponse,
+  MultiSearchVectorStoresRequest,
+  MultiVectorStoreSearchResult,
+  MultiVectorStoreSearchResponse,
+  AskVectorStoreRequest,
+  AskVectorStoreResponse,
+  AskVectorStoreCitation,
+  UploadFileContentRequest,
+  UploadFileFromUrlRequest,
+  UploadFileStreamRequest,
+  UrlUploadOptions,
+  AddUploadPartRequest,
+  UploadPart,
+  CompleteUploadRequest,
+  VectorStoreProvider,
   MCPError,
   ErrorCodes
 } from '../types';
+import { detectFileType, decodeTextFile, extensionOf, DetectedFileType, SUPPORTED_FILE_TYPES, MIME_TYPES, SNIFF_BYTES } from './file-types';
 
-export class OpenAIService {
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_ANSWER_MODEL = 'gpt-4o-mini';
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+const MAX_FILE_BYTES = 512 * 1024 * 1024;
+const MAX_URL_REDIRECTS = 5;
+const FILE_PURPOSES = ['assistants', 'vision', 'batch'];
+
+// List endpoints return at most 100 items a page (10000 for /files); `all` stops at MAX_LIST_ALL_ITEMS
+const DEFAULT_LIST_PAGE_SIZE = 100;
+const MAX_FILES_PAGE_SIZE = 10000;
+const MAX_LIST_ALL_ITEMS = 10000;
+
+// Bytes of a binary file that file-content returns inline, base64 encoded
+const MAX_INLINE_BINARY_BYTES = 48 * 1024;
+
+// Static chunking limits of the vector store API, and the sizes "auto" uses
+const MIN_CHUNK_SIZE_TOKENS = 100;
+const MAX_CHUNK_SIZE_TOKENS = 4096;
+const DEFAULT_CHUNK_SIZE_TOKENS = 800;
+const DEFAULT_CHUNK_OVERLAP_TOKENS = 400;
+
+// Vector store metadata key holding the store's default chunking strategy
+const CHUNKING_METADATA_KEY = 'chunking_strategy';
+
+// Vector store file attribute limits
+const MAX_ATTRIBUTES = 16;
+const MAX_ATTRIBUTE_KEY_LENGTH = 64;
+const MAX_ATTRIBUTE_STRING_LENGTH = 512;
+
+// Waiting for vector store files and batches to finish processing
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 300;
+const MAX_WAIT_TIMEOUT_SECONDS = 3600;
+const INITIAL_POLL_INTERVAL_MS = 500;
+const MAX_POLL_INTERVAL_MS = 10000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const MAX_FAILED_FILES_LISTED = 100;
+
+// last_error codes worth another attempt; unsupported_file and invalid_file fail the same way every time
+const RETRYABLE_ERROR_CODES = ['server_error', 'rate_limit_exceeded'];
+
+// Cloning a vector store
+const DEFAULT_CLONE_NAME_SUFFIX = ' (copy)';
+const MAX_BATCH_FILES = 500; // file_ids accepted per vector store file batch
+
+/**
+ * A multipart/form-data body produced from a stream, for uploads whose
+ * content is never fully held in memory
+ */
+class MultipartStream {
+  readonly contentType: string;
+
+  constructor(readonly stream: ReadableStream<Uint8Array>, boundary: string) {
+    this.contentType = `multipart/form-data; boundary=${boundary}`;
+  }
+}
+
+export class OpenAIService implements VectorStoreProvider {
   private apiKey: string;
-  private baseUrl = 'https://api.openai.com/v1';
+  private baseUrl: string;
+  private urlAllowedHosts: string[];
+  private urlMaxBytes: number;
+  private chunkingStrategy: ChunkingStrategy | null;
+  // Store ID -> default chunking strategy (or null) from metadata seen in store responses
+  private storeChunkingDefaults = new Map<string, ChunkingStrategy | null>();
 
-  constructor(apiKey: string) {
+  constructor(
+    apiKey: string,
+    baseUrl: string = DEFAULT_BASE_URL,
+    urlOptions: UrlUploadOptions = {},
+    chunkingStrategy?: ChunkingStrategyInput
+  ) {
     this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.urlAllowedHosts = urlOptions.allowedHosts || [];
+    this.urlMaxBytes = urlOptions.maxBytes || MAX_FILE_BYTES;
+    this.chunkingStrategy = parseChunkingStrategy(chunkingStrategy, 'DEFAULT_CHUNKING_STRATEGY');
   }
 
   /**
    * Create a new vector store
    */
   async createVectorStore(request: CreateVectorStoreRequest): Promise<VectorStore> {
+    // The API only applies a chunking strategy to files given at creation,
+    // so it is also kept in metadata as the default for files added later
     const requestBody: any = {
       name: request.name,
-      metadata: request.metadata || {}
+      metadata: withChunkingMetadata(request.metadata, request.chunking_strategy)
     };
 
+    const chunkingStrategy = parseChunkingStrategy(request.chunking_strategy);
+    if (chunkingStrategy) {
+      requestBody.chunking_strategy = chunkingStrategy;
+    }
+
     if (request.expires_after_days) {
       requestBody.expires_after = {
         anchor: 'last_active_at',
@@ -47,25 +160,140 @@ export class OpenAIService {
     }
 
     const response = await this.makeRequest('POST', '/vector_stores', requestBody);
-    return response as VectorStore;
+    return this.rememberChunkingDefault(response as VectorStore);
   }
 
   /**
    * List all vector stores
    */
   async listVectorStores(request: ListVectorStoresRequest = {}): Promise<ListVectorStoresResponse> {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
+    return await listPages<VectorStore>((params) => this.makeRequest('GET', withListQuery('/vector_stores', params)), request);
+  }
+
+  /**
+   * Search several vector stores in parallel and merge the hits into one ranking.
+   * Stores are chosen by ID or by matching every key/value in vector_store_metadata.
+   * Scores are normalised against each store's best hit so stores are comparable,
+   * and the same chunk found in more than one store is reported once.
+   */
+  async searchVectorStores(request: MultiSearchVectorStoresRequest): Promise<MultiVectorStoreSearchResponse> {
+    const { vector_store_ids, vector_store_metadata, ...searchRequest } = request;
+
+    // An empty selector would match every store in the account
+    const hasIds = Array.isArray(vector_store_ids) && vector_store_ids.length > 0;
+    if (!hasIds && Object.keys(vector_store_metadata || {}).length === 0) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        'vector_store_ids or a non-empty vector_store_metadata selector is required',
+        { vector_store_ids, vector_store_metadata }
+      );
+    }
+
+    const vectorStoreIds = hasIds
+      ? vector_store_ids!
+      : await this.findVectorStoreIdsByMetadata(vector_store_metadata!);
+
+    if (vectorStoreIds.length === 0) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        'No vector stores matched the given selector',
+        { vector_store_metadata }
+      );
     }
-    if (request.order) {
-      params.append('order', request.order);
+
+    const outcomes = await Promise.allSettled(
+      vectorStoreIds.map((vectorStoreId) => this.searchVectorStore(vectorStoreId, searchRequest))
+    );
+
+    const hits = new Map<string, MultiVectorStoreSearchResult>();
+    const errors: MultiVectorStoreSearchResponse['errors'] = [];
+
+    outcomes.forEach((outcome, index) => {
+      const vectorStoreId = vectorStoreIds[index];
+
+      if (outcome.status === 'rejected') {
+        errors.push({
+          vector_store_id: vectorStoreId,
+          error: outcome.reason instanceof Error ? outcome.reason.message : String(outcome.reason)
+        });
+        return;
+      }
+
+      const results = outcome.value.data || [];
+      const topScore = Math.max(0, ...results.map((result) => result.score));
+
+      for (const result of results) {
+        const hit: MultiVectorStoreSearchResult = {
+          ...result,
+          vector_store_id: vectorStoreId,
+          normalized_score: topScore > 0 ? result.score / topScore : 0,
+          also_found_in: []
+        };
+
+        const key = `${result.file_id}:${(result.content || []).map((part) => part.text).join('\n')}`;
+        const existing = hits.get(key);
+
+        if (!existing) {
+          hits.set(key, hit);
+        } else if (compareSearchHits(hit, existing) < 0) {
+          hit.also_found_in = [...existing.also_found_in, existing.vector_store_id];
+          hits.set(key, hit);
+        } else {
+          existing.also_found_in.push(vectorStoreId);
+        }
+      }
+    });
+
+    const data = Array.from(hits.values())
+      .sort(compareSearchHits)
+      .slice(0, request.max_num_results || 10);
+
+    return {
+      object: 'vector_store.multi_search_results',
+      search_query: request.query,
+      vector_store_ids: vectorStoreIds,
+      data,
+      errors
+    };
+  }
+
+  /**
+   * Walk every page of vector stores and return the IDs whose metadata matches the selector
+   */
+  private async findVectorStoreIdsByMetadata(selector: Record<string, string>): Promise<string[]> {
+    const stores = await listPages<VectorStore>((params) => this.listVectorStores(params), { all: true }, { maxItems: Infinity });
+    return stores.data
+      .filter((store) => Object.entries(selector).every(([key, value]) => (store.metadata || {})[key] === value))
+      .map((store) => store.id);
+  }
+
+  /**
+   * The chunking strategy for files added to a store: the one requested, else the
+   * store's chunking_strategy metadata, else the DEFAULT_CHUNKING_STRATEGY binding.
+   * Null leaves the choice to the API, which means auto. Stores seen before are
+   * not fetched again.
+   */
+  private async resolveChunkingStrategy(vectorStoreId: string, requested?: ChunkingStrategyInput): Promise<ChunkingStrategy | null> {
+    const explicit = parseChunkingStrategy(requested);
+    if (explicit) {
+      return explicit;
     }
+    const cached = this.storeChunkingDefaults.get(vectorStoreId);
+    const fromMetadata = cached !== undefined ? cached : storeChunkingStrategy(await this.getVectorStore(vectorStoreId));
+    return fromMetadata || this.chunkingStrategy;
+  }
 
-    const url = `/vector_stores${params.toString() ? `?${params.toString()}` : ''}`;
-    const response = await this.makeRequest('GET', url);
-    return response as ListVectorStoresResponse;
+  /**
+   * Cache the default chunking strategy of a store returned by the API. Stores
+   * with invalid chunking metadata are not cached, so adding files reports it.
+   */
+  private rememberChunkingDefault(store: VectorStore): VectorStore {
+    try {
+      this.storeChunkingDefaults.set(store.id, storeChunkingStrategy(store));
+    } catch {
+      this.storeChunkingDefaults.delete(store.id);
+    }
+    return store;
   }
 
   /**
@@ -73,13 +301,14 @@ export class OpenAIService {
    */
   async getVectorStore(vectorStoreId: string): Promise<VectorStore> {
     const response = await this.makeRequest('GET', `/vector_stores/${vectorStoreId}`);
-    return response as VectorStore;
+    return this.rememberChunkingDefault(response as VectorStore);
   }
 
   /**
    * Delete a vector store
    */
   async deleteVectorStore(vectorStoreId: string): Promise<{ id: string; object: string; deleted: boolean }> {
+    this.storeChunkingDefaults.delete(vectorStoreId);
     const response = await this.makeRequest('DELETE', `/vector_stores/${vectorStoreId}`);
     return response as { id: string; object: string; deleted: boolean };
   }
@@ -88,10 +317,20 @@ export class OpenAIService {
    * Add a file to a vector store
    */
   async addFileToVectorStore(vectorStoreId: string, request: AddFileToVectorStoreRequest): Promise<VectorStoreFile> {
-    const requestBody = {
+    const requestBody: any = {
       file_id: request.file_id
     };
 
+    const attributes = validateAttributes(request.attributes);
+    if (attributes) {
+      requestBody.attributes = attributes;
+    }
+
+    const chunkingStrategy = await this.resolveChunkingStrategy(vectorStoreId, request.chunking_strategy);
+    if (chunkingStrategy) {
+      requestBody.chunking_strategy = chunkingStrategy;
+    }
+
     const response = await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/files`, requestBody);
     return response as VectorStoreFile;
   }
@@ -100,18 +339,10 @@ export class OpenAIService {
    * List files in a vector store
    */
   async listVectorStoreFiles(vectorStoreId: string, request: ListVectorStoreFilesRequest = {}): Promise<ListVectorStoreFilesResponse> {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
-    }
-    if (request.filter) {
-      params.append('filter', request.filter);
-    }
-
-    const url = `/vector_stores/${vectorStoreId}/files${params.toString() ? `?${params.toString()}` : ''}`;
-    const response = await this.makeRequest('GET', url);
-    return response as ListVectorStoreFilesResponse;
+    return await listPages<VectorStoreFile>(
+      (params) => this.makeRequest('GET', withListQuery(`/vector_stores/${vectorStoreId}/files`, params, { filter: request.filter })),
+      request
+    );
   }
 
   /**
@@ -139,10 +370,10 @@ export class OpenAIService {
   }
 
   /**
-   * Update a file in a vector store
+   * Replace the attributes of a file in a vector store
    */
-  async updateVectorStoreFile(vectorStoreId: string, fileId: string, metadata: Record<string, any>): Promise<VectorStoreFile> {
-    const requestBody = { metadata };
+  async updateVectorStoreFile(vectorStoreId: string, fileId: string, attributes: FileAttributes): Promise<VectorStoreFile> {
+    const requestBody = { attributes: validateAttributes(attributes) || {} };
     const response = await this.makeRequest('PATCH', `/vector_stores/${vectorStoreId}/files/${fileId}`, requestBody);
     return response as VectorStoreFile;
   }
@@ -157,7 +388,7 @@ export class OpenAIService {
       requestBody.name = updates.name;
     }
     if (updates.metadata) {
-      requestBody.metadata = updates.metadata;
+      requestBody.metadata = withChunkingMetadata(updates.metadata);
     }
     if (updates.expires_after_days) {
       requestBody.expires_after = {
@@ -167,14 +398,31 @@ export class OpenAIService {
     }
 
     const response = await this.makeRequest('POST', `/vector_stores/${vectorStoreId}`, requestBody);
-    return response as VectorStore;
+    return this.rememberChunkingDefault(response as VectorStore);
   }
 
   /**
    * Create a vector store file batch
    */
-  async createVectorStoreFileBatch(vectorStoreId: string, fileIds: string[]): Promise<VectorStoreFileBatch> {
-    const requestBody = { file_ids: fileIds };
+  async createVectorStoreFileBatch(
+    vectorStoreId: string,
+    files: Array<string | VectorStoreFileBatchEntry>,
+    options: CreateVectorStoreFileBatchOptions = {}
+  ): Promise<VectorStoreFileBatch> {
+    const entries = normalizeBatchEntries(files);
+    const chunkingStrategy = await this.resolveChunkingStrategy(vectorStoreId, options.chunking_strategy);
+
+    // Per-file settings need the files form, which has no batch-wide chunking_strategy
+    let requestBody: any;
+    if (entries.some((entry) => entry.attributes || entry.chunking_strategy)) {
+      requestBody = { files: entries.map((entry) => ({ chunking_strategy: chunkingStrategy || undefined, ...entry })) };
+    } else {
+      requestBody = { file_ids: entries.map((entry) => entry.file_id) };
+      if (chunkingStrategy) {
+        requestBody.chunking_strategy = chunkingStrategy;
+      }
+    }
+
     const response = await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/file_batches`, requestBody);
     return response as VectorStoreFileBatch;
   }
@@ -187,6 +435,210 @@ export class OpenAIService {
     return response as VectorStoreFileBatch;
   }
 
+  /**
+   * Wait for a vector store file to reach completed, failed or cancelled
+   */
+  async waitForVectorStoreFile(vectorStoreId: string, fileId: string, request: WaitForProcessingRequest = {}): Promise<VectorStoreFileWaitResult> {
+    const { value: file, ...outcome } = await pollUntilSettled(
+      () => this.getVectorStoreFile(vectorStoreId, fileId),
+      request.timeout_seconds
+    );
+
+    return {
+      object: 'vector_store.file.wait',
+      status: file.status,
+      ...outcome,
+      vector_store_file: file,
+      failed_files: file.status === 'failed' ? [describeFailedFile(file)] : []
+    };
+  }
+
+  /**
+   * Wait for a vector store file batch to reach completed, failed or cancelled,
+   * reporting processed/total file counts after every poll
+   */
+  async waitForVectorStoreFileBatch(vectorStoreId: string, batchId: string, request: WaitForProcessingRequest = {}): Promise<VectorStoreFileBatchWaitResult> {
+    const { value: batch, ...outcome } = await pollUntilSettled(async () => {
+      const current = await this.getVectorStoreFileBatch(vectorStoreId, batchId);
+      const counts = current.file_counts;
+      if (counts) {
+        request.onProgress?.(counts.completed + counts.failed + counts.cancelled, counts.total, `${counts.completed} completed, ${counts.failed} failed`);
+      }
+      return current;
+    }, request.timeout_seconds);
+
+    const result: VectorStoreFileBatchWaitResult = {
+      object: 'vector_store.file_batch.wait',
+      status: batch.status,
+      ...outcome,
+      file_batch: batch,
+      failed_files: []
+    };
+
+    if (batch.file_counts?.failed > 0) {
+      const failed = await this.listVectorStoreFileBatchFiles(vectorStoreId, batchId, { filter: 'failed', limit: MAX_FAILED_FILES_LISTED });
+      result.failed_files = failed.data.map(describeFailedFile);
+      if (failed.has_more) {
+        result.failed_files_truncated = true;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Retry the failed files of a vector store whose last_error is transient.
+   * A retry detaches the file and adds it again with the same attributes and
+   * chunking strategy; permanent failures are only reported. A retry that errors
+   * is reported with stage 'attached', or 'detached' when the file could not be added back.
+   */
+  async retryFailedVectorStoreFiles(vectorStoreId: string, request: RetryFailedFilesRequest = {}): Promise<RetryFailedFilesResult> {
+    const failed = (await listPages<VectorStoreFile>(
+      (params) => this.listVectorStoreFiles(vectorStoreId, { ...params, filter: 'failed' }),
+      { all: true },
+      { maxItems: Infinity }
+    )).data;
+
+    const plan: RetryFailedFilesResult['plan'] = { retry: [], permanent: [] };
+    for (const file of failed) {
+      const failure = classifyFailure(file);
+      (failure.retryable ? plan.retry : plan.permanent).push(failure);
+    }
+
+    const report: RetryFailedFilesResult = {
+      object: 'vector_store.retry_failed',
+      vector_store_id: vectorStoreId,
+      dry_run: Boolean(request.dry_run),
+      plan
+    };
+    if (request.dry_run) {
+      return report;
+    }
+
+    const retried: Array<{ file_id: string; status: VectorStoreFile['status'] }> = [];
+    const stillFailing: ClassifiedFailure[] = plan.permanent.slice();
+    for (const { file_id } of plan.retry) {
+      const file = failed.find((candidate) => candidate.id === file_id)!;
+      let detached = false;
+      try {
+        // Everything that can be checked locally is checked before the file leaves the store
+        const entry: AddFileToVectorStoreRequest = {
+          file_id,
+          attributes: file.attributes && Object.keys(file.attributes).length > 0 ? validateAttributes(file.attributes) : undefined,
+          // Files chunked before strategies existed report type 'other', which cannot be sent back
+          chunking_strategy: file.chunking_strategy?.type === 'auto' || file.chunking_strategy?.type === 'static'
+            ? parseChunkingStrategy(file.chunking_strategy) || undefined
+            : undefined
+        };
+        await this.deleteVectorStoreFile(vectorStoreId, file_id);
+        detached = true;
+        // A failed add is tried once more so a passing error does not leave the file out of the store
+        let attached = await this.addFileToVectorStore(vectorStoreId, entry)
+          .catch(() => this.addFileToVectorStore(vectorStoreId, entry));
+        detached = false;
+        if (request.wait) {
+          attached = (await this.waitForVectorStoreFile(vectorStoreId, file_id, { timeout_seconds: request.timeout_seconds })).vector_store_file;
+        }
+        if (attached.status === 'failed') {
+          stillFailing.push(classifyFailure(attached));
+        }
+        retried.push({ file_id, status: attached.status });
+      } catch (error) {
+        stillFailing.push({
+          file_id,
+          code: 'retry_error',
+          message: error instanceof Error ? error.message : String(error),
+          retryable: true,
+          stage: detached ? 'detached' : 'attached'
+        });
+      }
+    }
+
+    return { ...report, applied: { retried, still_failing: stillFailing } };
+  }
+
+  /**
+   * Create a copy of a vector store with the same name plus a suffix, metadata,
+   * expiry and chunking, then attach the source's files by ID in batches with
+   * their attributes. Files that failed or were cancelled in the source are not
+   * copied; they and any file lost while attaching or processing are listed in not_copied.
+   */
+  async cloneVectorStore(vectorStoreId: string, request: CloneVectorStoreRequest = {}): Promise<CloneVectorStoreResult> {
+    const source = await this.getVectorStore(vectorStoreId);
+    const sourceFiles = (await listPages<VectorStoreFile>(
+      (params) => this.listVectorStoreFiles(vectorStoreId, params),
+      { all: true },
+      { maxItems: Infinity }
+    )).data;
+
+    const clone = await this.createVectorStore({
+      name: request.name || `${source.name || source.id}${request.name_suffix ?? DEFAULT_CLONE_NAME_SUFFIX}`,
+      metadata: { ...source.metadata, ...request.metadata },
+      expires_after_days: request.expires_after_days ?? source.expires_after?.days,
+      chunking_strategy: request.chunking_strategy
+    });
+
+    const notCopied: UncopiedVectorStoreFile[] = [];
+    const copyable: VectorStoreFileBatchEntry[] = [];
+    for (const file of sourceFiles) {
+      if (file.status === 'failed' || file.status === 'cancelled') {
+        notCopied.push({ ...describeFailedFile(file), stage: 'source' });
+        continue;
+      }
+      // A static strategy stays with the file unless the clone was given its own
+      const entry: VectorStoreFileBatchEntry = { file_id: file.id };
+      if (file.attributes && Object.keys(file.attributes).length > 0) {
+        entry.attributes = file.attributes;
+      }
+      if (!request.chunking_strategy && file.chunking_strategy?.type === 'static') {
+        entry.chunking_strategy = file.chunking_strategy;
+      }
+      copyable.push(entry);
+    }
+
+    const result: CloneVectorStoreResult = {
+      object: 'vector_store.clone',
+      source_vector_store_id: source.id,
+      vector_store: clone,
+      files_copied: 0,
+      batches: [],
+      not_copied: notCopied
+    };
+    if (request.wait) {
+      result.timed_out = false;
+    }
+
+    for (let start = 0; start < copyable.length; start += MAX_BATCH_FILES) {
+      const entries = copyable.slice(start, start + MAX_BATCH_FILES);
+      try {
+        let batch = await this.createVectorStoreFileBatch(clone.id, entries, { chunking_strategy: request.chunking_strategy });
+        if (request.wait) {
+          const outcome = await this.waitForVectorStoreFileBatch(clone.id, batch.id, { timeout_seconds: request.timeout_seconds });
+          batch = outcome.file_batch;
+          result.timed_out = result.timed_out || outcome.timed_out;
+          if (outcome.failed_files_truncated) {
+            result.not_copied_truncated = true;
+          }
+          outcome.failed_files.forEach((failure) => notCopied.push({ ...failure, stage: 'processing' }));
+        }
+        // Without wait, files still processing count as copied
+        const counts = batch.file_counts;
+        result.files_copied += request.wait && counts ? entries.length - counts.failed - counts.cancelled : entries.length;
+        result.batches.push({ id: batch.id, status: batch.status, file_counts: batch.file_counts });
+        request.onProgress?.(Math.min(start + MAX_BATCH_FILES, copyable.length), copyable.length, `Copied ${entries.length} files`);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        entries.forEach((entry) => notCopied.push({ file_id: entry.file_id, code: 'attach_error', message, stage: 'attach' }));
+        request.onProgress?.(Math.min(start + MAX_BATCH_FILES, copyable.length), copyable.length, `Failed to copy ${entries.length} files`);
+      }
+    }
+
+    if (request.wait) {
+      result.vector_store = await this.getVectorStore(clone.id);
+    }
+    return result;
+  }
+
   /**
    * Cancel a vector store file batch
    */
@@ -199,18 +651,67 @@ export class OpenAIService {
    * List files in a vector store file batch
    */
   async listVectorStoreFileBatchFiles(vectorStoreId: string, batchId: string, request: ListVectorStoreFilesRequest = {}): Promise<ListVectorStoreFilesResponse> {
-    const params = new URLSearchParams();
-    
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
+    return await listPages<VectorStoreFile>(
+      (params) => this.makeRequest('GET', withListQuery(`/vector_stores/${vectorStoreId}/file_batches/${batchId}/files`, params, { filter: request.filter })),
+      request
+    );
+  }
+
+  /**
+   * Search a vector store for chunks relevant to a query
+   */
+  async searchVectorStore(vectorStoreId: string, request: SearchVectorStoreRequest): Promise<VectorStoreSearchResponse> {
+    const requestBody: any = {
+      query: request.query
+    };
+
+    if (request.max_num_results) {
+      requestBody.max_num_results = request.max_num_results;
+    }
+    if (request.rewrite_query !== undefined) {
+      requestBody.rewrite_query = request.rewrite_query;
+    }
+    if (request.filters) {
+      requestBody.filters = request.filters;
+    }
+    if (request.ranking_options) {
+      requestBody.ranking_options = request.ranking_options;
+    }
+
+    const response = await this.makeRequest('POST', `/vector_stores/${vectorStoreId}/search`, requestBody);
+    return response as VectorStoreSearchResponse;
+  }
+
+  /**
+   * Answer a question from one or more vector stores using the Responses API
+   * file_search tool, returning the answer text with structured citations
+   */
+  async askVectorStore(request: AskVectorStoreRequest): Promise<AskVectorStoreResponse> {
+    const fileSearchTool: any = {
+      type: 'file_search',
+      vector_store_ids: request.vector_store_ids
+    };
+
+    if (request.max_num_results) {
+      fileSearchTool.max_num_results = request.max_num_results;
     }
-    if (request.filter) {
-      params.append('filter', request.filter);
+    if (request.filters) {
+      fileSearchTool.filters = request.filters;
     }
 
-    const url = `/vector_stores/${vectorStoreId}/file_batches/${batchId}/files${params.toString() ? `?${params.toString()}` : ''}`;
-    const response = await this.makeRequest('GET', url);
-    return response as ListVectorStoreFilesResponse;
+    const requestBody: any = {
+      model: request.model || DEFAULT_ANSWER_MODEL,
+      input: request.question,
+      tools: [fileSearchTool],
+      include: ['file_search_call.results']
+    };
+
+    if (request.instructions) {
+      requestBody.instructions = request.instructions;
+    }
+
+    const response = await this.makeRequest('POST', '/responses', requestBody);
+    return extractGroundedAnswer(response);
   }
 
   /**
@@ -226,22 +727,40 @@ export class OpenAIService {
   }
 
   /**
-   * Make HTTP request to OpenAI API
+   * Make HTTP request to OpenAI API.
+   * responseType 'bytes' returns the raw response body instead of parsed JSON.
    */
-  private async makeRequest(method: string, endpoint: string, body?: any, throwOnError: boolean = true): Promise<any> {
+  private async makeRequest(
+    method: string,
+    endpoint: string,
+    body?: any,
+    throwOnError: boolean = true,
+    responseType: 'json' | 'bytes' = 'json'
+  ): Promise<any> {
     const url = `${this.baseUrl}${endpoint}`;
     
-    const options: RequestInit = {
-      method,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'OpenAI-Beta': 'assistants=v2'
-      }
+    const isForm = body instanceof FormData;
+    const isStream = body instanceof MultipartStream;
+    const headers: Record<string, string> = {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'OpenAI-Beta': 'assistants=v2'
     };
+    // fetch sets the multipart boundary itself for FormData bodies
+    if (isStream) {
+      headers['Content-Type'] = body.contentType;
+    } else if (!isForm) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const options: RequestInit = { method, headers };
 
     if (body && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-      options.body = JSON.stringify(body);
+      if (isStream) {
+        // Node's fetch only sends stream bodies in half-duplex mode
+        Object.assign(options, { body: body.stream, duplex: 'half' });
+      } else {
+        options.body = isForm ? body : JSON.stringify(body);
+      }
     }
 
     try {
@@ -275,6 +794,9 @@ export class OpenAIService {
         );
       }
 
+      if (responseType === 'bytes') {
+        return new Uint8Array(await response.arrayBuffer());
+      }
       return await response.json();
     } catch (error) {
       if (error instanceof MCPError) {
@@ -297,36 +819,219 @@ export class OpenAIService {
   async uploadFile(request: { file_path: string; purpose?: string; filename?: string }): Promise<any> {
     throw new MCPError(
       ErrorCodes.INTERNAL_ERROR,
-      'File upload from local filesystem is not supported in Cloudflare Workers environment. Use the OpenAI API directly or upload files through the web interface.',
+      'File upload from local filesystem is not supported in Cloudflare Workers environment. Send the file content with file-upload-content, or POST the file to /upload/{api-key}.',
       {
-        suggestion: 'Use the OpenAI web interface or API to upload files, then use the file ID with vector store operations',
+        suggestion: 'Use file-upload-content with the text or base64 content of the file, then use the file ID with vector store operations',
         file_path: request.file_path
       }
     );
   }
 
   /**
-   * List all uploaded files with filtering options
+   * Upload text or base64 content as a file, posted to /files as multipart/form-data
    */
-  async listFiles(request: { purpose?: string; limit?: number; order?: string; after?: string } = {}): Promise<any> {
-    const params = new URLSearchParams();
-    
-    if (request.purpose) {
-      params.append('purpose', request.purpose);
+  async uploadFileContent(request: UploadFileContentRequest): Promise<any> {
+    const { bytes, filename, mimeType, purpose } = decodeFileContent(request);
+
+    const form = new FormData();
+    form.append('purpose', purpose);
+    form.append('file', new Blob([bytes], { type: mimeType }), filename);
+    const file = await this.makeRequest('POST', '/files', form);
+
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const sha256 = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return { ...file, sha256 };
+  }
+
+  /**
+   * Stream a remote http(s) resource into a new file, optionally attaching it to a vector store
+   */
+  async uploadFileFromUrl(request: UploadFileFromUrlRequest): Promise<any> {
+    const { url, purpose = 'assistants', vector_store_id } = request;
+
+    if (!FILE_PURPOSES.includes(purpose)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, { purpose });
+    }
+    parseChunkingStrategy(request.chunking_strategy);
+    if (request.max_bytes !== undefined && (!Number.isInteger(request.max_bytes) || request.max_bytes < 1)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'max_bytes must be a positive integer', { max_bytes: request.max_bytes });
+    }
+    // A request can lower the configured limit but never raise it
+    const maxBytes = Math.min(request.max_bytes || Infinity, this.urlMaxBytes, MAX_FILE_BYTES);
+
+    const { response, finalUrl } = await fetchAllowedUrl(url, this.urlAllowedHosts);
+    // fetch decodes compressed bodies, so Content-Length is only the real size without Content-Encoding
+    const declaredSize = response.headers.get('content-encoding') ? NaN : parseInt(response.headers.get('content-length') || '', 10);
+    if (declaredSize > maxBytes) {
+      await response.body?.cancel();
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Content-Length ${declaredSize} exceeds the maximum allowed size of ${maxBytes} bytes`,
+        { url, bytes: declaredSize, max_bytes: maxBytes }
+      );
+    }
+
+    const { filename } = describeDownload(response.headers, finalUrl, request.filename);
+    const file = await this.postFileStream(
+      response.body,
+      { filename, purpose, maxBytes, size: Number.isFinite(declaredSize) ? declaredSize : undefined, onProgress: request.onProgress },
+      { url }
+    );
+
+    const result: any = { ...file, source_url: finalUrl.toString() };
+    if (vector_store_id) {
+      result.vector_store_file = await this.addFileToVectorStore(vector_store_id, { file_id: file.id, chunking_strategy: request.chunking_strategy });
     }
-    if (request.limit) {
-      params.append('limit', request.limit.toString());
+    return result;
+  }
+
+  /**
+   * Stream an uploaded body into a new file, optionally attaching it to a vector store
+   */
+  async uploadFileStream(request: UploadFileStreamRequest): Promise<any> {
+    const { stream, filename, purpose = 'assistants', vector_store_id } = request;
+
+    if (!filename || /[\\/"\r\n]/.test(filename)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'filename is required and must not contain slashes, quotes or line breaks', { filename });
     }
-    if (request.order) {
-      params.append('order', request.order);
+    if (!FILE_PURPOSES.includes(purpose)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, { purpose });
     }
-    if (request.after) {
-      params.append('after', request.after);
+    parseChunkingStrategy(request.chunking_strategy);
+
+    const file = await this.postFileStream(stream, { filename, purpose, maxBytes: MAX_FILE_BYTES, onProgress: request.onProgress }, { filename });
+    if (vector_store_id) {
+      return {
+        ...file,
+        vector_store_file: await this.addFileToVectorStore(vector_store_id, { file_id: file.id, chunking_strategy: request.chunking_strategy })
+      };
     }
+    return file;
+  }
 
-    const url = `/files${params.toString() ? `?${params.toString()}` : ''}`;
-    const response = await this.makeRequest('GET', url);
-    return response;
+  /**
+   * POST a stream to /files as the file part of a multipart body, aborting once it exceeds maxBytes.
+   * The first bytes are read up front to identify the file before any request is made.
+   * part.onProgress(sent, size) is called as chunks are passed on.
+   */
+  private async postFileStream(
+    source: ReadableStream<Uint8Array> | null,
+    part: { filename: string; purpose: string; maxBytes: number; size?: number; onProgress?: ProgressCallback },
+    details: Record<string, any>
+  ): Promise<any> {
+    const { purpose, maxBytes, size, onProgress } = part;
+    const reader = source?.getReader();
+    const readChunk = async (): Promise<ReadableStreamReadResult<Uint8Array>> => {
+      try {
+        return await reader!.read();
+      } catch (error) {
+        throw error instanceof MCPError
+          ? error
+          : new MCPError(ErrorCodes.INVALID_PARAMS, `Reading the upload failed: ${error instanceof Error ? error.message : 'Unknown error'}`, details);
+      }
+    };
+
+    const headChunks: Uint8Array[] = [];
+    let headBytes = 0;
+    let complete = !reader;
+    while (reader && !complete && headBytes < SNIFF_BYTES) {
+      const chunk = await readChunk();
+      if (chunk.done) {
+        complete = true;
+      } else {
+        headChunks.push(chunk.value);
+        headBytes += chunk.value.length;
+      }
+    }
+    const head = new Uint8Array(headBytes);
+    let offset = 0;
+    for (const chunk of headChunks) {
+      head.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    let upload: { filename: string; contentType: string };
+    try {
+      upload = resolveUploadType(head.subarray(0, SNIFF_BYTES), part.filename, purpose, complete);
+    } catch (error) {
+      await reader?.cancel();
+      throw error;
+    }
+
+    const boundary = `----formdata-mcp-${crypto.randomUUID()}`;
+    const encoder = new TextEncoder();
+    const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+    let tooLarge = false;
+    let sourceError: unknown = null;
+
+    const pump = (async () => {
+      const writer = writable.getWriter();
+      await writer.write(encoder.encode(
+        `--${boundary}\r\nContent-Disposition: form-data; name="purpose"\r\n\r\n${purpose}\r\n` +
+        `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${upload.filename}"\r\n` +
+        `Content-Type: ${upload.contentType}\r\n\r\n`
+      ));
+      let received = 0;
+      let next: Uint8Array | undefined = head;
+      while (next) {
+        received += next.length;
+        if (received > maxBytes) {
+          tooLarge = true;
+          await reader?.cancel();
+          await writer.abort(new Error('Content too large'));
+          return;
+        }
+        if (next.length > 0) {
+          await writer.write(next);
+          onProgress?.(received, size);
+        }
+        if (complete) {
+          break;
+        }
+        try {
+          const chunk = await readChunk();
+          complete = chunk.done;
+          next = chunk.done ? undefined : chunk.value;
+        } catch (error) {
+          sourceError = error;
+          await writer.abort(error);
+          return;
+        }
+      }
+      await writer.write(encoder.encode(`\r\n--${boundary}--\r\n`));
+      await writer.close();
+    })();
+
+    try {
+      const [file] = await Promise.all([
+        this.makeRequest('POST', '/files', new MultipartStream(readable, boundary)),
+        pump
+      ]);
+      return file;
+    } catch (error) {
+      if (tooLarge) {
+        throw new MCPError(
+          ErrorCodes.INVALID_PARAMS,
+          `Content exceeds the maximum allowed size of ${maxBytes} bytes`,
+          { ...details, max_bytes: maxBytes }
+        );
+      }
+      if (sourceError) {
+        throw sourceError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List all uploaded files with filtering options
+   */
+  async listFiles(request: ListFilesRequest = {}): Promise<ListResponse<any>> {
+    return await listPages<any>(
+      (params) => this.makeRequest('GET', withListQuery('/files', params, { purpose: request.purpose })),
+      request,
+      { pageSize: MAX_FILES_PAGE_SIZE }
+    );
   }
 
   /**
@@ -346,11 +1051,14 @@ export class OpenAIService {
   }
 
   /**
-   * Download/retrieve file content
+   * File content for reading: text in full, binaries as a truncated base64 preview
    */
-  async getFileContent(fileId: string): Promise<any> {
-    const response = await this.makeRequest('GET', `/files/${fileId}/content`);
-    return response;
+  async getFileContent(fileId: string): Promise<FileContent> {
+    const [file, data] = await Promise.all([
+      this.getFile(fileId),
+      this.makeRequest('GET', `/files/${fileId}/content`, undefined, true, 'bytes')
+    ]);
+    return await describeFileContent(file, data);
   }
 
   /**
@@ -369,4 +1077,640 @@ export class OpenAIService {
     const response = await this.makeRequest('POST', '/uploads', requestBody);
     return response;
   }
-}
\ No newline at end of file
+
+  /**
+   * Add a base64-encoded part (at most 64MB) to a pending upload
+   */
+  async addUploadPart(uploadId: string, request: AddUploadPartRequest): Promise<UploadPart> {
+    if (request.file_path) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        'Reading upload parts from file_path is not supported in Cloudflare Workers. Send the part as base64 data instead.',
+        { file_path: request.file_path }
+      );
+    }
+    if (!request.data) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'data (base64) is required');
+    }
+
+    const bytes = Uint8Array.from(atob(request.data), (char) => char.charCodeAt(0));
+    if (bytes.length > MAX_PART_BYTES) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `Upload part of ${bytes.length} bytes exceeds the ${MAX_PART_BYTES} byte part limit`,
+        { bytes: bytes.length, max_bytes: MAX_PART_BYTES }
+      );
+    }
+
+    const form = new FormData();
+    form.append('data', new Blob([bytes]), 'part');
+    const part = await this.makeRequest('POST', `/uploads/${uploadId}/parts`, form);
+
+    // Cloudflare Workers support MD5 in WebCrypto
+    const digest = await crypto.subtle.digest('MD5', bytes);
+    const md5 = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return { ...part, bytes: bytes.length, md5 };
+  }
+
+  /**
+   * Complete an upload from its ordered part IDs, producing a File object
+   */
+  async completeUpload(uploadId: string, request: CompleteUploadRequest): Promise<any> {
+    const requestBody: CompleteUploadRequest = { part_ids: request.part_ids };
+    if (request.md5) {
+      requestBody.md5 = request.md5;
+    }
+    return await this.makeRequest('POST', `/uploads/${uploadId}/complete`, requestBody);
+  }
+
+  /**
+   * Cancel a pending upload
+   */
+  async cancelUpload(uploadId: string): Promise<any> {
+    return await this.makeRequest('POST', `/uploads/${uploadId}/cancel`, {});
+  }
+}
+
+/**
+ * Normalise a chunking strategy to the API shape, or null when none is given.
+ * Accepts the API objects, { type: 'static', max_chunk_size_tokens, chunk_overlap_tokens },
+ * and the compact strings used in config and store metadata: "auto" or "static:<max>:<overlap>".
+ */
+function parseChunkingStrategy(value: ChunkingStrategyInput | undefined | null, source: string = 'chunking_strategy'): ChunkingStrategy | null {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let spec: any = value;
+  if (typeof spec === 'string') {
+    const [type, max, overlap] = spec.trim().split(':');
+    spec = { type, max_chunk_size_tokens: max ? Number(max) : undefined, chunk_overlap_tokens: overlap ? Number(overlap) : undefined };
+  }
+  if (!spec || typeof spec !== 'object' || (spec.type !== 'auto' && spec.type !== 'static')) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} must be "auto" or "static"`, { [source]: value });
+  }
+  if (spec.type === 'auto') {
+    return { type: 'auto' };
+  }
+
+  const fields = { ...spec, ...spec.static };
+  const maxTokens = fields.max_chunk_size_tokens ?? DEFAULT_CHUNK_SIZE_TOKENS;
+  const overlapTokens = fields.chunk_overlap_tokens ?? Math.min(DEFAULT_CHUNK_OVERLAP_TOKENS, Math.floor(maxTokens / 2));
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_CHUNK_SIZE_TOKENS || maxTokens > MAX_CHUNK_SIZE_TOKENS) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${source}: max_chunk_size_tokens must be an integer from ${MIN_CHUNK_SIZE_TOKENS} to ${MAX_CHUNK_SIZE_TOKENS}`,
+      { [source]: value }
+    );
+  }
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${source}: chunk_overlap_tokens must be an integer from 0 to half of max_chunk_size_tokens (${Math.floor(maxTokens / 2)})`,
+      { [source]: value }
+    );
+  }
+  return { type: 'static', static: { max_chunk_size_tokens: maxTokens, chunk_overlap_tokens: overlapTokens } };
+}
+
+/**
+ * Metadata for a new store, with the requested chunking strategy recorded as its default
+ */
+function withChunkingMetadata(metadata: Record<string, any> = {}, chunkingStrategy?: ChunkingStrategyInput): Record<string, any> {
+  const strategy = parseChunkingStrategy(chunkingStrategy);
+  if (!strategy) {
+    parseChunkingStrategy(metadata[CHUNKING_METADATA_KEY], `metadata.${CHUNKING_METADATA_KEY}`);
+    return metadata;
+  }
+  const compact = strategy.type === 'static'
+    ? `static:${strategy.static.max_chunk_size_tokens}:${strategy.static.chunk_overlap_tokens}`
+    : 'auto';
+  return { ...metadata, [CHUNKING_METADATA_KEY]: compact };
+}
+
+/**
+ * The default chunking strategy recorded in a store's metadata, or null
+ */
+function storeChunkingStrategy(store: VectorStore): ChunkingStrategy | null {
+  return parseChunkingStrategy(
+    store.metadata && store.metadata[CHUNKING_METADATA_KEY],
+    `metadata.${CHUNKING_METADATA_KEY} of ${store.id}`
+  );
+}
+
+/**
+ * Check vector store file attributes against the API limits: at most 16 keys of up
+ * to 64 characters, each a string (up to 512 characters), number or boolean
+ */
+function validateAttributes(attributes: FileAttributes | undefined, source: string = 'attributes'): FileAttributes | undefined {
+  if (attributes === undefined) {
+    return undefined;
+  }
+  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} must be an object of string, number or boolean values`, { [source]: attributes });
+  }
+
+  const keys = Object.keys(attributes);
+  if (keys.length > MAX_ATTRIBUTES) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} has ${keys.length} keys; at most ${MAX_ATTRIBUTES} are allowed`, { keys });
+  }
+  for (const key of keys) {
+    const value: unknown = attributes[key];
+    if (key.length === 0 || key.length > MAX_ATTRIBUTE_KEY_LENGTH) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, `${source} keys must be 1-${MAX_ATTRIBUTE_KEY_LENGTH} characters`, { key });
+    }
+    if (typeof value === 'string' ? value.length > MAX_ATTRIBUTE_STRING_LENGTH : typeof value !== 'boolean' && !Number.isFinite(value)) {
+      throw new MCPError(
+        ErrorCodes.INVALID_PARAMS,
+        `${source}.${key} must be a string of up to ${MAX_ATTRIBUTE_STRING_LENGTH} characters, a number or a boolean`,
+        { key, value }
+      );
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Validate file batch entries, given as file IDs or { file_id, attributes, chunking_strategy }
+ * objects, and return them all as objects
+ */
+function normalizeBatchEntries(files: Array<string | VectorStoreFileBatchEntry>): Array<{
+  file_id: string;
+  attributes?: FileAttributes;
+  chunking_strategy?: ChunkingStrategy;
+}> {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'A file batch needs at least one file');
+  }
+  return files.map((entry) => {
+    if (typeof entry === 'string') {
+      return { file_id: entry };
+    }
+    if (!entry || typeof entry.file_id !== 'string' || !entry.file_id) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Every file batch entry needs a file_id', { entry });
+    }
+    const normalized: { file_id: string; attributes?: FileAttributes; chunking_strategy?: ChunkingStrategy } = { file_id: entry.file_id };
+    if (entry.attributes !== undefined) {
+      normalized.attributes = validateAttributes(entry.attributes, `attributes of ${entry.file_id}`);
+    }
+    if (entry.chunking_strategy) {
+      normalized.chunking_strategy = parseChunkingStrategy(entry.chunking_strategy, `chunking_strategy of ${entry.file_id}`) || undefined;
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Add the shared list parameters (limit, order, after, before) and any extra
+ * filters to an endpoint's query string
+ */
+function withListQuery(endpoint: string, request: ListRequest, extra: Record<string, string | undefined> = {}): string {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries({ ...extra, limit: request.limit, order: request.order, after: request.after, before: request.before })) {
+    if (value !== undefined && value !== null && value !== '') {
+      params.append(key, String(value));
+    }
+  }
+  return params.toString() ? `${endpoint}?${params.toString()}` : endpoint;
+}
+
+/**
+ * The cursor that continues a list in the direction it was read: the last ID
+ * as `after`, or the first ID as `before` when paging backwards
+ */
+function nextCursorOf(page: { data: Array<{ id: string }>; has_more: boolean }, backwards: boolean): string | null {
+  if (!page.has_more || page.data.length === 0) {
+    return null;
+  }
+  return backwards ? page.data[0].id : page.data[page.data.length - 1].id;
+}
+
+/**
+ * Fetch one page of a list endpoint, or with request.all every page until
+ * options.maxItems, and add next_cursor to the result. fetchPage receives the
+ * request with its cursor and limit set for each page.
+ */
+export async function listPages<T extends { id: string }>(
+  fetchPage: (params: ListRequest) => Promise<ListResponse<T>>,
+  request: ListRequest = {},
+  options: { pageSize?: number; maxItems?: number } = {}
+): Promise<ListResponse<T>> {
+  const { all, ...params } = request;
+  const backwards = Boolean(params.before) && !params.after;
+  if (!all) {
+    const page = await fetchPage(params);
+    return { ...page, next_cursor: nextCursorOf(page, backwards) };
+  }
+
+  const pageSize = options.pageSize || DEFAULT_LIST_PAGE_SIZE;
+  const maxItems = options.maxItems ?? MAX_LIST_ALL_ITEMS;
+  let data: T[] = [];
+  let page: ListResponse<T>;
+  let cursor: string | null | undefined = backwards ? params.before : params.after;
+
+  do {
+    const limit = Math.min(pageSize, maxItems - data.length);
+    page = await fetchPage({ ...params, limit, after: backwards ? undefined : cursor || undefined, before: backwards ? cursor || undefined : undefined });
+    // Pages read backwards arrive in reverse, so they go in front to keep the requested order
+    data = backwards ? [...page.data, ...data] : [...data, ...page.data];
+    cursor = nextCursorOf(page, backwards);
+  } while (cursor && data.length < maxItems);
+
+  const merged: ListResponse<T> = {
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: Boolean(page.has_more)
+  };
+  return { ...merged, next_cursor: nextCursorOf(merged, backwards) };
+}
+
+/**
+ * Call check() until the object it returns has a terminal status, doubling
+ * the pause between calls up to MAX_POLL_INTERVAL_MS. When the timeout runs
+ * out the last object is returned with timed_out set.
+ */
+async function pollUntilSettled<T extends { status: string }>(
+  check: () => Promise<T>,
+  timeoutSeconds: number = DEFAULT_WAIT_TIMEOUT_SECONDS
+): Promise<{ value: T; timed_out: boolean; waited_seconds: number; polls: number }> {
+  if (typeof timeoutSeconds !== 'number' || !(timeoutSeconds >= 0 && timeoutSeconds <= MAX_WAIT_TIMEOUT_SECONDS)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `timeout_seconds must be a number from 0 to ${MAX_WAIT_TIMEOUT_SECONDS}`, { timeout_seconds: timeoutSeconds });
+  }
+
+  const started = Date.now();
+  const deadline = started + timeoutSeconds * 1000;
+  let interval = INITIAL_POLL_INTERVAL_MS;
+  let polls = 0;
+
+  for (;;) {
+    const value = await check();
+    polls++;
+    const remaining = deadline - Date.now();
+    if (TERMINAL_STATUSES.includes(value.status) || remaining <= 0) {
+      return {
+        value,
+        timed_out: !TERMINAL_STATUSES.includes(value.status),
+        waited_seconds: Math.round((Date.now() - started) / 100) / 10,
+        polls
+      };
+    }
+    await new Promise((resolve) => setTimeout(resolve, Math.min(interval, remaining)));
+    interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Reduce a failed vector store file to its ID and last_error
+ */
+function describeFailedFile(file: VectorStoreFile): FailedVectorStoreFile {
+  return {
+    file_id: file.id,
+    code: file.last_error?.code || 'unknown',
+    message: file.last_error?.message || ''
+  };
+}
+
+/**
+ * Describe a failed file and whether its last_error is transient. Unknown codes count as permanent.
+ */
+function classifyFailure(file: VectorStoreFile): ClassifiedFailure {
+  return {
+    ...describeFailedFile(file),
+    retryable: Boolean(file.last_error) && RETRYABLE_ERROR_CODES.includes(file.last_error!.code)
+  };
+}
+
+/**
+ * The file-content result: text files in full, binaries as a base64 preview
+ * of their first MAX_INLINE_BINARY_BYTES bytes
+ */
+async function describeFileContent(file: { id: string; filename: string }, data: Uint8Array): Promise<FileContent> {
+  const text = decodeTextFile(data);
+  const detected = detectFileType(data.subarray(0, SNIFF_BYTES), file.filename || '', data.length <= SNIFF_BYTES);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  const result: FileContent = {
+    object: 'file.content',
+    file_id: file.id,
+    filename: file.filename,
+    content_type: text !== null && detected.mime_type === 'application/octet-stream' ? 'text/plain' : detected.mime_type,
+    bytes: data.length,
+    sha256: Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join(''),
+    encoding: 'text',
+    content: ''
+  };
+  if (text !== null) {
+    return { ...result, content: text };
+  }
+
+  const preview = data.subarray(0, MAX_INLINE_BINARY_BYTES);
+  let binary = '';
+  for (let offset = 0; offset < preview.length; offset += 0x8000) {
+    binary += String.fromCharCode(...preview.subarray(offset, offset + 0x8000));
+  }
+  result.encoding = 'base64';
+  result.content = btoa(binary);
+  result.truncated = preview.length < data.length;
+  if (result.truncated) {
+    result.note = `Only the first ${preview.length} of ${data.length} bytes are included`;
+  }
+  return result;
+}
+
+/**
+ * Validate inline file content and decode it to bytes, checking the size limit before decoding
+ */
+function decodeFileContent(request: UploadFileContentRequest): { bytes: Uint8Array; filename: string; mimeType: string; purpose: string } {
+  const { content, encoding = 'text', filename, purpose = 'assistants' } = request;
+
+  if (typeof content !== 'string' || content.length === 0) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'content must be a non-empty string');
+  }
+  if (!filename || /[\\/"\r\n]/.test(filename)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'filename is required and must not contain slashes, quotes or line breaks', { filename });
+  }
+  if (encoding !== 'text' && encoding !== 'base64') {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'encoding must be "text" or "base64"', { encoding });
+  }
+  if (!FILE_PURPOSES.includes(purpose)) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `purpose must be one of: ${FILE_PURPOSES.join(', ')}`, { purpose });
+  }
+
+  let bytes: Uint8Array;
+  if (encoding === 'base64') {
+    const data = content.replace(/\s+/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data) || data.length % 4 === 1 || (data.endsWith('=') && data.length % 4 !== 0)) {
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'content is not valid base64');
+    }
+    const size = Math.floor(data.length * 3 / 4) - (data.match(/=*$/)?.[0].length ?? 0);
+    assertFileSize(size);
+    bytes = Uint8Array.from(atob(data), (char) => char.charCodeAt(0));
+  } else {
+    bytes = new TextEncoder().encode(content);
+    assertFileSize(bytes.length);
+  }
+
+  const upload = resolveUploadType(bytes.subarray(0, SNIFF_BYTES), filename, purpose, bytes.length <= SNIFF_BYTES);
+  return { bytes, filename: upload.filename, mimeType: request.mime_type || upload.contentType, purpose };
+}
+
+/**
+ * Pick the filename and content type of an upload from its detected type.
+ * Assistants uploads must be a format file_search supports, and a supported
+ * file whose extension does not match its content is renamed to fit it.
+ */
+function resolveUploadType(
+  head: Uint8Array,
+  filename: string,
+  purpose: string,
+  complete: boolean
+): { filename: string; contentType: string; detected: DetectedFileType } {
+  const detected = detectFileType(head, filename, complete);
+
+  if (purpose !== 'assistants') {
+    return { filename, contentType: MIME_TYPES[extensionOf(filename)] || detected.mime_type, detected };
+  }
+  if (!detected.supported) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `${filename} is not a format file_search supports (detected: ${detected.type}). ` +
+        `Supported formats: ${Object.keys(SUPPORTED_FILE_TYPES).join(', ')}`,
+      { filename, detected_type: detected.type, detected_extension: detected.extension || null }
+    );
+  }
+
+  const extension = extensionOf(filename);
+  if (extension !== detected.extension) {
+    filename = `${extension ? filename.slice(0, -extension.length) : filename}${detected.extension}`;
+  }
+  return { filename, contentType: detected.mime_type, detected };
+}
+
+/**
+ * Whether a hostname is loopback, private (RFC 1918, carrier-grade NAT, IPv6
+ * unique local), link-local (including the 169.254.169.254 metadata endpoint)
+ * or unspecified. Only IP literals and localhost can be recognised: Workers
+ * cannot see the address a name resolves to.
+ */
+function isPrivateHost(hostname: string): boolean {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  const ipv4 = host.match(/^(\d{1,3})\.(\d{1,3})\.\d{1,3}\.\d{1,3}$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+  if (!host.includes(':')) {
+    return false;
+  }
+
+  // IPv4-mapped addresses, as ::ffff:127.0.0.1 or normalised to ::ffff:7f00:1
+  const mapped = host.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    return isPrivateHost(mapped[1] || [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.'));
+  }
+  return host === '::' || host === '::1' || /^f[cd][0-9a-f]{2}:/.test(host) || /^fe[89ab][0-9a-f]:/.test(host);
+}
+
+/**
+ * Check that a URL is http(s) and its host is on the allowlist. Nothing is
+ * allowed until the list is configured, and "*" allows any public host.
+ * Private, loopback and link-local addresses are only reachable through a host
+ * listed by its exact name, never through "*" or a "*.domain" pattern.
+ */
+function assertUrlAllowed(rawUrl: string, allowedHosts: string[]): URL {
+  let url: URL;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `Invalid URL: ${rawUrl}`, { url: rawUrl });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, `Only http and https URLs can be uploaded: ${rawUrl}`, { url: rawUrl });
+  }
+
+  if (allowedHosts.length === 0) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      'Uploading from URLs is disabled until the UPLOAD_URL_ALLOWED_HOSTS binding lists the hosts that may be fetched ("*" for any public host)',
+      { url: rawUrl }
+    );
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  const listed = allowedHosts.includes(hostname);
+  if (!listed && isPrivateHost(hostname)) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      `Host ${hostname} is a private, loopback or link-local address; list it by name in UPLOAD_URL_ALLOWED_HOSTS to allow it`,
+      { url: rawUrl }
+    );
+  }
+  const allowed = listed || allowedHosts.some((pattern) => pattern === '*'
+    || (pattern.startsWith('*.') && hostname.endsWith(pattern.slice(1))));
+  if (!allowed) {
+    throw new MCPError(
+      ErrorCodes.FORBIDDEN,
+      `Host ${hostname} is not in the allowed hosts (UPLOAD_URL_ALLOWED_HOSTS)`,
+      { url: rawUrl, allowed_hosts: allowedHosts }
+    );
+  }
+  return url;
+}
+
+/**
+ * GET a URL, following redirects by hand so every hop is checked against the allowlist
+ */
+async function fetchAllowedUrl(rawUrl: string, allowedHosts: string[]): Promise<{ response: Response; finalUrl: URL }> {
+  let url = assertUrlAllowed(rawUrl, allowedHosts);
+
+  for (let redirects = 0; ; redirects++) {
+    let response: Response;
+    try {
+      response = await fetch(url.toString(), { redirect: 'manual' });
+    } catch (error) {
+      throw new MCPError(
+        ErrorCodes.INTERNAL_ERROR,
+        `Fetching ${url} failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        { url: url.toString() }
+      );
+    }
+
+    const location = response.headers.get('location');
+    if (response.status >= 300 && response.status < 400 && location) {
+      await response.body?.cancel();
+      if (redirects >= MAX_URL_REDIRECTS) {
+        throw new MCPError(ErrorCodes.INVALID_PARAMS, `Too many redirects fetching ${rawUrl}`, { url: rawUrl });
+      }
+      url = assertUrlAllowed(new URL(location, url).toString(), allowedHosts);
+      continue;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new MCPError(
+        response.status === 404 ? ErrorCodes.NOT_FOUND : ErrorCodes.INVALID_PARAMS,
+        `Fetching ${url} failed with HTTP ${response.status}`,
+        { url: url.toString(), status: response.status }
+      );
+    }
+    return { response, finalUrl: url };
+  }
+}
+
+/**
+ * Pick a filename and content type for a downloaded resource from its
+ * Content-Disposition and Content-Type headers, falling back to the URL path
+ */
+function describeDownload(headers: Headers, url: URL, requestedFilename?: string): { filename: string; contentType: string } {
+  const disposition = headers.get('content-disposition') || '';
+  const encoded = disposition.match(/filename\*\s*=\s*[\w-]+'[^']*'([^;]+)/i);
+  const quoted = disposition.match(/filename\s*=\s*"([^"]*)"/i) || disposition.match(/filename\s*=\s*([^;]+)/i);
+
+  let filename = requestedFilename;
+  if (!filename && encoded) {
+    filename = safeDecodeURIComponent(encoded[1].trim());
+  }
+  if (!filename && quoted) {
+    filename = quoted[1].trim();
+  }
+  if (!filename) {
+    filename = safeDecodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || '');
+  }
+  filename = (filename.split(/[\\/]/).pop() || '').replace(/["\r\n]/g, '_') || 'download';
+
+  let contentType = (headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!extensionOf(filename)) {
+    const extension = Object.keys(MIME_TYPES).find((ext) => MIME_TYPES[ext] === contentType);
+    if (extension) {
+      filename += extension;
+    }
+  }
+  if (!contentType || contentType === 'application/octet-stream') {
+    contentType = MIME_TYPES[extensionOf(filename)] || 'application/octet-stream';
+  }
+
+  return { filename, contentType };
+}
+
+function safeDecodeURIComponent(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function assertFileSize(bytes: number): void {
+  if (bytes > MAX_FILE_BYTES) {
+    throw new MCPError(
+      ErrorCodes.INVALID_PARAMS,
+      `File size ${bytes} bytes exceeds maximum allowed size of ${MAX_FILE_BYTES} bytes`,
+      { bytes, max_bytes: MAX_FILE_BYTES }
+    );
+  }
+}
+
+/**
+ * Order merged search hits by normalised score, then by raw score
+ */
+function compareSearchHits(a: MultiVectorStoreSearchResult, b: MultiVectorStoreSearchResult): number {
+  return (b.normalized_score - a.normalized_score) || (b.score - a.score);
+}
+
+/**
+ * Pull the answer text and file citations out of a Responses API result.
+ * Each citation is paired with the best-scoring retrieved chunk from the
+ * same file, which serves as the quoted span.
+ */
+function extractGroundedAnswer(response: any): AskVectorStoreResponse {
+  const output: any[] = Array.isArray(response?.output) ? response.output : [];
+
+  const retrieved: any[] = output
+    .filter((item) => item.type === 'file_search_call')
+    .flatMap((item) => item.results || [])
+    .sort((a, b) => (b.score || 0) - (a.score || 0));
+
+  const texts: string[] = [];
+  const citations: AskVectorStoreCitation[] = [];
+
+  for (const item of output) {
+    if (item.type !== 'message') {
+      continue;
+    }
+    for (const part of item.content || []) {
+      if (part.type !== 'output_text') {
+        continue;
+      }
+      texts.push(part.text);
+      for (const annotation of part.annotations || []) {
+        if (annotation.type !== 'file_citation') {
+          continue;
+        }
+        const source = retrieved.find((result) => result.file_id === annotation.file_id);
+        citations.push({
+          file_id: annotation.file_id,
+          filename: annotation.filename || source?.filename || null,
+          quote: source?.text ?? null,
+          index: annotation.index
+        });
+      }
+    }
+  }
+
+  return {
+    response_id: response?.id,
+    model: response?.model,
+    answer: texts.join('\n\n'),
+    citations,
+    usage: response?.usage
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Storage Provider Selection
+ * 
+ * Chooses the storage provider that backs the MCP tools. The Cloudflare
+ * Worker has no filesystem, so only the OpenAI provider is available here;
+ * the offline "local" provider ships with the Node stdio server.
+ */
+
+import { Env, VectorStoreProvider, MCPError, ErrorCodes } from '../types';
+import { OpenAIService } from './openai-service';
+
+/**
+ * Create the storage provider selected by the VECTOR_STORE_PROVIDER binding
+ */
+export function createProvider(apiKey: string, env?: Partial<Env>): VectorStoreProvider {
+  const type = (env?.VECTOR_STORE_PROVIDER || 'openai').trim();
+
+  if (type === 'openai') {
+    return new OpenAIService(apiKey, env?.OPENAI_BASE_URL || undefined, {
+      allowedHosts: (env?.UPLOAD_URL_ALLOWED_HOSTS || '').split(',').map((host) => host.trim().toLowerCase()).filter(Boolean),
+      maxBytes: parseInt(env?.UPLOAD_URL_MAX_BYTES || '', 10) || undefined
+    }, env?.DEFAULT_CHUNKING_STRATEGY);
+  }
+
+  throw new MCPError(
+    ErrorCodes.INVALID_PARAMS,
+    `Storage provider "${type}" is not available in Cloudflare Workers. Use "openai", or run the stdio server for the local provider.`,
+    { provider: type }
+  );
+}
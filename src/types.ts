@@ -19,6 +19,12 @@ export interface JsonRpcError {
   data?: any;
 }
 
+export interface JsonRpcNotification {
+  jsonrpc: '2.0';
+  method: string;
+  params?: any;
+}
+
 // MCP Protocol types (legacy compatibility)
 export interface MCPRequest extends JsonRpcRequest {}
 export interface MCPResponse extends JsonRpcResponse {}
@@ -82,9 +88,15 @@ export interface MCPToolsCallRequest extends JsonRpcRequest {
   params: {
     name: string;
     arguments: Record<string, any>;
+    _meta?: {
+      progressToken?: string | number;
+    };
   };
 }
 
+// Reports work done so far (bytes or items) for notifications/progress
+export type ProgressCallback = (progress: number, total?: number, message?: string) => void;
+
 export interface MCPToolsCallResponse extends JsonRpcResponse {
   result: {
     content: Array<{
@@ -131,19 +143,41 @@ export interface CreateVectorStoreRequest {
   name: string;
   expires_after_days?: number;
   metadata?: Record<string, any>;
+  chunking_strategy?: ChunkingStrategyInput;
 }
 
-export interface ListVectorStoresRequest {
+// How the API splits files into chunks, as sent and as reported on vector store files
+export type ChunkingStrategy =
+  | { type: 'auto' }
+  | { type: 'static'; static: { max_chunk_size_tokens: number; chunk_overlap_tokens: number } };
+
+// Also accepted from tools and config: static fields inline, or "auto" / "static:<max>:<overlap>"
+export type ChunkingStrategyInput = ChunkingStrategy | string | Record<string, any>;
+
+// Cursor paging shared by every list endpoint; `all` follows the cursors through every page
+export interface ListRequest {
   limit?: number;
   order?: 'asc' | 'desc';
+  after?: string;
+  before?: string;
+  all?: boolean;
 }
 
-export interface ListVectorStoresResponse {
+export interface ListResponse<T> {
   object: 'list';
-  data: VectorStore[];
-  first_id?: string;
-  last_id?: string;
+  data: T[];
+  first_id?: string | null;
+  last_id?: string | null;
   has_more: boolean;
+  next_cursor?: string | null;
+}
+
+export interface ListVectorStoresRequest extends ListRequest {}
+
+export interface ListVectorStoresResponse extends ListResponse<VectorStore> {}
+
+export interface ListFilesRequest extends ListRequest {
+  purpose?: string;
 }
 
 export interface VectorStoreFile {
@@ -157,25 +191,35 @@ export interface VectorStoreFile {
     code: string;
     message: string;
   };
+  chunking_strategy?: ChunkingStrategy;
+  attributes?: FileAttributes | null;
 }
 
+// Typed key/value pairs on a vector store file that search filters match against
+export type FileAttributes = Record<string, string | number | boolean>;
+
 export interface AddFileToVectorStoreRequest {
   file_id: string;
+  attributes?: FileAttributes;
+  chunking_strategy?: ChunkingStrategyInput;
 }
 
-export interface ListVectorStoreFilesRequest {
-  limit?: number;
-  filter?: 'in_progress' | 'completed' | 'failed' | 'cancelled';
+export interface VectorStoreFileBatchEntry {
+  file_id: string;
+  attributes?: FileAttributes;
+  chunking_strategy?: ChunkingStrategyInput;
 }
 
-export interface ListVectorStoreFilesResponse {
-  object: 'list';
-  data: VectorStoreFile[];
-  first_id?: string;
-  last_id?: string;
-  has_more: boolean;
+export interface CreateVectorStoreFileBatchOptions {
+  chunking_strategy?: ChunkingStrategyInput;
+}
+
+export interface ListVectorStoreFilesRequest extends ListRequest {
+  filter?: 'in_progress' | 'completed' | 'failed' | 'cancelled';
 }
 
+export interface ListVectorStoreFilesResponse extends ListResponse<VectorStoreFile> {}
+
 // Vector Store File Batch types
 export interface VectorStoreFileBatch {
   id: string;
@@ -192,6 +236,91 @@ export interface VectorStoreFileBatch {
   };
 }
 
+// Waiting for vector store files and batches to finish processing
+export interface WaitForProcessingRequest {
+  timeout_seconds?: number;
+  onProgress?: ProgressCallback;
+}
+
+export interface FailedVectorStoreFile {
+  file_id: string;
+  code: string;
+  message: string;
+}
+
+interface ProcessingWaitResult {
+  status: 'in_progress' | 'completed' | 'cancelled' | 'failed';
+  timed_out: boolean;
+  waited_seconds: number;
+  polls: number;
+  failed_files: FailedVectorStoreFile[];
+}
+
+export interface VectorStoreFileWaitResult extends ProcessingWaitResult {
+  object: 'vector_store.file.wait';
+  vector_store_file: VectorStoreFile;
+}
+
+export interface VectorStoreFileBatchWaitResult extends ProcessingWaitResult {
+  object: 'vector_store.file_batch.wait';
+  file_batch: VectorStoreFileBatch;
+  failed_files_truncated?: boolean;
+}
+
+// Retrying failed vector store files
+export interface RetryFailedFilesRequest {
+  dry_run?: boolean;
+  wait?: boolean;
+  timeout_seconds?: number;
+}
+
+export interface ClassifiedFailure extends FailedVectorStoreFile {
+  retryable: boolean;
+  // Only on retries that errored: whether the file is still in the store
+  stage?: 'attached' | 'detached';
+}
+
+export interface RetryFailedFilesResult {
+  object: 'vector_store.retry_failed';
+  vector_store_id: string;
+  dry_run: boolean;
+  plan: {
+    retry: ClassifiedFailure[];
+    permanent: ClassifiedFailure[];
+  };
+  applied?: {
+    retried: Array<{ file_id: string; status: VectorStoreFile['status'] }>;
+    still_failing: ClassifiedFailure[];
+  };
+}
+
+// Cloning a vector store
+export interface CloneVectorStoreRequest {
+  name?: string;
+  name_suffix?: string;
+  metadata?: Record<string, any>;
+  expires_after_days?: number;
+  chunking_strategy?: ChunkingStrategyInput;
+  wait?: boolean;
+  timeout_seconds?: number;
+  onProgress?: ProgressCallback;
+}
+
+export interface UncopiedVectorStoreFile extends FailedVectorStoreFile {
+  stage: 'source' | 'attach' | 'processing';
+}
+
+export interface CloneVectorStoreResult {
+  object: 'vector_store.clone';
+  source_vector_store_id: string;
+  vector_store: VectorStore;
+  files_copied: number;
+  batches: Array<Pick<VectorStoreFileBatch, 'id' | 'status' | 'file_counts'>>;
+  not_copied: UncopiedVectorStoreFile[];
+  not_copied_truncated?: boolean;
+  timed_out?: boolean;
+}
+
 // Vector Store modification types
 export interface ModifyVectorStoreRequest {
   name?: string;
@@ -207,7 +336,216 @@ export interface VectorStoreFileContent {
 
 // Vector Store File update types
 export interface UpdateVectorStoreFileRequest {
-  metadata: Record<string, any>;
+  attributes: FileAttributes;
+}
+
+// Vector Store search types
+export interface ComparisonFilter {
+  key: string;
+  type: 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte';
+  value: string | number | boolean;
+}
+
+export interface CompoundFilter {
+  type: 'and' | 'or';
+  filters: Array<ComparisonFilter | CompoundFilter>;
+}
+
+export interface SearchVectorStoreRequest {
+  query: string | string[];
+  max_num_results?: number;
+  rewrite_query?: boolean;
+  filters?: ComparisonFilter | CompoundFilter;
+  ranking_options?: {
+    ranker?: string;
+    score_threshold?: number;
+  };
+}
+
+export interface VectorStoreSearchResult {
+  file_id: string;
+  filename: string;
+  score: number;
+  attributes: FileAttributes | null;
+  content: Array<{
+    type: 'text';
+    text: string;
+  }>;
+}
+
+export interface VectorStoreSearchResponse {
+  object: 'vector_store.search_results.page';
+  search_query: string | string[];
+  data: VectorStoreSearchResult[];
+  has_more: boolean;
+  next_page: string | null;
+}
+
+export interface MultiSearchVectorStoresRequest extends SearchVectorStoreRequest {
+  vector_store_ids?: string[];
+  vector_store_metadata?: Record<string, string>;
+}
+
+export interface MultiVectorStoreSearchResult extends VectorStoreSearchResult {
+  vector_store_id: string;
+  normalized_score: number;
+  also_found_in: string[];
+}
+
+export interface MultiVectorStoreSearchResponse {
+  object: 'vector_store.multi_search_results';
+  search_query: string | string[];
+  vector_store_ids: string[];
+  data: MultiVectorStoreSearchResult[];
+  errors: Array<{
+    vector_store_id: string;
+    error: string;
+  }>;
+}
+
+// Grounded answer types (Responses API with file_search)
+export interface AskVectorStoreRequest {
+  vector_store_ids: string[];
+  question: string;
+  model?: string;
+  instructions?: string;
+  max_num_results?: number;
+  filters?: ComparisonFilter | CompoundFilter;
+}
+
+export interface AskVectorStoreCitation {
+  file_id: string;
+  filename: string | null;
+  quote: string | null;
+  index?: number;
+}
+
+export interface AskVectorStoreResponse {
+  response_id: string;
+  model: string;
+  answer: string;
+  citations: AskVectorStoreCitation[];
+  usage?: Record<string, any>;
+}
+
+// File content: text in full, binaries as a truncated base64 preview
+export interface FileContent {
+  object: 'file.content';
+  file_id: string;
+  filename: string;
+  content_type: string;
+  bytes: number;
+  sha256: string;
+  encoding: 'text' | 'base64';
+  content: string;
+  truncated?: boolean;
+  note?: string;
+}
+
+// Inline file upload types
+export interface UploadFileContentRequest {
+  content: string;
+  encoding?: 'text' | 'base64';
+  filename: string;
+  mime_type?: string;
+  purpose?: string;
+}
+
+export interface UploadFileFromUrlRequest {
+  url: string;
+  filename?: string;
+  purpose?: string;
+  max_bytes?: number;
+  vector_store_id?: string;
+  chunking_strategy?: ChunkingStrategyInput;
+  onProgress?: ProgressCallback;
+}
+
+export interface UploadFileStreamRequest {
+  stream: ReadableStream<Uint8Array>;
+  filename: string;
+  content_type?: string;
+  purpose?: string;
+  vector_store_id?: string;
+  chunking_strategy?: ChunkingStrategyInput;
+  onProgress?: ProgressCallback;
+}
+
+export interface UrlUploadOptions {
+  allowedHosts?: string[]; // empty allows no host; "*" any public host; "*.example.com" matches subdomains
+  maxBytes?: number;
+}
+
+// Multipart upload types
+export interface AddUploadPartRequest {
+  data?: string; // base64
+  file_path?: string; // Node only
+  offset?: number;
+  length?: number;
+}
+
+export interface UploadPart {
+  id: string;
+  object: 'upload.part';
+  created_at: number;
+  upload_id: string;
+  bytes?: number;
+  md5?: string;
+}
+
+export interface CompleteUploadRequest {
+  part_ids: string[];
+  md5?: string;
+}
+
+// Storage provider interface
+// Every operation the MCP tools need. OpenAIService is the default
+// implementation; alternative backends implement the same contract.
+export interface DeletionStatus {
+  id: string;
+  object: string;
+  deleted: boolean;
+}
+
+export interface VectorStoreProvider {
+  createVectorStore(request: CreateVectorStoreRequest): Promise<VectorStore>;
+  listVectorStores(request?: ListVectorStoresRequest): Promise<ListVectorStoresResponse>;
+  getVectorStore(vectorStoreId: string): Promise<VectorStore>;
+  deleteVectorStore(vectorStoreId: string): Promise<DeletionStatus>;
+  modifyVectorStore(vectorStoreId: string, updates: ModifyVectorStoreRequest): Promise<VectorStore>;
+  addFileToVectorStore(vectorStoreId: string, request: AddFileToVectorStoreRequest): Promise<VectorStoreFile>;
+  listVectorStoreFiles(vectorStoreId: string, request?: ListVectorStoreFilesRequest): Promise<ListVectorStoreFilesResponse>;
+  getVectorStoreFile(vectorStoreId: string, fileId: string): Promise<VectorStoreFile>;
+  getVectorStoreFileContent(vectorStoreId: string, fileId: string): Promise<VectorStoreFileContent>;
+  updateVectorStoreFile(vectorStoreId: string, fileId: string, attributes: FileAttributes): Promise<VectorStoreFile>;
+  deleteVectorStoreFile(vectorStoreId: string, fileId: string): Promise<DeletionStatus>;
+  createVectorStoreFileBatch(
+    vectorStoreId: string,
+    files: Array<string | VectorStoreFileBatchEntry>,
+    options?: CreateVectorStoreFileBatchOptions
+  ): Promise<VectorStoreFileBatch>;
+  getVectorStoreFileBatch(vectorStoreId: string, batchId: string): Promise<VectorStoreFileBatch>;
+  waitForVectorStoreFile(vectorStoreId: string, fileId: string, request?: WaitForProcessingRequest): Promise<VectorStoreFileWaitResult>;
+  waitForVectorStoreFileBatch(vectorStoreId: string, batchId: string, request?: WaitForProcessingRequest): Promise<VectorStoreFileBatchWaitResult>;
+  retryFailedVectorStoreFiles(vectorStoreId: string, request?: RetryFailedFilesRequest): Promise<RetryFailedFilesResult>;
+  cloneVectorStore(vectorStoreId: string, request?: CloneVectorStoreRequest): Promise<CloneVectorStoreResult>;
+  cancelVectorStoreFileBatch(vectorStoreId: string, batchId: string): Promise<VectorStoreFileBatch>;
+  listVectorStoreFileBatchFiles(vectorStoreId: string, batchId: string, request?: ListVectorStoreFilesRequest): Promise<ListVectorStoreFilesResponse>;
+  searchVectorStore(vectorStoreId: string, request: SearchVectorStoreRequest): Promise<VectorStoreSearchResponse>;
+  searchVectorStores(request: MultiSearchVectorStoresRequest): Promise<MultiVectorStoreSearchResponse>;
+  askVectorStore(request: AskVectorStoreRequest): Promise<AskVectorStoreResponse>;
+  uploadFile(request: { file_path: string; purpose?: string; filename?: string }): Promise<any>;
+  uploadFileContent(request: UploadFileContentRequest): Promise<any>;
+  uploadFileFromUrl(request: UploadFileFromUrlRequest): Promise<any>;
+  uploadFileStream(request: UploadFileStreamRequest): Promise<any>;
+  listFiles(request?: ListFilesRequest): Promise<ListResponse<any>>;
+  getFile(fileId: string): Promise<any>;
+  deleteFile(fileId: string): Promise<DeletionStatus>;
+  getFileContent(fileId: string): Promise<FileContent>;
+  createUpload(request: { filename: string; purpose?: string; bytes: number; mime_type: string }): Promise<any>;
+  addUploadPart(uploadId: string, request: AddUploadPartRequest): Promise<UploadPart>;
+  completeUpload(uploadId: string, request: CompleteUploadRequest): Promise<any>;
+  cancelUpload(uploadId: string): Promise<any>;
 }
 
 // OpenAI Chat types (legacy compatibility)
@@ -246,6 +584,11 @@ export interface ChatCompletion {
 // Cloudflare Workers environment types
 export interface Env {
   OPENAI_API_KEY: string;
+  OPENAI_BASE_URL?: string;
+  VECTOR_STORE_PROVIDER?: string;
+  UPLOAD_URL_ALLOWED_HOSTS?: string;
+  UPLOAD_URL_MAX_BYTES?: string;
+  DEFAULT_CHUNKING_STRATEGY?: string;
 }
 
 // Error types
@@ -0,0 +1,230 @@
+/**
+ * Upload Handler
+ *
+ * Serves POST /upload/{api-key}. The multipart/form-data body is parsed as it
+ * arrives and the first file part is streamed to the provider, so the worker
+ * never holds the whole file in memory. `purpose`, `vector_store_id`,
+ * `chunking_strategy` ("auto" or "static:<max>:<overlap>") and `filename` can
+ * be given as query parameters or as form fields sent before the file; query
+ * parameters take precedence.
+ */
+
+import { MCPError, ErrorCodes, VectorStoreProvider } from './types';
+
+const MAX_LINE_BYTES = 16 * 1024;
+const MAX_FIELD_BYTES = 64 * 1024;
+const FORM_FIELDS = ['purpose', 'vector_store_id', 'filename', 'chunking_strategy'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const CRLF = encoder.encode('\r\n');
+
+interface FilePart {
+  filename: string;
+  contentType?: string;
+  fields: Record<string, string>;
+  stream: ReadableStream<Uint8Array>;
+}
+
+/**
+ * Stream the file in a multipart upload request to the provider and return the created file
+ */
+export async function handleUpload(request: Request, provider: VectorStoreProvider): Promise<any> {
+  const contentType = request.headers.get('content-type') || '';
+  const boundary = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  if (!/^multipart\/form-data\b/i.test(contentType) || !boundary) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Expected a multipart/form-data body with a file field', { content_type: contentType });
+  }
+  if (!request.body) {
+    throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Request body is required');
+  }
+
+  const part = await openFilePart(request.body, boundary[1] || boundary[2]);
+  const query = new URL(request.url).searchParams;
+  const option = (name: string) => query.get(name) || part.fields[name] || undefined;
+
+  return await provider.uploadFileStream({
+    stream: part.stream,
+    filename: option('filename') || part.filename,
+    content_type: part.contentType,
+    purpose: option('purpose'),
+    vector_store_id: option('vector_store_id'),
+    chunking_strategy: option('chunking_strategy')
+  });
+}
+
+/**
+ * Read form fields up to the first file part and return a stream of that part's content
+ */
+async function openFilePart(body: ReadableStream<Uint8Array>, boundary: string): Promise<FilePart> {
+  // The leading CRLF lets the first delimiter match like every later one
+  const reader = new MultipartReader(body.getReader(), CRLF);
+  const delimiter = encoder.encode(`\r\n--${boundary}`);
+  const fields: Record<string, string> = {};
+
+  await reader.readUntil(delimiter, MAX_FIELD_BYTES, 'Multipart preamble');
+  for (;;) {
+    // "--" after a delimiter closes the body; anything else up to CRLF is transport padding
+    const marker = decoder.decode(await reader.readBytes(2));
+    if (marker === '--') {
+      await reader.cancel();
+      throw new MCPError(ErrorCodes.INVALID_PARAMS, 'No file part found in the multipart body');
+    }
+    if (marker !== '\r\n') {
+      await reader.readUntil(CRLF, MAX_LINE_BYTES, 'Multipart boundary line');
+    }
+
+    const headers: Record<string, string> = {};
+    for (;;) {
+      const line = decoder.decode(await reader.readUntil(CRLF, MAX_LINE_BYTES, 'Multipart header'));
+      if (!line) {
+        break;
+      }
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    const name = dispositionParam(disposition, 'name');
+    const filename = dispositionParam(disposition, 'filename');
+
+    if (filename !== undefined) {
+      return {
+        // Browsers on Windows may send the full client path
+        filename: filename.split(/[\\/]/).pop() || '',
+        contentType: headers['content-type'],
+        fields,
+        stream: reader.streamUntil(delimiter)
+      };
+    }
+
+    const value = decoder.decode(await reader.readUntil(delimiter, MAX_FIELD_BYTES, `Form field "${name}"`));
+    if (name && FORM_FIELDS.includes(name)) {
+      fields[name] = value;
+    }
+  }
+}
+
+function dispositionParam(disposition: string, param: string): string | undefined {
+  // Browsers percent-encode quotes in names rather than escaping them, so a backslash is literal
+  const match = disposition.match(new RegExp(`(?:^|;)\\s*${param}\\s*=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  if (!match) {
+    return undefined;
+  }
+  return match[1] !== undefined ? match[1] : match[2];
+}
+
+/**
+ * Buffered reader over a request body that splits it at byte patterns
+ */
+class MultipartReader {
+  private buffer: Uint8Array;
+
+  constructor(private reader: ReadableStreamDefaultReader<Uint8Array>, initial: Uint8Array = new Uint8Array(0)) {
+    this.buffer = initial;
+  }
+
+  /**
+   * Consume and return the bytes before the next occurrence of pattern
+   */
+  async readUntil(pattern: Uint8Array, limit: number, what: string): Promise<Uint8Array> {
+    let from = 0;
+    for (;;) {
+      const index = indexOfBytes(this.buffer, pattern, from);
+      if (index > limit || (index === -1 && this.buffer.length > limit + pattern.length)) {
+        await this.cancel();
+        throw new MCPError(ErrorCodes.INVALID_PARAMS, `${what} exceeds ${limit} bytes`);
+      }
+      if (index !== -1) {
+        const head = this.buffer.slice(0, index);
+        this.buffer = this.buffer.slice(index + pattern.length);
+        return head;
+      }
+      from = Math.max(0, this.buffer.length - pattern.length + 1);
+      if (!(await this.fill())) {
+        throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Multipart body ended unexpectedly');
+      }
+    }
+  }
+
+  /**
+   * Consume and return the next n bytes
+   */
+  async readBytes(n: number): Promise<Uint8Array> {
+    while (this.buffer.length < n) {
+      if (!(await this.fill())) {
+        throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Multipart body ended unexpectedly');
+      }
+    }
+    const head = this.buffer.slice(0, n);
+    this.buffer = this.buffer.slice(n);
+    return head;
+  }
+
+  /**
+   * Stream the bytes before the next occurrence of pattern; the rest of the body is discarded
+   */
+  streamUntil(pattern: Uint8Array): ReadableStream<Uint8Array> {
+    return new ReadableStream<Uint8Array>({
+      pull: async (controller) => {
+        for (;;) {
+          const index = indexOfBytes(this.buffer, pattern, 0);
+          if (index !== -1) {
+            if (index > 0) {
+              controller.enqueue(this.buffer.slice(0, index));
+            }
+            controller.close();
+            await this.cancel();
+            return;
+          }
+          // Hold back a possible partial delimiter at the end of the buffer
+          const safe = this.buffer.length - pattern.length + 1;
+          if (safe > 0) {
+            controller.enqueue(this.buffer.slice(0, safe));
+            this.buffer = this.buffer.slice(safe);
+            return;
+          }
+          if (!(await this.fill())) {
+            throw new MCPError(ErrorCodes.INVALID_PARAMS, 'Multipart body ended before the closing boundary');
+          }
+        }
+      },
+      cancel: (reason) => this.reader.cancel(reason)
+    });
+  }
+
+  async cancel(): Promise<void> {
+    this.buffer = new Uint8Array(0);
+    await this.reader.cancel().catch(() => {});
+  }
+
+  /**
+   * Append the next chunk of the body to the buffer; false once the body has ended
+   */
+  private async fill(): Promise<boolean> {
+    const { done, value } = await this.reader.read();
+    if (done) {
+      return false;
+    }
+    const merged = new Uint8Array(this.buffer.length + value.length);
+    merged.set(this.buffer);
+    merged.set(value, this.buffer.length);
+    this.buffer = merged;
+    return true;
+  }
+}
+
+function indexOfBytes(haystack: Uint8Array, needle: Uint8Array, from: number): number {
+  for (let i = haystack.indexOf(needle[0], from); i !== -1 && i <= haystack.length - needle.length; i = haystack.indexOf(needle[0], i + 1)) {
+    let j = 1;
+    while (j < needle.length && haystack[i + j] === needle[j]) {
+      j++;
+    }
+    if (j === needle.length) {
+      return i;
+    }
+  }
+  return -1;
+}
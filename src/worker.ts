@@ -5,8 +5,16 @@
  * Handles routing, authentication, CORS, and integrates with the MCP handler.
  */
 
-import { JsonRpcRequest, JsonRpcResponse, Env, ErrorCodes } from './types';
+import { JsonRpcRequest, JsonRpcResponse, JsonRpcNotification, Env, MCPError, ErrorCodes } from './types';
 import { MCPHandler } from './mcp-handler';
+import { handleUpload } from './upload-handler';
+import { createProvider } from './services/provider';
+import { VectorStoreNameResolver } from './services/vector-store-names';
+
+// Name resolvers by SHA-256 of the API key, kept at module scope so the name cache
+// outlives a request and is reused for as long as the isolate lives
+const MAX_NAME_RESOLVERS = 100;
+const vectorStoreNameResolvers = new Map<string, VectorStoreNameResolver>();
 
 export default {
   async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
@@ -30,12 +38,37 @@ export default {
         });
       }
 
+      // Streaming file upload: POST /upload/{api-key}?purpose=...&vector_store_id=...
+      const uploadMatch = url.pathname.match(/^\/upload\/([^\/]+)$/);
+      if (uploadMatch) {
+        if (request.method !== 'POST') {
+          return createErrorResponse(
+            ErrorCodes.INVALID_REQUEST,
+            'Only POST requests are allowed',
+            405
+          );
+        }
+
+        try {
+          const file = await handleUpload(request, createProvider(uploadMatch[1], env));
+          return new Response(JSON.stringify(file), {
+            status: 200,
+            headers: getCORSHeaders('application/json')
+          });
+        } catch (error) {
+          if (error instanceof MCPError) {
+            return createErrorResponse(error.code, error.message, getHttpStatus(error.code));
+          }
+          throw error;
+        }
+      }
+
       // Extract API key from URL path: /mcp/{api-key}
       const pathMatch = url.pathname.match(/^\/mcp\/([^\/]+)$/);
       if (!pathMatch) {
         return createErrorResponse(
           ErrorCodes.UNAUTHORIZED,
-          'Invalid endpoint. Use /mcp/{api-key} format',
+          'Invalid endpoint. Use /mcp/{api-key} or /upload/{api-key}',
           400
         );
       }
@@ -89,8 +122,16 @@ export default {
         );
       }
 
-      // Create MCP handler with the provided API key
-      const mcpHandler = new MCPHandler(apiKey);
+      // Create MCP handler backed by the configured storage provider
+      const provider = createProvider(apiKey, env);
+      const mcpHandler = new MCPHandler(provider, await nameResolverFor(apiKey));
+
+      // Progress notifications need a stream, so a tools/call with a progress token
+      // is answered with server-sent events when the client accepts them
+      const progressToken = jsonRpcRequest.method === 'tools/call' ? jsonRpcRequest.params?._meta?.progressToken : undefined;
+      if (progressToken !== undefined && (request.headers.get('Accept') || '').includes('text/event-stream')) {
+        return createEventStreamResponse(mcpHandler, jsonRpcRequest, ctx);
+      }
       
       // Handle the MCP request
       const response = await mcpHandler.handleRequest(jsonRpcRequest);
@@ -112,6 +153,53 @@ export default {
   }
 };
 
+/**
+ * The shared name resolver for an API key. The map is keyed by a hash so the
+ * keys themselves are not kept in isolate memory, and each handler passes its
+ * own request's provider to the resolver.
+ */
+async function nameResolverFor(apiKey: string): Promise<VectorStoreNameResolver> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  const keyHash = Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  let resolver = vectorStoreNameResolvers.get(keyHash);
+  if (!resolver) {
+    resolver = new VectorStoreNameResolver();
+    vectorStoreNameResolvers.set(keyHash, resolver);
+    // Drop the oldest key so an isolate serving many accounts stays small
+    if (vectorStoreNameResolvers.size > MAX_NAME_RESOLVERS) {
+      vectorStoreNameResolvers.delete(vectorStoreNameResolvers.keys().next().value!);
+    }
+  }
+  return resolver;
+}
+
+/**
+ * Answer an MCP request as server-sent events: its notifications while it runs, then the response
+ */
+function createEventStreamResponse(mcpHandler: MCPHandler, jsonRpcRequest: JsonRpcRequest, ctx: ExecutionContext): Response {
+  const { readable, writable } = new TransformStream<Uint8Array, Uint8Array>();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const send = (message: JsonRpcResponse | JsonRpcNotification) =>
+    writer.write(encoder.encode(`event: message\ndata: ${JSON.stringify(message)}\n\n`));
+
+  ctx.waitUntil((async () => {
+    try {
+      const response = await mcpHandler.handleRequest(jsonRpcRequest, (notification) => {
+        send(notification).catch(() => {});
+      });
+      await send(response);
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })());
+
+  return new Response(readable, {
+    status: 200,
+    headers: { ...getCORSHeaders('text/event-stream'), 'Cache-Control': 'no-cache' }
+  });
+}
+
 /**
  * Handle CORS preflight requests
  */
@@ -140,6 +228,26 @@ function getCORSHeaders(contentType?: string): Record<string, string> {
   return headers;
 }
 
+/**
+ * Map an MCP error code to the HTTP status of a non-JSON-RPC response
+ */
+function getHttpStatus(code: number): number {
+  switch (code) {
+    case ErrorCodes.INVALID_PARAMS:
+      return 400;
+    case ErrorCodes.UNAUTHORIZED:
+      return 401;
+    case ErrorCodes.FORBIDDEN:
+      return 403;
+    case ErrorCodes.NOT_FOUND:
+      return 404;
+    case ErrorCodes.RATE_LIMITED:
+      return 429;
+    default:
+      return 500;
+  }
+}
+
 /**
  * Create error response
  */
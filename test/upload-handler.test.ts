@@ -0,0 +1,197 @@
+/**
+ * Test script for the worker's streaming upload endpoint
+ *
+ * Sends multipart bodies to POST /upload/{api-key} through the worker's fetch
+ * handler, with the OpenAI calls going to the in-memory mock API from
+ * npm-package/test. Bodies are delivered in small chunks so boundaries fall
+ * across chunk edges. Run with `npm test`.
+ */
+
+import assert from 'node:assert';
+import worker from '../src/worker';
+import { MockOpenAIServer } from '../npm-package/test/mock-openai-server.js';
+
+const BOUNDARY = '----WorkerUploadTest7MA4YWxkTrZu0gW';
+const encoder = new TextEncoder();
+
+// Lines that look like the start of a delimiter, so the parser must hold them back and release them
+const DOCUMENT = [
+  '# Release notes',
+  '',
+  'Version 2 streams uploads instead of buffering them.',
+  `--${BOUNDARY.slice(0, 10)} is not the boundary, and neither is\r\n--${BOUNDARY.slice(0, -1)}x`,
+  ...Array.from({ length: 40 }, (_, i) => `Line ${i}: the quick brown fox jumps over the lazy dog.`)
+].join('\r\n');
+
+interface Part {
+  name: string;
+  value: string;
+  filename?: string;
+  contentType?: string;
+}
+
+function multipartBody(parts: Part[], boundary = BOUNDARY): Uint8Array {
+  let body = '';
+  for (const part of parts) {
+    body += `--${boundary}\r\nContent-Disposition: form-data; name="${part.name}"`;
+    if (part.filename !== undefined) {
+      body += `; filename="${part.filename}"\r\nContent-Type: ${part.contentType || 'text/markdown'}`;
+    }
+    body += `\r\n\r\n${part.value}\r\n`;
+  }
+  return encoder.encode(`${body}--${boundary}--\r\n`);
+}
+
+/**
+ * A body stream that yields bytes in chunks of the given sizes, cycling through them
+ */
+function chunkedStream(bytes: Uint8Array, sizes: number[]): ReadableStream<Uint8Array> {
+  let offset = 0;
+  let turn = 0;
+  return new ReadableStream<Uint8Array>({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      const size = sizes[turn++ % sizes.length];
+      controller.enqueue(bytes.slice(offset, offset + size));
+      offset += size;
+    }
+  });
+}
+
+async function upload(
+  baseUrl: string,
+  body: Uint8Array,
+  options: { query?: string; contentType?: string; chunkSizes?: number[] } = {}
+): Promise<{ status: number; json: any }> {
+  const request = new Request(`https://worker.test/upload/sk-test${options.query || ''}`, {
+    method: 'POST',
+    headers: { 'content-type': options.contentType ?? `multipart/form-data; boundary=${BOUNDARY}` },
+    body: chunkedStream(body, options.chunkSizes || [body.length]),
+    // Node's fetch only accepts stream bodies in half-duplex mode
+    duplex: 'half'
+  } as RequestInit);
+  const ctx = { waitUntil() {}, passThroughOnException() {} } as unknown as ExecutionContext;
+  const response = await worker.fetch(request, { OPENAI_BASE_URL: baseUrl } as any, ctx);
+  return { status: response.status, json: await response.json() };
+}
+
+async function createVectorStore(baseUrl: string, name: string): Promise<any> {
+  const response = await fetch(`${baseUrl}/vector_stores`, {
+    method: 'POST',
+    headers: { authorization: 'Bearer sk-test', 'content-type': 'application/json' },
+    body: JSON.stringify({ name })
+  });
+  return await response.json();
+}
+
+async function run(): Promise<void> {
+  const mock = new MockOpenAIServer({ processingDelayMs: 20 });
+  const baseUrl = await mock.start();
+
+  try {
+    console.log('🧪 Testing the worker upload endpoint...\n');
+
+    console.log('1. Boundaries split across chunks');
+    const body = multipartBody([
+      { name: 'purpose', value: 'assistants' },
+      { name: 'file', value: DOCUMENT, filename: 'C:\\Users\\me\\notes.md' }
+    ]);
+    for (const sizes of [[1], [3, 7], [64], [body.length - 5, 5]]) {
+      const { status, json } = await upload(baseUrl, body, { chunkSizes: sizes });
+      assert.strictEqual(status, 200, JSON.stringify(json));
+      assert.strictEqual(json.filename, 'notes.md');
+      assert.strictEqual(json.purpose, 'assistants');
+      assert.strictEqual(json.bytes, encoder.encode(DOCUMENT).length);
+      assert.strictEqual(mock.fileContents.get(json.id).toString('utf8'), DOCUMENT, `chunk sizes ${sizes.join(',')}`);
+    }
+    console.log('   ✅ File content arrives intact whatever the chunk sizes');
+
+    console.log('\n2. Malformed requests');
+    for (const contentType of ['multipart/form-data', 'application/json', '']) {
+      const { status, json } = await upload(baseUrl, body, { contentType });
+      assert.strictEqual(status, 400);
+      assert.match(json.error.message, /Expected a multipart\/form-data body/);
+    }
+    console.log('   ✅ Missing boundary or wrong content type is rejected');
+
+    const wrongBoundary = await upload(baseUrl, multipartBody([{ name: 'file', value: 'x', filename: 'a.md' }], 'other-boundary'));
+    assert.strictEqual(wrongBoundary.status, 400);
+    assert.match(wrongBoundary.json.error.message, /Multipart body ended unexpectedly/);
+
+    const noFile = await upload(baseUrl, multipartBody([{ name: 'purpose', value: 'assistants' }]));
+    assert.strictEqual(noFile.status, 400);
+    assert.match(noFile.json.error.message, /No file part found/);
+
+    const unclosed = encoder.encode(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="file"; filename="a.md"\r\n\r\nno closing boundary`);
+    const truncated = await upload(baseUrl, unclosed);
+    assert.strictEqual(truncated.status, 400);
+    assert.match(truncated.json.error.message, /ended before the closing boundary/);
+    console.log('   ✅ Bodies without the boundary, a file part or a closing delimiter are rejected');
+
+    console.log('\n3. Oversize parts');
+    const filesBefore = mock.files.size;
+    const bigField = await upload(baseUrl, multipartBody([
+      { name: 'purpose', value: 'a'.repeat(64 * 1024 + 10) },
+      { name: 'file', value: DOCUMENT, filename: 'notes.md' }
+    ]), { chunkSizes: [4096] });
+    assert.strictEqual(bigField.status, 400);
+    assert.match(bigField.json.error.message, /Form field "purpose" exceeds 65536 bytes/);
+
+    const longHeader = encoder.encode(`--${BOUNDARY}\r\nX-Padding: ${'p'.repeat(20 * 1024)}\r\n\r\nvalue\r\n--${BOUNDARY}--\r\n`);
+    const bigHeader = await upload(baseUrl, longHeader, { chunkSizes: [1000] });
+    assert.strictEqual(bigHeader.status, 400);
+    assert.match(bigHeader.json.error.message, /Multipart header exceeds 16384 bytes/);
+
+    const bigPreamble = await upload(baseUrl, encoder.encode('x'.repeat(70 * 1024)), { chunkSizes: [8192] });
+    assert.strictEqual(bigPreamble.status, 400);
+    assert.match(bigPreamble.json.error.message, /Multipart preamble exceeds/);
+    assert.strictEqual(mock.files.size, filesBefore, 'nothing should be uploaded');
+    console.log('   ✅ Oversize fields, headers and preambles are rejected before uploading');
+
+    console.log('\n4. Attaching to a vector store');
+    const store = await createVectorStore(baseUrl, 'Uploads');
+
+    const attached = await upload(baseUrl, multipartBody([
+      { name: 'vector_store_id', value: store.id },
+      { name: 'chunking_strategy', value: 'static:400:100' },
+      { name: 'filename', value: 'release-notes.md' },
+      { name: 'file', value: DOCUMENT, filename: 'notes.md' }
+    ]), { chunkSizes: [5, 11] });
+    assert.strictEqual(attached.status, 200, JSON.stringify(attached.json));
+    assert.strictEqual(attached.json.filename, 'release-notes.md');
+    assert.strictEqual(attached.json.vector_store_file.id, attached.json.id);
+    assert.strictEqual(attached.json.vector_store_file.vector_store_id, store.id);
+    assert.deepStrictEqual(mock.vectorStoreFiles.get(store.id).get(attached.json.id).chunking_strategy, {
+      type: 'static',
+      static: { max_chunk_size_tokens: 400, chunk_overlap_tokens: 100 }
+    });
+    console.log('   ✅ Form fields attach the file with the given chunking and filename');
+
+    const other = await createVectorStore(baseUrl, 'Other');
+    const overridden = await upload(baseUrl, multipartBody([
+      { name: 'vector_store_id', value: store.id },
+      { name: 'file', value: DOCUMENT, filename: 'notes.md' }
+    ]), { query: `?vector_store_id=${other.id}` });
+    assert.strictEqual(overridden.status, 200);
+    assert.strictEqual(overridden.json.vector_store_file.vector_store_id, other.id);
+    assert.ok(!mock.vectorStoreFiles.get(store.id).has(overridden.json.id));
+    console.log('   ✅ Query parameters take precedence over form fields');
+
+    const missingStore = await upload(baseUrl, body, { query: '?vector_store_id=vs_missing' });
+    assert.strictEqual(missingStore.status, 404);
+    assert.match(missingStore.json.error.message, /vs_missing/);
+    console.log('   ✅ An unknown vector store is reported as not found');
+
+    console.log('\n🎉 All upload endpoint tests passed!');
+  } finally {
+    await mock.stop();
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ upload endpoint test failed:', error);
+  process.exit(1);
+});
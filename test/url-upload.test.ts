@@ -0,0 +1,95 @@
+/**
+ * Test script for the worker's URL upload host checks
+ *
+ * Calls uploadFileFromUrl with different UPLOAD_URL_ALLOWED_HOSTS settings and
+ * checks that nothing is fetched without an allowlist, and that loopback,
+ * private and link-local addresses are refused unless listed by name, also
+ * when a redirect leads to them. Uploads go to the in-memory mock API from
+ * npm-package/test. Run with `npm test`.
+ */
+
+import assert from 'node:assert';
+import http from 'node:http';
+import { AddressInfo } from 'node:net';
+import { createProvider } from '../src/services/provider';
+import { ErrorCodes } from '../src/types';
+import { MockOpenAIServer } from '../npm-package/test/mock-openai-server.js';
+
+/**
+ * Local server standing in for remote documents: /doc is a page, /metadata
+ * redirects to the cloud metadata endpoint
+ */
+function startContentServer(): Promise<http.Server> {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/doc') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Internal wiki page.');
+    } else if (req.url === '/metadata') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data/' });
+      res.end();
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function assertForbidden(promise: Promise<unknown>, pattern: RegExp): Promise<void> {
+  await assert.rejects(promise, (error: any) => error.code === ErrorCodes.FORBIDDEN && pattern.test(error.message));
+}
+
+async function run(): Promise<void> {
+  const mock = new MockOpenAIServer({ processingDelayMs: 20 });
+  const baseUrl = await mock.start();
+  const contentServer = await startContentServer();
+  const contentUrl = `http://127.0.0.1:${(contentServer.address() as AddressInfo).port}`;
+  const withHosts = (hosts?: string) => createProvider('sk-test', { OPENAI_BASE_URL: baseUrl, UPLOAD_URL_ALLOWED_HOSTS: hosts });
+
+  try {
+    console.log('🧪 Testing the worker URL upload host checks...\n');
+
+    console.log('1. No allowlist');
+    await assertForbidden(withHosts().uploadFileFromUrl({ url: 'https://example.com/doc' }), /disabled until the UPLOAD_URL_ALLOWED_HOSTS binding/);
+    console.log('   ✅ Nothing is fetched until UPLOAD_URL_ALLOWED_HOSTS is set');
+
+    console.log('\n2. Private addresses');
+    const anyHost = withHosts('*');
+    for (const url of [
+      'http://localhost/',
+      'http://api.localhost/',
+      'http://127.0.0.1/',
+      'http://0x7f.1/',
+      'http://10.1.2.3/',
+      'http://172.16.0.1/',
+      'http://192.168.1.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/'
+    ]) {
+      await assertForbidden(anyHost.uploadFileFromUrl({ url }), /private, loopback or link-local/);
+    }
+    console.log('   ✅ "*" does not reach loopback, private or link-local addresses');
+
+    const listed = withHosts('127.0.0.1,*');
+    const uploaded = await listed.uploadFileFromUrl({ url: `${contentUrl}/doc` });
+    assert.strictEqual(uploaded.filename, 'doc.txt');
+    assert.strictEqual(mock.fileContents.get(uploaded.id).toString('utf8'), 'Internal wiki page.');
+    console.log('   ✅ A private address listed by name can be fetched');
+
+    await assertForbidden(listed.uploadFileFromUrl({ url: `${contentUrl}/metadata` }), /169\.254\.169\.254 is a private, loopback or link-local/);
+    console.log('   ✅ Redirects to the metadata endpoint are refused');
+
+    console.log('\n🎉 All URL upload host tests passed!');
+  } finally {
+    contentServer.close();
+    await mock.stop();
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ URL upload host test failed:', error);
+  process.exit(1);
+});